@@ -0,0 +1,70 @@
+const { metricKey, resolveBaseline, resolveBaselineSketch } = require('../src/core/baseline');
+
+describe('Baseline Resolver', () => {
+    const key = 'p95ResponseTime';
+    const history = [
+        { id: 'run-1', profile: 'default', failed: 0, values: { [key]: 400 } },
+        { id: 'run-2', profile: 'default', failed: 0, values: { [key]: 500 } },
+        { id: 'run-3', profile: 'stress', failed: 0, values: { [key]: 900 } },
+        { id: 'run-4', profile: 'default', failed: 2, values: { [key]: 800 } },
+        { id: 'run-5', profile: 'default', failed: 0, values: { [key]: 450 } },
+        { id: 'run-6', profile: 'default', failed: 0, metrics: {} }
+    ];
+
+    it('should build keys from metric, aggregate and endpoint', () => {
+        expect(metricKey({ metric: 'http_req_duration', aggregate: 'p(95)' })).toBe('http_req_duration:p(95)');
+        expect(metricKey({ metric: 'http_req_duration', aggregate: 'p(95)' }, 'GET browse')).toBe('endpoint:GET browse:http_req_duration:p(95)');
+        expect(metricKey({ metric: 'errorRate' })).toBe('errorRate');
+    });
+
+    it('should use the last passing run of the same profile by default', () => {
+        const baseline = resolveBaseline(history, 'default', key);
+        expect(baseline).toEqual({ value: 450, strategy: 'last_passing', runIds: ['run-5'] });
+    });
+
+    it('should use the median of the last N runs of the same profile', () => {
+        const baseline = resolveBaseline(history, 'default', key, { strategy: 'median', runs: 3 });
+        expect(baseline.value).toBe(500);
+        expect(baseline.runIds).toEqual(['run-2', 'run-4', 'run-5']);
+    });
+
+    it('should use an explicitly pinned run regardless of profile', () => {
+        const baseline = resolveBaseline(history, 'default', key, { strategy: 'pinned', runId: 'run-3' });
+        expect(baseline.value).toBe(900);
+    });
+
+    it('should return null when no baseline run exists', () => {
+        expect(resolveBaseline([], 'default', key)).toBeNull();
+        expect(resolveBaseline(history, 'spike', key)).toBeNull();
+        expect(resolveBaseline(history, 'default', key, { strategy: 'pinned', runId: 'run-99' })).toBeNull();
+    });
+
+    it('should take the last run that passed its critical SLAs as the last passing run', () => {
+        const withWarnings = [...history, { id: 'run-7', profile: 'default', failed: 2, criticalFailed: 0, values: { [key]: 470 } }];
+        expect(resolveBaseline(withWarnings, 'default', key).runIds).toEqual(['run-7']);
+        withWarnings.push({ id: 'run-8', profile: 'default', failed: 1, criticalFailed: 1, values: { [key]: 990 } });
+        expect(resolveBaseline(withWarnings, 'default', key).runIds).toEqual(['run-7']);
+    });
+
+    it('should never use an aborted run as a baseline', () => {
+        const withAborted = [...history, { id: 'run-7', profile: 'default', failed: 0, aborted: true, values: { [key]: 120 } }];
+        expect(resolveBaseline(withAborted, 'default', key)).toEqual({ value: 450, strategy: 'last_passing', runIds: ['run-5'] });
+        expect(resolveBaseline(withAborted, 'default', key, { strategy: 'median', runs: 3 }).runIds).toEqual(['run-2', 'run-4', 'run-5']);
+        expect(resolveBaseline(withAborted, 'default', key, { strategy: 'pinned', runId: 'run-7' })).toBeNull();
+
+        const sketch = { gamma: 1.02, count: 4, zero: 0, min: 1, max: 2, bins: { 1: 4 } };
+        expect(resolveBaselineSketch([{ id: 'run-7', aborted: true, sketches: { global: sketch } }], ['run-7'])).toBeNull();
+    });
+
+    it('should merge the archived sketches of the baseline runs', () => {
+        const sketch = count => ({ gamma: 1.02, count, zero: 0, min: 1, max: 2, bins: { 1: count } });
+        const runs = [
+            { id: 'run-1', sketches: { global: sketch(2), endpoints: { 'GET browse': sketch(1) } } },
+            { id: 'run-2', sketches: { global: sketch(3), endpoints: {} } },
+            { id: 'run-3' }
+        ];
+        expect(resolveBaselineSketch(runs, ['run-1', 'run-2', 'run-3']).count).toBe(5);
+        expect(resolveBaselineSketch(runs, ['run-1', 'run-2'], 'GET browse').count).toBe(1);
+        expect(resolveBaselineSketch(runs, ['run-3'])).toBeNull();
+    });
+});
@@ -0,0 +1,77 @@
+const { searchCapacity, buildStepWorkload, findKneePoint } = require('../src/core/capacitySearch');
+
+// Simulated target: latency grows slowly until ~300 req/s, then saturates and the P95 SLA breaks
+function simulatedStep(limit = 300) {
+    const calls = [];
+    const runStep = async (rps) => {
+        calls.push(rps);
+        const throughput = Math.min(rps, limit + 20);
+        const p95ResponseTime = rps <= limit ? 100 + rps / 10 : 100 + (rps - limit) * 20;
+        const failures = p95ResponseTime > 500 ? [{ metric: 'P95 Response Time (ms)', actual: p95ResponseTime.toFixed(2), threshold: '<= 500' }] : [];
+        return { passed: failures.length === 0, failures, metrics: { throughput, p95ResponseTime, errorRate: 0, droppedIterations: 0 } };
+    };
+    return { calls, runStep };
+}
+
+describe('Capacity Search', () => {
+    it('should step the rate up until an SLA breaks', async () => {
+        const { calls, runStep } = simulatedStep();
+        const result = await searchCapacity(runStep, { strategy: 'step', startRps: 100, stepRps: 100, maxRps: 1000 });
+
+        expect(calls).toEqual([100, 200, 300, 400]);
+        expect(result.maxSustainableRps).toBe(300);
+        expect(result.limitingSla).toEqual({
+            rps: 400,
+            failures: [{ metric: 'P95 Response Time (ms)', actual: '2100.00', threshold: '<= 500' }]
+        });
+        expect(result.kneePoint.rps).toBe(300);
+    });
+
+    it('should narrow the sustainable rate with binary search', async () => {
+        const { calls, runStep } = simulatedStep();
+        const result = await searchCapacity(runStep, { strategy: 'binary', startRps: 10, maxRps: 1000, precision: 10 });
+
+        expect(calls.slice(0, 2)).toEqual([10, 1000]);
+        expect(result.maxSustainableRps).toBeGreaterThanOrEqual(310);
+        expect(result.maxSustainableRps).toBeLessThanOrEqual(320);
+        expect(result.steps.map(s => s.rps)).toEqual([...calls].sort((a, b) => a - b));
+    });
+
+    it('should stop after the maximum rate when every SLA holds', async () => {
+        const { runStep } = simulatedStep(5000);
+        const result = await searchCapacity(runStep, { strategy: 'binary', startRps: 100, maxRps: 500 });
+
+        expect(result.steps).toHaveLength(2);
+        expect(result.maxSustainableRps).toBe(500);
+        expect(result.limitingSla).toBeNull();
+    });
+
+    it('should report no sustainable rate when the first step fails', async () => {
+        const { runStep } = simulatedStep(1);
+        const result = await searchCapacity(runStep, { strategy: 'step', startRps: 100 });
+
+        expect(result.maxSustainableRps).toBeNull();
+        expect(result.limitingSla.rps).toBe(100);
+    });
+
+    it('should reject unknown strategies and inverted ranges', async () => {
+        const { runStep } = simulatedStep();
+        await expect(searchCapacity(runStep, { strategy: 'golden' })).rejects.toThrow(/Unknown capacity search strategy/);
+        await expect(searchCapacity(runStep, { startRps: 500, maxRps: 100 })).rejects.toThrow(/start-rps/);
+    });
+
+    it('should find no knee on a linear curve or with too few points', () => {
+        expect(findKneePoint([{ throughput: 1, p95ResponseTime: 1 }, { throughput: 2, p95ResponseTime: 2 }])).toBeNull();
+        const linear = [1, 2, 3, 4].map(n => ({ throughput: n * 10, p95ResponseTime: n * 100 }));
+        expect(findKneePoint(linear)).toBeNull();
+    });
+
+    it('should build a constant-arrival-rate step workload', () => {
+        const profile = { executor: 'constant-arrival-rate', rate: 200, duration: '2m', preAllocatedVUs: 50, maxVUs: 400 };
+
+        expect(buildStepWorkload(profile, 300)).toEqual({
+            executor: 'constant-arrival-rate', rate: 300, timeUnit: '1s', duration: '2m', preAllocatedVUs: 50, maxVUs: 600
+        });
+        expect(buildStepWorkload({ stages: [] }, 50, '30s')).toMatchObject({ duration: '30s', preAllocatedVUs: 10, maxVUs: 100 });
+    });
+});
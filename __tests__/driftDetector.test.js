@@ -0,0 +1,68 @@
+const { detectDrift, driftResults } = require('../src/core/driftDetector');
+
+function timelineOf(p95s, errorRates = []) {
+    return {
+        interval: 10000,
+        buckets: p95s.map((p95, i) => ({
+            start: i * 10000,
+            time: new Date(i * 10000).toISOString(),
+            count: 100,
+            p50: p95 / 2,
+            p95,
+            p99: p95 * 1.5,
+            rps: 10,
+            errorRate: errorRates[i] || 0,
+            vus: 10
+        }))
+    };
+}
+
+describe('Drift Detector', () => {
+    it('should flag monotonic latency growth beyond the allowed percentage', () => {
+        const drift = detectDrift(timelineOf([200, 210, 230, 240, 270, 290, 320, 350, 380, 420]));
+
+        expect(drift.latency.trend).toBe('increasing');
+        expect(drift.latency.growthPercent).toBeGreaterThan(50);
+        expect(drift.latency.pValue).toBeLessThan(0.05);
+        expect(drift.flagged).toBe(true);
+    });
+
+    it('should not flag a stable or noisy timeline', () => {
+        const drift = detectDrift(timelineOf([200, 230, 190, 215, 205, 225, 195, 210, 220, 200]));
+
+        expect(drift.latency.trend).toBe('stable');
+        expect(drift.flagged).toBe(false);
+    });
+
+    it('should only test the measurement window for drift', () => {
+        // Latency rises while ramping up, then holds steady
+        const timeline = timelineOf([50, 100, 150, 200, 200, 205, 198, 202, 201, 199, 203, 200]);
+
+        expect(detectDrift(timeline).latency.trend).toBe('increasing');
+        expect(detectDrift(timeline, {}, [[30000, 120000]]).latency.trend).toBe('stable');
+    });
+
+    it('should skip the trend test with too few buckets', () => {
+        expect(detectDrift(timelineOf([100, 200, 300])).latency).toBeNull();
+        expect(detectDrift({ interval: 10000, buckets: [] })).toBeNull();
+    });
+
+    it('should merge consecutive high-error buckets into bursts', () => {
+        const drift = detectDrift(timelineOf(Array(8).fill(200), [0, 0, 25, 40, 0, 0, 12, 0]));
+
+        expect(drift.errorBursts).toEqual([
+            { start: 20000, end: 40000, time: new Date(20000).toISOString(), peakErrorRate: 40, buckets: 2 },
+            { start: 60000, end: 70000, time: new Date(60000).toISOString(), peakErrorRate: 12, buckets: 1 }
+        ]);
+        expect(drift.flagged).toBe(true);
+    });
+
+    it('should report drift checks as validation results with the configured severity', () => {
+        const drift = detectDrift(timelineOf([200, 210, 230, 240, 270, 290, 320, 350], [0, 0, 0, 50]), { severity: 'critical' });
+        const [latency, bursts] = driftResults(drift);
+
+        expect(latency).toMatchObject({ id: 'latency_drift', type: 'drift', passed: false, severity: 'critical' });
+        expect(bursts).toMatchObject({ id: 'error_bursts', actual: '1', passed: false });
+        expect(driftResults(null)).toEqual([]);
+    });
+});
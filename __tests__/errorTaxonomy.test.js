@@ -0,0 +1,79 @@
+const { isFailedRequest, classifyFailure, createErrorCollector, resolveErrorMetric } = require('../src/core/errorTaxonomy');
+
+describe('Error Taxonomy', () => {
+    it('should tell failed requests apart by expected_response, falling back to the status', () => {
+        expect(isFailedRequest({ status: '404', expected_response: 'true' })).toBe(false);
+        expect(isFailedRequest({ status: '200', expected_response: 'false' })).toBe(true);
+        expect(isFailedRequest({ status: '503' })).toBe(true);
+        expect(isFailedRequest({ status: '0' })).toBe(true);
+        expect(isFailedRequest({ status: '302' })).toBe(false);
+    });
+
+    it('should classify failures by status class, then by k6 error_code', () => {
+        expect(classifyFailure({ status: '404', error_code: '1404' })).toBe('4xx');
+        expect(classifyFailure({ status: '429', error_code: '1429' })).toBe('429');
+        expect(classifyFailure({ status: '502', error_code: '1502' })).toBe('5xx');
+        expect(classifyFailure({ status: '200' })).toBe('other');
+        expect(classifyFailure({ status: '0', error_code: '1050' })).toBe('timeout');
+        expect(classifyFailure({ status: '0', error_code: '1220' })).toBe('connectionReset');
+        expect(classifyFailure({ status: '0', error_code: '1212' })).toBe('connectionRefused');
+        expect(classifyFailure({ status: '0', error_code: '1101' })).toBe('dns');
+        expect(classifyFailure({ status: '0', error_code: '1310' })).toBe('tls');
+        expect(classifyFailure({ status: '0' })).toBe('network');
+    });
+
+    it('should break failed requests and checks down for the run and per endpoint', () => {
+        const collector = createErrorCollector();
+        const request = (status, extra = {}) => ({ endpoint: 'browse', method: 'GET', status, ...extra });
+        ['200', '200', '200', '200', '200', '503', '503'].forEach(status => {
+            collector.addRequest('GET browse', request(status, { expected_response: String(status === '200') }));
+        });
+        collector.addRequest('GET browse', request('0', { expected_response: 'false', error_code: '1050' }));
+        collector.addCheck({ check: 'status is 200', endpoint: 'browse' }, true);
+        collector.addCheck({ check: 'response time < 500ms', endpoint: 'browse' }, false);
+        collector.addCheck({ check: 'token set', group: '::login' }, true);
+
+        const breakdown = collector.finalize();
+        expect(breakdown).toMatchObject({ requests: 8, failed: 3, rate: 37.5, statuses: { 503: 2, 0: 1 } });
+        expect(breakdown.categories).toEqual({ '5xx': { count: 2, rate: 25 }, timeout: { count: 1, rate: 12.5 } });
+        expect(breakdown.errorCodes).toEqual({ 1050: { name: 'request timeout', count: 1 } });
+        expect(breakdown.checks).toMatchObject({ evaluated: 3, failed: 1 });
+        expect(breakdown.checks.failing).toEqual([
+            { name: 'response time < 500ms', group: '', endpoint: 'browse', passes: 0, fails: 1, failRate: 100 }
+        ]);
+
+        const browse = collector.endpointBreakdown('GET browse', 'browse');
+        expect(browse.checks).toEqual({ evaluated: 2, failed: 1, rate: 50 });
+        expect(collector.endpointBreakdown('POST create_post', 'create_post')).toMatchObject({ requests: 0, rate: 0 });
+    });
+
+    it('should count GraphQL errors apart from failed requests', () => {
+        const collector = createErrorCollector();
+        ['200', '200', '200', '500'].forEach(status => {
+            collector.addRequest('GRAPHQL GetPost', { endpoint: 'GetPost', status, expected_response: String(status === '200') });
+        });
+        collector.addGraphqlError('GRAPHQL GetPost');
+
+        const breakdown = collector.finalize();
+        expect(breakdown).toMatchObject({ requests: 4, failed: 1, rate: 25, graphql: { count: 1, rate: 25 } });
+        expect(breakdown.categories).toEqual({ '5xx': { count: 1, rate: 25 } });
+        expect(resolveErrorMetric(breakdown, 'errors.http')).toBe(25);
+        expect(resolveErrorMetric(collector.endpointBreakdown('GRAPHQL GetPost', 'GetPost'), 'errors.graphql', 'count')).toBe(1);
+    });
+
+    it('should resolve errors.* rule metrics as percentages or counts', () => {
+        const breakdown = {
+            requests: 200, failed: 6, rate: 3,
+            categories: { '5xx': { count: 4, rate: 2 }, '4xx': { count: 2, rate: 1 } },
+            checks: { evaluated: 400, failed: 20, rate: 5 }
+        };
+        expect(resolveErrorMetric(breakdown, 'errors.5xx')).toBe(2);
+        expect(resolveErrorMetric(breakdown, 'errors.5xx', 'count')).toBe(4);
+        expect(resolveErrorMetric(breakdown, 'errors.timeout')).toBe(0);
+        expect(resolveErrorMetric(breakdown, 'errors.http')).toBe(3);
+        expect(resolveErrorMetric(breakdown, 'errors.checks')).toBe(5);
+        expect(resolveErrorMetric(breakdown, 'errors.graphql')).toBe(0);
+        expect(resolveErrorMetric(breakdown, 'errors.unknown')).toBeNull();
+        expect(resolveErrorMetric(null, 'errors.5xx')).toBeNull();
+    });
+});
@@ -0,0 +1,18 @@
+const { operationNames } = require('../src/utils/graphql');
+
+describe('GraphQL Documents', () => {
+    it('should list the named queries and mutations of a document in order', () => {
+        const document = `
+            query GetPost($id: ID!) { post(id: $id) { ...PostFields } }
+            mutation CreatePost($input: CreatePostInput!) { createPost(input: $input) { id } }
+            fragment PostFields on Post { id title }
+        `;
+        expect(operationNames(document)).toEqual(['GetPost', 'CreatePost']);
+    });
+
+    it('should ignore anonymous operations, comments and arguments named query', () => {
+        expect(operationNames('{ posts { id } }')).toEqual([]);
+        expect(operationNames('# query Commented\nquery Search { search(query: "x") { id } }')).toEqual(['Search']);
+        expect(operationNames('query{ posts { id } }')).toEqual([]);
+    });
+});
@@ -0,0 +1,129 @@
+const { generateScenarioFromHar, buildJourneyFromHar, isDynamicId } = require('../src/generators/har');
+const { validateScenario } = require('../src/core/scenarioLoader');
+
+function entry(method, url, startedDateTime, time, options = {}) {
+    return {
+        startedDateTime,
+        time,
+        request: { method, url, headers: options.headers || [], postData: options.postData },
+        response: { status: options.status ?? 200, content: { mimeType: options.mimeType || 'application/json', text: options.responseText } }
+    };
+}
+
+describe('HAR Journey Importer', () => {
+    let har;
+
+    beforeEach(() => {
+        har = {
+            log: {
+                pages: [{ title: 'Read & Comment' }],
+                entries: [
+                    entry('GET', 'https://app.example.com/posts', '2026-01-01T10:00:00.000Z', 200, {
+                        headers: [{ name: 'accept', value: 'application/json' }, { name: 'Cookie', value: 'session=secret' }]
+                    }),
+                    entry('GET', 'https://app.example.com/static/app.js', '2026-01-01T10:00:00.100Z', 50, { mimeType: 'application/javascript' }),
+                    entry('GET', 'https://cdn.example.net/logo.png', '2026-01-01T10:00:00.150Z', 30, { mimeType: 'image/png' }),
+                    entry('POST', 'https://analytics.example.org/collect', '2026-01-01T10:00:00.300Z', 20),
+                    entry('GET', 'https://app.example.com/posts/42', '2026-01-01T10:00:03.200Z', 300),
+                    entry('POST', 'https://app.example.com/posts/42/comments', '2026-01-01T10:00:10.000Z', 150, {
+                        status: 201,
+                        headers: [{ name: 'content-type', value: 'application/json' }],
+                        postData: { mimeType: 'application/json', text: '{"body":"Nice post"}' }
+                    }),
+                    entry('GET', 'https://app.example.com/users/3f2504e0-4f89-11d3-9a0c-0305e82c3301', '2026-01-01T10:01:30.000Z', 100)
+                ]
+            }
+        };
+    });
+
+    it('should build a valid ordered journey', () => {
+        const { scenario } = generateScenarioFromHar([har]);
+
+        expect(validateScenario(scenario)).toEqual([]);
+        expect(scenario.baseUrl).toBe('https://app.example.com');
+        expect(scenario.journeys[0].name).toBe('read_comment');
+        expect(scenario.journeys[0].steps.map(s => `${s.method} ${s.path}`)).toEqual([
+            'GET /posts',
+            'GET /posts/{{vars.post_id}}',
+            'POST /posts/{{vars.post_id}}/comments',
+            'GET /users/{{vars.user_id}}'
+        ]);
+    });
+
+    it('should filter static assets and third-party requests', () => {
+        const { skipped } = generateScenarioFromHar([har]);
+        expect(skipped).toEqual({ static: 2, thirdParty: 1 });
+    });
+
+    it('should parameterize dynamic ids with journey variables', () => {
+        const { journey } = buildJourneyFromHar(har);
+        expect(journey.variables).toEqual({ post_id: '42', user_id: '3f2504e0-4f89-11d3-9a0c-0305e82c3301' });
+        expect(isDynamicId('64b7f0c2a1e4d3b2c1a09f87')).toBe(true);
+        expect(isDynamicId('comments')).toBe(false);
+    });
+
+    it('should extract ids an earlier response returned instead of replaying the recorded value', () => {
+        har.log.entries[0].response.content.text = JSON.stringify([{ id: 41, title: 'a' }, { id: 42, title: 'b' }]);
+        const { scenario } = generateScenarioFromHar([har]);
+        const [list, detail] = scenario.journeys[0].steps;
+
+        expect(list.extract).toEqual({ post_id: { path: '$[1].id' } });
+        expect(detail.path).toBe('/posts/{{vars.post_id}}');
+        expect(scenario.journeys[0].variables).toEqual({ user_id: '3f2504e0-4f89-11d3-9a0c-0305e82c3301' });
+        expect(validateScenario(scenario)).toEqual([]);
+    });
+
+    it('should extract ids from the field named after them rather than any field holding the same value', () => {
+        har.log.entries[0].response.content.text = JSON.stringify([
+            { userId: 1, id: 1, title: 'a' },
+            { userId: 1, id: 42, title: 'b' }
+        ]);
+        har.log.entries[4].request.url = 'https://app.example.com/posts/1';
+        har.log.entries[5].request.url = 'https://app.example.com/posts/1/comments';
+        const { scenario } = generateScenarioFromHar([har]);
+        expect(scenario.journeys[0].steps[0].extract).toEqual({ post_id: { path: '$[0].id' } });
+
+        // Without such a field any field holding the value still beats replaying it
+        har.log.entries[0].response.content.text = JSON.stringify([{ userId: 1, title: 'a' }]);
+        har.log.entries[6].request.url = 'https://app.example.com/users/7';
+        har.log.entries[5].response.content.text = JSON.stringify({ authorId: 7, userId: 7, id: 501 });
+        const steps = generateScenarioFromHar([har]).scenario.journeys[0].steps;
+        expect(steps[0].extract).toEqual({ post_id: { path: '$[0].userId' } });
+        expect(steps[2].extract).toEqual({ user_id: { path: '$.userId' } });
+    });
+
+    it('should reject recordings of different origins unless one is chosen', () => {
+        const other = { log: { entries: [entry('GET', 'https://shop.example.com/cart', '2026-01-01T11:00:00.000Z', 100)] } };
+
+        expect(() => generateScenarioFromHar([har, other]))
+            .toThrow('HAR files target different origins (https://app.example.com, https://shop.example.com)');
+        const { scenario, skipped } = generateScenarioFromHar([har, { log: { entries: [...other.log.entries, har.log.entries[0]] } }], {
+            origin: 'https://app.example.com'
+        });
+        expect(scenario.baseUrl).toBe('https://app.example.com');
+        expect(skipped.thirdParty).toBe(2);
+    });
+
+    it('should tag steps with stable endpoint names', () => {
+        const { journey } = buildJourneyFromHar(har);
+        expect(journey.steps.map(s => s.name)).toEqual(['get_posts', 'get_posts_id', 'post_posts_id_comments', 'get_users_id']);
+    });
+
+    it('should preserve think-time gaps, capped at maxThinkTime', () => {
+        const { journey } = buildJourneyFromHar(har, { maxThinkTime: 60 });
+        expect(journey.steps.map(s => s.thinkTime)).toEqual([3, 6.5, 60, undefined]);
+    });
+
+    it('should keep bodies, safe headers and recorded status codes', () => {
+        const [list, , comment] = buildJourneyFromHar(har).journey.steps;
+        expect(list.headers).toEqual({ Accept: 'application/json' });
+        expect(comment.body).toEqual({ body: 'Nice post' });
+        expect(comment.headers).toEqual({ 'Content-Type': 'application/json' });
+        expect(comment.checks).toEqual({ status: 201 });
+    });
+
+    it('should reject HAR files without usable requests', () => {
+        expect(() => buildJourneyFromHar({ log: { entries: [] } })).toThrow('no HTTP entries');
+        expect(() => buildJourneyFromHar({ log: { entries: [har.log.entries[1]] } })).toThrow('only static assets');
+    });
+});
@@ -1,4 +1,11 @@
-const { extractK6Metrics } = require('../src/core/k6Runner');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
+const { runK6LoadTest, extractK6Metrics, stopK6Runs, killK6Runs, buildExecutionSegments } = require('../src/core/k6Runner');
+
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
 
 describe('K6 Metrics Extractor', () => {
     let mockSummary;
@@ -89,6 +96,13 @@ describe('K6 Metrics Extractor', () => {
         expect(metrics.iterations).toBe(100);
     });
 
+    it('should extract dropped iterations from arrival-rate executors', () => {
+        expect(extractK6Metrics(mockSummary).droppedIterations).toBe(0);
+
+        mockSummary.metrics.dropped_iterations = { count: 12, rate: 0.1 };
+        expect(extractK6Metrics(mockSummary).droppedIterations).toBe(12);
+    });
+
     it('should extract checksData from object-format checks', () => {
         const metrics = extractK6Metrics(mockSummary);
         expect(metrics.checksData).toHaveLength(2);
@@ -120,6 +134,91 @@ describe('K6 Metrics Extractor', () => {
         expect(metrics.endpoints[0].avgDur).toBe('120.55');
     });
 
+    it('should take endpoint trends from the scenario, ignoring other custom trends', () => {
+        mockSummary.metrics.search_duration = { type: 'trend', contains: 'time', avg: 80, min: 5, med: 70, max: 300, 'p(90)': 150, 'p(95)': 200 };
+        mockSummary.metrics.journey_duration = { type: 'trend', contains: 'time', avg: 900, min: 500, med: 850, max: 2000, 'p(90)': 1500, 'p(95)': 1800 };
+        const metrics = extractK6Metrics(mockSummary, null, { search_duration: 'GET /search', missing_duration: 'GET /missing' });
+        expect(metrics.endpoints).toEqual([{ name: 'GET /search', avgDur: '80.00' }]);
+    });
+
+    it('should expose every summary metric classified by type', () => {
+        mockSummary.metrics.total_requests = { count: 100, rate: 5.5 };
+        const { allMetrics } = extractK6Metrics(mockSummary);
+
+        expect(allMetrics.total_requests).toEqual({
+            name: 'total_requests', type: 'counter', custom: true, tags: {}, stats: { count: 100, rate: 5.5 }
+        });
+        expect(allMetrics.errors.type).toBe('rate');
+        expect(allMetrics.http_req_duration).toMatchObject({ type: 'trend', custom: false });
+    });
+
+    it('should collect checks from nested groups with their group path', () => {
+        mockSummary.root_group.groups = {
+            browse: {
+                name: 'browse',
+                path: '::browse',
+                checks: { 'has posts': { name: 'has posts', passes: 40, fails: 0 } },
+                groups: {}
+            }
+        };
+        const metrics = extractK6Metrics(mockSummary);
+
+        expect(metrics.checksData).toHaveLength(3);
+        expect(metrics.checksData[0].group).toBe('');
+        expect(metrics.checksData[2]).toEqual({ name: 'has posts', group: '::browse', passes: 40, fails: 0 });
+    });
+
+    it('should extract the HTTP timing phases', () => {
+        mockSummary.metrics.http_req_waiting = { avg: 180, min: 5, med: 150, max: 1100, 'p(90)': 280, 'p(95)': 420 };
+        mockSummary.metrics.http_req_connecting = { avg: 2, min: 0, med: 0, max: 40, 'p(90)': 0, 'p(95)': 12 };
+        const { timings } = extractK6Metrics(mockSummary);
+
+        expect(timings.waiting).toMatchObject({ avg: 180, p50: 150, p95: 420 });
+        expect(timings.connecting.max).toBe(40);
+        expect(timings.blocked).toBeUndefined();
+    });
+
+    it('should prefer per-endpoint stats from raw output over custom trends', () => {
+        const rawResults = {
+            endpoints: [
+                { name: 'GET browse', endpoint: 'browse', method: 'GET', count: 40, avg: 110, p50: 100, p90: 180, p95: 210, p99: 320, errorRate: 2.5 }
+            ]
+        };
+        const metrics = extractK6Metrics(mockSummary, rawResults);
+        expect(metrics.endpoints).toHaveLength(1);
+        expect(metrics.endpoints[0].p95).toBe(210);
+        expect(metrics.endpoints[0].errorRate).toBe(2.5);
+    });
+
+    it('should pass journey results through from raw output', () => {
+        const journeys = [{ name: 'read_post', runs: 4, completed: 3, completionRate: 75, duration: { p95: 1500 }, failedSteps: [] }];
+        expect(extractK6Metrics(mockSummary, { endpoints: [], journeys }).journeys).toEqual(journeys);
+        expect(extractK6Metrics(mockSummary).journeys).toEqual([]);
+    });
+
+    it('should extract gRPC and WebSocket metrics', () => {
+        Object.assign(mockSummary.metrics, {
+            grpc_req_duration: { avg: 45, min: 5, med: 40, max: 300, 'p(90)': 80, 'p(95)': 120, 'p(99)': 250 },
+            ws_sessions: { count: 12, rate: 0.4 },
+            ws_msgs_sent: { count: 24, rate: 0.8 },
+            ws_msgs_received: { count: 36, rate: 1.2 },
+            ws_connecting: { avg: 110, min: 90, med: 100, max: 200, 'p(90)': 150, 'p(95)': 170, 'p(99)': 195 },
+            ws_message_latency: { avg: 35, min: 20, med: 30, max: 90, 'p(90)': 60, 'p(95)': 70, 'p(99)': 85 }
+        });
+        const rawResults = { endpoints: [{ name: 'GRPC say_hello', endpoint: 'say_hello', method: 'GRPC', protocol: 'grpc', count: 48, p95: 120, errorRate: 0 }] };
+
+        const { protocols } = extractK6Metrics(mockSummary, rawResults);
+        expect(protocols.grpc).toEqual({ requests: 48, duration: { avg: 45, min: 5, max: 300, p50: 40, p90: 80, p95: 120, p99: 250 } });
+        expect(protocols.ws).toMatchObject({ sessions: 12, messagesSent: 24, messagesReceived: 36, messageLatency: { p95: 70 } });
+        expect(protocols.ws.sessionDuration).toBeUndefined();
+        expect(extractK6Metrics({ metrics: {} }).protocols).toEqual({});
+    });
+
+    it('should extract GraphQL error totals', () => {
+        mockSummary.metrics.graphql_errors = { passes: 3, fails: 197, value: 0.015 };
+        expect(extractK6Metrics(mockSummary).protocols.graphql).toEqual({ requests: 200, errors: 3, errorRate: 1.5 });
+    });
+
     it('should handle missing duration metrics gracefully', () => {
         mockSummary.metrics.http_req_duration = {};
         const metrics = extractK6Metrics(mockSummary);
@@ -127,3 +226,104 @@ describe('K6 Metrics Extractor', () => {
         expect(metrics.p95ResponseTime).toBe(0);
     });
 });
+
+describe('K6 Run Cancellation', () => {
+    let dir;
+    let k6Process;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'k6-run-'));
+        k6Process = new EventEmitter();
+        k6Process.kill = jest.fn();
+        spawn.mockReturnValue(k6Process);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const run = () => runK6LoadTest('script.js', 'default', 'http://localhost', path.join(dir, 'summary.json'),
+        path.join(dir, 'raw.json'), false, false);
+
+    it('should forward a single SIGINT and keep the partial summary', async () => {
+        const pending = run();
+        expect(stopK6Runs('Cancelled by SIGTERM')).toBe(1);
+        expect(stopK6Runs('Cancelled by SIGINT')).toBe(1);
+        expect(k6Process.kill).toHaveBeenCalledTimes(1);
+        expect(k6Process.kill).toHaveBeenCalledWith('SIGINT');
+
+        fs.writeFileSync(path.join(dir, 'summary.json'), '{}');
+        k6Process.emit('close', 105);
+        const result = await pending;
+
+        expect(result).toEqual({ success: true, aborted: true, abortReason: 'Cancelled by SIGTERM', exitCode: 105 });
+        expect(stopK6Runs('again')).toBe(0);
+    });
+
+    it('should kill the process groups of runs still active when the process exits', async () => {
+        k6Process.pid = 4321;
+        const kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+        const pending = run();
+
+        expect(process.listeners('exit')).toContain(killK6Runs);
+        killK6Runs();
+        expect(kill).toHaveBeenCalledWith(-4321, 'SIGKILL');
+
+        k6Process.emit('close', null);
+        await pending;
+    });
+
+    it('should keep the summary of a run the script aborted itself', async () => {
+        const pending = run();
+        fs.writeFileSync(path.join(dir, 'summary.json'), '{}');
+        k6Process.emit('close', 108);
+
+        expect(await pending).toMatchObject({ success: true, aborted: true, exitCode: 108 });
+    });
+
+    it('should report a test a `stop` data source ended as completed', async () => {
+        const pending = run();
+        fs.writeFileSync(path.join(dir, 'summary.json'), JSON.stringify({ metrics: { data_exhausted: { count: 4, rate: 0.5 } } }));
+        k6Process.emit('close', 108);
+
+        expect(await pending).toEqual({ success: true, aborted: false, abortReason: null, exitCode: 108 });
+    });
+
+    it('should treat an external abort it did not request as a failure', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const pending = run();
+        fs.writeFileSync(path.join(dir, 'summary.json'), '{}');
+        k6Process.emit('close', 105);
+
+        expect(await pending).toEqual({ success: false, aborted: false, abortReason: null, exitCode: 105 });
+    });
+
+    it('should hand k6 the parsed scenario of a YAML scenario file', async () => {
+        const scenario = { endpoints: [{ path: '/posts' }] };
+        const start = scenarioFile => runK6LoadTest('script.js', 'default', 'http://localhost', path.join(dir, 'summary.json'),
+            path.join(dir, 'raw.json'), false, false, { scenarioFile, scenario });
+        const finish = async pending => {
+            fs.writeFileSync(path.join(dir, 'summary.json'), '{}');
+            k6Process.emit('close', 0);
+            await pending;
+            return spawn.mock.calls[spawn.mock.calls.length - 1][1];
+        };
+
+        const yamlArgs = await finish(start('/scenarios/blog.yml'));
+        expect(yamlArgs).toEqual(expect.arrayContaining(['SCENARIO_FILE=/scenarios/blog.yml', `SCENARIO_JSON=${JSON.stringify(scenario)}`]));
+
+        const jsonArgs = await finish(start('/scenarios/blog.json'));
+        expect(jsonArgs).toContain('SCENARIO_FILE=/scenarios/blog.json');
+        expect(jsonArgs.some(arg => arg.startsWith('SCENARIO_JSON='))).toBe(false);
+    });
+});
+
+describe('Execution Segments', () => {
+    it('should split the test into equal consecutive segments', () => {
+        expect(buildExecutionSegments(1)).toEqual({ sequence: '0,1', segments: ['0:1'] });
+        expect(buildExecutionSegments(3)).toEqual({ sequence: '0,1/3,2/3,1', segments: ['0:1/3', '1/3:2/3', '2/3:1'] });
+    });
+});
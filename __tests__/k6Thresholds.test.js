@@ -0,0 +1,65 @@
+const { buildK6Thresholds } = require('../src/core/k6Thresholds');
+
+describe('K6 Threshold Builder', () => {
+    let slaConfig;
+
+    beforeEach(() => {
+        slaConfig = {
+            performance: {
+                p95_response_time_ms: 3000,
+                max_error_rate_percent: 5,
+                min_throughput_rps: 1
+            },
+            infrastructure: { max_cpu_usage_percent: 80 },
+            profiles: {
+                smoke: { p95_response_time_ms: 1500, max_error_rate_percent: 1 },
+                stress: { abort_on_fail: true, delay_abort_eval: '30s' }
+            },
+            endpoints: {
+                browse: { p95_response_time_ms: 2000, max_error_rate_percent: 2 }
+            },
+            rules: [
+                { id: 'checks_pass_rate', metric: 'checks', aggregate: 'percent', operator: '>=', threshold: 90, severity: 'warning' },
+                { id: 'api_p95', metric: 'api_duration', aggregate: 'p(95)', operator: '<', threshold: 4000 },
+                { id: 'p95_regression', type: 'regression', metric: 'p95ResponseTime', max_regression_percent: 15 }
+            ]
+        };
+    });
+
+    it('should derive thresholds from the resolved profile SLA', () => {
+        const thresholds = buildK6Thresholds(slaConfig, 'smoke');
+        expect(thresholds.http_req_duration).toEqual(['med<=200', 'p(90)<=400', 'p(95)<=1500', 'p(99)<=1000']);
+        expect(thresholds.errors).toEqual(['rate<=0.01']);
+        expect(thresholds.http_reqs).toEqual(['rate>=1']);
+        expect(thresholds.api_duration).toEqual(['p(95)<4000']);
+    });
+
+    it('should map dropped iterations onto the k6 counter', () => {
+        slaConfig.profiles.constant_rate = { max_dropped_iterations: 0 };
+        expect(buildK6Thresholds(slaConfig, 'constant_rate').dropped_iterations).toEqual(['count<=0']);
+    });
+
+    it('should map endpoint rules onto tagged sub-metrics', () => {
+        const thresholds = buildK6Thresholds(slaConfig, 'default');
+        expect(thresholds['http_req_duration{endpoint:browse}']).toEqual(['p(95)<=2000']);
+        expect(thresholds['http_req_failed{endpoint:browse}']).toEqual(['rate<=0.02']);
+    });
+
+    it('should skip non-critical, infrastructure and regression rules', () => {
+        const thresholds = buildK6Thresholds(slaConfig, 'default');
+        expect(thresholds.checks).toBeUndefined();
+        expect(Object.keys(thresholds).some(metric => metric.startsWith('infra'))).toBe(false);
+        expect(thresholds.http_req_duration).toHaveLength(4);
+    });
+
+    it('should enable abortOnFail from the profile or the rule', () => {
+        slaConfig.rules[1].abort_on_fail = true;
+
+        const stress = buildK6Thresholds(slaConfig, 'stress');
+        expect(stress.errors).toEqual([{ threshold: 'rate<=0.05', abortOnFail: true, delayAbortEval: '30s' }]);
+
+        const defaults = buildK6Thresholds(slaConfig, 'default');
+        expect(defaults.errors).toEqual(['rate<=0.05']);
+        expect(defaults.api_duration).toEqual([{ threshold: 'p(95)<4000', abortOnFail: true, delayAbortEval: '10s' }]);
+    });
+});
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveLiveConfig, createLiveMonitor, createTail } = require('../src/core/liveMonitor');
+
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+function point(metric, offsetMs, value) {
+    return { type: 'Point', metric, data: { time: new Date(START + offsetMs).toISOString(), value } };
+}
+
+// One request every `every` ms (default 100) between `from` and `to`
+function feed(monitor, from, to, { duration = 100, failed = 0, every = 100 } = {}) {
+    for (let t = from; t < to; t += every) {
+        monitor.add(point('http_req_duration', t, duration));
+        monitor.add(point('http_req_failed', t, failed));
+    }
+}
+
+describe('Live SLA Monitor', () => {
+    const config = {
+        window: '10s',
+        sustain: '5s',
+        check_interval: '1s',
+        min_samples: 20,
+        rules: [
+            { metric: 'errorRate', operator: '<=', threshold: 25 },
+            { metric: 'p95ResponseTime', operator: '<=', threshold: 1000 }
+        ]
+    };
+
+    it('should pass while the rolling window is within the rules', () => {
+        const monitor = createLiveMonitor(config);
+        feed(monitor, 0, 10000);
+
+        expect(monitor.evaluate()).toEqual({ breached: false, sustained: false, failures: [] });
+    });
+
+    it('should not evaluate windows with too few samples', () => {
+        const monitor = createLiveMonitor(config);
+        feed(monitor, 0, 1000, { failed: 1 });
+
+        expect(monitor.evaluate().breached).toBe(false);
+    });
+
+    it('should only abort once a breach is sustained', () => {
+        const monitor = createLiveMonitor(config);
+        feed(monitor, 0, 10000);
+        feed(monitor, 10000, 20000, { failed: 1 });
+
+        const first = monitor.evaluate();
+        expect(first.breached).toBe(true);
+        expect(first.started).toBe(true);
+        expect(first.sustained).toBe(false);
+        expect(first.details).toMatch(/^Error Rate \(%\) 100.00 \(threshold: <= 25\)$/);
+
+        feed(monitor, 20000, 25000, { failed: 1 });
+        const second = monitor.evaluate();
+        expect(second.started).toBe(false);
+        expect(second.sustained).toBe(true);
+        expect(second.reason).toMatch(/over a rolling 10s window for 5s$/);
+    });
+
+    it('should reset the breach when the window recovers', () => {
+        const monitor = createLiveMonitor(config);
+        feed(monitor, 0, 10000, { duration: 3000 });
+        expect(monitor.evaluate().started).toBe(true);
+
+        feed(monitor, 10000, 20000);
+        expect(monitor.evaluate().breached).toBe(false);
+
+        feed(monitor, 20000, 30000, { duration: 3000 });
+        const again = monitor.evaluate();
+        expect(again.started).toBe(true);
+        expect(again.sustained).toBe(false);
+    });
+
+    it('should measure throughput over the time covered while the first window fills', () => {
+        const monitor = createLiveMonitor({ ...config, rules: [{ metric: 'throughput', operator: '>=', threshold: 9 }] });
+        feed(monitor, 0, 3000);
+        expect(monitor.evaluate().breached).toBe(false);
+
+        feed(monitor, 3000, 20000);
+        expect(monitor.evaluate().breached).toBe(false);
+        feed(monitor, 20000, 30000, { every: 200 });
+        expect(monitor.evaluate().failures[0].value).toBeCloseTo(5, 0);
+    });
+
+    it('should sustain a breach on wall time when the output stalls', () => {
+        const monitor = createLiveMonitor(config);
+        feed(monitor, 0, 10000, { failed: 1 });
+
+        const now = Date.now();
+        expect(monitor.evaluate(now).started).toBe(true);
+        expect(monitor.evaluate(now + 4000).sustained).toBe(false);
+        const stalled = monitor.evaluate(now + 5000);
+        expect(stalled.breached).toBe(true);
+        expect(stalled.sustained).toBe(true);
+    });
+
+    it('should take the error rate from the errors Rate like the post-run rule', () => {
+        const monitor = createLiveMonitor(config);
+        feed(monitor, 0, 10000, { failed: 1 });
+        for (let t = 0; t < 10000; t += 100) monitor.add(point('errors', t, t % 1000 === 0 ? 1 : 0));
+
+        expect(monitor.evaluate().breached).toBe(false);
+    });
+
+    it('should ignore metrics and lines it does not evaluate', () => {
+        const monitor = createLiveMonitor({ ...config, min_samples: 1 });
+        monitor.add({ type: 'Metric', metric: 'http_req_duration', data: {} });
+        monitor.add(point('vus', 0, 10));
+
+        expect(monitor.evaluate().breached).toBe(false);
+    });
+});
+
+describe('Live Config', () => {
+    it('should return null without live rules', () => {
+        expect(resolveLiveConfig({}, 'default')).toBeNull();
+        expect(resolveLiveConfig({ live: { rules: [] } }, 'default')).toBeNull();
+    });
+
+    it('should apply defaults and keep the rules of the active profile', () => {
+        const live = resolveLiveConfig({
+            live: {
+                sustain: '1m',
+                rules: [
+                    { metric: 'errorRate', operator: '<=', threshold: 25 },
+                    { metric: 'p99ResponseTime', operator: '<=', threshold: 5000, profiles: ['stress'] }
+                ]
+            }
+        }, 'default');
+
+        expect(live.window).toBe('60s');
+        expect(live.sustain).toBe('1m');
+        expect(live.rules).toHaveLength(1);
+    });
+
+    it('should reject unknown metrics and operators', () => {
+        expect(() => resolveLiveConfig({ live: { rules: [{ metric: 'cpu', operator: '<=', threshold: 1 }] } }, 'default'))
+            .toThrow(/Live rule metric "cpu" must be one of/);
+        expect(() => resolveLiveConfig({ live: { rules: [{ metric: 'errorRate', operator: '~', threshold: 1 }] } }, 'default'))
+            .toThrow(/unknown operator "~"/);
+    });
+});
+
+describe('NDJSON Tail', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'live-'));
+        file = path.join(dir, 'k6-raw.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should wait for a missing file and buffer partial lines', () => {
+        const lines = [];
+        const tail = createTail(file, line => lines.push(line));
+        tail.poll();
+
+        fs.writeFileSync(file, '{"a":1}\n{"b":');
+        tail.poll();
+        expect(lines).toEqual([{ a: 1 }]);
+
+        fs.appendFileSync(file, '2}\nnot json\n');
+        tail.poll();
+        expect(lines).toEqual([{ a: 1 }, { b: 2 }]);
+    });
+
+    it('should start over when the file is truncated', () => {
+        const lines = [];
+        const tail = createTail(file, line => lines.push(line));
+        fs.writeFileSync(file, '{"run":1}\n{"run":1}\n');
+        tail.poll();
+
+        fs.writeFileSync(file, '{"run":2}\n');
+        tail.poll();
+        expect(lines).toEqual([{ run: 1 }, { run: 1 }, { run: 2 }]);
+    });
+});
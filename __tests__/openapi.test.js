@@ -0,0 +1,135 @@
+const { generateScenarioFromOpenApi, validateOpenApiDocument, exampleFromSchema } = require('../src/generators/openapi');
+const { validateScenario } = require('../src/core/scenarioLoader');
+
+describe('OpenAPI Scenario Generator', () => {
+    let spec;
+
+    beforeEach(() => {
+        spec = {
+            openapi: '3.0.3',
+            info: { title: 'Blog API', version: '1.2.0' },
+            servers: [{ url: 'https://api.example.com/v1/' }],
+            paths: {
+                '/posts': {
+                    get: {
+                        operationId: 'listPosts',
+                        parameters: [{ name: 'page', in: 'query', required: true, schema: { type: 'integer', example: 2 } }],
+                        responses: { 200: { content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Post' } } } } } }
+                    },
+                    post: {
+                        operationId: 'createPost',
+                        requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Post' } } } },
+                        responses: { 201: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Post' } } } } }
+                    }
+                },
+                '/posts/{postId}': {
+                    parameters: [{ name: 'postId', in: 'path', required: true, schema: { type: 'integer', minimum: 1, maximum: 80 } }],
+                    get: {
+                        responses: { 200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Post' } } } } }
+                    },
+                    delete: { responses: { 204: {} } }
+                },
+                '/users/{userId}': {
+                    get: {
+                        operationId: 'getUser',
+                        deprecated: true,
+                        responses: { 200: {} }
+                    }
+                }
+            },
+            components: {
+                schemas: {
+                    Post: {
+                        type: 'object',
+                        required: ['id', 'title'],
+                        properties: {
+                            id: { type: 'integer', readOnly: true },
+                            title: { type: 'string', example: 'Hello' },
+                            tags: { type: 'array', items: { type: 'string' } },
+                            author: { type: 'string', format: 'email' }
+                        }
+                    }
+                }
+            }
+        };
+    });
+
+    it('should generate a valid scenario covering GET and POST operations', () => {
+        const scenario = generateScenarioFromOpenApi(spec);
+
+        expect(validateScenario(scenario)).toEqual([]);
+        expect(scenario.name).toBe('blog-api');
+        expect(scenario.baseUrl).toBe('https://api.example.com/v1');
+        expect(scenario.endpoints.map(e => `${e.method} ${e.name}`)).toEqual([
+            'GET list_posts',
+            'POST create_post',
+            'GET get_posts_post_id'
+        ]);
+    });
+
+    it('should generate path and query parameters from examples and schemas', () => {
+        const [list, , detail] = generateScenarioFromOpenApi(spec).endpoints;
+        expect(list.path).toBe('/posts?page=2');
+        expect(detail.path).toBe('/posts/{{randomInt(1,80)}}');
+    });
+
+    it('should build request bodies from examples or schemas', () => {
+        const create = generateScenarioFromOpenApi(spec).endpoints[1];
+        expect(create.headers).toEqual({ 'Content-Type': 'application/json' });
+        expect(create.body).toEqual({ title: 'Hello', tags: ['string'], author: 'user@example.com' });
+
+        spec.paths['/posts'].post.requestBody.content['application/json'].example = { title: 'From example' };
+        expect(generateScenarioFromOpenApi(spec).endpoints[1].body).toEqual({ title: 'From example' });
+    });
+
+    it('should derive checks from the documented success responses', () => {
+        const [list, create] = generateScenarioFromOpenApi(spec, { maxDuration: 2000 }).endpoints;
+        expect(list.checks).toEqual({ status: 200, maxDuration: 2000, json: [{ path: '$', type: 'array' }] });
+        expect(create.checks.status).toBe(201);
+        expect(create.checks.json).toEqual([
+            { path: '$', type: 'object' },
+            { path: '$.id', exists: true },
+            { path: '$.title', exists: true }
+        ]);
+    });
+
+    it('should honour method and base URL options', () => {
+        const scenario = generateScenarioFromOpenApi(spec, { methods: ['DELETE'], baseUrl: 'http://localhost:8080' });
+        expect(scenario.baseUrl).toBe('http://localhost:8080');
+        expect(scenario.endpoints).toHaveLength(1);
+        expect(scenario.endpoints[0].checks).toEqual({ status: 204 });
+    });
+
+    it('should reject unsupported documents', () => {
+        expect(() => generateScenarioFromOpenApi({ swagger: '2.0' })).toThrow('Only OpenAPI 3.x');
+        expect(() => generateScenarioFromOpenApi({ openapi: '3.1.0', paths: {} })).toThrow('No GET/POST operations');
+    });
+
+    it('should validate paths, operations, parameters and responses', () => {
+        expect(validateOpenApiDocument(spec)).toEqual([]);
+
+        spec.paths['posts'] = { get: { responses: { 200: {} } } };
+        spec.paths['/posts/{postId}'].get.responses = { 200: {}, ok: {} };
+        spec.paths['/posts/{postId}'].parameters = [{ name: 'postId', in: 'body' }, { $ref: '#/components/parameters/Missing' }, { in: 'path' }];
+        spec.paths['/users/{userId}'].get.parameters = { userId: 1 };
+        spec.paths['/posts'].post = 'createPost';
+
+        expect(validateOpenApiDocument(spec)).toEqual([
+            'paths./posts.post must be an object',
+            'paths./posts/{postId}.parameters[0] (postId).in must be one of query, header, path, cookie',
+            'paths./posts/{postId}.parameters[1]: Unresolvable $ref: #/components/parameters/Missing',
+            'paths./posts/{postId}.parameters[2].name is required',
+            'paths./posts/{postId}.get.responses: "ok" is not a status code, a range such as 2XX, or default',
+            'paths./users/{userId}.get.parameters must be an array',
+            'paths.posts: path must start with "/"'
+        ]);
+        expect(() => generateScenarioFromOpenApi(spec)).toThrow(/^Invalid OpenAPI document:\n {3}- paths\.\/posts\.post must be an object/);
+        expect(validateOpenApiDocument({ openapi: '3.0.0', paths: [] })).toEqual(['paths must be an object']);
+    });
+
+    it('should stop expanding recursive schemas', () => {
+        spec.components.schemas.Node = { type: 'object', properties: { child: { $ref: '#/components/schemas/Node' } } };
+        const example = exampleFromSchema(spec, { $ref: '#/components/schemas/Node' });
+        expect(JSON.stringify(example).match(/child/g).length).toBeLessThanOrEqual(6);
+    });
+});
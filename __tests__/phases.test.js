@@ -0,0 +1,60 @@
+const { buildStages, buildPhaseWindows } = require('../src/core/phases');
+
+describe('Phases', () => {
+    const stages = [
+        { duration: '5s', target: 10 },
+        { duration: '15s', target: 10 },
+        { duration: '10s', target: 0 }
+    ];
+
+    it('should classify stages as ramp-up, steady and ramp-down', () => {
+        expect(buildStages({ stages })).toEqual([
+            { name: 'stage_1', kind: 'ramp_up', start: 0, end: 5000 },
+            { name: 'stage_2', kind: 'steady', start: 5000, end: 20000 },
+            { name: 'stage_3', kind: 'ramp_down', start: 20000, end: 30000 }
+        ]);
+    });
+
+    it('should start ramping arrival rates from startRate', () => {
+        const workload = { executor: 'ramping-arrival-rate', startRate: 100, stages: [{ duration: '1m', target: 100 }, { duration: '1m', target: 200 }] };
+        expect(buildStages(workload).map(s => s.kind)).toEqual(['steady', 'ramp_up']);
+    });
+
+    it('should treat constant executors as a single steady stage', () => {
+        expect(buildStages({ executor: 'constant-arrival-rate', rate: 10, duration: '2m' })).toEqual([
+            { name: 'stage_1', kind: 'steady', start: 0, end: 120000 }
+        ]);
+    });
+
+    it('should default the measurement window to the steady-state stages', () => {
+        const windows = buildPhaseWindows({ stages });
+        expect(windows.steady).toEqual([[5000, 20000]]);
+        expect(windows.stage_3).toEqual([[20000, 30000]]);
+        expect(windows.measurement).toEqual([[5000, 20000]]);
+    });
+
+    it('should keep the ramps between steady stages out of the measurement window', () => {
+        const windows = buildPhaseWindows({
+            stages: [
+                { duration: '10s', target: 10 },
+                { duration: '20s', target: 10 },
+                { duration: '10s', target: 10 },
+                { duration: '10s', target: 50 },
+                { duration: '30s', target: 50 },
+                { duration: '10s', target: 0 }
+            ]
+        });
+        expect(windows.steady).toEqual([[10000, 30000], [30000, 40000], [50000, 80000]]);
+        expect(windows.measurement).toEqual([[10000, 40000], [50000, 80000]]);
+    });
+
+    it('should measure the whole test when the requested phase does not exist', () => {
+        expect(buildPhaseWindows({ stages: [{ duration: '1m', target: 5 }] }).measurement).toEqual([[0, 60000]]);
+    });
+
+    it('should accept explicit measurement window offsets', () => {
+        expect(buildPhaseWindows({ stages }, { start: '10s', end: '25s' }).measurement).toEqual([[10000, 25000]]);
+        expect(buildPhaseWindows({ stages }, { start: '10s' }).measurement).toEqual([[10000, 30000]]);
+        expect(() => buildPhaseWindows({ stages }, { start: '30s', end: '10s' })).toThrow(/Invalid measurement window/);
+    });
+});
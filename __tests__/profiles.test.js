@@ -0,0 +1,96 @@
+const path = require('path');
+const { loadProfiles, resolveProfile, estimateDuration, applyProfileSla } = require('../src/core/profiles');
+const { parseDuration, formatDuration } = require('../src/utils/duration');
+
+describe('Profile Registry', () => {
+    const registry = loadProfiles(path.join(__dirname, '..', 'src', 'config', 'profiles.json'));
+
+    it('should resolve every built-in profile', () => {
+        ['smoke', 'default', 'stress', 'spike', 'constant_rate', 'ramping_rate', 'soak', 'breakpoint'].forEach(name => {
+            expect(() => resolveProfile(registry, name)).not.toThrow();
+        });
+    });
+
+    it('should strip description and sla from the workload', () => {
+        const profile = resolveProfile(registry, 'smoke');
+
+        expect(profile.workload).toEqual({ stages: [{ duration: '1m', target: 5 }] });
+        expect(profile.description).toBe('Basic sanity check');
+        expect(profile.sla.p95_response_time_ms).toBe(1500);
+    });
+
+    it('should expand the soak template into ramp, hold and ramp-down stages', () => {
+        const profile = resolveProfile({ long: { template: 'soak', vus: 20, duration: '2h' } }, 'long');
+
+        expect(profile.workload.stages).toEqual([
+            { duration: '10m', target: 20 },
+            { duration: '2h', target: 20 },
+            { duration: '5m', target: 0 }
+        ]);
+    });
+
+    it('should expand the breakpoint template into a ramping arrival rate', () => {
+        const { workload } = resolveProfile(registry, 'breakpoint');
+
+        expect(workload.executor).toBe('ramping-arrival-rate');
+        expect(workload.startRate).toBe(10);
+        expect(workload.stages).toEqual([{ duration: '30m', target: 1000 }]);
+        expect(registry.breakpoint.sla.abort_on_fail).toBe(true);
+    });
+
+    it('should fail fast on an unknown profile', () => {
+        expect(() => resolveProfile(registry, 'smokee')).toThrow(/Unknown profile "smokee". Available profiles: smoke, default/);
+    });
+
+    it('should reject unknown templates and invalid workloads', () => {
+        expect(() => resolveProfile({ x: { template: 'chaos' } }, 'x')).toThrow(/unknown template "chaos"/);
+        expect(() => resolveProfile({ x: { stages: [{ duration: 'soon', target: 5 }] } }, 'x'))
+            .toThrow(/x.stages\[0\].duration "soon" is not a valid duration/);
+        expect(() => resolveProfile({ x: { executor: 'constant-arrival-rate', duration: '1m' } }, 'x'))
+            .toThrow(/x.rate must be a positive number[\s\S]*x.preAllocatedVUs/);
+        expect(() => resolveProfile({ x: { executor: 'per-vu-iterations' } }, 'x')).toThrow(/x.executor must be one of/);
+        expect(() => resolveProfile({ x: { stages: [{ duration: '1m', target: 5 }], measurementWindow: { phase: 'warmup' } } }, 'x'))
+            .toThrow(/x.measurementWindow.phase must be one of/);
+        expect(() => resolveProfile({ x: { stages: [{ duration: '1m', target: 5 }], measurementWindow: { start: '30s', end: '10s' } } }, 'x'))
+            .toThrow(/x.measurementWindow needs a phase or start < end durations/);
+    });
+
+    it('should estimate the planned duration of a workload', () => {
+        expect(estimateDuration(resolveProfile(registry, 'default').workload)).toBe(30000);
+        expect(estimateDuration(resolveProfile(registry, 'constant_rate').workload)).toBe(120000);
+        expect(formatDuration(estimateDuration(resolveProfile(registry, 'soak').workload))).toBe('4h15m');
+    });
+
+    it('should let registry SLA values win over sla.json profiles', () => {
+        const slaConfig = {
+            performance: { p95_response_time_ms: 3000 },
+            profiles: { stress: { p95_response_time_ms: 5000, max_error_rate_percent: 10 } }
+        };
+        const merged = applyProfileSla(slaConfig, { name: 'stress', sla: { p95_response_time_ms: 4000 } });
+
+        expect(merged.profiles.stress).toEqual({ p95_response_time_ms: 4000, max_error_rate_percent: 10 });
+        expect(merged.performance).toBe(slaConfig.performance);
+        expect(slaConfig.profiles.stress.p95_response_time_ms).toBe(5000);
+    });
+});
+
+describe('Duration Helpers', () => {
+    it('should parse simple and compound k6 durations', () => {
+        expect(parseDuration('500ms')).toBe(500);
+        expect(parseDuration('30s')).toBe(30000);
+        expect(parseDuration('1h30m')).toBe(5400000);
+        expect(parseDuration('1.5m')).toBe(90000);
+    });
+
+    it('should return null for invalid durations', () => {
+        expect(parseDuration('soon')).toBeNull();
+        expect(parseDuration('10')).toBeNull();
+        expect(parseDuration(undefined)).toBeNull();
+    });
+
+    it('should format milliseconds compactly', () => {
+        expect(formatDuration(250)).toBe('250ms');
+        expect(formatDuration(90000)).toBe('1m30s');
+        expect(formatDuration(3600000)).toBe('1h');
+    });
+});
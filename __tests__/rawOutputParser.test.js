@@ -0,0 +1,237 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRawAggregator, parseRawOutput } = require('../src/core/rawOutputParser');
+
+function point(metric, value, tags) {
+    return { type: 'Point', metric, data: { time: '2026-01-01T00:00:00Z', value, tags } };
+}
+
+describe('Raw Output Parser', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'k6-raw-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should group durations by endpoint and method tags', () => {
+        const aggregator = createRawAggregator();
+        [100, 200, 300, 400].forEach(v => aggregator.add(point('http_req_duration', v, { endpoint: 'browse', method: 'GET' })));
+        aggregator.add(point('http_req_duration', 50, { endpoint: 'create_post', method: 'POST' }));
+
+        const result = aggregator.finalize();
+        expect(result.endpoints).toHaveLength(2);
+        expect(result.endpoints[0].name).toBe('GET browse');
+        expect(result.endpoints[0].count).toBe(4);
+        expect(result.endpoints[0].avg).toBe(250);
+        // Percentiles come from the endpoint's sketch (±1%)
+        expect(Math.abs(result.endpoints[0].p50 - 250) / 250).toBeLessThan(0.01);
+        expect(Math.abs(result.endpoints[0].p95 - 385) / 385).toBeLessThan(0.01);
+        expect(result.endpoints[1].method).toBe('POST');
+    });
+
+    it('should compute per-endpoint error rate from http_req_failed', () => {
+        const aggregator = createRawAggregator();
+        const tags = { endpoint: 'detail', method: 'GET' };
+        [0, 0, 1, 0].forEach(v => aggregator.add(point('http_req_failed', v, tags)));
+        aggregator.add(point('http_req_duration', 120, tags));
+
+        const [detail] = aggregator.finalize().endpoints;
+        expect(detail.errorRate).toBe(25);
+    });
+
+    it('should ignore metric definitions and untracked metrics', () => {
+        const aggregator = createRawAggregator();
+        aggregator.add({ type: 'Metric', metric: 'http_req_duration', data: { type: 'trend' } });
+        aggregator.add(point('vus', 10, {}));
+
+        expect(aggregator.finalize().endpoints).toEqual([]);
+    });
+
+    it('should build global and per-endpoint latency sketches', () => {
+        const aggregator = createRawAggregator();
+        [100, 200, 300].forEach(v => aggregator.add(point('http_req_duration', v, { endpoint: 'browse', method: 'GET' })));
+        aggregator.add(point('http_req_duration', 50, { endpoint: 'health', method: 'GET' }));
+
+        const { latencySketches } = aggregator.finalize();
+        expect(latencySketches.global.count).toBe(4);
+        expect(latencySketches.endpoints['GET browse'].count).toBe(3);
+        expect(latencySketches.endpoints['GET health'].max).toBe(50);
+    });
+
+    it('should summarize HTTP timing phases per endpoint', () => {
+        const aggregator = createRawAggregator();
+        const tags = { endpoint: 'browse', method: 'GET' };
+        [100, 200, 300, 400].forEach(v => aggregator.add(point('http_req_waiting', v, tags)));
+        aggregator.add(point('http_req_tls_handshaking', 30, tags));
+        aggregator.add(point('http_req_duration', 450, tags));
+
+        const [browse] = aggregator.finalize().endpoints;
+        expect(browse.timings.waiting).toMatchObject({ count: 4, avg: 250, min: 100, max: 400 });
+        expect(browse.timings.waiting.p95).toBeGreaterThan(300);
+        expect(browse.timings.tlsHandshaking.avg).toBe(30);
+        expect(browse.timings.connecting).toBeUndefined();
+    });
+
+    it('should classify failed requests and checks per endpoint', () => {
+        const aggregator = createRawAggregator();
+        const tags = { endpoint: 'create_post', method: 'POST' };
+        aggregator.add(point('http_req_duration', 120, tags));
+        aggregator.add(point('http_reqs', 1, { ...tags, status: '201', expected_response: 'true' }));
+        aggregator.add(point('http_reqs', 1, { ...tags, status: '500', expected_response: 'false', error_code: '1500' }));
+        aggregator.add(point('checks', 0, { check: 'status is 201', endpoint: 'create_post' }));
+
+        const { errors, endpoints } = aggregator.finalize();
+        expect(errors).toMatchObject({ requests: 2, failed: 1, categories: { '5xx': { count: 1, rate: 50 } } });
+        expect(errors.checks.failing[0].name).toBe('status is 201');
+        expect(endpoints[0].errors).toMatchObject({ failed: 1, checks: { evaluated: 1, failed: 1 } });
+    });
+
+    it('should summarize journey completion, duration and the steps journeys fail at', () => {
+        const aggregator = createRawAggregator();
+        [1200, 1800].forEach(v => {
+            aggregator.add(point('journey_completed', 1, { journey: 'read_post' }));
+            aggregator.add(point('journey_duration', v, { journey: 'read_post' }));
+        });
+        aggregator.add(point('journey_completed', 0, { journey: 'read_post', failed_step: 'get_author' }));
+        aggregator.add(point('journey_completed', 0, { journey: 'edit_post', failed_step: 'update_post' }));
+
+        const { journeys } = aggregator.finalize();
+        expect(journeys.map(j => j.name)).toEqual(['read_post', 'edit_post']);
+        expect(journeys[0]).toMatchObject({ runs: 3, completed: 2, failedSteps: [{ step: 'get_author', count: 1 }] });
+        expect(journeys[0].completionRate).toBeCloseTo(66.67);
+        expect(journeys[0].duration).toMatchObject({ count: 2, avg: 1500, min: 1200, max: 1800 });
+        expect(journeys[1]).toMatchObject({ runs: 1, completed: 0, completionRate: 0, duration: null });
+    });
+
+    it('should count gRPC calls and WebSocket sessions under their protocol', () => {
+        const aggregator = createRawAggregator();
+        const grpcTags = { endpoint: 'say_hello', protocol: 'grpc', method: '/hello.HelloService/SayHello' };
+        aggregator.add(point('grpc_req_duration', 40, { ...grpcTags, status: '0' }));
+        aggregator.add(point('grpc_req_duration', 60, { ...grpcTags, status: '14' }));
+        const wsTags = { endpoint: 'echo', protocol: 'ws' };
+        [20, 30, 40].forEach(v => aggregator.add(point('ws_message_latency', v, wsTags)));
+        aggregator.add(point('ws_sessions', 1, { ...wsTags, status: '101' }));
+
+        const { endpoints, latencySketches } = aggregator.finalize();
+        expect(endpoints.map(ep => ep.name)).toEqual(['WS echo', 'GRPC say_hello']);
+        expect(endpoints[0]).toMatchObject({ protocol: 'ws', count: 3, avg: 30, errorRate: 0 });
+        expect(endpoints[1]).toMatchObject({ protocol: 'grpc', method: 'GRPC', count: 2, avg: 50, errorRate: 50 });
+        expect(latencySketches.global.count).toBe(0);
+    });
+
+    it('should count GraphQL errors in accepted responses as failures of their operation', () => {
+        const aggregator = createRawAggregator({ windows: { measurement: [[0, 60000]] } });
+        const tags = { endpoint: 'GetPost', protocol: 'graphql', operation: 'GetPost', method: 'POST' };
+        const statuses = ['200', '200', '200', '500'];
+        statuses.forEach((status, i) => {
+            aggregator.add(point('http_req_duration', 100 + i * 10, { ...tags, status }));
+            aggregator.add(point('http_req_failed', status === '500' ? 1 : 0, { ...tags, status }));
+            aggregator.add(point('http_reqs', 1, { ...tags, status, expected_response: String(status !== '500') }));
+        });
+        // The 500 carries errors too, but k6 already counted it as a failed request
+        [1, 0, 0, 0].forEach(value => aggregator.add(point('graphql_errors', value, { endpoint: 'GetPost', protocol: 'graphql', operation: 'GetPost' })));
+
+        const { endpoints, phases, timeline, errors } = aggregator.finalize();
+        expect(endpoints).toHaveLength(1);
+        expect(endpoints[0]).toMatchObject({ name: 'GRAPHQL GetPost', protocol: 'graphql', count: 4, errorRate: 50 });
+        expect(endpoints[0].errors).toMatchObject({ failed: 1, categories: { '5xx': { count: 1, rate: 25 } }, graphql: { count: 1, rate: 25 } });
+        expect(errors).toMatchObject({ requests: 4, failed: 1, rate: 25, graphql: { count: 1 } });
+        expect(phases.measurement.errorRate).toBe(50);
+        expect(timeline.buckets[0].errorRate).toBe(50);
+    });
+
+    it('should stream-parse an NDJSON file and skip malformed lines', async () => {
+        const file = path.join(tmpDir, 'k6-raw.json');
+        const lines = [
+            JSON.stringify({ type: 'Metric', metric: 'http_req_duration', data: { type: 'trend' } }),
+            JSON.stringify(point('http_req_duration', 80, { endpoint: 'health', method: 'GET' })),
+            '{not json',
+            JSON.stringify(point('http_req_failed', 0, { endpoint: 'health', method: 'GET' }))
+        ];
+        fs.writeFileSync(file, lines.join('\n'));
+
+        const result = await parseRawOutput(file);
+        expect(result.endpoints).toHaveLength(1);
+        expect(result.endpoints[0].count).toBe(1);
+        expect(result.endpoints[0].errorRate).toBe(0);
+    });
+
+    it('should return null when the raw output file is missing', async () => {
+        const result = await parseRawOutput(path.join(tmpDir, 'missing.json'));
+        expect(result).toBeNull();
+    });
+
+    it('should compute statistics per phase window from point timestamps', () => {
+        const at = (second, metric, value) => ({
+            type: 'Point', metric, data: { time: new Date(Date.UTC(2026, 0, 1, 0, 0, second)).toISOString(), value, tags: { endpoint: 'browse', method: 'GET' } }
+        });
+        const aggregator = createRawAggregator({ windows: { ramp_up: [[0, 5000]], steady: [[5000, 20000]] } });
+        aggregator.add({ type: 'Point', metric: 'vus', data: { time: '2026-01-01T00:00:00Z', value: 1, tags: {} } });
+        [[1, 900, 1], [3, 800, 0], [6, 100, 0], [10, 120, 0], [15, 110, 0], [25, 700, 0]].forEach(([second, duration, failed]) => {
+            aggregator.add(at(second, 'http_req_duration', duration));
+            aggregator.add(at(second, 'http_req_failed', failed));
+        });
+
+        const { phases } = aggregator.finalize();
+        expect(phases.ramp_up).toMatchObject({ count: 2, max: 900, errorRate: 50, throughput: 0.4 });
+        expect(phases.steady).toMatchObject({ count: 3, min: 100, max: 120, errorRate: 0, throughput: 0.2 });
+        expect(phases.steady.startTime).toBe('2026-01-01T00:00:05.000Z');
+        expect(phases.steady.endpoints[0]).toMatchObject({ name: 'GET browse', count: 3 });
+    });
+
+    it('should summarize a window of more samples than fit in a call stack', () => {
+        const aggregator = createRawAggregator({ windows: { measurement: [[0, 1e12]] } });
+        const tags = { endpoint: 'browse', method: 'GET' };
+        for (let i = 0; i < 200000; i++) {
+            aggregator.add(point('http_req_duration', 100 + (i % 100), tags));
+            aggregator.add(point('http_req_failed', i % 100 === 0 ? 1 : 0, tags));
+        }
+
+        const { measurement } = aggregator.finalize().phases;
+        expect(measurement).toMatchObject({ count: 200000, min: 100, max: 199, errorRate: 1 });
+        expect(measurement.avg).toBeCloseTo(149.5);
+        expect(Math.abs(measurement.p95 - 194) / 194).toBeLessThan(0.02);
+        expect(measurement.endpoints[0].count).toBe(200000);
+    });
+
+    it('should count points written slightly before the first one from the start of the test', () => {
+        const at = (ms, metric, value) => ({
+            type: 'Point', metric, data: { time: new Date(Date.UTC(2026, 0, 1) + ms).toISOString(), value, tags: { endpoint: 'browse', method: 'GET' } }
+        });
+        const aggregator = createRawAggregator({ windows: { ramp_up: [[0, 5000]] }, interval: 10000 });
+        aggregator.add(at(500, 'http_req_duration', 100));
+        aggregator.add(at(200, 'http_req_duration', 300));
+        aggregator.add(at(12000, 'http_req_duration', 200));
+
+        const { phases, timeline } = aggregator.finalize();
+        expect(phases.ramp_up).toMatchObject({ count: 2, min: 100, max: 300 });
+        expect(phases.ramp_up.startTime).toBe('2026-01-01T00:00:00.500Z');
+        expect(timeline.buckets.map(bucket => bucket.count)).toEqual([2, 1]);
+    });
+
+    it('should bucket samples into a latency timeline with RPS, errors and VUs', () => {
+        const at = (second, metric, value, tags = { endpoint: 'browse', method: 'GET' }) => ({
+            type: 'Point', metric, data: { time: new Date(Date.UTC(2026, 0, 1, 0, 0, second)).toISOString(), value, tags }
+        });
+        const aggregator = createRawAggregator({ interval: 10000 });
+        aggregator.add(at(0, 'vus', 5, {}));
+        aggregator.add(at(12, 'vus', 10, {}));
+        [[2, 100, 0], [4, 200, 1], [25, 400, 0]].forEach(([second, duration, failed]) => {
+            aggregator.add(at(second, 'http_req_duration', duration));
+            aggregator.add(at(second, 'http_req_failed', failed));
+        });
+
+        const { timeline } = aggregator.finalize();
+        expect(timeline.interval).toBe(10000);
+        expect(timeline.buckets).toHaveLength(3);
+        expect(timeline.buckets[0]).toMatchObject({ start: 0, count: 2, rps: 0.2, errorRate: 50, vus: 5 });
+        expect(Math.abs(timeline.buckets[0].p50 - 150) / 150).toBeLessThan(0.01);
+        expect(timeline.buckets[1]).toMatchObject({ start: 10000, count: 0, rps: 0, vus: 10 });
+        expect(timeline.buckets[2]).toMatchObject({ time: '2026-01-01T00:00:20.000Z', count: 1, p95: 400 });
+    });
+});
@@ -0,0 +1,31 @@
+const { REDACTED, collectAuthSecrets, registerSecrets, redactText, redactSecrets } = require('../src/utils/redact');
+
+describe('Redaction', () => {
+    it('should collect literal credentials and the environment variables auth references', () => {
+        const auth = { type: 'password', clientSecret: '{{env.CLIENT_SECRET}}', username: 'user1', password: 'hunter22', token: '{{env.MISSING}}' };
+        expect(collectAuthSecrets(auth, { CLIENT_SECRET: 'from-env-secret' }).sort()).toEqual(['from-env-secret', 'hunter22']);
+        expect(collectAuthSecrets(undefined)).toEqual([]);
+    });
+
+    it('should redact recognisable credentials from text', () => {
+        expect(redactText('Authorization: Bearer abcdef123456')).toBe(`Authorization: Bearer ${REDACTED}`);
+        expect(redactText('token eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl here')).toBe(`token ${REDACTED} here`);
+        expect(redactText('https://admin:pw@host/x?page=2&access_token=abc')).toBe(`https://${REDACTED}@host/x?page=2&access_token=${REDACTED}`);
+        expect(redactText('p95 within 1200ms')).toBe('p95 within 1200ms');
+    });
+
+    it('should redact registered secrets and credential keys deep in report data', () => {
+        registerSecrets(['s3cr3t-value', 'ab']);
+        const data = {
+            rules: [{ message: 'login with s3cr3t-value failed', threshold: 5 }],
+            headers: { Authorization: 'anything', 'X-Trace': 'ab-12' },
+            timestamp: new Date(0)
+        };
+
+        const redacted = redactSecrets(data);
+        expect(redacted.rules[0]).toEqual({ message: `login with ${REDACTED} failed`, threshold: 5 });
+        expect(redacted.headers).toEqual({ Authorization: REDACTED, 'X-Trace': 'ab-12' });
+        expect(redacted.timestamp).toBe(data.timestamp);
+        expect(data.rules[0].message).toContain('s3cr3t-value');
+    });
+});
@@ -8,7 +8,8 @@ jest.mock('fs', () => ({
     writeFileSync: jest.fn()
 }));
 
-const { generateReport } = require('../src/utils/reporter');
+const { generateReport, generateCapacityReport } = require('../src/utils/reporter');
+const { REDACTED, registerSecrets } = require('../src/utils/redact');
 
 describe('Reporter', () => {
     const mockValidationResults = [
@@ -77,6 +78,30 @@ describe('Reporter', () => {
         expect(htmlContent).toContain('120.55');
     });
 
+    it('should render per-endpoint percentiles in HTML, JSON and JUnit reports', () => {
+        const metadata = {
+            ...mockMetadata,
+            k6Metrics: {
+                ...mockMetadata.k6Metrics,
+                endpoints: [
+                    { name: 'POST create_post', endpoint: 'create_post', method: 'POST', count: 12, avg: 310, p50: 290, p90: 480, p95: 512.5, p99: 700, errorRate: 8.33 }
+                ]
+            }
+        };
+        generateReport(mockValidationResults, metadata);
+
+        const htmlContent = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.html'))[1];
+        expect(htmlContent).toContain('POST create_post');
+        expect(htmlContent).toContain('512.50 ms');
+        expect(htmlContent).toContain('8.33%');
+
+        const parsed = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.json'))[1]);
+        expect(parsed.endpoints[0].p95).toBe(512.5);
+
+        const xmlContent = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('junit-report.xml'))[1];
+        expect(xmlContent).toContain('<property name="endpoint.POST_create_post.p95_ms" value="512.50"/>');
+    });
+
     it('should include checks breakdown in HTML when data is provided', () => {
         generateReport(mockValidationResults, mockMetadata);
         const htmlCall = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.html'));
@@ -113,6 +138,60 @@ describe('Reporter', () => {
         expect(history[0].profile).toBe('default');
     });
 
+    it('should store numeric metric values in history for baselines', () => {
+        const results = [{ metric: 'P95 Response Time (ms)', actual: '450.00', threshold: '<= 1500', passed: true, key: 'p95ResponseTime', value: 450 }];
+        generateReport(results, mockMetadata);
+        const history = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('history.json'))[1]);
+        expect(history[0].values).toEqual({ p95ResponseTime: 450 });
+    });
+
+    it('should count the failed results that fail the run as critical failures in history', () => {
+        const results = [
+            { metric: 'P95 Response Time (ms)', actual: '450.00', threshold: '<= 300', passed: false, severity: 'critical' },
+            { metric: 'Error Rate (%)', actual: '2.00', threshold: '<= 1', passed: false, severity: 'warning' },
+            { metric: 'P95 Latency Drift (%)', actual: '+40.00', threshold: '<= +20%', passed: false, type: 'drift', severity: 'critical' },
+            {
+                metric: 'P95 Regression', label: 'P95 Regression', actual: '450.00', threshold: '<= +15%', passed: false, type: 'regression',
+                baseline: { value: 300, strategy: 'last_passing', runIds: ['run-1'] }, delta: '150.00', percentChange: '50.00'
+            }
+        ];
+        generateReport(results, mockMetadata);
+        const history = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('history.json'))[1]);
+        // Regressions and drift findings are critical by default and fail the run like any critical rule
+        expect(history[0]).toMatchObject({ failed: 4, criticalFailed: 3 });
+    });
+
+    it('should mark aborted runs in history', () => {
+        generateReport(mockValidationResults, { ...mockMetadata, aborted: true, abortReason: 'Cancelled (SIGINT)' });
+        const history = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('history.json'))[1]);
+        expect(history[0]).toMatchObject({ aborted: true, abortReason: 'Cancelled (SIGINT)' });
+    });
+
+    it('should render regression failures distinctly from SLA breaches', () => {
+        const regression = {
+            id: 'p95_regression',
+            type: 'regression',
+            metric: 'P95 Response Time (ms) vs Baseline',
+            label: 'P95 Response Time (ms)',
+            actual: '600.00',
+            threshold: '<= +15% vs baseline',
+            passed: false,
+            severity: 'critical',
+            baseline: { value: 450, strategy: 'last_passing', runIds: ['run-1'] },
+            delta: 150,
+            percentChange: 33.33
+        };
+        generateReport([...mockValidationResults, regression], mockMetadata);
+
+        const htmlContent = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.html'))[1];
+        expect(htmlContent).toContain('Regression Analysis');
+        expect(htmlContent).toContain('📉 REGRESSION');
+        expect(htmlContent).toContain('+33.33%');
+
+        const xmlContent = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('junit-report.xml'))[1];
+        expect(xmlContent).toContain('type="PerformanceRegression"');
+    });
+
     it('should handle all failing results correctly', () => {
         const failResults = mockValidationResults.map(r => ({ ...r, passed: false }));
         generateReport(failResults, mockMetadata);
@@ -120,4 +199,180 @@ describe('Reporter', () => {
         const htmlContent = htmlCall[1];
         expect(htmlContent).toContain('SLA Violations');
     });
+
+    it('should render the latency timeline and expose it in report.json', () => {
+        const timeline = {
+            interval: 10000,
+            buckets: [
+                { start: 0, time: '2026-01-01T00:00:00.000Z', count: 50, p50: 100, p95: 200, p99: 300, rps: 5, errorRate: 0, vus: 10 },
+                { start: 10000, time: '2026-01-01T00:00:10.000Z', count: 50, p50: 120, p95: 260, p99: 390, rps: 5, errorRate: 20, vus: 10 }
+            ]
+        };
+        const drift = {
+            latency: null,
+            errorBursts: [{ start: 10000, end: 20000, time: '2026-01-01T00:00:10.000Z', peakErrorRate: 20, buckets: 1 }],
+            flagged: true
+        };
+        generateReport(mockValidationResults, { ...mockMetadata, k6Metrics: { ...mockMetadata.k6Metrics, timeline, drift } });
+
+        const htmlContent = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.html'))[1];
+        expect(htmlContent).toContain('Latency Timeline (10s intervals)');
+        expect(htmlContent).toContain('Degradation detected');
+        expect(htmlContent).toContain('chart_latency_timeline');
+
+        const parsed = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.json'))[1]);
+        expect(parsed.timeline.buckets).toHaveLength(2);
+        expect(parsed.drift.errorBursts[0].peakErrorRate).toBe(20);
+    });
+
+    it('should list custom metrics and nested group checks', () => {
+        const k6Metrics = {
+            ...mockMetadata.k6Metrics,
+            checksData: [{ name: 'token set', group: '::journey::login', passes: 5, fails: 0 }],
+            allMetrics: {
+                total_requests: { name: 'total_requests', type: 'counter', custom: true, tags: {}, stats: { count: 150, rate: 5 } },
+                http_reqs: { name: 'http_reqs', type: 'counter', custom: false, tags: {}, stats: { count: 150, rate: 5 } }
+            }
+        };
+        generateReport(mockValidationResults, { ...mockMetadata, k6Metrics });
+
+        const htmlContent = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.html'))[1];
+        expect(htmlContent).toContain('Custom Metrics');
+        expect(htmlContent).toContain('count=150 · rate=5');
+        expect(htmlContent).toContain('journey › login › </span>token set');
+
+        const parsed = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.json'))[1]);
+        expect(Object.keys(parsed.metrics)).toEqual(['total_requests', 'http_reqs']);
+        expect(parsed.checks[0].group).toBe('::journey::login');
+    });
+
+    it('should chart the HTTP timing breakdown globally and per endpoint', () => {
+        const waiting = { avg: 180, min: 5, max: 1100, p50: 150, p90: 280, p95: 420, p99: 800 };
+        const k6Metrics = {
+            ...mockMetadata.k6Metrics,
+            timings: { connecting: { avg: 2, p95: 12, p99: 30 }, waiting },
+            endpoints: [{ name: 'GET browse', avgDur: '190.00', timings: { waiting: { ...waiting, avg: 170 } } }]
+        };
+        generateReport(mockValidationResults, { ...mockMetadata, k6Metrics });
+
+        const htmlContent = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.html'))[1];
+        expect(htmlContent).toContain('chart_timing_breakdown');
+        expect(htmlContent).toContain('TTFB P95: <strong>420.00 ms</strong>');
+        expect(htmlContent).toContain('["All requests","GET browse"]');
+
+        const parsed = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.json'))[1]);
+        expect(parsed.timings.waiting.p95).toBe(420);
+    });
+
+    it('should break failures down by category, status and failing check', () => {
+        const errorBreakdown = {
+            requests: 150, failed: 3, rate: 2,
+            categories: { '5xx': { count: 2, rate: 1.33 }, timeout: { count: 1, rate: 0.67 } },
+            statuses: { 503: 2, 0: 1 },
+            errorCodes: { 1050: { name: 'request timeout', count: 1 } },
+            checks: {
+                evaluated: 300, failed: 5, rate: 1.67,
+                failing: [{ name: 'response time < 3000ms', group: '', endpoint: 'browse', passes: 95, fails: 5, failRate: 5 }]
+            }
+        };
+        generateReport(mockValidationResults, { ...mockMetadata, k6Metrics: { ...mockMetadata.k6Metrics, errorBreakdown } });
+
+        const htmlContent = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.html'))[1];
+        expect(htmlContent).toContain('Failure Breakdown');
+        expect(htmlContent).toContain('Server Errors (5xx)');
+        expect(htmlContent).toContain('1050 request timeout ×1');
+        expect(htmlContent).toContain('[browse] response time < 3000ms ×5');
+
+        const parsed = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.json'))[1]);
+        expect(parsed.errors.categories.timeout.count).toBe(1);
+    });
+
+    it('should list journey completion rates, durations and failing steps', () => {
+        const journeys = [{
+            name: 'read_post', runs: 40, completed: 38, completionRate: 95,
+            duration: { count: 38, avg: 1450, p95: 2100, p99: 2600 },
+            failedSteps: [{ step: 'get_author', count: 2 }]
+        }];
+        generateReport(mockValidationResults, { ...mockMetadata, k6Metrics: { ...mockMetadata.k6Metrics, journeys } });
+
+        const htmlContent = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.html'))[1];
+        expect(htmlContent).toContain('User Journeys');
+        expect(htmlContent).toContain('95.00%');
+        expect(htmlContent).toContain('2100.00 ms');
+        expect(htmlContent).toContain('get_author ×2');
+
+        const parsed = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.json'))[1]);
+        expect(parsed.journeys[0].completed).toBe(38);
+    });
+
+    it('should show gRPC and WebSocket latencies', () => {
+        const stats = { avg: 40, p50: 35, p95: 120, p99: 250, max: 300 };
+        const protocols = {
+            grpc: { requests: 48, duration: stats },
+            ws: { sessions: 12, messagesSent: 24, messagesReceived: 36, connecting: stats, messageLatency: { ...stats, p95: 70 } }
+        };
+        generateReport(mockValidationResults, { ...mockMetadata, k6Metrics: { ...mockMetadata.k6Metrics, protocols } });
+
+        const htmlContent = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.html'))[1];
+        expect(htmlContent).toContain('gRPC &amp; WebSocket');
+        expect(htmlContent).toContain('48 calls');
+        expect(htmlContent).toContain('24 sent · 36 received');
+        expect(htmlContent).not.toContain('WebSocket session duration');
+
+        const parsed = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.json'))[1]);
+        expect(parsed.protocols.grpc.requests).toBe(48);
+    });
+
+    it('should flag runs stopped early by the live monitor', () => {
+        const abortReason = 'Live SLA breach: Error Rate (%) 40.00 (threshold: <= 25) over a rolling 60s window for 30s';
+        generateReport(mockValidationResults, { ...mockMetadata, aborted: true, abortReason });
+
+        const htmlContent = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.html'))[1];
+        expect(htmlContent).toContain('Test Stopped Early');
+        expect(htmlContent).toContain(abortReason);
+
+        const parsed = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.json'))[1]);
+        expect(parsed.metadata.aborted).toBe(true);
+        expect(parsed.metadata.abortReason).toBe(abortReason);
+    });
+
+    it('should redact registered credentials from every report', () => {
+        registerSecrets(['client-secret-123']);
+        const abortReason = 'Token request with client-secret-123 failed (Authorization: Bearer abcdefghijkl)';
+        generateReport(mockValidationResults, { ...mockMetadata, aborted: true, abortReason });
+
+        fs.writeFileSync.mock.calls.forEach(([, content]) => {
+            expect(content).not.toContain('client-secret-123');
+            expect(content).not.toContain('abcdefghijkl');
+        });
+        const parsed = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('report.json'))[1]);
+        expect(parsed.metadata.abortReason).toBe(`Token request with ${REDACTED} failed (Authorization: Bearer ${REDACTED})`);
+    });
+
+    it('should write capacity reports with the curve, knee point and limiting SLA', () => {
+        const capacity = {
+            strategy: 'step',
+            steps: [
+                { rps: 50, passed: true, throughput: 49.8, p95ResponseTime: 120, errorRate: 0, droppedIterations: 0, failures: [] },
+                { rps: 100, passed: true, throughput: 99.1, p95ResponseTime: 180, errorRate: 0.1, droppedIterations: 0, failures: [] },
+                { rps: 150, passed: false, throughput: 120.4, p95ResponseTime: 2400, errorRate: 3, droppedIterations: 900, failures: [
+                    { metric: 'P95 Response Time (ms)', actual: '2400.00', threshold: '<= 1500' }
+                ] }
+            ],
+            maxSustainableRps: 100,
+            limitingSla: { rps: 150, failures: [{ metric: 'P95 Response Time (ms)', actual: '2400.00', threshold: '<= 1500' }] },
+            kneePoint: { rps: 100, throughput: 99.1, p95ResponseTime: 180 }
+        };
+        generateCapacityReport(capacity, mockMetadata);
+
+        const parsed = JSON.parse(fs.writeFileSync.mock.calls.find(call => call[0].endsWith('capacity-report.json'))[1]);
+        expect(parsed.status).toBe('FOUND');
+        expect(parsed.maxSustainableRps).toBe(100);
+        expect(parsed.steps).toHaveLength(3);
+
+        const htmlContent = fs.writeFileSync.mock.calls.find(call => call[0].endsWith('capacity-report.html'))[1];
+        expect(htmlContent).toContain('100 req/s');
+        expect(htmlContent).toContain('99.10 req/s @ 180.00 ms');
+        expect(htmlContent).toContain('P95 Response Time (ms): 2400.00 (expected <= 1500)');
+    });
 });
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mergeSummaries, mergeK6Results } = require('../src/core/resultMerger');
+const { createSketch, addToSketch } = require('../src/utils/stats');
+
+function point(metric, value, tags = {}) {
+    return JSON.stringify({ type: 'Point', metric, data: { time: '2024-01-01T00:00:00Z', value, tags } });
+}
+
+describe('Result Merger', () => {
+    const summaries = [
+        {
+            metrics: {
+                http_reqs: { count: 100, rate: 10 },
+                http_req_failed: { passes: 5, fails: 95, value: 0.05, thresholds: { 'rate<=0.1': false } },
+                vus: { value: 5, min: 1, max: 5 },
+                http_req_duration: { avg: 100, min: 10, med: 90, max: 300, 'p(90)': 200, 'p(95)': 250, thresholds: { 'p(95)<=1000': false } }
+            },
+            root_group: {
+                name: '',
+                checks: { 'status is 200': { name: 'status is 200', passes: 95, fails: 5 } },
+                groups: { browse: { name: 'browse', checks: { ok: { name: 'ok', passes: 10, fails: 0 } }, groups: {} } }
+            }
+        },
+        {
+            metrics: {
+                http_reqs: { count: 300, rate: 30 },
+                http_req_failed: { passes: 45, fails: 255, value: 0.15, thresholds: { 'rate<=0.1': true } },
+                vus: { value: 5, min: 1, max: 5 },
+                http_req_duration: { avg: 500, min: 20, med: 400, max: 2000, 'p(90)': 1500, 'p(95)': 1800, thresholds: { 'p(95)<=1000': true } }
+            },
+            root_group: {
+                name: '',
+                checks: { 'status is 200': { name: 'status is 200', passes: 255, fails: 45 } },
+                groups: { browse: { name: 'browse', checks: { ok: { name: 'ok', passes: 20, fails: 1 } }, groups: {} } }
+            }
+        }
+    ];
+
+    it('should add up counters, rates and gauges', () => {
+        const { metrics } = mergeSummaries(summaries);
+
+        expect(metrics.http_reqs).toEqual({ count: 400, rate: 40 });
+        expect(metrics.http_req_failed.value).toBeCloseTo(50 / 400);
+        expect(metrics.http_req_failed.thresholds).toEqual({ 'rate<=0.1': true });
+        expect(metrics.vus).toEqual({ value: 10, min: 2, max: 10 });
+    });
+
+    it('should recompute trend percentiles from the merged samples instead of averaging them', () => {
+        const latency = { sketch: createSketch(), sum: 0 };
+        for (let i = 1; i <= 100; i++) {
+            addToSketch(latency.sketch, i);
+            latency.sum += i;
+        }
+        const { metrics } = mergeSummaries(summaries, { http_req_duration: latency });
+
+        expect(metrics.http_req_duration.avg).toBe(50.5);
+        expect(metrics.http_req_duration.min).toBe(1);
+        expect(metrics.http_req_duration.max).toBe(100);
+        // Percentiles come from the sketch of the samples (±1%)
+        expect(Math.abs(metrics.http_req_duration.med - 50.5) / 50.5).toBeLessThan(0.01);
+        expect(Math.abs(metrics.http_req_duration['p(95)'] - 95.05) / 95.05).toBeLessThan(0.01);
+        expect(metrics.http_req_duration.thresholds).toEqual({ 'p(95)<=1000': true });
+    });
+
+    it('should fall back to the worst segment without raw samples', () => {
+        const { metrics } = mergeSummaries(summaries);
+
+        expect(metrics.http_req_duration.min).toBe(10);
+        expect(metrics.http_req_duration['p(95)']).toBe(1800);
+    });
+
+    it('should merge checks across nested groups', () => {
+        const { root_group: root } = mergeSummaries(summaries);
+
+        expect(root.checks['status is 200']).toEqual({ name: 'status is 200', passes: 350, fails: 50 });
+        expect(root.groups.browse.checks.ok).toEqual({ name: 'ok', passes: 30, fails: 1 });
+    });
+
+    describe('mergeK6Results', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'merge-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should concatenate raw output and recompute trends and submetrics from it', async () => {
+            const segments = [1, 2].map(i => ({
+                summaryPath: path.join(dir, `summary.segment-${i}.json`),
+                rawJsonPath: path.join(dir, `raw.segment-${i}.json`)
+            }));
+            const trend = { avg: 0, min: 0, med: 0, max: 0, 'p(95)': 0 };
+            segments.forEach(segment => fs.writeFileSync(segment.summaryPath, JSON.stringify({
+                metrics: { http_req_duration: trend, 'http_req_duration{expected_response:true}': trend }
+            })));
+            fs.writeFileSync(segments[0].rawJsonPath, [
+                point('http_req_duration', 100, { expected_response: 'true' }),
+                point('http_req_duration', 900, { expected_response: 'false' })
+            ].join('\n') + '\n');
+            fs.writeFileSync(segments[1].rawJsonPath, `${point('http_req_duration', 300, { expected_response: 'true' })}\n`);
+
+            const summaryPath = path.join(dir, 'summary.json');
+            const rawJsonPath = path.join(dir, 'raw.json');
+            await mergeK6Results(segments, summaryPath, rawJsonPath);
+
+            const merged = JSON.parse(fs.readFileSync(summaryPath, 'utf-8'));
+            expect(merged.metrics.http_req_duration.max).toBe(900);
+            expect(Math.abs(merged.metrics.http_req_duration.med - 300) / 300).toBeLessThan(0.01);
+            expect(merged.metrics['http_req_duration{expected_response:true}'].avg).toBe(200);
+            expect(fs.readFileSync(rawJsonPath, 'utf-8').trim().split('\n')).toHaveLength(3);
+            expect(fs.readdirSync(dir).sort()).toEqual(['raw.json', 'summary.json']);
+        });
+
+        it('should fail when a process wrote no summary', async () => {
+            const segments = [{ summaryPath: path.join(dir, 'missing.json'), rawJsonPath: path.join(dir, 'raw.segment-1.json') }];
+
+            await expect(mergeK6Results(segments, path.join(dir, 'summary.json'), path.join(dir, 'raw.json')))
+                .rejects.toThrow(/Only 0 of 1 k6 processes wrote a summary/);
+        });
+
+        it('should fail without touching the segments when the merged raw output cannot be written', async () => {
+            const segment = { summaryPath: path.join(dir, 'summary.segment-1.json'), rawJsonPath: path.join(dir, 'raw.segment-1.json') };
+            fs.writeFileSync(segment.summaryPath, JSON.stringify({ metrics: {} }));
+            fs.writeFileSync(segment.rawJsonPath, Array.from({ length: 1000 }, (_, i) => point('http_req_duration', i)).join('\n'));
+
+            await expect(mergeK6Results([segment], path.join(dir, 'summary.json'), path.join(dir, 'missing', 'raw.json')))
+                .rejects.toThrow(/ENOENT/);
+            expect(fs.readdirSync(dir).sort()).toEqual(['raw.segment-1.json', 'summary.segment-1.json']);
+        });
+    });
+});
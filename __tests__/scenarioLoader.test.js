@@ -0,0 +1,338 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadScenario, validateScenario, endpointTrends } = require('../src/core/scenarioLoader');
+
+describe('Scenario Loader', () => {
+    const validScenario = () => ({
+        name: 'blog-api',
+        baseUrl: 'https://api.example.com',
+        defaults: { thinkTime: { min: 1, max: 3 } },
+        endpoints: [
+            {
+                name: 'detail',
+                method: 'GET',
+                path: '/posts/{{randomInt(1,80)}}',
+                weight: 30,
+                trend: 'api_duration',
+                headers: { Authorization: 'Bearer {{env.API_TOKEN}}' },
+                checks: { status: 200, maxDuration: 3000, json: [{ path: '$.id', exists: true }, { path: "$['body']", type: 'string' }] }
+            }
+        ]
+    });
+
+    it('should accept the bundled jsonplaceholder scenario', () => {
+        const scenario = loadScenario(path.join(__dirname, '..', 'src', 'tests', 'scenarios', 'jsonplaceholder.json'));
+        expect(scenario.endpoints.map(e => e.name)).toEqual(['browse', 'detail', 'create_post', 'invalid_404', 'health']);
+    });
+
+    it('should accept a valid scenario', () => {
+        expect(validateScenario(validScenario())).toEqual([]);
+    });
+
+    it('should report endpoint definition errors', () => {
+        const scenario = validScenario();
+        scenario.endpoints.push({ name: 'detail', method: 'FETCH', path: 'posts', weight: 0, trend: 'api-duration' });
+
+        const errors = validateScenario(scenario);
+        expect(errors).toEqual([
+            'endpoints[1] (detail).name is duplicated',
+            'endpoints[1] (detail).method must be one of GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS',
+            'endpoints[1] (detail).path must start with "/"',
+            'endpoints[1] (detail).weight must be a positive number',
+            'endpoints[1] (detail).trend "api-duration" is not a valid k6 metric name'
+        ]);
+    });
+
+    it('should report invalid checks, think time and placeholders', () => {
+        const scenario = validScenario();
+        Object.assign(scenario.endpoints[0], {
+            path: '/posts/{{randomId}}',
+            thinkTime: { min: 3, max: 1 },
+            checks: { status: ['200'], json: [{ path: 'id', exists: true }, { path: '$.id' }] }
+        });
+
+        const errors = validateScenario(scenario);
+        expect(errors).toEqual(expect.arrayContaining([
+            'endpoints[0] (detail): unknown template placeholder "{{randomId}}"',
+            'endpoints[0] (detail).thinkTime must be seconds or { "min", "max" } with min <= max',
+            'endpoints[0] (detail).checks.status must be a status code or a list of status codes',
+            'endpoints[0] (detail).checks.json[0]: unsupported JSON path "id" (use $, .key, [0] or [\'key\'])',
+            'endpoints[0] (detail).checks.json[1]: needs one of exists, equals, type or minLength'
+        ]));
+        expect(errors).toHaveLength(5);
+    });
+
+    it('should validate journeys and their variables', () => {
+        const scenario = {
+            journeys: [{
+                name: 'read_post',
+                variables: { post_id: '42' },
+                steps: [
+                    { name: 'get_post', method: 'GET', path: '/posts/{{vars.post_id}}', thinkTime: 2.5 },
+                    { name: 'get_comments', method: 'GET', path: '/posts/{{vars.comment_id}}/comments' }
+                ]
+            }]
+        };
+
+        expect(validateScenario(scenario)).toEqual([
+            'journeys[0] (read_post).steps[1] (get_comments): undefined journey variable "{{vars.comment_id}}"'
+        ]);
+        expect(validateScenario({ journeys: [{ name: 'empty', steps: [] }] })).toEqual(['journeys[0] (empty).steps must be a non-empty array']);
+    });
+
+    it('should make extracted values available to the following journey steps', () => {
+        const scenario = {
+            journeys: [{
+                name: 'edit_post',
+                steps: [
+                    { name: 'list', method: 'GET', path: '/posts/{{vars.post_id}}', extract: { post_id: { path: '$[0].id' } } },
+                    {
+                        name: 'read',
+                        method: 'GET',
+                        path: '/posts/{{vars.post_id}}',
+                        extract: { etag: { from: 'header' }, author: { from: 'regex', pattern: '"userId":(' }, title: { from: 'xpath' } }
+                    },
+                    { name: 'update', method: 'PUT', path: '/posts/{{vars.post_id}}', headers: { 'If-Match': '{{vars.etag}}' } }
+                ]
+            }],
+            endpoints: [{ name: 'health', method: 'GET', path: '/', extract: { id: { path: '$.id' } } }]
+        };
+
+        expect(validateScenario(scenario)).toEqual([
+            'journeys[0] (edit_post).steps[0] (list): undefined journey variable "{{vars.post_id}}"',
+            'journeys[0] (edit_post).steps[1] (read).extract.etag.name (the header) is required',
+            'journeys[0] (edit_post).steps[1] (read).extract.author.pattern is not a valid regular expression',
+            'journeys[0] (edit_post).steps[1] (read).extract.title.from must be one of json, header, regex',
+            'endpoints[0] (health).extract is only supported in journey steps'
+        ]);
+    });
+
+    it('should accept the bundled journeys scenario', () => {
+        const scenario = loadScenario(path.join(__dirname, '..', 'src', 'tests', 'scenarios', 'blog-journeys.json'));
+        expect(scenario.journeys.map(j => j.name)).toEqual(['read_post', 'edit_post']);
+    });
+
+    it('should validate gRPC and WebSocket endpoints', () => {
+        const scenario = {
+            endpoints: [
+                { name: 'say_hello', type: 'grpc', method: 'SayHello', request: [], checks: { status: ['OK', 'NOPE', 5] } },
+                { name: 'chat', type: 'ws', path: 'chat', timeout: 0, messages: [{ send: 'hi', receive: 2 }, { expect: '(' }, { receive: 0 }] },
+                { name: 'feed', type: 'mqtt', path: '/feed' }
+            ]
+        };
+
+        expect(validateScenario(scenario)).toEqual([
+            'grpc is required by gRPC endpoints: { "address": "host:port", "proto": ["file.proto"] }',
+            'endpoints[0] (say_hello).method must be a fully qualified gRPC method such as "package.Service/Method"',
+            'endpoints[0] (say_hello).request must be an object',
+            'endpoints[0] (say_hello).checks.status must be a gRPC status name such as OK or NOT_FOUND, a status code, or a list of them',
+            'endpoints[1] (chat).path must start with "/" (or set a ws:// or wss:// url)',
+            'endpoints[1] (chat).timeout must be a positive number of milliseconds',
+            'endpoints[1] (chat).messages[0] needs either "send" (optionally with "expect") or "receive"/"expect"',
+            'endpoints[1] (chat).messages[1].expect is not a valid regular expression',
+            'endpoints[1] (chat).messages[2].receive must be a positive number of messages',
+            'endpoints[2] (feed).type must be one of http, grpc, ws, graphql'
+        ]);
+        expect(validateScenario({ ...scenario, grpc: { address: 'localhost', proto: ['hello.json'] } })).toEqual(expect.arrayContaining([
+            'grpc.address must be "host:port"',
+            'grpc.proto must be a non-empty list of .proto files (or set "reflect": true)'
+        ]));
+    });
+
+    it('should accept the bundled gRPC/WebSocket scenario and check its proto files when loading', () => {
+        const file = path.join(__dirname, '..', 'src', 'tests', 'scenarios', 'realtime.json');
+        expect(loadScenario(file).endpoints.map(e => e.type)).toEqual(['grpc', 'ws']);
+
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-'));
+        try {
+            fs.writeFileSync(path.join(tmpDir, 'scenario.json'), fs.readFileSync(file));
+            expect(() => loadScenario(path.join(tmpDir, 'scenario.json'))).toThrow('grpc.proto: file not found: protos/hello.proto');
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should validate GraphQL endpoints and name them after their operation', () => {
+        const scenario = {
+            endpoints: [
+                { type: 'graphql', query: 'query GetPost($id: ID!) { post(id: $id) { id } }', variables: { id: '{{randomInt(1,100)}}' } },
+                { type: 'graphql', query: '# no name\n{ posts { id } }' },
+                { type: 'graphql', query: 'query A { a } mutation B($x: Int) { b(x: $x) }', variables: [] },
+                { type: 'graphql', query: 'query GetPost { post(id: 1) { id } }', operationName: 'Other', path: 'graphql' },
+                { type: 'graphql', query: 'query ListPosts { posts { id } }', queryFile: 'list-posts.graphql' },
+                { type: 'graphql', name: 'list_posts', queryFile: 'list-posts.json' },
+                { type: 'graphql', query: 'query GetPost { post(id: 1) { id } }' }
+            ]
+        };
+
+        expect(validateScenario(scenario)).toEqual([
+            'endpoints[1].query must name its operation, e.g. "query GetPost { ... }"',
+            'endpoints[2] (A).query has several operations (A, B), set operationName',
+            'endpoints[2] (A).variables must be an object',
+            'endpoints[3] (Other).path must start with "/"',
+            'endpoints[3] (Other).query has no operation "Other"',
+            'endpoints[4] (ListPosts) needs either "query" (the document) or "queryFile" (a .graphql file)',
+            'endpoints[5] (list_posts).queryFile must be a .graphql or .gql file',
+            'endpoints[6] (GetPost).name is duplicated'
+        ]);
+    });
+
+    it('should accept the bundled GraphQL scenario and check its query files when loading', () => {
+        const file = path.join(__dirname, '..', 'src', 'tests', 'scenarios', 'graphql.json');
+        expect(loadScenario(file).endpoints.map(e => e.type)).toEqual(['graphql', 'graphql', 'graphql']);
+
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-'));
+        try {
+            fs.writeFileSync(path.join(tmpDir, 'scenario.json'), fs.readFileSync(file));
+            expect(() => loadScenario(path.join(tmpDir, 'scenario.json'))).toThrow('graphql/list-posts.graphql: file not found');
+
+            fs.mkdirSync(path.join(tmpDir, 'graphql'));
+            fs.writeFileSync(path.join(tmpDir, 'graphql', 'list-posts.graphql'), 'query Posts { posts { data { id } } }');
+            expect(() => loadScenario(path.join(tmpDir, 'scenario.json'))).not.toThrow();
+            fs.writeFileSync(path.join(tmpDir, 'graphql', 'list-posts.graphql'), '{ posts { data { id } } }');
+            expect(() => loadScenario(path.join(tmpDir, 'scenario.json')))
+                .toThrow('graphql/list-posts.graphql must name its operation, e.g. "query GetPost { ... }"');
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should load YAML scenarios like their JSON equivalent', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-'));
+        try {
+            const file = path.join(tmpDir, 'scenario.yaml');
+            fs.writeFileSync(file, [
+                'name: blog-api',
+                'baseUrl: https://api.example.com',
+                'endpoints:',
+                '  - name: list_posts',
+                '    method: GET',
+                '    path: /posts',
+                '    weight: 3',
+                '    checks:',
+                '      status: 200',
+                '  - name: created_on',
+                '    method: GET',
+                '    path: /posts?since={{timestamp()}}',
+                '    headers:',
+                '      X-Since: 2024-01-01'
+            ].join('\n'));
+
+            expect(loadScenario(file)).toEqual({
+                name: 'blog-api',
+                baseUrl: 'https://api.example.com',
+                endpoints: [
+                    { name: 'list_posts', method: 'GET', path: '/posts', weight: 3, checks: { status: 200 } },
+                    { name: 'created_on', method: 'GET', path: '/posts?since={{timestamp()}}', headers: { 'X-Since': '2024-01-01' } }
+                ]
+            });
+
+            fs.writeFileSync(file, 'endpoints:\n  - path: /posts\n   weight: 1');
+            expect(() => loadScenario(file)).toThrow(`Scenario file ${file} is not valid YAML`);
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should validate data sources and their placeholders', () => {
+        const scenario = validScenario();
+        scenario.data = {
+            users: { file: 'data/users.json', assign: 'unique', scope: 'vu', onExhausted: 'wrap' },
+            posts: { file: 'posts.txt', assign: 'shuffle', scope: 'test', onExhausted: 'skip' }
+        };
+        scenario.endpoints[0].path = '/users/{{data.users.id}}/posts/{{data.comments.id}}';
+
+        expect(validateScenario(scenario)).toEqual([
+            'data.users: unique rows cannot wrap around (use "stop" or "fail")',
+            'data.posts.file must be a .csv or .json file',
+            'data.posts.assign must be one of sequential, random, unique',
+            'data.posts.scope must be one of iteration, vu',
+            'data.posts.onExhausted must be one of wrap, stop, fail',
+            'endpoints[0] (detail): undefined data source "{{data.comments.id}}"'
+        ]);
+    });
+
+    it('should validate auth strategies', () => {
+        const scenario = validScenario();
+        scenario.data = { users: { file: 'data/users.json' } };
+        scenario.auth = { type: 'password', tokenUrl: 'oauth/token', username: '{{data.users.name}}', scope: 'session', refreshBefore: -1 };
+        scenario.endpoints[0].auth = 'none';
+
+        expect(validateScenario(scenario)).toEqual([
+            'auth.password is required for the password strategy',
+            'auth.tokenUrl must be a path starting with "/" or an http(s) URL',
+            'auth.scope must be one of test, vu',
+            'auth.refreshBefore must be a non-negative number of seconds',
+            'auth: {{data.*}} placeholders need "scope": "vu"',
+            'endpoints[0] (detail).auth must be true or false'
+        ]);
+
+        scenario.auth = { type: 'login', request: { method: 'POST', path: '/login', body: { user: '{{env.USER}}' } }, tokenPath: 'data.token' };
+        delete scenario.endpoints[0].auth;
+        expect(validateScenario(scenario)).toEqual(['auth.tokenPath: unsupported JSON path "data.token" (use $, .key, [0] or [\'key\'])']);
+        expect(validateScenario({ ...validScenario(), auth: { type: 'basic' } })).toEqual([
+            'auth.type must be one of bearer, client_credentials, password, login'
+        ]);
+    });
+
+    it('should accept the bundled mock auth scenario', () => {
+        const scenario = loadScenario(path.join(__dirname, '..', 'src', 'tests', 'scenarios', 'auth-mock.json'));
+        expect(scenario.auth).toMatchObject({ type: 'password', scope: 'vu' });
+        expect(scenario.endpoints.find(e => e.name === 'health').auth).toBe(false);
+    });
+
+    it('should check data files and the columns placeholders use when loading', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-'));
+        const file = path.join(tmpDir, 'scenario.json');
+        fs.mkdirSync(path.join(tmpDir, 'data'));
+        fs.writeFileSync(path.join(tmpDir, 'data', 'posts.csv'), 'id,"title"\n1,first\n2,"second, again"\n');
+        fs.writeFileSync(path.join(tmpDir, 'data', 'users.json'), '[]');
+
+        const scenario = validScenario();
+        scenario.data = { posts: { file: 'data/posts.csv' }, users: { file: 'data/users.json' } };
+        scenario.endpoints[0].path = '/posts/{{data.posts.id}}?title={{data.posts.title}}';
+        scenario.endpoints[0].headers = { 'X-Author': '{{data.posts.author}}' };
+
+        try {
+            fs.writeFileSync(file, JSON.stringify(scenario));
+            expect(() => loadScenario(file)).toThrow('data.users: data/users.json has no rows');
+            expect(() => loadScenario(file)).toThrow('data.posts: no column "author" for "{{data.posts.author}}"');
+
+            fs.writeFileSync(path.join(tmpDir, 'data', 'users.json'), '[{ "id": 1 }]');
+            delete scenario.endpoints[0].headers;
+            fs.writeFileSync(file, JSON.stringify(scenario));
+            expect(loadScenario(file).data.posts.file).toBe('data/posts.csv');
+
+            fs.rmSync(path.join(tmpDir, 'data', 'posts.csv'));
+            expect(() => loadScenario(file)).toThrow(`data.posts: file not found: ${path.join(tmpDir, 'data', 'posts.csv')}`);
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should throw with every validation error when loading an invalid file', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-'));
+        const file = path.join(tmpDir, 'broken.json');
+        fs.writeFileSync(file, JSON.stringify({ endpoints: [] }));
+
+        try {
+            expect(() => loadScenario(file)).toThrow('endpoints must be a non-empty array');
+            fs.writeFileSync(file, '{ not json');
+            expect(() => loadScenario(file)).toThrow('is not valid JSON');
+            expect(() => loadScenario(path.join(tmpDir, 'missing.json'))).toThrow('Scenario file not found');
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should list the requests timed by each declared trend', () => {
+        const scenario = loadScenario(path.join(__dirname, '..', 'src', 'tests', 'scenarios', 'jsonplaceholder.json'));
+        expect(endpointTrends(scenario)).toEqual({
+            browse_duration: 'GET /posts',
+            api_duration: 'GET /posts/{{data.posts.id}}, POST /posts'
+        });
+        expect(endpointTrends({ journeys: [{ name: 'read', steps: [{ name: 'Ping', type: 'ws', url: '/ws', trend: 'ws_duration' }] }] }))
+            .toEqual({ ws_duration: 'Ping' });
+    });
+});
@@ -1,5 +1,6 @@
 const slaConfig = require('../src/config/sla.json');
-const { validateAgainstSLA } = require('../src/core/slaValidator');
+const { validateAgainstSLA, resolveRules, groupResultsByEndpoint } = require('../src/core/slaValidator');
+const { createSketch, addToSketch } = require('../src/utils/stats');
 
 describe('SLA Validator', () => {
     let mockK6Metrics;
@@ -51,10 +52,298 @@ describe('SLA Validator', () => {
         expect(p95Result.passed).toBe(false);
     });
 
+    it('should validate dropped iterations for arrival-rate profiles', () => {
+        mockSlaConfig.profiles.constant_rate = { max_dropped_iterations: 0 };
+        mockK6Metrics.droppedIterations = 3;
+
+        const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'constant_rate', mockSlaConfig);
+        expect(results.find(r => r.id === 'dropped_iterations')).toMatchObject({ metric: 'Dropped Iterations', passed: false });
+        expect(validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig).find(r => r.id === 'dropped_iterations')).toBeUndefined();
+    });
+
     it('should fail when error rate exceeds threshold', () => {
         mockK6Metrics.errorRate = 2.0;
         const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
         const errResult = results.find(r => r.metric.includes('Error Rate'));
         expect(errResult.passed).toBe(false);
     });
+
+    describe('per-endpoint thresholds', () => {
+        beforeEach(() => {
+            mockK6Metrics.endpoints = [
+                { name: 'GET browse', endpoint: 'browse', method: 'GET', count: 80, p50: 90, p90: 200, p95: 250, p99: 400, errorRate: 0 },
+                { name: 'POST create_post', endpoint: 'create_post', method: 'POST', count: 20, p50: 300, p90: 700, p95: 900, p99: 1200, errorRate: 5 }
+            ];
+            mockSlaConfig.endpoints = {
+                browse: { p95_response_time_ms: 300, max_error_rate_percent: 1 },
+                create_post: {
+                    p95_response_time_ms: 800,
+                    max_error_rate_percent: 2,
+                    profiles: { stress: { p95_response_time_ms: 1000, max_error_rate_percent: 10 } }
+                },
+                health: { p95_response_time_ms: 100 }
+            };
+        });
+
+        it('should emit one result per endpoint/metric pair', () => {
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
+            const endpointResults = results.filter(r => r.endpoint);
+            expect(endpointResults).toHaveLength(4);
+            expect(endpointResults.map(r => r.metric)).toContain('[POST create_post] P95 Response Time (ms)');
+        });
+
+        it('should catch a slow endpoint hidden behind a fast global P95', () => {
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
+            expect(results.find(r => r.metric === 'P95 Response Time (ms)').passed).toBe(true);
+            const createP95 = results.find(r => r.endpoint === 'POST create_post' && r.label === 'P95 Response Time (ms)');
+            expect(createP95.passed).toBe(false);
+            expect(createP95.threshold).toBe('<= 800');
+        });
+
+        it('should apply per-profile endpoint overrides', () => {
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'stress', mockSlaConfig);
+            const createResults = results.filter(r => r.endpoint === 'POST create_post');
+            expect(createResults.every(r => r.passed)).toBe(true);
+        });
+
+        it('should evaluate timing phase rules per endpoint', () => {
+            mockK6Metrics.endpoints[1].timings = { waiting: { avg: 500, p95: 850 } };
+            mockSlaConfig.rules = [
+                { id: 'create_ttfb', metric: 'http_req_waiting', aggregate: 'p(95)', endpoint: 'create_post', operator: '<=', threshold: 600 }
+            ];
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
+            expect(results.find(r => r.id === 'create_ttfb')).toMatchObject({ actual: '850.00', passed: false });
+        });
+
+        it('should evaluate gRPC and WebSocket latency rules per endpoint', () => {
+            mockK6Metrics.endpoints.push(
+                { name: 'GRPC say_hello', endpoint: 'say_hello', method: 'GRPC', protocol: 'grpc', count: 50, p95: 180, p99: 240, errorRate: 2 },
+                { name: 'WS echo', endpoint: 'echo', method: 'WS', protocol: 'ws', count: 30, p95: 90, p99: 400, errorRate: 0 }
+            );
+            mockSlaConfig.rules = [
+                { id: 'hello_p95', metric: 'grpc_req_duration', aggregate: 'p(95)', endpoint: 'say_hello', operator: '<=', threshold: 200 },
+                { id: 'hello_errors', metric: 'http_req_failed', aggregate: 'percent', endpoint: 'say_hello', operator: '<=', threshold: 1 },
+                { id: 'echo_p99', metric: 'ws_message_latency', aggregate: 'p(99)', endpoint: 'echo', operator: '<=', threshold: 300 }
+            ];
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
+            expect(results.find(r => r.id === 'hello_p95')).toMatchObject({ endpoint: 'GRPC say_hello', actual: '180.00', passed: true });
+            expect(results.find(r => r.id === 'hello_errors').passed).toBe(false);
+            expect(results.find(r => r.id === 'echo_p99')).toMatchObject({ actual: '400.00', passed: false });
+        });
+
+        it('should evaluate GraphQL error rules per operation', () => {
+            const errors = { requests: 200, failed: 2, rate: 1, categories: {}, graphql: { count: 4, rate: 2 }, statuses: {}, errorCodes: {}, checks: {} };
+            mockK6Metrics.endpoints.push(
+                { name: 'GRAPHQL GetPost', endpoint: 'GetPost', method: 'GRAPHQL', protocol: 'graphql', count: 200, p95: 150, errorRate: 3, errors }
+            );
+            mockSlaConfig.rules = [
+                { id: 'get_post_graphql', metric: 'errors.graphql', endpoint: 'GetPost', operator: '<=', threshold: 1 },
+                { id: 'get_post_graphql_count', metric: 'errors.graphql', aggregate: 'count', endpoint: 'GetPost', operator: '<=', threshold: 5 },
+                { id: 'get_post_p95', metric: 'http_req_duration', aggregate: 'p(95)', endpoint: 'GetPost', operator: '<=', threshold: 200 }
+            ];
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
+            expect(results.find(r => r.id === 'get_post_graphql')).toMatchObject({ endpoint: 'GRAPHQL GetPost', actual: '2.00', passed: false });
+            expect(results.find(r => r.id === 'get_post_graphql_count')).toMatchObject({ actual: '4.00', passed: true });
+            expect(results.find(r => r.id === 'get_post_p95').passed).toBe(true);
+        });
+
+        it('should group results by endpoint', () => {
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
+            const groups = groupResultsByEndpoint(results);
+            expect(groups.map(g => g.name)).toEqual(['Global', 'GET browse', 'POST create_post']);
+            expect(groups[1].results).toHaveLength(2);
+        });
+    });
+
+    describe('declarative rules', () => {
+        beforeEach(() => {
+            mockK6Metrics.summaryMetrics = {
+                api_duration: { avg: 250, med: 200, 'p(95)': 900 },
+                checks: { passes: 95, fails: 5, value: 0.95 },
+                total_requests: { count: 1200, rate: 20 }
+            };
+        });
+
+        it('should translate legacy performance and infrastructure keys into rules', () => {
+            const rules = resolveRules(mockSlaConfig, 'default');
+            expect(rules.map(r => r.id)).toEqual([
+                'p50_response_time', 'p90_response_time', 'p95_response_time', 'p99_response_time',
+                'error_rate', 'throughput', 'cpu_usage', 'memory_usage'
+            ]);
+            expect(rules.every(r => r.severity === 'critical')).toBe(true);
+        });
+
+        it('should evaluate rules against custom Trends, Rates and Counters', () => {
+            mockSlaConfig.rules = [
+                { id: 'api_p95', metric: 'api_duration', aggregate: 'p(95)', operator: '<', threshold: 800 },
+                { id: 'checks', metric: 'checks', aggregate: 'percent', operator: '>=', threshold: 90 },
+                { id: 'requests', metric: 'total_requests', aggregate: 'count', operator: '>', threshold: 1000 }
+            ];
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
+            expect(results.find(r => r.id === 'api_p95')).toMatchObject({ actual: '900.00', threshold: '< 800', passed: false });
+            expect(results.find(r => r.id === 'checks')).toMatchObject({ actual: '95.00', passed: true });
+            expect(results.find(r => r.id === 'requests').passed).toBe(true);
+        });
+
+        it('should tell server errors apart from failed checks', () => {
+            mockK6Metrics.errorBreakdown = {
+                requests: 200, failed: 2, rate: 1,
+                categories: { '5xx': { count: 2, rate: 1 } },
+                checks: { evaluated: 400, failed: 40, rate: 10 }
+            };
+            mockSlaConfig.rules = [
+                { id: 'server_errors', metric: 'errors.5xx', operator: '<=', threshold: 2 },
+                { id: 'failed_checks', metric: 'errors.checks', operator: '<=', threshold: 5 },
+                { id: 'timeouts', metric: 'errors.timeout', aggregate: 'count', operator: '==', threshold: 0 }
+            ];
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
+            expect(results.find(r => r.id === 'server_errors')).toMatchObject({ actual: '1.00', passed: true });
+            expect(results.find(r => r.id === 'failed_checks')).toMatchObject({ actual: '10.00', passed: false });
+            expect(results.find(r => r.id === 'timeouts').passed).toBe(true);
+        });
+
+        it('should evaluate infrastructure metric references', () => {
+            mockInfraMetrics.maxCpuUsage = '97.5';
+            mockSlaConfig.rules = [{ id: 'peak_cpu', metric: 'infra.maxCpuUsage', operator: '<=', threshold: 95, severity: 'warning' }];
+            const result = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig).find(r => r.id === 'peak_cpu');
+            expect(result.passed).toBe(false);
+            expect(result.severity).toBe('warning');
+        });
+
+        it('should only apply rules to their listed profiles', () => {
+            mockSlaConfig.rules = [{ id: 'stress_only', metric: 'errorRate', operator: '<=', threshold: 0.1, profiles: ['stress'] }];
+            expect(resolveRules(mockSlaConfig, 'default').find(r => r.id === 'stress_only')).toBeUndefined();
+            expect(resolveRules(mockSlaConfig, 'stress').find(r => r.id === 'stress_only')).toBeDefined();
+        });
+
+        it('should let a rule replace the translated legacy rule with the same id', () => {
+            mockSlaConfig.rules = [{ id: 'p95_response_time', label: 'P95 Response Time (ms)', metric: 'p95ResponseTime', operator: '<=', threshold: 350 }];
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
+            const p95Results = results.filter(r => r.id === 'p95_response_time');
+            expect(p95Results).toHaveLength(1);
+            expect(p95Results[0].passed).toBe(false);
+        });
+
+        it('should skip rules whose metric is not available', () => {
+            mockSlaConfig.rules = [{ id: 'missing', metric: 'does_not_exist', aggregate: 'avg', operator: '<', threshold: 1 }];
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
+            expect(results.find(r => r.id === 'missing')).toBeUndefined();
+        });
+
+        it('should evaluate phase-scoped rules against that phase only', () => {
+            mockK6Metrics.phases = {
+                steady: {
+                    count: 200, p95: 320, errorRate: 0, throughput: 48,
+                    endpoints: [{ name: 'GET browse', endpoint: 'browse', count: 120, p95: 600, errorRate: 0 }]
+                },
+                ramp_down: { count: 0, p95: 0, errorRate: 0, throughput: 0, endpoints: [] }
+            };
+            mockSlaConfig.rules = [
+                { id: 'steady_p95', label: 'P95 Response Time (ms)', metric: 'p95ResponseTime', phase: 'steady', operator: '<=', threshold: 350 },
+                { id: 'steady_browse', metric: 'http_req_duration', aggregate: 'p(95)', endpoint: 'browse', phase: 'steady', operator: '<=', threshold: 500 },
+                { id: 'ramp_down_p95', metric: 'p95ResponseTime', phase: 'ramp_down', operator: '<=', threshold: 1 }
+            ];
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
+
+            expect(results.find(r => r.id === 'steady_p95')).toMatchObject({
+                metric: 'P95 Response Time (ms) (steady)', actual: '320.00', passed: true, key: 'phase:steady:p95ResponseTime'
+            });
+            expect(results.find(r => r.id === 'steady_browse')).toMatchObject({ actual: '600.00', passed: false });
+            expect(results.find(r => r.id === 'ramp_down_p95')).toBeUndefined();
+        });
+    });
+
+    describe('baseline regression rules', () => {
+        const history = [
+            { id: 'run-1', profile: 'default', failed: 0, values: { p95ResponseTime: 300, throughput: 60 } },
+            { id: 'run-2', profile: 'default', failed: 1, values: { p95ResponseTime: 200, throughput: 40 } }
+        ];
+
+        beforeEach(() => {
+            mockSlaConfig.rules = [
+                { id: 'p95_regression', type: 'regression', label: 'P95 Response Time (ms)', metric: 'p95ResponseTime', max_regression_percent: 15 },
+                { id: 'throughput_regression', type: 'regression', label: 'Throughput (req/s)', metric: 'throughput', direction: 'decrease', max_regression_percent: 10 }
+            ];
+        });
+
+        it('should report baseline value, delta and percent change', () => {
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig, { history });
+            const p95 = results.find(r => r.id === 'p95_regression');
+            expect(p95).toMatchObject({
+                type: 'regression',
+                metric: 'P95 Response Time (ms) vs Baseline',
+                delta: 100,
+                percentChange: 33.33,
+                passed: false
+            });
+            expect(p95.baseline).toEqual({ value: 300, strategy: 'last_passing', runIds: ['run-1'] });
+        });
+
+        it('should treat a decrease as the regression when direction is decrease', () => {
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig, { history });
+            const throughput = results.find(r => r.id === 'throughput_regression');
+            expect(throughput.percentChange).toBeCloseTo(-16.67);
+            expect(throughput.passed).toBe(false);
+            expect(throughput.threshold).toBe('>= -10% vs baseline');
+        });
+
+        it('should honour a pinned baseline run', () => {
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig, { history, baselineRunId: 'run-2' });
+            expect(results.find(r => r.id === 'throughput_regression').passed).toBe(true);
+        });
+
+        it('should skip regression rules when there is no baseline yet', () => {
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig, { history: [] });
+            expect(results.filter(r => r.type === 'regression')).toHaveLength(0);
+        });
+
+        describe('significance', () => {
+            function sketchOf(values) {
+                const sketch = createSketch();
+                values.forEach(v => addToSketch(sketch, v));
+                return sketch;
+            }
+            const spread = (center, n) => Array.from({ length: n }, (_, i) => center + (i % 20) * 5);
+
+            beforeEach(() => {
+                mockSlaConfig.rules = [
+                    { id: 'p95_regression', type: 'regression', metric: 'p95ResponseTime', max_regression_percent: 15, require_significance: true }
+                ];
+            });
+
+            it('should fail when the latency shift is significant', () => {
+                const sigHistory = [{ ...history[0], sketches: { global: sketchOf(spread(250, 200)) } }];
+                mockK6Metrics.latencySketches = { global: sketchOf(spread(340, 200)) };
+
+                const [result] = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig, { history: sigHistory })
+                    .filter(r => r.type === 'regression');
+                expect(result.significance.significant).toBe(true);
+                expect(result.significance.pValue).toBeLessThan(0.05);
+                expect(result.passed).toBe(false);
+            });
+
+            it('should pass when the threshold is exceeded but the change is not significant', () => {
+                const sigHistory = [{ ...history[0], sketches: { global: sketchOf(spread(250, 200)) } }];
+                mockK6Metrics.latencySketches = { global: sketchOf(spread(250, 200)) };
+
+                const [result] = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig, { history: sigHistory })
+                    .filter(r => r.type === 'regression');
+                expect(result.percentChange).toBeCloseTo(33.33);
+                expect(result.significance.significant).toBe(false);
+                expect(result.passed).toBe(true);
+            });
+
+            it('should fall back to the threshold when no samples were archived', () => {
+                const [result] = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig, { history })
+                    .filter(r => r.type === 'regression');
+                expect(result.significance).toBeUndefined();
+                expect(result.passed).toBe(false);
+            });
+        });
+
+        it('should expose metric keys and values for run history', () => {
+            const results = validateAgainstSLA(mockK6Metrics, mockInfraMetrics, 'default', mockSlaConfig);
+            expect(results.find(r => r.id === 'p95_response_time')).toMatchObject({ key: 'p95ResponseTime', value: 400 });
+        });
+    });
 });
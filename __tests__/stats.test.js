@@ -0,0 +1,67 @@
+const {
+    percentile,
+    summarizeSamples,
+    createSketch,
+    addToSketch,
+    mergeSketches,
+    sketchQuantile,
+    mannWhitneyU,
+    mannKendall
+} = require('../src/utils/stats');
+
+function sketchOf(values) {
+    const sketch = createSketch();
+    values.forEach(v => addToSketch(sketch, v));
+    return sketch;
+}
+
+describe('Stats Utilities', () => {
+    it('should interpolate percentiles like k6', () => {
+        expect(percentile([100, 200, 300, 400], 50)).toBe(250);
+        expect(summarizeSamples([]).p95).toBe(0);
+    });
+
+    it('should estimate quantiles from a sketch within its relative accuracy', () => {
+        const values = Array.from({ length: 1000 }, (_, i) => i + 1);
+        const sketch = sketchOf(values);
+        expect(sketch.count).toBe(1000);
+        expect(Math.abs(sketchQuantile(sketch, 0.95) - 950) / 950).toBeLessThan(0.02);
+        expect(Math.abs(sketchQuantile(sketch, 0.5) - 500) / 500).toBeLessThan(0.02);
+    });
+
+    it('should merge sketches', () => {
+        const merged = mergeSketches([sketchOf([10, 20]), null, sketchOf([0, 30])]);
+        expect(merged).toMatchObject({ count: 4, zero: 1, min: 0, max: 30 });
+        expect(mergeSketches([])).toBeNull();
+    });
+
+    it('should detect a shifted distribution with Mann-Whitney U', () => {
+        const baseline = sketchOf(Array.from({ length: 300 }, (_, i) => 100 + (i % 30)));
+        const slower = sketchOf(Array.from({ length: 300 }, (_, i) => 120 + (i % 30)));
+
+        const test = mannWhitneyU(slower, baseline);
+        expect(test.pGreater).toBeLessThan(0.001);
+        expect(test.pLess).toBeGreaterThan(0.999);
+        expect(test.effectSize).toBeGreaterThan(0.5);
+    });
+
+    it('should not flag identical distributions', () => {
+        const values = Array.from({ length: 200 }, (_, i) => 100 + (i % 40));
+        const test = mannWhitneyU(sketchOf(values), sketchOf(values));
+        expect(test.z).toBeCloseTo(0);
+        expect(test.pValue).toBeCloseTo(1);
+        expect(mannWhitneyU(createSketch(), sketchOf(values))).toBeNull();
+    });
+
+    it('should detect a monotonic trend and estimate its slope', () => {
+        const rising = [100, 104, 103, 110, 115, 114, 122, 130];
+        const test = mannKendall(rising);
+        expect(test.s).toBeGreaterThan(20);
+        expect(test.pValue).toBeLessThan(0.01);
+        expect(test.slope).toBeCloseTo(4, 0);
+
+        const flat = mannKendall([100, 102, 99, 101, 100, 98, 102, 99]);
+        expect(flat.pValue).toBeGreaterThan(0.5);
+        expect(mannKendall([1, 2, 3])).toBeNull();
+    });
+});
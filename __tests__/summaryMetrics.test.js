@@ -0,0 +1,58 @@
+const { parseMetricKey, classifyMetric, collectMetrics, collectChecks } = require('../src/core/summaryMetrics');
+
+describe('Summary Metrics', () => {
+    it('should classify metrics by the stats k6 exports for them', () => {
+        expect(classifyMetric({ count: 10, rate: 1 })).toBe('counter');
+        expect(classifyMetric({ passes: 1, fails: 9, value: 0.1 })).toBe('rate');
+        expect(classifyMetric({ value: 5, min: 1, max: 10 })).toBe('gauge');
+        expect(classifyMetric({ avg: 1, min: 0, med: 1, max: 2, 'p(90)': 2, 'p(95)': 2 })).toBe('trend');
+        expect(classifyMetric({ 'p(99)': 2 })).toBe('trend');
+        expect(classifyMetric({})).toBeNull();
+    });
+
+    it('should split submetric keys into name and tags', () => {
+        expect(parseMetricKey('http_req_duration')).toEqual({ name: 'http_req_duration', tags: {} });
+        expect(parseMetricKey('http_req_duration{expected_response:true}'))
+            .toEqual({ name: 'http_req_duration', tags: { expected_response: 'true' } });
+        expect(parseMetricKey('group_duration{group:::browse::details}'))
+            .toEqual({ name: 'group_duration', tags: { group: '::browse::details' } });
+    });
+
+    it('should collect every metric with its stats and thresholds', () => {
+        const metrics = collectMetrics({
+            metrics: {
+                total_requests: { count: 10, rate: 1 },
+                'http_req_duration{endpoint:browse}': { avg: 100, 'p(95)': 200, thresholds: { 'p(95)<=2000': false } }
+            }
+        });
+
+        expect(metrics.total_requests).toMatchObject({ type: 'counter', custom: true });
+        expect(metrics['http_req_duration{endpoint:browse}']).toEqual({
+            name: 'http_req_duration',
+            type: 'trend',
+            custom: false,
+            tags: { endpoint: 'browse' },
+            stats: { avg: 100, 'p(95)': 200 },
+            thresholds: { 'p(95)<=2000': false }
+        });
+    });
+
+    it('should walk nested groups in both summary layouts', () => {
+        const checks = collectChecks({
+            name: '',
+            checks: [{ name: 'status is 200', passes: 9, fails: 1 }],
+            groups: [
+                {
+                    name: 'journey',
+                    checks: [],
+                    groups: [{ name: 'login', checks: [{ name: 'token set', passes: 5, fails: 0 }], groups: [] }]
+                }
+            ]
+        });
+
+        expect(checks).toEqual([
+            { name: 'status is 200', group: '', passes: 9, fails: 1 },
+            { name: 'token set', group: '::journey::login', passes: 5, fails: 0 }
+        ]);
+    });
+});
@@ -0,0 +1,62 @@
+const { createTokenServer } = require('../src/mocks/tokenServer');
+
+describe('Mock Token Server', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        server = createTokenServer({ tokenTtl: 1 });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    const form = (fields) => ({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(fields).toString()
+    });
+    const profile = (token) => fetch(`${baseUrl}/api/profile`, { headers: { Authorization: `Bearer ${token}` } });
+
+    it('should issue client credentials tokens that expire', async () => {
+        const res = await fetch(`${baseUrl}/oauth/token`, form({ grant_type: 'client_credentials', client_id: 'load-test', client_secret: 'local-secret' }));
+        const body = await res.json();
+        expect(res.status).toBe(200);
+        expect(body).toMatchObject({ token_type: 'Bearer', expires_in: 1 });
+
+        expect((await profile(body.access_token)).status).toBe(200);
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        expect((await profile(body.access_token)).status).toBe(401);
+    });
+
+    it('should check password grants and login credentials', async () => {
+        const grant = await fetch(`${baseUrl}/oauth/token`, form({ grant_type: 'password', username: 'user3', password: 'password3' }));
+        const { access_token: token } = await grant.json();
+        expect(await (await profile(token)).json()).toMatchObject({ subject: 'user3' });
+
+        const wrong = await fetch(`${baseUrl}/oauth/token`, form({ grant_type: 'password', username: 'user3', password: 'nope' }));
+        expect(wrong.status).toBe(400);
+        expect(await wrong.json()).toEqual({ error: 'invalid_grant' });
+
+        const badClient = await fetch(`${baseUrl}/oauth/token`, form({ grant_type: 'client_credentials', client_id: 'load-test', client_secret: 'x' }));
+        expect(badClient.status).toBe(401);
+        const unsupported = await fetch(`${baseUrl}/oauth/token`, form({ grant_type: 'implicit' }));
+        expect(await unsupported.json()).toEqual({ error: 'unsupported_grant_type' });
+
+        const login = await fetch(`${baseUrl}/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'user1', password: 'password1' })
+        });
+        const session = await login.json();
+        expect(session.expiresIn).toBe(1);
+        expect((await profile(session.data.token)).status).toBe(200);
+    });
+
+    it('should reject unauthenticated profile requests and keep health public', async () => {
+        expect((await fetch(`${baseUrl}/api/profile`)).status).toBe(401);
+        expect((await profile('forged')).status).toBe(401);
+        expect((await fetch(`${baseUrl}/health`)).status).toBe(200);
+    });
+});
@@ -2,21 +2,34 @@ require('dotenv').config();
 
 const { execSync } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const minimist = require('minimist');
 
-const { runK6LoadTest, extractK6Metrics } = require('./src/core/k6Runner');
-const { validateAgainstSLA } = require('./src/core/slaValidator');
+const { runK6LoadTest, extractK6Metrics, stopK6Runs, killK6Runs } = require('./src/core/k6Runner');
+const { parseRawOutput } = require('./src/core/rawOutputParser');
+const { validateAgainstSLA, failedCritical } = require('./src/core/slaValidator');
+const { buildK6Thresholds } = require('./src/core/k6Thresholds');
+const { loadScenario, endpointTrends } = require('./src/core/scenarioLoader');
+const { loadProfiles, resolveProfile, estimateDuration, applyProfileSla } = require('./src/core/profiles');
+const { parseDuration, formatDuration } = require('./src/utils/duration');
+const { searchCapacity, buildStepWorkload } = require('./src/core/capacitySearch');
+const { buildPhaseWindows } = require('./src/core/phases');
+const { detectDrift } = require('./src/core/driftDetector');
+const { resolveLiveConfig } = require('./src/core/liveMonitor');
 
 const { getSystemHealthSummary, testConnection: testPrometheusConnection } = require('./src/utils/prometheus');
-const { generateReport } = require('./src/utils/reporter');
+const { generateReport, generateCapacityReport, loadHistory } = require('./src/utils/reporter');
 const { sendNotification } = require('./src/utils/notifier');
+const { collectAuthSecrets, registerSecrets } = require('./src/utils/redact');
 const { createAnnotation, closeAnnotation, testConnection: testGrafanaConnection } = require('./src/utils/grafana');
-const slaConfig = require('./src/config/sla.json');
+const baseSlaConfig = require('./src/config/sla.json');
 
 // Configuration
-const TARGET_URL = process.env.TARGET_URL || 'https://jsonplaceholder.typicode.com';
+const DEFAULT_TARGET_URL = 'https://jsonplaceholder.typicode.com';
 const K6_SCRIPT_PATH = path.join(__dirname, 'src', 'tests', 'load_test.js');
+const DEFAULT_SCENARIO_FILE = path.join(__dirname, 'src', 'tests', 'scenarios', 'jsonplaceholder.json');
+const DEFAULT_PROFILES_FILE = path.join(__dirname, 'src', 'config', 'profiles.json');
 
 const REPORTS_DIR = path.join(__dirname, 'reports');
 if (!fs.existsSync(REPORTS_DIR)) {
@@ -31,16 +44,57 @@ const args = minimist(process.argv.slice(2));
 const runProfile = args.profile || args.p || 'default';
 const skipK6 = args['skip-k6'] || false;
 const dryRun = args['dry-run'] || false;
+const baselineRunId = args['baseline-run'] || null;
+const targetRps = args.rps ? Number(args.rps) : null;
+const parallel = args.parallel !== undefined ? Number(args.parallel) : 1;
+const scenarioFile = path.resolve(args['scenario-file'] || DEFAULT_SCENARIO_FILE);
+const profilesFile = path.resolve(args['profiles-file'] || DEFAULT_PROFILES_FILE);
+const mode = args.mode || 'validate';
+const optionalNumber = (value) => (value !== undefined ? Number(value) : undefined);
+
+// Validate the scenario and profile up front so a broken file or unknown profile fails before k6 starts
+let scenario;
+let profile;
+let slaConfig;
+let liveConfig;
+try {
+    if (!['validate', 'capacity'].includes(mode)) throw new Error(`Unknown mode "${mode}" (available: validate, capacity)`);
+    if (!Number.isInteger(parallel) || parallel < 1) throw new Error(`--parallel must be a positive integer, got "${args.parallel}"`);
+    scenario = loadScenario(scenarioFile);
+    // Credentials of the scenario's auth strategy are redacted from every report and notification
+    registerSecrets(collectAuthSecrets(scenario.auth));
+    profile = resolveProfile(loadProfiles(profilesFile), runProfile);
+    slaConfig = applyProfileSla(baseSlaConfig, profile);
+    // `--no-live` lets a run finish regardless of live breaches (e.g. to capture a full failing run)
+    liveConfig = args.live === false ? null : resolveLiveConfig(slaConfig, runProfile);
+} catch (e) {
+    console.error(`\n❌ [Error] ${e.message}`);
+    process.exit(1);
+}
+const TARGET_URL = process.env.TARGET_URL || scenario.baseUrl || DEFAULT_TARGET_URL;
 
 // Test run metadata
 const testStartTime = Date.now();
 let testMetadata = {
     profile: runProfile,
+    scenario: scenario.name || path.basename(scenarioFile, path.extname(scenarioFile)),
     targetUrl: TARGET_URL,
     startTime: new Date().toISOString(),
-    duration: null
+    duration: null,
+    aborted: false,
+    abortReason: null
 };
 
+// Signal that cancelled the run (SIGINT/SIGTERM); partial results are still validated and reported
+let cancelSignal = null;
+
+/**
+ * Exit the run; a cancelled run always exits with 128 + signal number (130 for SIGINT, 143 for SIGTERM)
+ */
+function exitRun(code) {
+    process.exit(cancelSignal ? 128 + os.constants.signals[cancelSignal] : code);
+}
+
 /**
  * Print banner
  */
@@ -49,7 +103,18 @@ function printBanner() {
     console.log(`🚀 Advanced Performance & Observability Validation`);
     console.log(`${'='.repeat(60)}`);
     console.log(`🎯 Target URL: ${TARGET_URL}`);
-    console.log(`🎛️  Workload Profile: ${runProfile.toUpperCase()}`);
+    console.log(`🎛️  Workload Profile: ${runProfile.toUpperCase()}${profile.description ? ` - ${profile.description}` : ''}`);
+    if (mode === 'capacity') {
+        console.log(`📈 Mode: Capacity search (${args.search || 'step'})`);
+    } else {
+        console.log(`⏳ Planned Duration: ~${formatDuration(estimateDuration(profile.workload))}`);
+    }
+    const dataSources = Object.keys(scenario.data || {}).length;
+    const scenarioShape = (scenario.journeys ? `${scenario.journeys.length} journeys` : `${scenario.endpoints.length} endpoints`)
+        + (dataSources > 0 ? `, ${dataSources} data source(s)` : '');
+    console.log(`🗺️  Scenario: ${testMetadata.scenario} (${scenarioShape})`);
+    if (scenario.auth) console.log(`🔐 Auth: ${scenario.auth.type} (${scenario.auth.scope === 'vu' ? 'token per VU' : 'shared token from setup()'})`);
+    if (parallel > 1) console.log(`🧵 K6 Processes: ${parallel} (execution segments)`);
     console.log(`📅 Started at: ${new Date().toLocaleString()}`);
     console.log(`${'='.repeat(60)}\n`);
 }
@@ -102,7 +167,7 @@ async function verifyPrerequisites() {
 /**
  * Query Observability (Prometheus)
  */
-async function queryObservability() {
+async function queryObservability(startTime = testMetadata.startTime, endTime = new Date().toISOString()) {
     console.log(`\n[3/6] 📡 Querying System Health from Prometheus API...`);
 
     const infrastructureMetrics = {
@@ -120,8 +185,9 @@ async function queryObservability() {
         return infrastructureMetrics;
     }
 
+    console.log(`      -> Window: ${startTime} → ${endTime}`);
     try {
-        const systemHealth = await getSystemHealthSummary(testMetadata.startTime, new Date().toISOString());
+        const systemHealth = await getSystemHealthSummary(startTime, endTime);
 
         if (systemHealth.summary.avgCpu) infrastructureMetrics.avgCpuUsage = systemHealth.summary.avgCpu;
         if (systemHealth.summary.maxCpu) infrastructureMetrics.maxCpuUsage = systemHealth.summary.maxCpu;
@@ -163,6 +229,11 @@ async function generateArtifacts(validationResults, k6Metrics, infraMetrics) {
             throughput: k6Metrics.throughput,
             endpoints: k6Metrics.endpoints || [],
             checksData: k6Metrics.checksData || [],
+            allMetrics: k6Metrics.allMetrics,
+            timings: k6Metrics.timings,
+            errorBreakdown: k6Metrics.errorBreakdown,
+            journeys: k6Metrics.journeys || [],
+            protocols: k6Metrics.protocols || {},
             p50ResponseTime: k6Metrics.p50ResponseTime,
             p90ResponseTime: k6Metrics.p90ResponseTime,
             p95ResponseTime: k6Metrics.p95ResponseTime,
@@ -170,7 +241,11 @@ async function generateArtifacts(validationResults, k6Metrics, infraMetrics) {
             avgResponseTime: k6Metrics.avgResponseTime,
             minResponseTime: k6Metrics.minResponseTime,
             maxResponseTime: k6Metrics.maxResponseTime,
-            errorRate: k6Metrics.errorRate
+            errorRate: k6Metrics.errorRate,
+            latencySketches: k6Metrics.latencySketches,
+            phases: k6Metrics.phases,
+            timeline: k6Metrics.timeline,
+            drift: k6Metrics.drift
         },
         slaConfig: slaConfig
     };
@@ -181,6 +256,7 @@ async function generateArtifacts(validationResults, k6Metrics, infraMetrics) {
         profile: runProfile,
         targetUrl: TARGET_URL,
         duration: testMetadata.duration,
+        abortReason: testMetadata.abortReason,
         slaConfig: slaConfig
     };
 
@@ -198,8 +274,9 @@ async function updateGrafanaAnnotation(annotationId, validationResults) {
     const status = failed === 0 ? 'passed' : 'failed';
 
     if (annotationId) {
+        const abortNote = testMetadata.aborted ? ` (stopped early - ${testMetadata.abortReason})` : '';
         await closeAnnotation(annotationId, {
-            text: `Test ${status.toUpperCase()}: ${passed}/${passed + failed} checks passed`
+            text: `Test ${status.toUpperCase()}: ${passed}/${passed + failed} checks passed${abortNote}`
         });
     }
 
@@ -222,41 +299,166 @@ async function runPerformanceValidation() {
     const annotationText = `Load Test Started: Profile - ${runProfile}`;
     const annotationId = await createAnnotation(annotationText, ['load-test', 'performance', runProfile]);
 
-    // Step 1: Run K6
-    const k6Ran = await runK6LoadTest(K6_SCRIPT_PATH, runProfile, TARGET_URL, SUMMARY_JSON_PATH, RAW_JSON_PATH, skipK6, dryRun);
+    if (cancelSignal) {
+        console.warn(`\n🛑 Cancelled by ${cancelSignal} before K6 started.`);
+        if (annotationId) await closeAnnotation(annotationId, { text: `Test CANCELLED by ${cancelSignal} before K6 started` });
+        exitRun(1);
+    }
 
-    if (!k6Ran && !dryRun) {
+    // Step 1: Run K6
+    const k6Run = await runK6LoadTest(K6_SCRIPT_PATH, runProfile, TARGET_URL, SUMMARY_JSON_PATH, RAW_JSON_PATH, skipK6, dryRun, {
+        thresholds: buildK6Thresholds(slaConfig, runProfile),
+        scenarioFile,
+        scenario,
+        targetRps,
+        profileConfig: profile.workload,
+        live: liveConfig,
+        parallel
+    });
+    testMetadata.aborted = k6Run.aborted;
+    testMetadata.abortReason = k6Run.abortReason;
+
+    if (!k6Run.success && !dryRun) {
         console.error(`\n❌ [Error] K6 execution completely failed.`);
         if (annotationId) await closeAnnotation(annotationId);
-        process.exit(1);
+        exitRun(1);
     }
 
-    if (dryRun) process.exit(0);
+    if (dryRun) exitRun(0);
 
     if (!fs.existsSync(SUMMARY_JSON_PATH)) {
         console.error(`\n❌ [Error] Summary JSON not found. Stop.`);
         if (annotationId) await closeAnnotation(annotationId);
-        process.exit(1);
+        exitRun(1);
     }
 
     const summary = JSON.parse(fs.readFileSync(SUMMARY_JSON_PATH, 'utf-8'));
-    const k6Metrics = extractK6Metrics(summary);
-    const infraMetrics = await queryObservability();
-    const validationResults = validateAgainstSLA(k6Metrics, infraMetrics, runProfile, slaConfig);
+    const rawResults = await parseRawOutput(RAW_JSON_PATH, {
+        windows: buildPhaseWindows(profile.workload, profile.measurementWindow),
+        interval: parseDuration(slaConfig.timeline?.interval)
+    });
+    const k6Metrics = extractK6Metrics(summary, rawResults, endpointTrends(scenario));
+    // Infrastructure metrics cover the same measurement window as the phase-scoped latency rules
+    const window = k6Metrics.phases.measurement;
+    k6Metrics.drift = detectDrift(k6Metrics.timeline, slaConfig.timeline?.drift, window?.ranges);
+    const infraMetrics = await queryObservability(window?.startTime, window?.endTime);
+    const validationResults = validateAgainstSLA(k6Metrics, infraMetrics, runProfile, slaConfig, {
+        history: loadHistory(),
+        baselineRunId
+    });
 
     await generateArtifacts(validationResults, k6Metrics, infraMetrics);
 
     await updateGrafanaAnnotation(annotationId, validationResults);
 
-    const failedSlos = validationResults.filter(r => !r.passed);
-    if (failedSlos.length > 0) {
+    if (cancelSignal) {
+        console.log(`\n🛑 Run cancelled by ${cancelSignal}. Partial results were reported.\n`);
+        exitRun(1);
+    }
+
+    // Rules with `warning` / `info` severity are reported but do not fail the run
+    const failedSlos = failedCritical(validationResults);
+    if (failedSlos.length > 0 || testMetadata.aborted) {
         console.log(`\n🚨 SLA Violation Detected. Exiting with Error Code 1.\n`);
-        process.exit(1);
+        exitRun(1);
     }
 
-    process.exit(0);
+    exitRun(0);
 }
 
+/**
+ * Capacity mode: raise the arrival rate step by step and validate each step against the SLA
+ */
+async function runCapacitySearch() {
+    printBanner();
+    await verifyPrerequisites();
+
+    if (dryRun) {
+        console.log(`      ⏭️  Dry run mode - skipping capacity search`);
+        exitRun(0);
+    }
+
+    const annotationId = await createAnnotation(`Capacity Search Started: Profile - ${runProfile}`, ['load-test', 'capacity', runProfile]);
+    const thresholds = buildK6Thresholds(slaConfig, runProfile);
+
+    let capacity;
+    try {
+        capacity = await searchCapacity(async (rps) => {
+            console.log(`\n📈 Capacity step: ${rps} req/s`);
+            const stepStart = new Date().toISOString();
+            const k6Run = await runK6LoadTest(K6_SCRIPT_PATH, runProfile, TARGET_URL, SUMMARY_JSON_PATH, RAW_JSON_PATH, false, false, {
+                thresholds,
+                scenarioFile,
+                scenario,
+                profileConfig: buildStepWorkload(profile.workload, rps, args['step-duration']),
+                parallel
+            });
+            if (!k6Run.success) throw new Error(`K6 execution failed at ${rps} req/s`);
+            // Steps cut short by a cancellation would understate the sustainable rate, so the search ends here
+            if (cancelSignal) throw new Error(`Capacity search cancelled by ${cancelSignal} at ${rps} req/s`);
+
+            const summary = JSON.parse(fs.readFileSync(SUMMARY_JSON_PATH, 'utf-8'));
+            const k6Metrics = extractK6Metrics(summary, await parseRawOutput(RAW_JSON_PATH), endpointTrends(scenario));
+            const infraMetrics = await queryObservability(stepStart);
+            // Regression rules compare full runs of a profile, so capacity steps are validated without history
+            const results = validateAgainstSLA(k6Metrics, infraMetrics, runProfile, slaConfig, { history: [] });
+            const failures = failedCritical(results);
+            console.log(`      -> ${rps} req/s: ${failures.length === 0 ? 'SLA held ✅' : `${failures.length} SLA violation(s) ❌`}`);
+            return { passed: failures.length === 0, failures, metrics: k6Metrics };
+        }, {
+            strategy: args.search,
+            startRps: optionalNumber(args['start-rps']),
+            maxRps: optionalNumber(args['max-rps']),
+            stepRps: optionalNumber(args['step-rps']),
+            precision: optionalNumber(args.precision)
+        });
+    } catch (e) {
+        console.error(`\n❌ [Error] ${e.message}`);
+        if (annotationId) await closeAnnotation(annotationId, cancelSignal ? { text: e.message } : {});
+        exitRun(1);
+    }
+
+    testMetadata.duration = ((Date.now() - testStartTime) / 1000).toFixed(2) + 's';
+    generateCapacityReport(capacity, testMetadata);
+
+    const found = capacity.maxSustainableRps !== null;
+    if (annotationId) {
+        await closeAnnotation(annotationId, {
+            text: found ? `Capacity: ${capacity.maxSustainableRps} req/s under SLA` : 'Capacity: SLA broken at the starting rate'
+        });
+    }
+
+    console.log(`\n${'═'.repeat(60)}`);
+    console.log(`📈 Max sustainable rate: ${found ? `${capacity.maxSustainableRps} req/s` : 'none (SLA broken at the starting rate)'}`);
+    if (capacity.kneePoint) {
+        console.log(`🦵 Knee point: ${capacity.kneePoint.throughput.toFixed(2)} req/s @ P95 ${capacity.kneePoint.p95ResponseTime.toFixed(2)} ms`);
+    }
+    if (capacity.limitingSla) {
+        console.log(`🚧 Limiting SLA at ${capacity.limitingSla.rps} req/s: ${capacity.limitingSla.failures.map(f => f.metric).join(', ')}`);
+    }
+    console.log(`⏱️  Total Duration: ${testMetadata.duration}`);
+    console.log(`${'═'.repeat(60)}\n`);
+
+    exitRun(found ? 0 : 1);
+}
+
+/**
+ * Cancel the run on SIGINT/SIGTERM: stop K6 gracefully and let the main flow validate and report the partial results.
+ * A second signal kills K6 and exits immediately.
+ */
+function handleCancel(signal) {
+    if (cancelSignal) {
+        console.error(`\n❌ Received ${signal} again - killing K6 and exiting without a report.`);
+        killK6Runs();
+        exitRun(1);
+    }
+    cancelSignal = signal;
+    const stopping = stopK6Runs(`Cancelled by ${signal}`) > 0;
+    console.warn(`\n🛑 Received ${signal}: ${stopping ? 'stopping K6 and validating partial results' : 'finishing up'} (send again to force exit)`);
+}
+process.on('SIGINT', handleCancel);
+process.on('SIGTERM', handleCancel);
+
 // Handle uncaught errors
 process.on('uncaughtException', (error) => {
     console.error(`\n❌ Uncaught Exception: ${error.message}`);
@@ -268,4 +470,8 @@ process.on('unhandledRejection', (reason) => {
 });
 
 // Run
-runPerformanceValidation();
\ No newline at end of file
+if (mode === 'capacity') {
+    runCapacitySearch();
+} else {
+    runPerformanceValidation();
+}
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Generate a scenario definition for src/tests/load_test.js
+ *
+ * Usage:
+ *   node src/cli/generateScenario.js --openapi=spec.yaml --out=src/tests/scenarios/my-service.json
+ *     [--base-url=https://api.example.com] [--methods=get,post] [--max-duration=3000] [--name=my-service]
+ *   node src/cli/generateScenario.js --har=checkout.har [--har=browse.har] --out=src/tests/scenarios/journeys.json
+ *     [--journey-name=checkout] [--origin=https://app.example.com] [--max-think-time=30]
+ */
+const fs = require('fs');
+const path = require('path');
+const minimist = require('minimist');
+const yaml = require('js-yaml');
+
+const { generateScenarioFromOpenApi } = require('../generators/openapi');
+const { generateScenarioFromHar } = require('../generators/har');
+const { validateScenario } = require('../core/scenarioLoader');
+
+/**
+ * Read a JSON document, or a YAML one (`.yaml` / `.yml`, e.g. OpenAPI specs)
+ */
+function readDocument(filePath, kind) {
+    if (!fs.existsSync(filePath)) throw new Error(`${kind} file not found: ${filePath}`);
+    const text = fs.readFileSync(filePath, 'utf-8');
+    if (/\.ya?ml$/i.test(filePath)) {
+        try {
+            return yaml.load(text, { filename: filePath });
+        } catch (e) {
+            throw new Error(`${kind} file ${filePath} is not valid YAML: ${e.message}`);
+        }
+    }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`${kind} file ${filePath} is not valid JSON: ${e.message}`);
+    }
+}
+
+function buildScenario(args) {
+    const options = {
+        baseUrl: args['base-url'],
+        maxDuration: args['max-duration'] ? Number(args['max-duration']) : undefined,
+        name: args.name
+    };
+
+    if (args.openapi) {
+        if (args.methods) options.methods = String(args.methods).split(',').map(m => m.trim());
+        return generateScenarioFromOpenApi(readDocument(args.openapi, 'OpenAPI document'), options);
+    }
+
+    if (args.har) {
+        const files = [].concat(args.har);
+        const { scenario, skipped } = generateScenarioFromHar(files.map(file => readDocument(file, 'HAR')), {
+            ...options,
+            origin: args.origin,
+            maxThinkTime: args['max-think-time'] !== undefined ? Number(args['max-think-time']) : undefined,
+            journeyNames: args['journey-name'] !== undefined ? [].concat(args['journey-name']) : undefined
+        });
+        console.error(`      ⏭️  Skipped ${skipped.static} static asset(s) and ${skipped.thirdParty} third-party request(s)`);
+        return scenario;
+    }
+
+    throw new Error('Specify a source document with --openapi=<file> or --har=<file>');
+}
+
+function main() {
+    const args = minimist(process.argv.slice(2));
+
+    try {
+        const scenario = buildScenario(args);
+        const errors = validateScenario(scenario);
+        if (errors.length > 0) {
+            throw new Error(`Generated scenario is invalid:\n${errors.map(err => `   - ${err}`).join('\n')}`);
+        }
+
+        const json = JSON.stringify(scenario, null, 4) + '\n';
+        if (args.out) {
+            fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+            fs.writeFileSync(args.out, json);
+            if (scenario.journeys) {
+                console.log(`✅ Scenario "${scenario.name}" with ${scenario.journeys.length} journey(s) written to ${args.out}`);
+                scenario.journeys.forEach(journey => {
+                    console.log(`      -> ${journey.name}: ${journey.steps.length} step(s)`);
+                    journey.steps.forEach(step => console.log(`         ${step.method} ${step.path} (${step.name})`));
+                });
+            } else {
+                console.log(`✅ Scenario "${scenario.name}" with ${scenario.endpoints.length} endpoint(s) written to ${args.out}`);
+                scenario.endpoints.forEach(ep => console.log(`      -> ${ep.method} ${ep.path} (${ep.name})`));
+            }
+        } else {
+            process.stdout.write(json);
+        }
+    } catch (e) {
+        console.error(`❌ [Error] ${e.message}`);
+        process.exit(1);
+    }
+}
+
+main();
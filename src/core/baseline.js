@@ -0,0 +1,70 @@
+const { mergeSketches } = require('../utils/stats');
+
+const BASELINE_STRATEGIES = ['last_passing', 'median', 'pinned'];
+const DEFAULT_MEDIAN_RUNS = 5;
+
+/**
+ * Stable key for the value a rule refers to, used to find the same value in run history
+ * @param {object} rule - SLA rule
+ * @param {string} [endpoint] - Endpoint name when the rule is evaluated per endpoint
+ */
+function metricKey(rule, endpoint) {
+    const prefix = `${rule.phase ? `phase:${rule.phase}:` : ''}${endpoint ? `endpoint:${endpoint}:` : ''}`;
+    return `${prefix}${rule.metric}${rule.aggregate ? `:${rule.aggregate}` : ''}`;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+// Cancelled and stopped-early runs saw only part of the load, so they are no baseline for a full run
+const isComplete = run => !run.aborted;
+
+/**
+ * Resolve the baseline value for a metric key from run history; aborted runs are skipped
+ * @param {Array} history - Previous runs from history.json (oldest first)
+ * @param {string} profile - Profile of the current run
+ * @param {string} key - Metric key (see metricKey)
+ * @param {object} baseline - { strategy: 'last_passing' (last run that did not fail: no failed critical result, regressions included) | 'median' | 'pinned',
+ *   runs, runId }
+ * @returns {object|null} { value, strategy, runIds } or null when no baseline exists
+ */
+function resolveBaseline(history, profile, key, baseline = {}) {
+    const strategy = baseline.strategy || 'last_passing';
+    const withValue = history.filter(run => isComplete(run) && typeof run.values?.[key] === 'number');
+
+    if (strategy === 'pinned') {
+        const run = withValue.find(r => r.id === baseline.runId);
+        return run ? { value: run.values[key], strategy, runIds: [run.id] } : null;
+    }
+
+    const sameProfile = withValue.filter(run => run.profile === profile);
+
+    if (strategy === 'median') {
+        const runs = sameProfile.slice(-(baseline.runs || DEFAULT_MEDIAN_RUNS));
+        if (runs.length === 0) return null;
+        return { value: median(runs.map(r => r.values[key])), strategy, runIds: runs.map(r => r.id) };
+    }
+
+    // Runs recorded before `criticalFailed` existed only know their total failed rule count
+    const lastPassing = [...sameProfile].reverse().find(run => (run.criticalFailed ?? run.failed) === 0);
+    return lastPassing ? { value: lastPassing.values[key], strategy, runIds: [lastPassing.id] } : null;
+}
+
+/**
+ * Merge the archived latency sketches of the baseline runs, leaving aborted runs out
+ * @param {Array} history - Previous runs from history.json
+ * @param {string[]} runIds - Run ids returned by resolveBaseline
+ * @param {string} [endpoint] - Endpoint name, or the global sketch when omitted
+ * @returns {object|null} Merged sketch, or null when none of the runs archived one
+ */
+function resolveBaselineSketch(history, runIds, endpoint) {
+    const sketches = history
+        .filter(run => runIds.includes(run.id) && isComplete(run))
+        .map(run => (endpoint ? run.sketches?.endpoints?.[endpoint] : run.sketches?.global));
+    return mergeSketches(sketches);
+}
+
+module.exports = { BASELINE_STRATEGIES, metricKey, resolveBaseline, resolveBaselineSketch };
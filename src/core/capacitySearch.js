@@ -0,0 +1,120 @@
+const SEARCH_STRATEGIES = ['step', 'binary'];
+const DEFAULT_OPTIONS = { strategy: 'step', startRps: 10, maxRps: 1000, stepRps: 50, precision: 10 };
+
+/**
+ * Constant-arrival-rate workload for one capacity step, reusing the profile's VU pool when it has one
+ * @param {object} workload - Resolved profile workload (see resolveProfile)
+ * @param {number} rps - Arrival rate of the step
+ * @param {string} duration - Step duration (defaults to the profile's, then 1m)
+ */
+function buildStepWorkload(workload, rps, duration) {
+    const base = workload.executor === 'constant-arrival-rate' ? workload : {};
+    return {
+        executor: 'constant-arrival-rate',
+        rate: rps,
+        timeUnit: '1s',
+        duration: duration || base.duration || '1m',
+        preAllocatedVUs: base.preAllocatedVUs || Math.max(10, Math.ceil(rps / 10)),
+        // Enough VUs to keep the rate with up to 2s latency, so dropped iterations point at the target, not k6
+        maxVUs: Math.max(base.maxVUs || 0, rps * 2)
+    };
+}
+
+/**
+ * Knee of the throughput-vs-latency curve: the point furthest below the chord between the first and last
+ * measurement once both axes are normalized (Kneedle), i.e. where latency starts growing faster than throughput
+ * @param {Array<object>} steps - Capacity steps with `throughput` and `p95ResponseTime`
+ * @returns {object|null} The knee step, or null with fewer than three usable points
+ */
+function findKneePoint(steps) {
+    const points = steps
+        .filter(s => typeof s.throughput === 'number' && typeof s.p95ResponseTime === 'number')
+        .sort((a, b) => a.throughput - b.throughput);
+    if (points.length < 3) return null;
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const latencies = points.map(p => p.p95ResponseTime);
+    const yMin = Math.min(...latencies);
+    const xRange = last.throughput - first.throughput;
+    const yRange = Math.max(...latencies) - yMin;
+    if (xRange <= 0 || yRange <= 0) return null;
+
+    let knee = null;
+    let best = 0;
+    points.forEach(p => {
+        const distance = (p.throughput - first.throughput) / xRange - (p.p95ResponseTime - yMin) / yRange;
+        if (distance > best) {
+            best = distance;
+            knee = p;
+        }
+    });
+    return knee;
+}
+
+/**
+ * Search for the highest arrival rate at which every critical SLA holds
+ * @param {function} runStep - async (rps) => { passed, failures: failed validation results, metrics: k6 metrics }
+ * @param {object} options - { strategy: step|binary, startRps, maxRps, stepRps, precision: binary search resolution }
+ * @returns {object} { strategy, steps, maxSustainableRps, limitingSla, kneePoint }
+ */
+async function searchCapacity(runStep, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS };
+    Object.entries(options).forEach(([key, value]) => {
+        if (value !== undefined) settings[key] = value;
+    });
+    if (!SEARCH_STRATEGIES.includes(settings.strategy)) {
+        throw new Error(`Unknown capacity search strategy "${settings.strategy}" (available: ${SEARCH_STRATEGIES.join(', ')})`);
+    }
+    if (!(settings.startRps > 0) || !(settings.maxRps >= settings.startRps)) {
+        throw new Error('Capacity search needs 0 < --start-rps <= --max-rps');
+    }
+
+    const steps = [];
+    const measure = async (rps) => {
+        const { passed, failures = [], metrics = {} } = await runStep(rps);
+        const step = {
+            rps,
+            passed,
+            throughput: metrics.throughput,
+            p95ResponseTime: metrics.p95ResponseTime,
+            errorRate: metrics.errorRate,
+            droppedIterations: metrics.droppedIterations,
+            failures: failures.map(r => ({ metric: r.metric, actual: r.actual, threshold: r.threshold }))
+        };
+        steps.push(step);
+        return step;
+    };
+
+    if (settings.strategy === 'step') {
+        for (let rps = settings.startRps; rps <= settings.maxRps; rps += settings.stepRps) {
+            if (!(await measure(rps)).passed) break;
+        }
+    } else {
+        let low = settings.startRps;
+        let high = settings.maxRps;
+        if ((await measure(low)).passed && low < high && !(await measure(high)).passed) {
+            while (high - low > settings.precision) {
+                const mid = Math.round((low + high) / 2);
+                if ((await measure(mid)).passed) low = mid;
+                else high = mid;
+            }
+        }
+    }
+
+    const passing = steps.filter(s => s.passed);
+    const failing = steps.filter(s => !s.passed).sort((a, b) => a.rps - b.rps);
+    const maxSustainable = passing.length > 0 ? Math.max(...passing.map(s => s.rps)) : null;
+    // The SLA that broke first is the one failing at the lowest rate above the sustainable one
+    const breaking = failing.find(s => maxSustainable === null || s.rps > maxSustainable);
+
+    return {
+        strategy: settings.strategy,
+        steps: [...steps].sort((a, b) => a.rps - b.rps),
+        maxSustainableRps: maxSustainable,
+        limitingSla: breaking ? { rps: breaking.rps, failures: breaking.failures } : null,
+        kneePoint: findKneePoint(steps)
+    };
+}
+
+module.exports = { SEARCH_STRATEGIES, searchCapacity, buildStepWorkload, findKneePoint };
@@ -0,0 +1,126 @@
+const { mannKendall } = require('../utils/stats');
+
+const DEFAULT_DRIFT_CONFIG = {
+    alpha: 0.05,
+    max_latency_growth_percent: 50,
+    error_burst_rate_percent: 10,
+    min_buckets: 6,
+    severity: 'warning'
+};
+
+function inRanges(start, ranges) {
+    return !ranges || ranges.some(([from, to]) => start >= from && start < to);
+}
+
+/**
+ * Monotonic P95 growth across the timeline (Mann-Kendall trend test, Sen's slope for the size)
+ */
+function detectLatencyDrift(buckets, interval, config) {
+    if (buckets.length < config.min_buckets) return null;
+
+    const test = mannKendall(buckets.map(b => b.p95));
+    if (!test) return null;
+
+    const first = test.intercept;
+    const last = test.intercept + test.slope * (buckets.length - 1);
+    const growthPercent = first > 0 ? ((last - first) / first) * 100 : 0;
+    const significant = test.pValue < config.alpha;
+    let trend = 'stable';
+    if (significant) trend = test.slope > 0 ? 'increasing' : 'decreasing';
+
+    return {
+        trend,
+        pValue: parseFloat(test.pValue.toPrecision(4)),
+        slopeMsPerMinute: parseFloat(((test.slope * 60000) / interval).toFixed(2)),
+        growthPercent: parseFloat(growthPercent.toFixed(2)),
+        buckets: buckets.length,
+        flagged: trend === 'increasing' && growthPercent > config.max_latency_growth_percent
+    };
+}
+
+/**
+ * Runs of consecutive buckets whose error rate reaches the burst threshold
+ */
+function detectErrorBursts(buckets, interval, config) {
+    const bursts = [];
+    let current = null;
+    buckets.forEach(bucket => {
+        if (bucket.count > 0 && bucket.errorRate >= config.error_burst_rate_percent) {
+            if (!current) {
+                current = { start: bucket.start, time: bucket.time, end: bucket.start, peakErrorRate: 0, buckets: 0 };
+                bursts.push(current);
+            }
+            current.end = bucket.start;
+            current.buckets++;
+            current.peakErrorRate = Math.max(current.peakErrorRate, parseFloat(bucket.errorRate.toFixed(2)));
+        } else {
+            current = null;
+        }
+    });
+    return bursts.map(burst => ({ ...burst, end: burst.end + interval }));
+}
+
+/**
+ * Look for degradation within a run: latency that keeps growing (leaks, pool exhaustion) and error bursts
+ * @param {object} timeline - Timeline from the raw output parser
+ * @param {object} config - `timeline.drift` from sla.json
+ * @param {Array} ranges - Measurement window; ramps are excluded so rising load is not mistaken for drift
+ * @returns {object|null} { latency, errorBursts, flagged, config } or null without a timeline
+ */
+function detectDrift(timeline, config = {}, ranges = null) {
+    if (!timeline || timeline.buckets.length === 0) return null;
+    const settings = { ...DEFAULT_DRIFT_CONFIG, ...config };
+
+    const buckets = timeline.buckets.filter(b => b.count > 0 && inRanges(b.start, ranges));
+    const latency = detectLatencyDrift(buckets, timeline.interval, settings);
+    const errorBursts = detectErrorBursts(timeline.buckets, timeline.interval, settings);
+
+    if (latency?.flagged) {
+        console.log(`      ⚠️  Latency drift: P95 ${latency.trend} by ${latency.growthPercent}% over the run (p=${latency.pValue})`);
+    }
+    errorBursts.forEach(burst => {
+        console.log(`      ⚠️  Error burst at ${burst.start / 1000}s-${burst.end / 1000}s: up to ${burst.peakErrorRate}% errors`);
+    });
+
+    return { latency, errorBursts, flagged: Boolean(latency?.flagged) || errorBursts.length > 0, config: settings };
+}
+
+/**
+ * Validation results for the drift checks, reported alongside the SLA rules
+ */
+function driftResults(drift) {
+    if (!drift) return [];
+    const { config } = drift;
+    const results = [];
+
+    if (drift.latency) {
+        results.push({
+            id: 'latency_drift',
+            type: 'drift',
+            metric: 'P95 Latency Drift (%)',
+            label: 'P95 Latency Drift (%)',
+            key: 'latencyDrift',
+            value: drift.latency.growthPercent,
+            actual: `${drift.latency.growthPercent >= 0 ? '+' : ''}${drift.latency.growthPercent.toFixed(2)}`,
+            threshold: `<= +${config.max_latency_growth_percent}% (trend p < ${config.alpha})`,
+            passed: !drift.latency.flagged,
+            severity: config.severity
+        });
+    }
+
+    results.push({
+        id: 'error_bursts',
+        type: 'drift',
+        metric: 'Error Bursts',
+        label: 'Error Bursts',
+        key: 'errorBursts',
+        value: drift.errorBursts.length,
+        actual: String(drift.errorBursts.length),
+        threshold: `0 intervals >= ${config.error_burst_rate_percent}% errors`,
+        passed: drift.errorBursts.length === 0,
+        severity: config.severity
+    });
+    return results;
+}
+
+module.exports = { detectDrift, driftResults };
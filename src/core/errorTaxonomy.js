@@ -0,0 +1,210 @@
+// Failure categories in report order; HTTP categories come from the status, network ones from k6's `error_code`
+const ERROR_CATEGORIES = [
+    { key: '4xx', label: 'Client Errors (4xx)' },
+    { key: '429', label: 'Rate Limited (429)' },
+    { key: '5xx', label: 'Server Errors (5xx)' },
+    { key: 'timeout', label: 'Timeouts' },
+    { key: 'connectionReset', label: 'Connection Resets' },
+    { key: 'connectionRefused', label: 'Connection Refused' },
+    { key: 'dns', label: 'DNS Errors' },
+    { key: 'tls', label: 'TLS Errors' },
+    { key: 'network', label: 'Other Network Errors' },
+    { key: 'other', label: 'Unexpected Status' }
+];
+
+// k6 `error_code` values worth naming (https://grafana.com/docs/k6/latest/javascript-api/error-codes/)
+const K6_ERROR_CODES = {
+    1000: 'generic error',
+    1010: 'non-TCP network error',
+    1020: 'invalid URL',
+    1050: 'request timeout',
+    1100: 'generic DNS error',
+    1101: 'no IP for the hostname',
+    1200: 'generic TCP error',
+    1201: 'broken pipe on write',
+    1202: 'unknown TCP error',
+    1210: 'TCP dial error',
+    1211: 'dial timeout',
+    1212: 'connection refused',
+    1213: 'unknown dial error',
+    1220: 'connection reset by peer',
+    1300: 'generic TLS error',
+    1310: 'unknown certificate authority',
+    1311: 'certificate hostname mismatch'
+};
+
+/**
+ * Whether a request failed, from the tags of its `http_reqs` point
+ * k6 tags every request with `expected_response`; older outputs without it fall back to the status.
+ */
+function isFailedRequest(tags = {}) {
+    if (tags.expected_response !== undefined) return String(tags.expected_response) === 'false';
+    const status = Number(tags.status);
+    return !(status >= 200 && status < 400);
+}
+
+/**
+ * Category of a failed request (see ERROR_CATEGORIES)
+ * @param {object} tags - Tags of its `http_reqs` point (`status`, `error_code`)
+ */
+function classifyFailure(tags = {}) {
+    const status = Number(tags.status) || 0;
+    const code = Number(tags.error_code) || 0;
+
+    if (status === 429) return '429';
+    if (status >= 400 && status < 500) return '4xx';
+    if (status >= 500) return '5xx';
+    if (status > 0) return 'other';
+
+    if (code === 1050 || code === 1211) return 'timeout';
+    if (code === 1201 || code === 1220) return 'connectionReset';
+    if (code === 1212) return 'connectionRefused';
+    if (code >= 1100 && code < 1200) return 'dns';
+    if (code >= 1300 && code < 1400) return 'tls';
+    return 'network';
+}
+
+function createTally() {
+    return { requests: 0, failed: 0, categories: {}, statuses: {}, errorCodes: {}, graphql: 0 };
+}
+
+/**
+ * Count one request (an `http_reqs` point) into a tally
+ */
+function countRequest(tally, tags = {}) {
+    tally.requests++;
+    if (!isFailedRequest(tags)) return;
+
+    const category = classifyFailure(tags);
+    const status = String(tags.status ?? 0);
+    tally.failed++;
+    tally.categories[category] = (tally.categories[category] || 0) + 1;
+    tally.statuses[status] = (tally.statuses[status] || 0) + 1;
+    if (tags.error_code) tally.errorCodes[tags.error_code] = (tally.errorCodes[tags.error_code] || 0) + 1;
+}
+
+const percentOf = (count, total) => (total > 0 ? (count / total) * 100 : 0);
+
+/**
+ * Failure breakdown of a tally, with every category as a percentage of all requests
+ * GraphQL errors come in responses k6 counted as successful, so they are not part of `failed` or the categories.
+ * @returns {object} { requests, failed, rate, categories: key -> { count, rate }, statuses, errorCodes: code -> { name, count },
+ *   graphql: { count, rate } }
+ */
+function summarizeTally(tally) {
+    const categories = {};
+    ERROR_CATEGORIES.filter(({ key }) => tally.categories[key]).forEach(({ key }) => {
+        categories[key] = { count: tally.categories[key], rate: percentOf(tally.categories[key], tally.requests) };
+    });
+    const errorCodes = {};
+    Object.entries(tally.errorCodes).forEach(([code, count]) => {
+        errorCodes[code] = { name: K6_ERROR_CODES[code] || 'unknown', count };
+    });
+
+    return {
+        requests: tally.requests,
+        failed: tally.failed,
+        rate: percentOf(tally.failed, tally.requests),
+        categories,
+        statuses: tally.statuses,
+        errorCodes,
+        graphql: { count: tally.graphql, rate: percentOf(tally.graphql, tally.requests) }
+    };
+}
+
+/**
+ * Create a collector of failed requests and failed checks from raw k6 output points
+ * Requests are tallied per `endpoint`/`method` tag pair (GraphQL errors per operation endpoint), checks per name,
+ * group and `endpoint` tag.
+ */
+function createErrorCollector() {
+    const total = createTally();
+    const endpoints = new Map();
+    const checks = new Map();
+
+    function addRequest(key, tags) {
+        if (!endpoints.has(key)) endpoints.set(key, createTally());
+        countRequest(total, tags);
+        countRequest(endpoints.get(key), tags);
+    }
+
+    /**
+     * Count a response that succeeded at the HTTP level but carried GraphQL errors; its request is already counted
+     */
+    function addGraphqlError(key) {
+        if (!endpoints.has(key)) endpoints.set(key, createTally());
+        total.graphql++;
+        endpoints.get(key).graphql++;
+    }
+
+    function addCheck(tags = {}, passed) {
+        const key = `${tags.group || ''}\u0000${tags.check}\u0000${tags.endpoint || ''}`;
+        if (!checks.has(key)) {
+            checks.set(key, { name: tags.check || 'Unknown Check', group: tags.group || '', endpoint: tags.endpoint || null, passes: 0, fails: 0 });
+        }
+        checks.get(key)[passed ? 'passes' : 'fails']++;
+    }
+
+    /**
+     * Check totals, optionally of one `endpoint` tag only
+     */
+    function checkStats(endpoint) {
+        const matching = [...checks.values()].filter(check => endpoint === undefined || check.endpoint === endpoint);
+        const evaluated = matching.reduce((sum, check) => sum + check.passes + check.fails, 0);
+        const failed = matching.reduce((sum, check) => sum + check.fails, 0);
+        return { evaluated, failed, rate: percentOf(failed, evaluated) };
+    }
+
+    /**
+     * @param {string} key - `METHOD endpoint` key of the endpoint
+     * @param {string} endpoint - Its `endpoint` tag, to attribute failed checks
+     * @returns {object} Failure breakdown of the endpoint with its check failure rate
+     */
+    function endpointBreakdown(key, endpoint) {
+        return { ...summarizeTally(endpoints.get(key) || createTally()), checks: checkStats(endpoint) };
+    }
+
+    function finalize() {
+        const failing = [...checks.values()]
+            .filter(check => check.fails > 0)
+            .map(check => ({ ...check, failRate: percentOf(check.fails, check.passes + check.fails) }))
+            .sort((a, b) => b.fails - a.fails);
+
+        return { ...summarizeTally(total), checks: { ...checkStats(), failing } };
+    }
+
+    return { addRequest, addGraphqlError, addCheck, endpointBreakdown, finalize };
+}
+
+/**
+ * Value of an `errors.<category>` rule metric (`errors.http` for all failed requests, `errors.checks` for failed checks,
+ * `errors.graphql` for successful responses carrying GraphQL errors)
+ * @param {object} breakdown - Failure breakdown of the run or of an endpoint
+ * @param {string} metric - Rule metric, e.g. `errors.5xx`
+ * @param {string} aggregate - `count`, or the percentage (default)
+ * @returns {number|null} null when the run has no breakdown or the category is unknown
+ */
+function resolveErrorMetric(breakdown, metric, aggregate) {
+    if (!breakdown) return null;
+    const key = metric.slice('errors.'.length);
+    const useCount = aggregate === 'count';
+
+    if (key === 'checks') return useCount ? breakdown.checks.failed : breakdown.checks.rate;
+    if (key === 'http') return useCount ? breakdown.failed : breakdown.rate;
+    if (key === 'graphql') {
+        const graphql = breakdown.graphql || { count: 0, rate: 0 };
+        return useCount ? graphql.count : graphql.rate;
+    }
+    if (!ERROR_CATEGORIES.some(category => category.key === key)) return null;
+    const category = breakdown.categories[key] || { count: 0, rate: 0 };
+    return useCount ? category.count : category.rate;
+}
+
+module.exports = {
+    ERROR_CATEGORIES,
+    K6_ERROR_CODES,
+    isFailedRequest,
+    classifyFailure,
+    createErrorCollector,
+    resolveErrorMetric
+};
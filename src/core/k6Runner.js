@@ -1,49 +1,299 @@
 const { spawn } = require('child_process');
 const fs = require('fs');
+const { monitorK6Process } = require('./liveMonitor');
+const { mergeK6Results } = require('./resultMerger');
+const { collectMetrics, collectChecks } = require('./summaryMetrics');
+const { TIMING_METRICS } = require('./rawOutputParser');
+const { isYamlScenario } = require('./scenarioLoader');
 
-async function runK6LoadTest(scriptPath, profile, targetUrl, summaryPath, rawJsonPath, skipK6, dryRun) {
+// k6 exit codes that still leave a usable summary behind
+const THRESHOLDS_FAILED_EXIT_CODE = 99;
+const EXTERNAL_ABORT_EXIT_CODE = 105;
+const SCRIPT_ABORT_EXIT_CODE = 108;
+const SCRIPT_ABORT_REASON = 'Aborted by the test script (see the k6 output)';
+// Counter of src/tests/lib/data.js: an `onExhausted: "stop"` data source ended the test after its last row
+const DATA_EXHAUSTED_METRIC = 'data_exhausted';
+
+// Endpoint Trends of the bundled scenario, for callers that do not pass the scenario's own (see endpointTrends)
+const DEFAULT_ENDPOINT_TRENDS = {
+    browse_duration: 'GET /posts (Browse/List)',
+    api_duration: 'API Dynamic endpoints (GET/POST)'
+};
+
+/**
+ * Whether a k6 run ended with a usable summary; an external abort only counts when we asked k6 to stop
+ */
+function finishedWithSummary(code, run) {
+    return code === 0 || code === THRESHOLDS_FAILED_EXIT_CODE || code === SCRIPT_ABORT_EXIT_CODE
+        || (run.abortReason !== null && code === EXTERNAL_ABORT_EXIT_CODE);
+}
+
+// k6 processes currently running, so a cancelled run can stop them (see stopK6Runs)
+const activeRuns = new Set();
+
+/**
+ * Ask every running k6 process to stop gracefully; k6 still writes its summary
+ * @param {string} reason - Recorded as the abort reason of the runs
+ * @returns {number} Number of k6 processes asked to stop
+ */
+function stopK6Runs(reason) {
+    activeRuns.forEach(run => run.stop(reason));
+    return activeRuns.size;
+}
+
+/**
+ * Kill every running k6 process group immediately (no summary is written)
+ */
+function killK6Runs() {
+    activeRuns.forEach(run => {
+        try {
+            process.kill(-run.process.pid, 'SIGKILL');
+        } catch (e) {
+            run.process.kill('SIGKILL'); // the group is gone or was never created
+        }
+    });
+}
+// Detached k6 processes outlive us: an exit that skips the cancellation path (uncaught exception, process.exit
+// on an error) would leave them generating load
+process.on('exit', killK6Runs);
+
+/**
+ * Whether the script ended the test because a `stop` data source ran out of rows, rather than aborting it
+ */
+function endedByExhaustedData(summaryPath) {
+    try {
+        return (JSON.parse(fs.readFileSync(summaryPath, 'utf-8')).metrics?.[DATA_EXHAUSTED_METRIC]?.count || 0) > 0;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * k6 execution segments splitting one test across `count` processes
+ * @returns {object} { sequence, segments: ['0:1/3', '1/3:2/3', '2/3:1'] }
+ */
+function buildExecutionSegments(count) {
+    const bounds = Array.from({ length: count + 1 }, (_, i) => (i === 0 ? '0' : i === count ? '1' : `${i}/${count}`));
+    return {
+        sequence: bounds.join(','),
+        segments: bounds.slice(0, -1).map((bound, i) => `${bound}:${bounds[i + 1]}`)
+    };
+}
+
+/**
+ * Per-process output file of a parallel run, e.g. k6-raw.json -> k6-raw.segment-2.json
+ */
+function segmentPath(filePath, index) {
+    return filePath.replace(/(\.json)?$/, `.segment-${index + 1}$1`);
+}
+
+/**
+ * Spawn one k6 process and track it until it exits
+ * @returns {object} run: { process, abortReason, stop(reason), done: Promise<exit code or null> }
+ */
+function spawnK6(args) {
+    // Own process group: a terminal Ctrl-C reaches only us and we forward a single SIGINT (see run.stop)
+    const k6Process = spawn('k6', args, { stdio: 'inherit', detached: true });
+    const run = {
+        process: k6Process,
+        abortReason: null,
+        // A second SIGINT makes k6 exit without writing its summary, so only the first stop request is sent
+        stop(reason) {
+            if (run.abortReason) return;
+            run.abortReason = reason;
+            console.warn(`      🛑 Stopping K6 early - ${reason}`);
+            k6Process.kill('SIGINT');
+        }
+    };
+    activeRuns.add(run);
+
+    run.done = new Promise((resolve) => {
+        k6Process.on('close', (code) => {
+            activeRuns.delete(run);
+            // exec.test.abort() in the script, e.g. a data source with `onExhausted: "fail"` ran out of rows
+            if (code === SCRIPT_ABORT_EXIT_CODE && !run.abortReason) run.abortReason = SCRIPT_ABORT_REASON;
+            resolve(code);
+        });
+        k6Process.on('error', (err) => {
+            activeRuns.delete(run);
+            console.error(`      ❌ Failed to start K6 process: ${err.message}`);
+            resolve(null);
+        });
+    });
+    return run;
+}
+
+/**
+ * Run the k6 script for a profile
+ * @param {object} options - { thresholds: k6 thresholds derived from sla.json (see buildK6Thresholds), scenarioFile,
+ *   scenario: the loaded scenario (see loadScenario), handed to k6 as JSON when scenarioFile is YAML,
+ *   targetRps: overrides the rate of arrival-rate profiles, profileConfig: resolved workload (see resolveProfile),
+ *   live: rolling-window SLAs that stop k6 early (see resolveLiveConfig),
+ *   parallel: number of k6 processes sharing the load through execution segments (default 1) }
+ * @returns {Promise<object>} { success, aborted, abortReason, exitCode }
+ */
+async function runK6LoadTest(scriptPath, profile, targetUrl, summaryPath, rawJsonPath, skipK6, dryRun, options = {}) {
     console.log(`[1/6] 🏎️  Running K6 Load Test (${profile} profile)...`);
 
+    const thresholds = options.thresholds || {};
+    const thresholdCount = Object.values(thresholds).reduce((sum, list) => sum + list.length, 0);
+    console.log(`      -> ${thresholdCount} k6 threshold(s) derived from sla.json`);
+
+    const outcome = { success: false, aborted: false, abortReason: null, exitCode: null };
+
     if (dryRun) {
         console.log(`      ⏭️  Dry run mode - skipping K6 execution`);
-        return true;
+        return { ...outcome, success: true };
     }
 
     if (skipK6) {
         console.log(`      ⏭️  Skipping K6 (using existing results)`);
-        return fs.existsSync(summaryPath);
+        return { ...outcome, success: fs.existsSync(summaryPath) };
     }
 
-    return new Promise((resolve) => {
-        const k6Process = spawn('k6', [
-            'run',
-            `--out`, `json=${rawJsonPath}`,
-            `--summary-export=${summaryPath}`,
-            '-e', `TARGET_URL=${targetUrl}`,
-            '-e', `PROFILE=${profile}`,
-            scriptPath
-        ], { stdio: 'inherit' });
+    const parallel = options.parallel || 1;
+    const { sequence, segments } = buildExecutionSegments(parallel);
+    const outputs = parallel === 1
+        ? [{ summaryPath, rawJsonPath }]
+        : segments.map((segment, i) => ({ segment, summaryPath: segmentPath(summaryPath, i), rawJsonPath: segmentPath(rawJsonPath, i) }));
+    if (parallel > 1) console.log(`      -> Splitting the load across ${parallel} k6 processes (execution segments ${sequence})`);
 
-        k6Process.on('close', (code) => {
-            if (code === 0 || code === 99) { // 99 means thresholds crossed
-                if (code === 99) {
-                    console.warn(`      ⚠️  K6 execution finished with SLA threshold crossed, continuing validation...`);
-                }
-                resolve(fs.existsSync(summaryPath));
-            } else {
-                console.error(`      ❌ K6 process exited with code ${code}`);
-                resolve(false);
-            }
-        });
+    // Start from empty raw files so live monitoring never reads a previous run
+    [rawJsonPath, ...outputs.map(output => output.rawJsonPath)].forEach(file => {
+        if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
 
-        k6Process.on('error', (err) => {
-            console.error(`      ❌ Failed to start K6 process: ${err.message}`);
-            resolve(false);
+    const runs = outputs.map((output, i) => spawnK6([
+        'run',
+        `--out`, `json=${output.rawJsonPath}`,
+        `--summary-export=${output.summaryPath}`,
+        ...(output.segment ? ['--execution-segment', output.segment, '--execution-segment-sequence', sequence] : []),
+        // One progress bar is enough
+        ...(i > 0 ? ['--quiet'] : []),
+        '-e', `TARGET_URL=${targetUrl}`,
+        '-e', `PROFILE=${profile}`,
+        '-e', `PROFILE_CONFIG=${JSON.stringify(options.profileConfig || {})}`,
+        '-e', `SLA_THRESHOLDS=${JSON.stringify(thresholds)}`,
+        ...(options.scenarioFile ? ['-e', `SCENARIO_FILE=${options.scenarioFile}`] : []),
+        // k6 can only parse JSON; SCENARIO_FILE still locates the data, proto and GraphQL files of YAML scenarios
+        ...(options.scenario && isYamlScenario(options.scenarioFile) ? ['-e', `SCENARIO_JSON=${JSON.stringify(options.scenario)}`] : []),
+        ...(options.targetRps ? ['-e', `TARGET_RPS=${options.targetRps}`] : []),
+        scriptPath
+    ]));
+    const stopAll = reason => runs.forEach(run => run.stop(reason));
+    const liveMonitor = options.live ? monitorK6Process(outputs.map(output => output.rawJsonPath), options.live, stopAll) : null;
+
+    const codes = await Promise.all(runs.map(async (run, i) => {
+        const code = await run.done;
+        // The other segments alone would not produce the planned load
+        if (!finishedWithSummary(code, run) && parallel > 1) stopAll(`K6 process ${i + 1}/${parallel} exited with code ${code}`);
+        else if (code === SCRIPT_ABORT_EXIT_CODE && parallel > 1) stopAll(run.abortReason);
+        return code;
+    }));
+    if (liveMonitor) liveMonitor.stop();
+
+    const abortReason = runs.map(run => run.abortReason).find(reason => reason !== null) || null;
+    const exitCode = codes.find(code => code !== 0) ?? 0;
+    const result = { ...outcome, exitCode, aborted: abortReason !== null, abortReason };
+    const failed = codes.map((code, i) => ({ code, i })).filter(({ code, i }) => !finishedWithSummary(code, runs[i]));
+
+    if (failed.length > 0) {
+        failed.forEach(({ code, i }) => {
+            console.error(`      ❌ K6 process${parallel > 1 ? ` ${i + 1}/${parallel}` : ''} exited with code ${code}`);
         });
-    });
+        return result;
+    }
+    if (codes.includes(THRESHOLDS_FAILED_EXIT_CODE)) {
+        console.warn(`      ⚠️  K6 execution finished with SLA threshold crossed, continuing validation...`);
+    }
+
+    if (parallel > 1) {
+        try {
+            await mergeK6Results(outputs, summaryPath, rawJsonPath);
+            console.log(`      -> Merged the results of ${parallel} k6 processes`);
+        } catch (e) {
+            console.error(`      ❌ Failed to merge parallel K6 results: ${e.message}`);
+            return result;
+        }
+    }
+
+    // Running out of data is the planned end of such a test, not an abort (a live SLA stop still is)
+    if (result.aborted && runs.every(run => [null, SCRIPT_ABORT_REASON].includes(run.abortReason)) && endedByExhaustedData(summaryPath)) {
+        console.log(`      -> K6 ended the test: a data source ran out of rows (onExhausted: "stop")`);
+        return { ...result, success: true, aborted: false, abortReason: null };
+    }
+    if (result.aborted) {
+        console.warn(`      ⚠️  K6 stopped early, validating partial results...`);
+    }
+    return { ...result, success: fs.existsSync(summaryPath) };
+}
+
+/**
+ * Summary Trend stats in the shape of the raw per-endpoint stats: { avg, min, max, p50, p90, p95, p99 }
+ */
+function trendSummary(stats) {
+    return {
+        avg: stats.avg || 0,
+        min: stats.min || 0,
+        max: stats.max || 0,
+        p50: stats.med ?? stats['p(50)'] ?? 0,
+        p90: stats['p(90)'] || 0,
+        p95: stats['p(95)'] || 0,
+        p99: stats['p(99)'] || 0
+    };
+}
+
+/**
+ * gRPC, WebSocket and GraphQL activity of the run, for the protocols whose k6 metrics are in the summary
+ * @returns {object} { grpc: { requests, duration }, ws: { sessions, connecting, sessionDuration, messagesSent,
+ *   messagesReceived, messageLatency }, graphql: { requests, errors, errorRate } }, without the protocols (and stats)
+ *   that were not used
+ */
+function extractProtocolMetrics(summary, endpoints) {
+    const protocols = {};
+    const m = summary.metrics;
+
+    if (m.grpc_req_duration) {
+        // Summary Trends have no count; the raw output counts the calls per endpoint
+        const calls = endpoints.filter(ep => ep.protocol === 'grpc');
+        protocols.grpc = {
+            requests: calls.length > 0 ? calls.reduce((sum, ep) => sum + (ep.count || 0), 0) : null,
+            duration: trendSummary(m.grpc_req_duration)
+        };
+    }
+
+    if (m.ws_sessions) {
+        protocols.ws = {
+            sessions: m.ws_sessions.count || 0,
+            messagesSent: m.ws_msgs_sent?.count || 0,
+            messagesReceived: m.ws_msgs_received?.count || 0
+        };
+        [['connecting', 'ws_connecting'], ['sessionDuration', 'ws_session_duration'], ['messageLatency', 'ws_message_latency']]
+            .filter(([, metric]) => m[metric])
+            .forEach(([key, metric]) => {
+                protocols.ws[key] = trendSummary(m[metric]);
+            });
+    }
+
+    if (m.graphql_errors) {
+        // One graphql_errors sample per operation request, set when the response carried GraphQL errors
+        const requests = (m.graphql_errors.passes || 0) + (m.graphql_errors.fails || 0);
+        protocols.graphql = {
+            requests,
+            errors: m.graphql_errors.passes || 0,
+            errorRate: requests > 0 ? ((m.graphql_errors.passes || 0) / requests) * 100 : 0
+        };
+    }
+    return protocols;
 }
 
-function extractK6Metrics(summary) {
+/**
+ * Performance metrics of a k6 summary
+ * @param {object} rawResults - Parsed raw NDJSON output (see parseRawOutput), source of the per-endpoint breakdown
+ * @param {object} trends - Trend name -> label of the response time Trends scenario endpoints declare (see endpointTrends),
+ *   the per-endpoint breakdown when there is no raw output
+ */
+function extractK6Metrics(summary, rawResults = null, trends = DEFAULT_ENDPOINT_TRENDS) {
     console.log(`\n[2/6] 📊 Extracting Performance Metrics...`);
 
     const metrics = {
@@ -57,9 +307,14 @@ function extractK6Metrics(summary) {
         errorRate: 0,
         throughput: 0,
         totalRequests: 0,
-        iterations: 0
+        iterations: 0,
+        droppedIterations: 0
     };
 
+    // Every summary metric, so SLA rules can reference custom Trends/Rates/Counters by name
+    metrics.summaryMetrics = { ...summary.metrics };
+    metrics.allMetrics = collectMetrics(summary);
+
     if (summary.metrics.http_req_duration) {
         const duration = summary.metrics.http_req_duration;
         metrics.p50ResponseTime = duration['med'] || duration['p(50)'] || 0;
@@ -86,36 +341,40 @@ function extractK6Metrics(summary) {
         metrics.iterations = summary.metrics.iterations.count || 0;
     }
 
-    // Extract Specific Checks Info
-    metrics.checksData = [];
-    if (summary.root_group && Array.isArray(summary.root_group.checks)) {
-        summary.root_group.checks.forEach(check => {
-            const checkName = check.name || 'Unknown Check';
-            metrics.checksData.push({
-                name: checkName,
-                passes: check.passes,
-                fails: check.fails
-            });
-        });
-    } else if (summary.root_group && summary.root_group.checks && typeof summary.root_group.checks === 'object') {
-        Object.values(summary.root_group.checks).forEach(check => {
-            const checkName = check.name || 'Unknown Check';
-            metrics.checksData.push({
-                name: checkName,
-                passes: check.passes,
-                fails: check.fails
-            });
-        });
+    // Only emitted by arrival-rate executors when no VU was free to start an iteration
+    if (summary.metrics.dropped_iterations) {
+        metrics.droppedIterations = summary.metrics.dropped_iterations.count || 0;
     }
 
-    // Additional Custom metrics extraction from k6
+    // Where the request time goes (DNS/connect, TLS, TTFB, download), in the same stats as the raw per-endpoint timings
+    metrics.timings = {};
+    Object.entries(TIMING_METRICS).forEach(([metric, key]) => {
+        if (summary.metrics[metric]) metrics.timings[key] = trendSummary(summary.metrics[metric]);
+    });
+
+    // Checks of the root group and every nested group, with their group path
+    metrics.checksData = collectChecks(summary.root_group);
+
+    // Per-endpoint breakdown from the raw NDJSON output, falling back to the custom Trends
     metrics.endpoints = [];
-    if (summary.metrics.browse_duration) {
-        metrics.endpoints.push({ name: 'GET /posts (Browse/List)', avgDur: summary.metrics.browse_duration.avg?.toFixed(2) || 0 });
-    }
-    if (summary.metrics.api_duration) {
-        metrics.endpoints.push({ name: 'API Dynamic endpoints (GET/POST)', avgDur: summary.metrics.api_duration.avg?.toFixed(2) || 0 });
+    if (rawResults && rawResults.endpoints.length > 0) {
+        metrics.endpoints = rawResults.endpoints;
+    } else {
+        Object.entries(trends)
+            .filter(([trend]) => summary.metrics[trend])
+            .forEach(([trend, label]) => {
+                metrics.endpoints.push({ name: label, avgDur: summary.metrics[trend].avg?.toFixed(2) || 0 });
+            });
     }
+    metrics.latencySketches = rawResults?.latencySketches || null;
+    metrics.phases = rawResults?.phases || {};
+    metrics.timeline = rawResults?.timeline || null;
+    // gRPC and WebSocket metrics next to the HTTP ones
+    metrics.protocols = extractProtocolMetrics(summary, metrics.endpoints);
+    // Completion rate and end-to-end duration of every journey
+    metrics.journeys = rawResults?.journeys || [];
+    // Failed requests by status class, status code and k6 error_code, and failed checks (see errorTaxonomy.js)
+    metrics.errorBreakdown = rawResults?.errors?.requests > 0 ? rawResults.errors : null;
 
     console.log(`      -> P50 Response Time: ${metrics.p50ResponseTime.toFixed(2)} ms`);
     console.log(`      -> P90 Response Time: ${metrics.p90ResponseTime.toFixed(2)} ms`);
@@ -125,8 +384,51 @@ function extractK6Metrics(summary) {
     console.log(`      -> Error Rate: ${metrics.errorRate.toFixed(2)}%`);
     console.log(`      -> Throughput: ${metrics.throughput.toFixed(2)} req/s`);
     console.log(`      -> Total Requests: ${metrics.totalRequests}`);
+    const breakdown = metrics.errorBreakdown;
+    if (breakdown && (breakdown.failed > 0 || breakdown.checks.failed > 0)) {
+        const categoryLine = Object.entries(breakdown.categories).map(([key, { count }]) => `${key} ${count}`).join(' | ');
+        const graphqlLine = breakdown.graphql?.count > 0 ? ` | GraphQL Errors: ${breakdown.graphql.count}` : '';
+        console.log(`      -> Failed Requests: ${breakdown.failed}${categoryLine ? ` (${categoryLine})` : ''}${graphqlLine} | Failed Checks: ${breakdown.checks.failed}`);
+    }
+    if (metrics.timings.waiting) {
+        const timingLine = Object.entries(metrics.timings).map(([key, stats]) => `${key} ${stats.avg.toFixed(2)}`).join(' | ');
+        console.log(`      -> Timings (avg ms): ${timingLine}`);
+    }
+    if (metrics.protocols.grpc) {
+        const { requests, duration } = metrics.protocols.grpc;
+        console.log(`      -> gRPC: P95 ${duration.p95.toFixed(2)} ms | P99 ${duration.p99.toFixed(2)} ms${requests !== null ? ` | Requests: ${requests}` : ''}`);
+    }
+    if (metrics.protocols.ws) {
+        const { sessions, messagesSent, messagesReceived, messageLatency } = metrics.protocols.ws;
+        const latency = messageLatency ? ` | Message Latency P95: ${messageLatency.p95.toFixed(2)} ms` : '';
+        console.log(`      -> WebSocket: ${sessions} sessions | Messages sent/received: ${messagesSent}/${messagesReceived}${latency}`);
+    }
+    if (metrics.protocols.graphql) {
+        const { requests, errors, errorRate } = metrics.protocols.graphql;
+        console.log(`      -> GraphQL: ${requests} operations | Responses with errors: ${errors} (${errorRate.toFixed(2)}%)`);
+    }
+    const custom = Object.values(metrics.allMetrics).filter(metric => metric.custom);
+    if (custom.length > 0) {
+        console.log(`      -> Custom Metrics: ${custom.length} (${[...new Set(custom.map(metric => metric.name))].join(', ')})`);
+    }
+    if (metrics.droppedIterations > 0) {
+        console.log(`      ⚠️  Dropped Iterations: ${metrics.droppedIterations} (not enough VUs to sustain the arrival rate)`);
+    }
+
+    const window = metrics.phases.measurement;
+    if (window && window.count > 0) {
+        console.log(`      -> Measurement Window: P95 ${window.p95.toFixed(2)} ms | Error Rate: ${window.errorRate.toFixed(2)}% | Throughput: ${window.throughput.toFixed(2)} req/s`);
+    }
+
+    metrics.endpoints.filter(ep => ep.p95 !== undefined).forEach(ep => {
+        console.log(`      -> [${ep.name}] P95: ${ep.p95.toFixed(2)} ms | Error Rate: ${ep.errorRate.toFixed(2)}% | Requests: ${ep.count}`);
+    });
+    metrics.journeys.forEach(journey => {
+        const duration = journey.duration ? ` | P95: ${journey.duration.p95.toFixed(2)} ms` : '';
+        console.log(`      -> [journey ${journey.name}] Completed: ${journey.completionRate.toFixed(2)}% (${journey.completed}/${journey.runs})${duration}`);
+    });
 
     return metrics;
 }
 
-module.exports = { runK6LoadTest, extractK6Metrics };
+module.exports = { runK6LoadTest, extractK6Metrics, stopK6Runs, killK6Runs, buildExecutionSegments };
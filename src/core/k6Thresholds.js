@@ -0,0 +1,80 @@
+const { resolveRules } = require('./slaValidator');
+
+// Extracted metric fields mapped back onto the k6 metric and aggregate they are read from
+const EXTRACTED_METRICS = {
+    p50ResponseTime: { metric: 'http_req_duration', aggregate: 'med' },
+    p90ResponseTime: { metric: 'http_req_duration', aggregate: 'p(90)' },
+    p95ResponseTime: { metric: 'http_req_duration', aggregate: 'p(95)' },
+    p99ResponseTime: { metric: 'http_req_duration', aggregate: 'p(99)' },
+    avgResponseTime: { metric: 'http_req_duration', aggregate: 'avg' },
+    minResponseTime: { metric: 'http_req_duration', aggregate: 'min' },
+    maxResponseTime: { metric: 'http_req_duration', aggregate: 'max' },
+    errorRate: { metric: 'errors', aggregate: 'percent' },
+    throughput: { metric: 'http_reqs', aggregate: 'rate' },
+    totalRequests: { metric: 'http_reqs', aggregate: 'count' },
+    iterations: { metric: 'iterations', aggregate: 'count' },
+    droppedIterations: { metric: 'dropped_iterations', aggregate: 'count' }
+};
+
+// Aggregates k6 understands in threshold expressions
+const K6_AGGREGATES = ['avg', 'min', 'max', 'med', 'count', 'rate', 'value'];
+
+/**
+ * Translate one rule into a k6 threshold expression
+ * @returns {object|null} { metric, expression } or null when k6 cannot evaluate the rule
+ */
+function toK6Threshold(rule) {
+    // k6 evaluates thresholds over the whole run, so phase-scoped rules are validated after the run only;
+    // infrastructure and error taxonomy metrics do not exist in k6
+    if (rule.type === 'regression' || rule.phase || rule.metric.startsWith('infra.') || rule.metric.startsWith('errors.')) return null;
+
+    const source = EXTRACTED_METRICS[rule.metric] || { metric: rule.metric, aggregate: rule.aggregate };
+    let { aggregate } = source;
+    let threshold = rule.threshold;
+
+    // Percentages are reported as 0-100 but k6 Rates are 0-1
+    if (aggregate === 'percent') {
+        aggregate = 'rate';
+        threshold = threshold / 100;
+    }
+    if (aggregate === 'p(50)') aggregate = 'med';
+    if (!aggregate || (!K6_AGGREGATES.includes(aggregate) && !/^p\(\d+(\.\d+)?\)$/.test(aggregate))) return null;
+
+    const metric = rule.endpoint ? `${source.metric}{endpoint:${rule.endpoint}}` : source.metric;
+    return { metric, expression: `${aggregate}${rule.operator}${threshold}` };
+}
+
+/**
+ * Build the k6 `thresholds` option from the SLA rules that apply to a profile
+ * Only critical rules are passed on, so k6 fails (exit code 99) exactly when the validator would.
+ * @param {object} slaConfig - Contents of sla.json
+ * @param {string} runProfile - Active workload profile
+ * @returns {object} Thresholds keyed by k6 metric name
+ */
+function buildK6Thresholds(slaConfig, runProfile) {
+    const profileSla = slaConfig.profiles?.[runProfile] || {};
+    const thresholds = {};
+
+    resolveRules(slaConfig, runProfile)
+        .filter(rule => rule.severity === 'critical')
+        .forEach(rule => {
+            const k6Threshold = toK6Threshold(rule);
+            if (!k6Threshold) return;
+
+            const abortOnFail = rule.abort_on_fail ?? profileSla.abort_on_fail ?? false;
+            const entry = abortOnFail
+                ? {
+                    threshold: k6Threshold.expression,
+                    abortOnFail: true,
+                    delayAbortEval: rule.delay_abort_eval || profileSla.delay_abort_eval || '10s'
+                }
+                : k6Threshold.expression;
+
+            if (!thresholds[k6Threshold.metric]) thresholds[k6Threshold.metric] = [];
+            thresholds[k6Threshold.metric].push(entry);
+        });
+
+    return thresholds;
+}
+
+module.exports = { buildK6Thresholds };
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+const { OPERATORS } = require('./slaValidator');
+const { parseDuration } = require('../utils/duration');
+const { percentile } = require('../utils/stats');
+
+const DEFAULT_LIVE_CONFIG = { window: '60s', sustain: '30s', check_interval: '5s', min_samples: 20 };
+
+// Rolling-window values live rules can reference
+const LIVE_METRICS = {
+    p50ResponseTime: { label: 'P50 Response Time (ms)', value: w => percentile(w.sorted, 50) },
+    p90ResponseTime: { label: 'P90 Response Time (ms)', value: w => percentile(w.sorted, 90) },
+    p95ResponseTime: { label: 'P95 Response Time (ms)', value: w => percentile(w.sorted, 95) },
+    p99ResponseTime: { label: 'P99 Response Time (ms)', value: w => percentile(w.sorted, 99) },
+    errorRate: { label: 'Error Rate (%)', value: w => (w.outcomes > 0 ? (w.failed / w.outcomes) * 100 : 0) },
+    // Over the time covered so far: the first window of a run is not full yet
+    throughput: { label: 'Throughput (req/s)', value: w => (w.spanMs > 0 ? w.requests / (w.spanMs / 1000) : 0) }
+};
+
+/**
+ * Live monitoring settings for a profile, or null when there are no live rules
+ * @param {object} slaConfig - Contents of sla.json (`live` block)
+ * @param {string} runProfile - Active workload profile
+ */
+function resolveLiveConfig(slaConfig, runProfile) {
+    const live = slaConfig.live;
+    const rules = (live?.rules || []).filter(rule => !rule.profiles || rule.profiles.includes(runProfile));
+    if (rules.length === 0) return null;
+
+    rules.forEach(rule => {
+        if (!LIVE_METRICS[rule.metric]) {
+            throw new Error(`Live rule metric "${rule.metric}" must be one of ${Object.keys(LIVE_METRICS).join(', ')}`);
+        }
+        if (!OPERATORS[rule.operator]) throw new Error(`Live rule for "${rule.metric}" has unknown operator "${rule.operator}"`);
+    });
+    return { ...DEFAULT_LIVE_CONFIG, ...live, rules };
+}
+
+/**
+ * Evaluate rolling-window SLAs over k6 NDJSON points as they arrive
+ * Time is taken from the points and keeps running with the wall clock between them, so a breach is "sustained"
+ * after `sustain` of test time even when the output stalls.
+ * @param {object} config - Resolved live config (see resolveLiveConfig)
+ */
+function createLiveMonitor(config) {
+    const windowMs = parseDuration(config.window);
+    const sustainMs = parseDuration(config.sustain);
+    let durations = [];
+    // Same source as the post-run errorRate: the script's `errors` Rate, or http_req_failed without one
+    let outcomes = { errors: [], http_req_failed: [] };
+    let first = Infinity;
+    let latest = -Infinity;
+    let latestSeenAt = null;
+    let breachSince = null;
+
+    function add(line) {
+        if (!line || line.type !== 'Point' || !line.data) return;
+        const time = Date.parse(line.data.time);
+        if (line.metric === 'http_req_duration') {
+            durations.push([time, line.data.value]);
+        } else if (outcomes[line.metric]) {
+            outcomes[line.metric].push([time, line.data.value]);
+        } else {
+            return;
+        }
+        if (time < first) first = time;
+        if (time > latest) {
+            latest = time;
+            latestSeenAt = Date.now();
+        }
+    }
+
+    /**
+     * @param {number} [now] - Wall time of the check; without it the clock stops at the latest point
+     */
+    function evaluate(now) {
+        const clock = now === undefined || latestSeenAt === null ? latest : latest + Math.max(0, now - latestSeenAt);
+        const cutoff = clock - windowMs;
+        durations = durations.filter(([time]) => time > cutoff);
+        outcomes = {
+            errors: outcomes.errors.filter(([time]) => time > cutoff),
+            http_req_failed: outcomes.http_req_failed.filter(([time]) => time > cutoff)
+        };
+        const errorOutcomes = outcomes.errors.length > 0 ? outcomes.errors : outcomes.http_req_failed;
+
+        const window = {
+            sorted: Float64Array.from(durations.map(([, value]) => value)).sort(),
+            requests: durations.length,
+            outcomes: errorOutcomes.length,
+            failed: errorOutcomes.filter(([, value]) => value).length,
+            spanMs: Math.min(windowMs, clock - first)
+        };
+        if (window.requests < config.min_samples) {
+            breachSince = null;
+            return { breached: false, sustained: false, failures: [] };
+        }
+
+        const failures = config.rules
+            .map(rule => ({ rule, label: LIVE_METRICS[rule.metric].label, value: LIVE_METRICS[rule.metric].value(window) }))
+            .filter(({ rule, value }) => !OPERATORS[rule.operator](value, rule.threshold));
+        if (failures.length === 0) {
+            breachSince = null;
+            return { breached: false, sustained: false, failures };
+        }
+
+        const started = breachSince === null;
+        if (started) breachSince = clock;
+        const sustained = clock - breachSince >= sustainMs;
+        const details = failures
+            .map(f => `${f.label} ${f.value.toFixed(2)} (threshold: ${f.rule.operator} ${f.rule.threshold})`)
+            .join(', ');
+        return {
+            breached: true,
+            started,
+            sustained,
+            failures,
+            details,
+            reason: `${details} over a rolling ${config.window} window for ${config.sustain}`
+        };
+    }
+
+    return { add, evaluate };
+}
+
+/**
+ * Incrementally read complete NDJSON lines appended to a file
+ * @param {string} filePath - File being written by k6 (`--out json=...`)
+ * @param {function} onLine - Called with each parsed line
+ */
+function createTail(filePath, onLine) {
+    let position = 0;
+    let remainder = '';
+    let decoder = new StringDecoder('utf-8');
+
+    function poll() {
+        if (!fs.existsSync(filePath)) return;
+        const { size } = fs.statSync(filePath);
+        // The file was recreated (k6 truncates it on start)
+        if (size < position) {
+            position = 0;
+            remainder = '';
+            decoder = new StringDecoder('utf-8');
+        }
+        if (size === position) return;
+
+        const buffer = Buffer.alloc(size - position);
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, position);
+        } finally {
+            fs.closeSync(fd);
+        }
+        position = size;
+
+        const lines = (remainder + decoder.write(buffer)).split('\n');
+        remainder = lines.pop();
+        lines.forEach(line => {
+            if (!line.trim()) return;
+            try {
+                onLine(JSON.parse(line));
+            } catch (e) {
+                // malformed lines are reported by the post-run parser
+            }
+        });
+    }
+
+    return { poll };
+}
+
+/**
+ * Watch the raw output of running k6 processes and request an abort on a sustained breach
+ * @param {Array<string>} rawJsonPaths - Raw output files k6 writes to (one per process)
+ * @param {object} config - Resolved live config
+ * @param {function} abort - Called once with the abort reason; stops k6 gracefully so partial results are kept
+ * @returns {object} { stop } to end the monitoring
+ */
+function monitorK6Process(rawJsonPaths, config, abort) {
+    const monitor = createLiveMonitor(config);
+    const tails = rawJsonPaths.map(rawJsonPath => createTail(rawJsonPath, monitor.add));
+    let aborted = false;
+
+    console.log(`      -> Live SLA monitoring: ${config.rules.length} rule(s), ${config.window} window, abort after ${config.sustain}`);
+    const timer = setInterval(() => {
+        tails.forEach(tail => tail.poll());
+        const result = monitor.evaluate(Date.now());
+        if (result.started) console.warn(`      ⚠️  Live SLA breach: ${result.details}`);
+        if (result.sustained && !aborted) {
+            aborted = true;
+            abort(`Live SLA breach: ${result.reason}`);
+        }
+    }, parseDuration(config.check_interval));
+
+    return {
+        stop() {
+            clearInterval(timer);
+        }
+    };
+}
+
+module.exports = { LIVE_METRICS, resolveLiveConfig, createLiveMonitor, createTail, monitorK6Process };
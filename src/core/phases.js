@@ -0,0 +1,72 @@
+const { parseDuration } = require('../utils/duration');
+
+const PHASE_KINDS = ['ramp_up', 'steady', 'ramp_down'];
+const MEASUREMENT_WINDOW = 'measurement';
+
+/**
+ * Split a workload into its stages, with offsets in milliseconds from the start of the test
+ * @param {object} workload - Resolved profile workload (see resolveProfile)
+ * @returns {Array<object>} [{ name: stage_1, kind: ramp_up|steady|ramp_down, start, end }]
+ */
+function buildStages(workload) {
+    if (!workload.stages) {
+        const duration = parseDuration(workload.duration);
+        return duration ? [{ name: 'stage_1', kind: 'steady', start: 0, end: duration }] : [];
+    }
+
+    // Ramping VUs start from 0 (or startVUs), ramping arrival rates from startRate
+    let previous = workload.startRate ?? workload.startVUs ?? 0;
+    let offset = 0;
+    return workload.stages.map((stage, i) => {
+        const start = offset;
+        offset += parseDuration(stage.duration);
+        const kind = stage.target > previous ? 'ramp_up' : stage.target < previous ? 'ramp_down' : 'steady';
+        previous = stage.target;
+        return { name: `stage_${i + 1}`, kind, start, end: offset };
+    });
+}
+
+/**
+ * Join ranges that follow each other without a gap, e.g. two consecutive steady stages
+ */
+function mergeAdjacentRanges(ranges) {
+    return ranges.reduce((merged, [start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+        else merged.push([start, end]);
+        return merged;
+    }, []);
+}
+
+/**
+ * Time windows that phase-scoped SLA rules can target: every stage, every stage kind and the measurement window
+ * @param {object} workload - Resolved profile workload
+ * @param {object} measurementWindow - `{ phase }` or `{ start, end }` durations; defaults to the steady-state stages
+ * @returns {object} Window name -> [[startMs, endMs], ...]
+ */
+function buildPhaseWindows(workload, measurementWindow = { phase: 'steady' }) {
+    const stages = buildStages(workload);
+    const windows = {};
+    stages.forEach(stage => {
+        windows[stage.name] = [[stage.start, stage.end]];
+        windows[stage.kind] = [...(windows[stage.kind] || []), [stage.start, stage.end]];
+    });
+
+    const total = stages.length > 0 ? stages[stages.length - 1].end : Infinity;
+    if (measurementWindow.phase) {
+        const ranges = windows[measurementWindow.phase];
+        // Each stage of the phase stays its own range, so the ramps between two steady stages are not measured;
+        // a profile without the requested phase (e.g. a pure ramp) is measured over the whole test
+        windows[MEASUREMENT_WINDOW] = ranges ? mergeAdjacentRanges(ranges) : [[0, total]];
+    } else {
+        const start = parseDuration(measurementWindow.start ?? 0);
+        const end = measurementWindow.end !== undefined ? parseDuration(measurementWindow.end) : total;
+        if (start === null || end === null || end <= start) {
+            throw new Error(`Invalid measurement window ${JSON.stringify(measurementWindow)}: expected start < end durations`);
+        }
+        windows[MEASUREMENT_WINDOW] = [[start, end]];
+    }
+    return windows;
+}
+
+module.exports = { PHASE_KINDS, MEASUREMENT_WINDOW, buildStages, buildPhaseWindows };
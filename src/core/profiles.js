@@ -0,0 +1,155 @@
+const fs = require('fs');
+const { parseDuration } = require('../utils/duration');
+const { PHASE_KINDS } = require('./phases');
+
+const EXECUTORS = ['constant-arrival-rate', 'ramping-arrival-rate', 'constant-vus', 'ramping-vus'];
+// Registry keys that describe the profile rather than the k6 workload
+const META_KEYS = ['description', 'sla', 'template', 'measurementWindow'];
+
+// Built-in templates expand a few parameters into a full k6 workload
+const TEMPLATES = {
+    soak: ({ vus = 50, duration = '4h', rampUp = '10m', rampDown = '5m' }) => ({
+        stages: [
+            { duration: rampUp, target: vus },
+            { duration, target: vus },
+            { duration: rampDown, target: 0 }
+        ]
+    }),
+    breakpoint: ({ startRate = 10, maxRate = 1000, duration = '30m', timeUnit = '1s', preAllocatedVUs = 50, maxVUs = maxRate }) => ({
+        executor: 'ramping-arrival-rate',
+        startRate,
+        timeUnit,
+        preAllocatedVUs,
+        maxVUs,
+        stages: [{ duration, target: maxRate }]
+    })
+};
+
+function validateStages(stages, where, errors) {
+    if (!Array.isArray(stages) || stages.length === 0) {
+        errors.push(`${where}.stages must be a non-empty array`);
+        return;
+    }
+    stages.forEach((stage, i) => {
+        if (parseDuration(stage.duration) === null) errors.push(`${where}.stages[${i}].duration "${stage.duration}" is not a valid duration`);
+        if (typeof stage.target !== 'number' || stage.target < 0) errors.push(`${where}.stages[${i}].target must be a non-negative number`);
+    });
+}
+
+function validateWorkload(workload, where) {
+    const errors = [];
+
+    if (workload.executor === undefined) {
+        validateStages(workload.stages, where, errors);
+        return errors;
+    }
+
+    if (!EXECUTORS.includes(workload.executor)) {
+        errors.push(`${where}.executor must be one of ${EXECUTORS.join(', ')}`);
+        return errors;
+    }
+    if (workload.executor === 'constant-arrival-rate' && !(workload.rate > 0)) {
+        errors.push(`${where}.rate must be a positive number`);
+    }
+    if (workload.executor === 'constant-vus' && !(workload.vus > 0)) {
+        errors.push(`${where}.vus must be a positive number`);
+    }
+    if (workload.executor.endsWith('-arrival-rate') && !(workload.preAllocatedVUs > 0)) {
+        errors.push(`${where}.preAllocatedVUs must be a positive number`);
+    }
+    if (workload.executor.startsWith('constant-') && parseDuration(workload.duration) === null) {
+        errors.push(`${where}.duration "${workload.duration}" is not a valid duration`);
+    }
+    if (workload.executor.startsWith('ramping-')) validateStages(workload.stages, where, errors);
+    return errors;
+}
+
+function validateMeasurementWindow(window, where) {
+    if (window.phase !== undefined) {
+        return PHASE_KINDS.includes(window.phase) || /^stage_\d+$/.test(window.phase)
+            ? []
+            : [`${where}.measurementWindow.phase must be one of ${PHASE_KINDS.join(', ')} or stage_<n>`];
+    }
+    const start = parseDuration(window.start ?? 0);
+    const end = window.end === undefined ? Infinity : parseDuration(window.end);
+    if (start === null || end === null || end <= start) {
+        return [`${where}.measurementWindow needs a phase or start < end durations`];
+    }
+    return [];
+}
+
+/**
+ * Load the profile registry
+ * @param {string} filePath - Path to profiles.json (or a user-defined registry)
+ */
+function loadProfiles(filePath) {
+    if (!fs.existsSync(filePath)) throw new Error(`Profiles file not found: ${filePath}`);
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (e) {
+        throw new Error(`Profiles file ${filePath} is not valid JSON: ${e.message}`);
+    }
+}
+
+/**
+ * Resolve a profile from the registry, expanding templates
+ * @param {object} registry - Profiles keyed by name
+ * @param {string} name - Profile requested with --profile
+ * @returns {object} { name, description, workload: k6 stages or executor settings, sla, measurementWindow }
+ * @throws {Error} When the profile is unknown or its definition is invalid
+ */
+function resolveProfile(registry, name) {
+    const definition = registry[name];
+    if (!definition) {
+        throw new Error(`Unknown profile "${name}". Available profiles: ${Object.keys(registry).join(', ')}`);
+    }
+
+    const params = Object.fromEntries(Object.entries(definition).filter(([key]) => !META_KEYS.includes(key)));
+    let workload = params;
+    if (definition.template) {
+        const template = TEMPLATES[definition.template];
+        if (!template) {
+            throw new Error(`Profile "${name}" uses unknown template "${definition.template}" (available: ${Object.keys(TEMPLATES).join(', ')})`);
+        }
+        workload = template(params);
+    }
+
+    const errors = validateWorkload(workload, name);
+    if (definition.measurementWindow) errors.push(...validateMeasurementWindow(definition.measurementWindow, name));
+    if (errors.length > 0) {
+        throw new Error(`Invalid profile "${name}":\n${errors.map(err => `   - ${err}`).join('\n')}`);
+    }
+
+    return {
+        name,
+        description: definition.description || '',
+        workload,
+        sla: definition.sla || {},
+        measurementWindow: definition.measurementWindow
+    };
+}
+
+/**
+ * Planned wall-clock duration of a workload in milliseconds
+ */
+function estimateDuration(workload) {
+    if (workload.stages) return workload.stages.reduce((sum, stage) => sum + parseDuration(stage.duration), 0);
+    return parseDuration(workload.duration) || 0;
+}
+
+/**
+ * Apply a profile's SLA overrides on top of sla.json `profiles` (registry values win)
+ * @param {object} slaConfig - Contents of sla.json
+ * @param {object} profile - Resolved profile
+ */
+function applyProfileSla(slaConfig, profile) {
+    return {
+        ...slaConfig,
+        profiles: {
+            ...slaConfig.profiles,
+            [profile.name]: { ...slaConfig.profiles?.[profile.name], ...profile.sla }
+        }
+    };
+}
+
+module.exports = { TEMPLATES, loadProfiles, resolveProfile, estimateDuration, applyProfileSla };
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const readline = require('readline');
+const { createSketch, addToSketch, sketchQuantile } = require('../utils/stats');
+const { createErrorCollector } = require('./errorTaxonomy');
+
+const UNTAGGED_ENDPOINT = 'untagged';
+const DEFAULT_TIMELINE_INTERVAL = 10000;
+
+// HTTP timing phases of a request in order (http_req_duration = sending + waiting + receiving), keyed for reports
+const TIMING_METRICS = {
+    http_req_blocked: 'blocked',
+    http_req_connecting: 'connecting',
+    http_req_tls_handshaking: 'tlsHandshaking',
+    http_req_sending: 'sending',
+    http_req_waiting: 'waiting',
+    http_req_receiving: 'receiving'
+};
+
+// Latency samples of gRPC and WebSocket endpoints, counted like http_req_duration in their endpoint's stats
+const PROTOCOL_DURATION_METRICS = ['grpc_req_duration', 'ws_message_latency'];
+// Successful outcomes: gRPC status OK, WebSocket handshake 101 Switching Protocols
+const GRPC_STATUS_OK = '0';
+const WS_STATUS_OK = '101';
+
+function createLatency() {
+    return { sketch: createSketch(), sum: 0 };
+}
+
+/**
+ * Add a sample to a latency distribution, kept as a sketch (plus the sum for the average) to bound memory
+ */
+function addSample(latency, value) {
+    latency.sum += value;
+    addToSketch(latency.sketch, value);
+}
+
+function addTiming(timings, key, value) {
+    if (!timings[key]) timings[key] = createLatency();
+    addSample(timings[key], value);
+}
+
+/**
+ * { count, avg, min, max, p50, p90, p95, p99 } of a sketch and the sum of its samples (all 0 without samples)
+ */
+function sketchStats({ sketch, sum }) {
+    if (sketch.count === 0) return { count: 0, avg: 0, min: 0, max: 0, p50: 0, p90: 0, p95: 0, p99: 0 };
+    return {
+        count: sketch.count,
+        avg: sum / sketch.count,
+        min: sketch.min,
+        max: sketch.max,
+        p50: sketchQuantile(sketch, 0.5),
+        p90: sketchQuantile(sketch, 0.9),
+        p95: sketchQuantile(sketch, 0.95),
+        p99: sketchQuantile(sketch, 0.99)
+    };
+}
+
+/**
+ * Stats of every recorded timing phase: phase key -> { count, avg, min, max, p50, p90, p95, p99 }
+ */
+function summarizeTimings(timings) {
+    const stats = {};
+    Object.entries(timings).forEach(([key, timing]) => {
+        stats[key] = sketchStats(timing);
+    });
+    return stats;
+}
+
+/**
+ * Completion and duration of every journey, most run first
+ * @returns {Array<object>} [{ name, runs, completed, completionRate (%), duration: stats | null, failedSteps: [{ step, count }] }]
+ */
+function summarizeJourneys(journeys) {
+    return [...journeys.values()]
+        .map(journey => ({
+            name: journey.name,
+            runs: journey.runs,
+            completed: journey.completed,
+            completionRate: journey.runs > 0 ? (journey.completed / journey.runs) * 100 : 0,
+            duration: journey.duration.sketch.count > 0 ? sketchStats(journey.duration) : null,
+            failedSteps: Object.entries(journey.failedSteps)
+                .map(([step, count]) => ({ step, count }))
+                .sort((a, b) => b.count - a.count)
+        }))
+        .sort((a, b) => b.runs - a.runs);
+}
+
+function inWindow(offset, ranges) {
+    return ranges.some(([start, end]) => offset >= start && offset < end);
+}
+
+function createTally() {
+    return { latency: createLatency(), requests: 0, failed: 0 };
+}
+
+/**
+ * Statistics of a phase window from the tallies its samples went into while parsing
+ * @param {object} window - { ranges, total: tally, endpoints: Map of endpoint key -> tally }
+ */
+function summarizeWindow(window, entries, origin) {
+    const endpoints = entries
+        .filter(entry => window.endpoints.has(entry.key))
+        .map(entry => {
+            const { latency, requests, failed } = window.endpoints.get(entry.key);
+            return {
+                name: entry.key,
+                endpoint: entry.endpoint,
+                method: entry.method,
+                ...sketchStats(latency),
+                errorRate: requests > 0 ? (failed / requests) * 100 : 0
+            };
+        })
+        .filter(ep => ep.count > 0);
+
+    const { ranges, total: { latency, requests, failed } } = window;
+    const seconds = ranges.reduce((sum, [start, end]) => sum + (end - start), 0) / 1000;
+    return {
+        ranges,
+        startTime: new Date(origin + ranges[0][0]).toISOString(),
+        endTime: new Date(origin + ranges[ranges.length - 1][1]).toISOString(),
+        ...sketchStats(latency),
+        errorRate: requests > 0 ? (failed / requests) * 100 : 0,
+        throughput: seconds > 0 ? requests / seconds : 0,
+        endpoints
+    };
+}
+
+/**
+ * Latency timeline of fixed intervals from the start of the test
+ * @returns {object} { interval, buckets: [{ start, time, count, p50, p95, p99, rps, errorRate, vus }] }
+ */
+function summarizeTimeline(buckets, origin, interval) {
+    // Array.from visits the holes left by intervals without any point
+    return {
+        interval,
+        buckets: Array.from(buckets, (bucket = { ...createTally(), vus: 0 }, i) => {
+            const { count, p50, p95, p99 } = sketchStats(bucket.latency);
+            return {
+                start: i * interval,
+                time: new Date(origin + i * interval).toISOString(),
+                count,
+                p50,
+                p95,
+                p99,
+                rps: bucket.requests / (interval / 1000),
+                errorRate: bucket.requests > 0 ? (bucket.failed / bucket.requests) * 100 : 0,
+                vus: bucket.vus
+            };
+        })
+    };
+}
+
+/**
+ * Create an aggregator for k6 NDJSON output lines (`--out json`)
+ * Points are grouped by the `endpoint` and `method` tags set in load_test.js (gRPC, WebSocket and GraphQL endpoints by
+ * their `protocol` tag instead of the method), journey outcomes by the `journey` tag; failed HTTP requests and checks are
+ * classified along the way (see errorTaxonomy.js). Samples only go into sketches and counters as they arrive, so memory
+ * does not grow with the length of the run.
+ * @param {object} options - { windows: phase name -> [[startMs, endMs]] offsets from the first point (see buildPhaseWindows),
+ *   interval: timeline bucket size in ms (default 10s) }
+ */
+function createRawAggregator(options = {}) {
+    const endpoints = new Map();
+    const journeys = new Map();
+    const globalSketch = createSketch();
+    const errors = createErrorCollector();
+    const interval = options.interval || DEFAULT_TIMELINE_INTERVAL;
+    const windows = Object.entries(options.windows || {})
+        .map(([name, ranges]) => ({ name, ranges, total: createTally(), endpoints: new Map() }));
+    const buckets = [];
+    let points = 0;
+    let origin = null;
+
+    function getEndpoint(tags = {}) {
+        const endpoint = tags.endpoint || UNTAGGED_ENDPOINT;
+        const protocol = tags.protocol || 'http';
+        const method = protocol !== 'http' ? protocol.toUpperCase() : tags.method || 'ANY';
+        const key = `${method} ${endpoint}`;
+
+        if (!endpoints.has(key)) {
+            endpoints.set(key, { key, endpoint, method, protocol, latency: createLatency(), timings: {}, requests: 0, failed: 0 });
+        }
+        return endpoints.get(key);
+    }
+
+    function getJourney(tags = {}) {
+        const name = tags.journey || UNTAGGED_ENDPOINT;
+        if (!journeys.has(name)) {
+            journeys.set(name, { name, runs: 0, completed: 0, duration: createLatency(), failedSteps: {} });
+        }
+        return journeys.get(name);
+    }
+
+    function bucketAt(offset) {
+        const index = Math.floor(offset / interval);
+        if (!buckets[index]) buckets[index] = { ...createTally(), vus: 0 };
+        return buckets[index];
+    }
+
+    /**
+     * Endpoint, timeline bucket and phase windows (global and endpoint) a sample counts in; only the endpoint without a timestamp
+     */
+    function talliesAt(offset, entry) {
+        if (offset === null) return [entry];
+        const tallies = [entry, bucketAt(offset)];
+        windows.filter(window => inWindow(offset, window.ranges)).forEach(window => {
+            if (!window.endpoints.has(entry.key)) window.endpoints.set(entry.key, createTally());
+            tallies.push(window.total, window.endpoints.get(entry.key));
+        });
+        return tallies;
+    }
+
+    function addDuration(entry, offset, value) {
+        talliesAt(offset, entry).forEach(tally => addSample(tally.latency, value));
+    }
+
+    function addOutcome(entry, offset, failed) {
+        talliesAt(offset, entry).forEach(tally => {
+            tally.requests++;
+            if (failed) tally.failed++;
+        });
+    }
+
+    function add(line) {
+        if (!line || line.type !== 'Point' || !line.data) return;
+        points++;
+
+        const { metric, data } = line;
+        // The first point (the `vus` gauge k6 writes when the test starts) marks the start of the test; k6 writes points
+        // in time order up to its flush interval, so the few slightly earlier ones count at offset 0
+        const time = Date.parse(data.time);
+        if (origin === null && Number.isFinite(time)) origin = time;
+        const offset = Number.isFinite(time) ? Math.max(0, time - origin) : null;
+
+        if (metric === 'http_req_duration') {
+            const entry = getEndpoint(data.tags);
+            addDuration(entry, offset, data.value);
+            addToSketch(globalSketch, data.value);
+        } else if (metric === 'http_req_failed') {
+            addOutcome(getEndpoint(data.tags), offset, data.value);
+        } else if (PROTOCOL_DURATION_METRICS.includes(metric)) {
+            const entry = getEndpoint(data.tags);
+            addDuration(entry, offset, data.value);
+            // Every unary call is one sample, so it also carries the call's outcome
+            if (metric === 'grpc_req_duration') addOutcome(entry, offset, data.tags?.status !== GRPC_STATUS_OK);
+        } else if (metric === 'ws_sessions') {
+            addOutcome(getEndpoint(data.tags), offset, data.tags?.status !== WS_STATUS_OK);
+        } else if (metric === 'graphql_errors') {
+            // Only set for responses http_req_failed counted as successful, so the request itself is already counted
+            if (data.value) {
+                const entry = getEndpoint(data.tags);
+                talliesAt(offset, entry).forEach(tally => {
+                    tally.failed++;
+                });
+                errors.addGraphqlError(entry.key);
+            }
+        } else if (metric === 'http_reqs') {
+            errors.addRequest(getEndpoint(data.tags).key, data.tags);
+        } else if (metric === 'checks') {
+            errors.addCheck(data.tags, Boolean(data.value));
+        } else if (metric === 'journey_completed') {
+            const journey = getJourney(data.tags);
+            journey.runs++;
+            if (data.value) {
+                journey.completed++;
+            } else if (data.tags?.failed_step) {
+                journey.failedSteps[data.tags.failed_step] = (journey.failedSteps[data.tags.failed_step] || 0) + 1;
+            }
+        } else if (metric === 'journey_duration') {
+            addSample(getJourney(data.tags).duration, data.value);
+        } else if (TIMING_METRICS[metric]) {
+            addTiming(getEndpoint(data.tags).timings, TIMING_METRICS[metric], data.value);
+        } else if (metric === 'vus' && offset !== null) {
+            const bucket = bucketAt(offset);
+            bucket.vus = Math.max(bucket.vus, data.value);
+        }
+    }
+
+    function finalize() {
+        const endpointStats = [...endpoints.values()].map(entry => ({
+            name: entry.key,
+            endpoint: entry.endpoint,
+            method: entry.method,
+            protocol: entry.protocol,
+            ...sketchStats(entry.latency),
+            errorRate: entry.requests > 0 ? (entry.failed / entry.requests) * 100 : 0,
+            timings: summarizeTimings(entry.timings),
+            errors: errors.endpointBreakdown(entry.key, entry.endpoint)
+        }));
+
+        endpointStats.sort((a, b) => b.count - a.count);
+
+        // Compact latency histograms archived with the run for significance testing
+        const latencySketches = { global: globalSketch, endpoints: {} };
+        endpoints.forEach(entry => {
+            latencySketches.endpoints[entry.key] = entry.latency.sketch;
+        });
+
+        // Per-phase statistics need timestamps; without them every point is outside every window
+        const phases = {};
+        let timeline = { interval, buckets: [] };
+        if (origin !== null) {
+            windows.forEach(window => {
+                phases[window.name] = summarizeWindow(window, [...endpoints.values()], origin);
+            });
+            timeline = summarizeTimeline(buckets, origin, interval);
+        }
+
+        return {
+            points,
+            endpoints: endpointStats,
+            journeys: summarizeJourneys(journeys),
+            latencySketches,
+            phases,
+            timeline,
+            errors: errors.finalize()
+        };
+    }
+
+    return { add, finalize };
+}
+
+/**
+ * Stream-parse the raw k6 NDJSON output into per-endpoint statistics
+ * @param {string} rawJsonPath - Path to the file written by `k6 run --out json=...`
+ * @param {object} options - { windows, interval } for per-phase statistics and the timeline (see createRawAggregator)
+ * @returns {Promise<object|null>} Aggregated results, or null when the file is missing
+ */
+async function parseRawOutput(rawJsonPath, options = {}) {
+    if (!rawJsonPath || !fs.existsSync(rawJsonPath)) {
+        console.log(`      ⚠️  Raw k6 output not found, skipping per-endpoint breakdown`);
+        return null;
+    }
+
+    const aggregator = createRawAggregator(options);
+    const lines = readline.createInterface({
+        input: fs.createReadStream(rawJsonPath, { encoding: 'utf-8' }),
+        crlfDelay: Infinity
+    });
+
+    let malformed = 0;
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            aggregator.add(JSON.parse(line));
+        } catch (e) {
+            malformed++;
+        }
+    }
+
+    if (malformed > 0) {
+        console.warn(`      ⚠️  Skipped ${malformed} malformed line(s) in raw k6 output`);
+    }
+
+    return aggregator.finalize();
+}
+
+module.exports = { TIMING_METRICS, createRawAggregator, parseRawOutput };
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const readline = require('readline');
+const { createSketch, addToSketch, sketchQuantile } = require('../utils/stats');
+const { PERCENTILE_STAT, parseMetricKey, classifyMetric } = require('./summaryMetrics');
+
+/**
+ * Recompute Trend stats (avg, min, med, max, p(x)) from the sketch of its samples (percentiles within ±1%)
+ * @param {object} latency - { sketch, sum } of every sample
+ */
+function trendStats(stats, { sketch, sum }) {
+    const result = {};
+    stats.forEach(stat => {
+        const match = stat.match(PERCENTILE_STAT);
+        if (stat === 'avg') result.avg = sketch.count > 0 ? sum / sketch.count : 0;
+        else if (stat === 'min') result.min = sketch.min ?? 0;
+        else if (stat === 'max') result.max = sketch.max ?? 0;
+        else if (stat === 'med') result.med = sketchQuantile(sketch, 0.5);
+        else if (match) result[stat] = sketchQuantile(sketch, Number(match[1]) / 100);
+    });
+    return result;
+}
+
+/**
+ * Merge the per-metric `thresholds` flags: a threshold crossed in any segment is crossed for the test
+ */
+function mergeThresholds(metrics) {
+    const merged = {};
+    metrics.forEach(metric => {
+        Object.entries(metric.thresholds || {}).forEach(([threshold, crossed]) => {
+            merged[threshold] = Boolean(merged[threshold] || crossed);
+        });
+    });
+    return merged;
+}
+
+/**
+ * Merge one metric across segment summaries
+ * @param {Array<object>} metrics - The metric's entry in every summary that has it
+ * @param {object|null} latency - { sketch, sum } of every raw sample of a Trend, when the raw output has them
+ */
+function mergeMetric(metrics, latency) {
+    const sum = (stat) => metrics.reduce((total, metric) => total + (metric[stat] || 0), 0);
+    const merged = {};
+
+    switch (classifyMetric(metrics[0])) {
+        case 'counter':
+            // Segments run concurrently for the same duration, so their rates add up
+            merged.count = sum('count');
+            merged.rate = sum('rate');
+            break;
+        case 'rate':
+            merged.passes = sum('passes');
+            merged.fails = sum('fails');
+            merged.value = merged.passes + merged.fails > 0 ? merged.passes / (merged.passes + merged.fails) : 0;
+            break;
+        case 'gauge':
+            // Gauges are per-process levels (e.g. vus), so the test level is their sum
+            ['value', 'min', 'max'].filter(stat => stat in metrics[0]).forEach(stat => {
+                merged[stat] = sum(stat);
+            });
+            break;
+        case 'trend': {
+            const stats = Object.keys(metrics[0]).filter(stat => stat !== 'thresholds');
+            if (latency) {
+                Object.assign(merged, trendStats(stats, latency));
+                break;
+            }
+            // Percentiles cannot be merged without the raw samples: keep the extremes and the worst segment otherwise
+            stats.forEach(stat => {
+                const values = metrics.map(metric => metric[stat]).filter(value => typeof value === 'number');
+                merged[stat] = stat === 'min' ? Math.min(...values) : Math.max(...values);
+            });
+            break;
+        }
+        default:
+            Object.assign(merged, metrics[0]);
+    }
+    if (metrics.some(metric => metric.thresholds)) merged.thresholds = mergeThresholds(metrics);
+    return merged;
+}
+
+/**
+ * Merge `root_group` trees, adding up check passes and fails by name
+ */
+function mergeGroups(groups) {
+    const merged = { ...groups[0] };
+    const mergeByName = (key, mergeItems) => {
+        const lists = groups.map(group => group[key]).filter(Boolean);
+        if (lists.length === 0) return;
+        const byName = new Map();
+        lists.forEach(list => {
+            Object.values(list).forEach(item => byName.set(item.name, [...(byName.get(item.name) || []), item]));
+        });
+        const items = [...byName.values()].map(mergeItems);
+        merged[key] = Array.isArray(lists[0]) ? items : Object.fromEntries(items.map(item => [item.name, item]));
+    };
+
+    mergeByName('checks', checks => ({
+        ...checks[0],
+        passes: checks.reduce((total, check) => total + (check.passes || 0), 0),
+        fails: checks.reduce((total, check) => total + (check.fails || 0), 0)
+    }));
+    mergeByName('groups', mergeGroups);
+    return merged;
+}
+
+/**
+ * Trend metrics of the summaries with the tag filter of submetrics, to sketch their samples from the raw output
+ * @param {Array<object>} summaries - Segment summaries
+ * @returns {Array<object>} [{ key, name, tags, latency: { sketch, sum } }]
+ */
+function trendTargets(summaries) {
+    const keys = new Set();
+    summaries.forEach(summary => {
+        Object.entries(summary.metrics || {}).forEach(([key, metric]) => {
+            if (classifyMetric(metric) === 'trend') keys.add(key);
+        });
+    });
+    return [...keys].map(key => ({ key, ...parseMetricKey(key), latency: { sketch: createSketch(), sum: 0 } }));
+}
+
+/**
+ * Merge k6 summary exports of the segments of one test into a single summary
+ * @param {Array<object>} summaries - Segment summaries (`--summary-export`)
+ * @param {object} trendLatencies - Summary metric key -> { sketch, sum } of the raw samples of that Trend across segments
+ * @returns {object} Summary in the same format, as if written by a single k6 process
+ */
+function mergeSummaries(summaries, trendLatencies = {}) {
+    const keys = [...new Set(summaries.flatMap(summary => Object.keys(summary.metrics || {})))];
+    const metrics = {};
+    keys.forEach(key => {
+        const entries = summaries.map(summary => summary.metrics?.[key]).filter(Boolean);
+        metrics[key] = mergeMetric(entries, trendLatencies[key] || null);
+    });
+
+    const groups = summaries.map(summary => summary.root_group).filter(Boolean);
+    return {
+        ...summaries[0],
+        metrics,
+        ...(groups.length > 0 ? { root_group: mergeGroups(groups) } : {})
+    };
+}
+
+/**
+ * Merge the output files of parallel k6 processes: the raw NDJSON is concatenated into `rawJsonPath` and the summaries
+ * are merged into `summaryPath`, with Trend percentiles recomputed from sketches of the merged raw samples.
+ * The segment files are removed afterwards.
+ * @param {Array<object>} segments - [{ summaryPath, rawJsonPath }] of every process
+ * @param {string} summaryPath - Merged summary export
+ * @param {string} rawJsonPath - Merged raw output
+ */
+async function mergeK6Results(segments, summaryPath, rawJsonPath) {
+    const summaries = segments
+        .filter(segment => fs.existsSync(segment.summaryPath))
+        .map(segment => JSON.parse(fs.readFileSync(segment.summaryPath, 'utf-8')));
+    if (summaries.length < segments.length) {
+        throw new Error(`Only ${summaries.length} of ${segments.length} k6 processes wrote a summary`);
+    }
+
+    const targets = trendTargets(summaries);
+    const byName = new Map();
+    targets.forEach(target => byName.set(target.name, [...(byName.get(target.name) || []), target]));
+
+    const output = fs.createWriteStream(rawJsonPath);
+    let lines = null;
+    // A write failure (missing directory, full disk) rejects the merge and stops reading the segments
+    const writeFailed = new Promise((resolve, reject) => {
+        output.once('error', (err) => {
+            if (lines) lines.close();
+            reject(err);
+        });
+    });
+    writeFailed.catch(() => {}); // observed through the races below
+
+    for (const segment of segments) {
+        if (!fs.existsSync(segment.rawJsonPath)) continue;
+        lines = readline.createInterface({
+            input: fs.createReadStream(segment.rawJsonPath, { encoding: 'utf-8' }),
+            crlfDelay: Infinity
+        });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            if (!output.write(`${line}\n`)) await Promise.race([new Promise(resolve => output.once('drain', resolve)), writeFailed]);
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                continue; // malformed lines are reported by the raw output parser
+            }
+            if (entry.type !== 'Point' || !byName.has(entry.metric)) continue;
+            const tags = entry.data.tags || {};
+            byName.get(entry.metric).forEach(target => {
+                if (Object.entries(target.tags).every(([tag, value]) => String(tags[tag]) === value)) {
+                    target.latency.sum += entry.data.value;
+                    addToSketch(target.latency.sketch, entry.data.value);
+                }
+            });
+        }
+        // A write failure closed this segment early; the race below rejects with it
+        if (output.errored) break;
+    }
+    await Promise.race([new Promise((resolve, reject) => output.end(err => (err ? reject(err) : resolve()))), writeFailed]);
+
+    const trendLatencies = {};
+    targets.filter(target => target.latency.sketch.count > 0).forEach(target => {
+        trendLatencies[target.key] = target.latency;
+    });
+    fs.writeFileSync(summaryPath, JSON.stringify(mergeSummaries(summaries, trendLatencies), null, 2));
+
+    segments.forEach(segment => {
+        [segment.summaryPath, segment.rawJsonPath].filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
+    });
+}
+
+module.exports = { mergeSummaries, mergeK6Results };
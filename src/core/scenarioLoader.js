@@ -0,0 +1,568 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { operationNames } = require('../utils/graphql');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const JSON_TYPES = ['array', 'object', 'string', 'number', 'boolean', 'null'];
+// Generators understood by src/tests/lib/template.js
+const TEMPLATE_FUNCTIONS = ['randomInt', 'randomString', 'uuid', 'timestamp', 'vu', 'iter'];
+const TEMPLATE_CONTEXTS = ['env', 'vars', 'data'];
+// Data source options understood by src/tests/lib/data.js
+const DATA_ASSIGNMENTS = ['sequential', 'random', 'unique'];
+const DATA_SCOPES = ['iteration', 'vu'];
+const DATA_EXHAUSTION = ['wrap', 'stop', 'fail'];
+// Auth strategies of src/tests/lib/auth.js with the fields each one requires
+const AUTH_FIELDS = {
+    bearer: ['token'],
+    client_credentials: ['tokenUrl', 'clientId', 'clientSecret'],
+    password: ['tokenUrl', 'username', 'password'],
+    login: ['request', 'tokenPath']
+};
+const AUTH_SCOPES = ['test', 'vu'];
+// Protocols of src/tests/load_test.js: k6/http, k6/net/grpc (src/tests/lib/grpc.js), k6/ws (src/tests/lib/ws.js)
+// and GraphQL over HTTP (src/tests/lib/graphql.js)
+const ENDPOINT_TYPES = ['http', 'grpc', 'ws', 'graphql'];
+const GRPC_STATUSES = [
+    'OK', 'CANCELLED', 'UNKNOWN', 'INVALID_ARGUMENT', 'DEADLINE_EXCEEDED', 'NOT_FOUND', 'ALREADY_EXISTS',
+    'PERMISSION_DENIED', 'RESOURCE_EXHAUSTED', 'FAILED_PRECONDITION', 'ABORTED', 'OUT_OF_RANGE', 'UNIMPLEMENTED',
+    'INTERNAL', 'UNAVAILABLE', 'DATA_LOSS', 'UNAUTHENTICATED'
+];
+const GRPC_METHOD = /^[A-Za-z_][\w.]*\/[A-Za-z_]\w*$/;
+const GRPC_ADDRESS = /^[^\s/:]+:\d+$/;
+const GRAPHQL_FILE = /\.(graphql|gql)$/;
+// Response sources journey steps extract variables from (src/tests/lib/extract.js)
+const EXTRACT_SOURCES = ['json', 'header', 'regex'];
+
+const PLACEHOLDER = /\{\{\s*([^}]+?)\s*\}\}/g;
+const JSON_PATH = /^\$(\.[A-Za-z_$][\w$-]*|\[\d+\]|\['[^']+'\])*$/;
+const METRIC_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const SOURCE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const YAML_FILE = /\.ya?ml$/i;
+
+function collectStrings(value, strings = []) {
+    if (typeof value === 'string') strings.push(value);
+    else if (Array.isArray(value)) value.forEach(item => collectStrings(item, strings));
+    else if (value && typeof value === 'object') Object.values(value).forEach(item => collectStrings(item, strings));
+    return strings;
+}
+
+// `vars.<name>` placeholders are only valid inside journeys that declare the variable,
+// `data.<source>` placeholders only for sources declared under `data`
+function validatePlaceholders(value, where, errors, scope = {}) {
+    collectStrings(value).forEach(str => {
+        for (const [, expression] of str.matchAll(PLACEHOLDER)) {
+            const [name, key] = expression.split(/[.(]/);
+            if (!TEMPLATE_FUNCTIONS.includes(name) && !TEMPLATE_CONTEXTS.includes(name)) {
+                errors.push(`${where}: unknown template placeholder "{{${expression}}}"`);
+            } else if (name === 'vars' && !scope.variables?.has(key)) {
+                errors.push(`${where}: undefined journey variable "{{${expression}}}"`);
+            } else if (name === 'data' && !scope.dataSources?.has(key)) {
+                errors.push(`${where}: undefined data source "{{${expression}}}"`);
+            }
+        }
+    });
+}
+
+function validateDataSources(data, errors) {
+    if (data === undefined) return;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push('data must be an object of named data sources');
+        return;
+    }
+
+    Object.entries(data).forEach(([name, source]) => {
+        const where = `data.${name}`;
+        if (!SOURCE_NAME.test(name)) errors.push(`${where}: source name must be a valid identifier`);
+        if (typeof source?.file !== 'string' || !/\.(csv|json)$/i.test(source.file)) {
+            errors.push(`${where}.file must be a .csv or .json file`);
+        }
+        if (source?.assign !== undefined && !DATA_ASSIGNMENTS.includes(source.assign)) {
+            errors.push(`${where}.assign must be one of ${DATA_ASSIGNMENTS.join(', ')}`);
+        }
+        if (source?.scope !== undefined && !DATA_SCOPES.includes(source.scope)) {
+            errors.push(`${where}.scope must be one of ${DATA_SCOPES.join(', ')}`);
+        }
+        if (source?.onExhausted !== undefined && !DATA_EXHAUSTION.includes(source.onExhausted)) {
+            errors.push(`${where}.onExhausted must be one of ${DATA_EXHAUSTION.join(', ')}`);
+        }
+        if (source?.assign === 'unique' && source.onExhausted === 'wrap') {
+            errors.push(`${where}: unique rows cannot wrap around (use "stop" or "fail")`);
+        }
+    });
+}
+
+function validateAuth(auth, errors, dataSources) {
+    if (auth === undefined) return;
+    if (!AUTH_FIELDS[auth?.type]) {
+        errors.push(`auth.type must be one of ${Object.keys(AUTH_FIELDS).join(', ')}`);
+        return;
+    }
+
+    AUTH_FIELDS[auth.type].filter(field => auth[field] === undefined || auth[field] === '').forEach(field => {
+        errors.push(`auth.${field} is required for the ${auth.type} strategy`);
+    });
+    if (auth.tokenUrl !== undefined && !/^(\/|https?:\/\/)/.test(auth.tokenUrl)) {
+        errors.push('auth.tokenUrl must be a path starting with "/" or an http(s) URL');
+    }
+    if (auth.type === 'login' && auth.request) {
+        if (!HTTP_METHODS.includes(auth.request.method)) errors.push(`auth.request.method must be one of ${HTTP_METHODS.join(', ')}`);
+        if (typeof auth.request.path !== 'string' || !/^(\/|https?:\/\/)/.test(auth.request.path)) {
+            errors.push('auth.request.path must start with "/" or be an http(s) URL');
+        }
+    }
+    ['tokenPath', 'expiresInPath'].filter(field => auth[field] !== undefined && !JSON_PATH.test(auth[field])).forEach(field => {
+        errors.push(`auth.${field}: unsupported JSON path "${auth[field]}" (use $, .key, [0] or ['key'])`);
+    });
+    if (auth.scope !== undefined && !AUTH_SCOPES.includes(auth.scope)) {
+        errors.push(`auth.scope must be one of ${AUTH_SCOPES.join(', ')}`);
+    }
+    if (auth.refreshBefore !== undefined && !(auth.refreshBefore >= 0)) {
+        errors.push('auth.refreshBefore must be a non-negative number of seconds');
+    }
+
+    // Tokens acquired in setup() have no data row to render
+    const fields = Object.fromEntries(Object.entries(auth).filter(([field]) => field !== 'type' && field !== 'scope'));
+    if (auth.scope !== 'vu' && collectStrings(fields).some(str => /\{\{\s*data\./.test(str))) {
+        errors.push('auth: {{data.*}} placeholders need "scope": "vu"');
+    }
+    validatePlaceholders(fields, 'auth', errors, { dataSources });
+}
+
+function validateThinkTime(thinkTime, where, errors) {
+    if (thinkTime === undefined) return;
+    if (typeof thinkTime === 'number') {
+        if (thinkTime < 0) errors.push(`${where}.thinkTime must not be negative`);
+        return;
+    }
+    if (typeof thinkTime?.min !== 'number' || typeof thinkTime?.max !== 'number' || thinkTime.min > thinkTime.max) {
+        errors.push(`${where}.thinkTime must be seconds or { "min", "max" } with min <= max`);
+    }
+}
+
+function validateChecks(checks, where, errors, type = 'http') {
+    if (checks === undefined) return;
+
+    const statuses = [].concat(checks.status ?? []);
+    if (type === 'grpc') {
+        if (statuses.some(status => !GRPC_STATUSES.includes(status) && !(Number.isInteger(status) && GRPC_STATUSES[status]))) {
+            errors.push(`${where}.checks.status must be a gRPC status name such as OK or NOT_FOUND, a status code, or a list of them`);
+        }
+    } else if (statuses.some(status => !Number.isInteger(status))) {
+        errors.push(`${where}.checks.status must be a status code or a list of status codes`);
+    }
+    if (checks.maxDuration !== undefined && !(checks.maxDuration > 0)) {
+        errors.push(`${where}.checks.maxDuration must be a positive number of milliseconds`);
+    }
+
+    (checks.json || []).forEach((assertion, i) => {
+        const at = `${where}.checks.json[${i}]`;
+        if (!JSON_PATH.test(assertion.path || '')) {
+            errors.push(`${at}: unsupported JSON path "${assertion.path}" (use $, .key, [0] or ['key'])`);
+        }
+        if (['exists', 'equals', 'type', 'minLength'].every(key => assertion[key] === undefined)) {
+            errors.push(`${at}: needs one of exists, equals, type or minLength`);
+        }
+        if (assertion.type !== undefined && !JSON_TYPES.includes(assertion.type)) {
+            errors.push(`${at}: type must be one of ${JSON_TYPES.join(', ')}`);
+        }
+    });
+}
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateHttpRequest(request, where, errors, scope) {
+    if (!HTTP_METHODS.includes(request.method)) {
+        errors.push(`${where}.method must be one of ${HTTP_METHODS.join(', ')}`);
+    }
+    if (typeof request.path !== 'string' || !request.path.startsWith('/')) {
+        errors.push(`${where}.path must start with "/"`);
+    }
+    validatePlaceholders({ path: request.path, headers: request.headers, body: request.body }, where, errors, scope);
+}
+
+function validateGrpcRequest(request, where, errors, scope) {
+    if (typeof request.method !== 'string' || !GRPC_METHOD.test(request.method)) {
+        errors.push(`${where}.method must be a fully qualified gRPC method such as "package.Service/Method"`);
+    }
+    if (request.request !== undefined && !isObject(request.request)) errors.push(`${where}.request must be an object`);
+    if (request.metadata !== undefined && !isObject(request.metadata)) errors.push(`${where}.metadata must be an object`);
+    validatePlaceholders({ request: request.request, metadata: request.metadata }, where, errors, scope);
+}
+
+function validateWsRequest(request, where, errors, scope) {
+    if (request.url !== undefined) {
+        if (typeof request.url !== 'string' || !/^wss?:\/\//.test(request.url)) errors.push(`${where}.url must start with ws:// or wss://`);
+    } else if (typeof request.path !== 'string' || !request.path.startsWith('/')) {
+        errors.push(`${where}.path must start with "/" (or set a ws:// or wss:// url)`);
+    }
+    if (request.timeout !== undefined && !(request.timeout > 0)) {
+        errors.push(`${where}.timeout must be a positive number of milliseconds`);
+    }
+
+    const messages = request.messages ?? [];
+    if (!Array.isArray(messages)) {
+        errors.push(`${where}.messages must be an array of { send } / { receive } steps`);
+        return;
+    }
+    messages.forEach((message, i) => {
+        const at = `${where}.messages[${i}]`;
+        const sends = message?.send !== undefined;
+        if (sends ? message.receive !== undefined : message?.receive === undefined && message?.expect === undefined) {
+            errors.push(`${at} needs either "send" (optionally with "expect") or "receive"/"expect"`);
+        }
+        if (message?.receive !== undefined && !(Number.isInteger(message.receive) && message.receive > 0)) {
+            errors.push(`${at}.receive must be a positive number of messages`);
+        }
+        if (message?.expect !== undefined) {
+            try {
+                new RegExp(message.expect);
+            } catch (e) {
+                errors.push(`${at}.expect is not a valid regular expression`);
+            }
+        }
+    });
+    validatePlaceholders({ path: request.path, url: request.url, headers: request.headers, messages }, where, errors, scope);
+}
+
+/**
+ * Why a GraphQL document cannot run as the requested operation
+ * @returns {string|null} null when `operationName` (or the document's only operation) names an operation of it
+ */
+function graphqlOperationError(document, operationName) {
+    const operations = operationNames(document);
+    if (operationName !== undefined) {
+        return operations.includes(operationName) ? null : `has no operation "${operationName}"`;
+    }
+    if (operations.length === 0) return 'must name its operation, e.g. "query GetPost { ... }"';
+    if (operations.length > 1) return `has several operations (${operations.join(', ')}), set operationName`;
+    return null;
+}
+
+// GraphQL requests are named after their operation unless they set a name, so metrics are tagged per operation
+// (the operation of a `queryFile` is only known once the file is read)
+function requestName(request) {
+    if (request?.type !== 'graphql' || request.name !== undefined) return request?.name;
+    return request.operationName ?? (typeof request.query === 'string' ? operationNames(request.query)[0] : undefined);
+}
+
+function validateGraphqlRequest(request, where, errors, scope) {
+    if (request.path !== undefined && (typeof request.path !== 'string' || !request.path.startsWith('/'))) {
+        errors.push(`${where}.path must start with "/"`);
+    }
+    if (request.operationName !== undefined && (typeof request.operationName !== 'string' || request.operationName === '')) {
+        errors.push(`${where}.operationName must be a string`);
+    }
+    if ((request.query === undefined) === (request.queryFile === undefined)) {
+        errors.push(`${where} needs either "query" (the document) or "queryFile" (a .graphql file)`);
+    } else if (request.query !== undefined) {
+        const problem = typeof request.query === 'string' ? graphqlOperationError(request.query, request.operationName) : 'must be a string';
+        if (problem) errors.push(`${where}.query ${problem}`);
+    } else if (typeof request.queryFile !== 'string' || !GRAPHQL_FILE.test(request.queryFile)) {
+        errors.push(`${where}.queryFile must be a .graphql or .gql file`);
+    }
+    if (request.variables !== undefined && !isObject(request.variables)) errors.push(`${where}.variables must be an object`);
+    validatePlaceholders({ path: request.path, headers: request.headers, variables: request.variables }, where, errors, scope);
+}
+
+// Shared by weighted endpoints and journey steps
+function validateRequest(request, where, errors, scope = {}) {
+    const type = request.type ?? 'http';
+    if ((type !== 'graphql' || request.name !== undefined) && (!request.name || typeof request.name !== 'string')) {
+        errors.push(`${where}.name is required`);
+    }
+
+    if (!ENDPOINT_TYPES.includes(type)) {
+        errors.push(`${where}.type must be one of ${ENDPOINT_TYPES.join(', ')}`);
+        return;
+    }
+    if (type === 'grpc') validateGrpcRequest(request, where, errors, scope);
+    else if (type === 'ws') validateWsRequest(request, where, errors, scope);
+    else if (type === 'graphql') validateGraphqlRequest(request, where, errors, scope);
+    else validateHttpRequest(request, where, errors, scope);
+
+    if (request.weight !== undefined && !(request.weight > 0)) {
+        errors.push(`${where}.weight must be a positive number`);
+    }
+    if (request.trend !== undefined && !METRIC_NAME.test(request.trend)) {
+        errors.push(`${where}.trend "${request.trend}" is not a valid k6 metric name`);
+    }
+    if (request.auth !== undefined && typeof request.auth !== 'boolean') {
+        errors.push(`${where}.auth must be true or false`);
+    }
+
+    validateThinkTime(request.thinkTime, where, errors);
+    validateChecks(request.checks, where, errors, type);
+}
+
+/**
+ * Scenario `grpc` connection settings, required as soon as an endpoint or journey step uses gRPC
+ */
+function validateGrpcConfig(scenario, errors) {
+    const requests = [
+        ...(Array.isArray(scenario.endpoints) ? scenario.endpoints : []),
+        ...(Array.isArray(scenario.journeys) ? scenario.journeys.flatMap(journey => journey?.steps || []) : [])
+    ];
+    const usesGrpc = requests.some(request => request?.type === 'grpc');
+    if (scenario.grpc === undefined) {
+        if (usesGrpc) errors.push('grpc is required by gRPC endpoints: { "address": "host:port", "proto": ["file.proto"] }');
+        return;
+    }
+
+    const grpc = scenario.grpc;
+    if (typeof grpc?.address !== 'string' || !GRPC_ADDRESS.test(grpc.address)) errors.push('grpc.address must be "host:port"');
+    if (!grpc?.reflect && (!Array.isArray(grpc?.proto) || grpc.proto.length === 0 || grpc.proto.some(file => !/\.proto$/.test(file)))) {
+        errors.push('grpc.proto must be a non-empty list of .proto files (or set "reflect": true)');
+    }
+    if (grpc?.importPaths !== undefined && !Array.isArray(grpc.importPaths)) errors.push('grpc.importPaths must be a list of directories');
+}
+
+function validateExtract(extract, where, errors) {
+    if (extract === undefined) return;
+    if (!extract || typeof extract !== 'object' || Array.isArray(extract)) {
+        errors.push(`${where}.extract must be an object of variable name -> { from, path | name | pattern }`);
+        return;
+    }
+
+    Object.entries(extract).forEach(([variable, rule]) => {
+        const at = `${where}.extract.${variable}`;
+        if (!VARIABLE_NAME.test(variable)) errors.push(`${at}: variable name must be a valid identifier`);
+        const from = rule?.from ?? 'json';
+        if (!EXTRACT_SOURCES.includes(from)) {
+            errors.push(`${at}.from must be one of ${EXTRACT_SOURCES.join(', ')}`);
+            return;
+        }
+        if (from === 'json' && !JSON_PATH.test(rule.path || '')) {
+            errors.push(`${at}: unsupported JSON path "${rule.path}" (use $, .key, [0] or ['key'])`);
+        }
+        if (from === 'header' && (typeof rule.name !== 'string' || rule.name === '')) errors.push(`${at}.name (the header) is required`);
+        if (from === 'regex' && rule.pattern === undefined) errors.push(`${at}.pattern is required`);
+        if (rule.pattern !== undefined) {
+            try {
+                new RegExp(rule.pattern);
+            } catch (e) {
+                errors.push(`${at}.pattern is not a valid regular expression`);
+            }
+        }
+    });
+}
+
+function validateJourneys(journeys, errors, dataSources) {
+    if (!Array.isArray(journeys) || journeys.length === 0) {
+        errors.push('journeys must be a non-empty array');
+        return;
+    }
+
+    journeys.forEach((journey, i) => {
+        const where = `journeys[${i}]${journey.name ? ` (${journey.name})` : ''}`;
+
+        if (!journey.name || typeof journey.name !== 'string') errors.push(`${where}.name is required`);
+        if (journey.weight !== undefined && !(journey.weight > 0)) {
+            errors.push(`${where}.weight must be a positive number`);
+        }
+        if (journey.variables !== undefined && (typeof journey.variables !== 'object' || Array.isArray(journey.variables))) {
+            errors.push(`${where}.variables must be an object`);
+        }
+        if (!Array.isArray(journey.steps) || journey.steps.length === 0) {
+            errors.push(`${where}.steps must be a non-empty array`);
+            return;
+        }
+
+        // Extracted variables are available from the step after the one extracting them
+        const variables = new Set(Object.keys(journey.variables || {}));
+        journey.steps.forEach((step, j) => {
+            const at = `${where}.steps[${j}]${requestName(step) ? ` (${requestName(step)})` : ''}`;
+            validateRequest(step, at, errors, { variables, dataSources });
+            if (step.type === 'ws' && step.extract !== undefined) errors.push(`${at}.extract is not supported for WebSocket steps`);
+            else validateExtract(step.extract, at, errors);
+            if (step.extract && typeof step.extract === 'object') Object.keys(step.extract).forEach(variable => variables.add(variable));
+        });
+    });
+}
+
+/**
+ * Validate a parsed scenario definition
+ * @param {object} scenario - Parsed scenario file
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateScenario(scenario) {
+    const errors = [];
+
+    if (!scenario || typeof scenario !== 'object') return ['scenario must be a JSON object'];
+    if (scenario.baseUrl !== undefined && !/^https?:\/\//.test(scenario.baseUrl)) {
+        errors.push('baseUrl must start with http:// or https://');
+    }
+    if (scenario.wsUrl !== undefined && !/^wss?:\/\//.test(scenario.wsUrl)) {
+        errors.push('wsUrl must start with ws:// or wss://');
+    }
+    validateThinkTime(scenario.defaults?.thinkTime, 'defaults', errors);
+    validateDataSources(scenario.data, errors);
+
+    const dataSources = new Set(Object.keys(scenario.data || {}));
+    validatePlaceholders(scenario.defaults?.headers, 'defaults.headers', errors, { dataSources });
+    validateAuth(scenario.auth, errors, dataSources);
+    validateGrpcConfig(scenario, errors);
+
+    if (scenario.journeys !== undefined) {
+        validateJourneys(scenario.journeys, errors, dataSources);
+        if (scenario.endpoints === undefined) return errors;
+    }
+
+    if (!Array.isArray(scenario.endpoints) || scenario.endpoints.length === 0) {
+        errors.push('endpoints must be a non-empty array');
+        return errors;
+    }
+
+    const names = new Set();
+    scenario.endpoints.forEach((endpoint, i) => {
+        const name = requestName(endpoint);
+        const where = `endpoints[${i}]${name ? ` (${name})` : ''}`;
+        if (name && names.has(name)) errors.push(`${where}.name is duplicated`);
+        names.add(name);
+        validateRequest(endpoint, where, errors, { dataSources });
+        if (endpoint.extract !== undefined) errors.push(`${where}.extract is only supported in journey steps`);
+    });
+
+    return errors;
+}
+
+/**
+ * Columns (the CSV header, or the keys of the JSON rows) and row count of a data file
+ * @returns {object} { columns: Set, rows }
+ */
+function readDataFile(file) {
+    const content = fs.readFileSync(file, 'utf-8');
+    if (/\.csv$/i.test(file)) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+        const header = lines.length > 0 ? lines[0].split(',').map(column => column.trim().replace(/^"|"$/g, '')) : [];
+        return { columns: new Set(header), rows: Math.max(0, lines.length - 1) };
+    }
+
+    const rows = JSON.parse(content);
+    if (!Array.isArray(rows)) throw new Error('must contain a JSON array');
+    return { columns: new Set(rows.flatMap(row => (row && typeof row === 'object' ? Object.keys(row) : []))), rows: rows.length };
+}
+
+/**
+ * Check that every data file exists, has rows, and has the columns its `{{data.<source>.<column>}}` placeholders use
+ * @param {object} scenario - Valid scenario
+ * @param {string} baseDir - Directory relative data files are resolved against (the scenario file's)
+ * @returns {string[]} Validation errors
+ */
+function validateDataFiles(scenario, baseDir) {
+    const errors = [];
+    const files = {};
+    Object.entries(scenario.data || {}).forEach(([name, source]) => {
+        const file = path.resolve(baseDir, source.file);
+        if (!fs.existsSync(file)) {
+            errors.push(`data.${name}: file not found: ${file}`);
+            return;
+        }
+        try {
+            files[name] = readDataFile(file);
+        } catch (e) {
+            errors.push(`data.${name}: ${source.file} ${e.message}`);
+            return;
+        }
+        if (files[name].rows === 0) errors.push(`data.${name}: ${source.file} has no rows`);
+    });
+
+    const usages = collectStrings([scenario.defaults, scenario.auth, scenario.endpoints, scenario.journeys])
+        .flatMap(str => [...str.matchAll(PLACEHOLDER)].map(([, expression]) => expression.split('.')))
+        .filter(([context, name, column]) => context === 'data' && files[name] && column !== undefined);
+    new Set(usages.map(parts => parts.slice(0, 3).join('.'))).forEach(usage => {
+        const [, name, column] = usage.split('.');
+        if (!files[name].columns.has(column)) errors.push(`data.${name}: no column "${column}" for "{{${usage}}}"`);
+    });
+    return errors;
+}
+
+/**
+ * Check that the proto files of the scenario's gRPC client exist
+ * @param {object} scenario - Valid scenario
+ * @param {string} baseDir - Directory relative proto files and import paths are resolved against (the scenario file's)
+ * @returns {string[]} Validation errors
+ */
+function validateProtoFiles(scenario, baseDir) {
+    if (!scenario.grpc || scenario.grpc.reflect) return [];
+    const importPaths = (scenario.grpc.importPaths || []).map(dir => path.resolve(baseDir, dir));
+    return scenario.grpc.proto
+        .filter(file => !(importPaths.length > 0 ? importPaths : [baseDir]).some(dir => fs.existsSync(path.resolve(dir, file))))
+        .map(file => `grpc.proto: file not found: ${file}`);
+}
+
+/**
+ * Check that the query files of GraphQL requests exist and contain the operation each request runs
+ * @param {object} scenario - Valid scenario
+ * @param {string} baseDir - Directory relative query files are resolved against (the scenario file's)
+ * @returns {string[]} Validation errors
+ */
+function validateGraphqlFiles(scenario, baseDir) {
+    const requests = [...(scenario.endpoints || []), ...(scenario.journeys || []).flatMap(journey => journey.steps)];
+    return requests.filter(request => request.type === 'graphql' && request.queryFile !== undefined).flatMap(request => {
+        const file = path.resolve(baseDir, request.queryFile);
+        if (!fs.existsSync(file)) return [`${request.queryFile}: file not found: ${file}`];
+        const problem = graphqlOperationError(fs.readFileSync(file, 'utf-8'), request.operationName);
+        return problem ? [`${request.queryFile} ${problem}`] : [];
+    });
+}
+
+/**
+ * Whether a scenario file is written in YAML (k6 then needs the parsed scenario, see runK6LoadTest)
+ * @param {string} filePath - Path to the scenario file
+ * @returns {boolean}
+ */
+function isYamlScenario(filePath) {
+    return YAML_FILE.test(filePath || '');
+}
+
+/**
+ * Load and validate a scenario file
+ * @param {string} filePath - Path to the scenario JSON or YAML (.yaml/.yml) file
+ * @returns {object} Parsed scenario
+ * @throws {Error} When the file is missing, not JSON/YAML, or invalid
+ */
+function loadScenario(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Scenario file not found: ${filePath}`);
+    }
+
+    const format = isYamlScenario(filePath) ? 'YAML' : 'JSON';
+    let scenario;
+    try {
+        const text = fs.readFileSync(filePath, 'utf-8');
+        // The core schema keeps timestamps and binary tags as plain strings, as they would be in JSON
+        scenario = format === 'YAML' ? yaml.load(text, { filename: filePath, schema: yaml.CORE_SCHEMA }) : JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Scenario file ${filePath} is not valid ${format}: ${e.message}`);
+    }
+
+    const errors = validateScenario(scenario);
+    if (errors.length === 0) {
+        const baseDir = path.dirname(filePath);
+        errors.push(...validateDataFiles(scenario, baseDir), ...validateProtoFiles(scenario, baseDir), ...validateGraphqlFiles(scenario, baseDir));
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid scenario file ${filePath}:\n${errors.map(err => `   - ${err}`).join('\n')}`);
+    }
+    return scenario;
+}
+
+/**
+ * Response time Trends declared by the scenario requests (`trend`), with the requests each one times
+ * @returns {object} Trend name -> label, e.g. { browse_duration: 'GET /posts' }
+ */
+function endpointTrends(scenario) {
+    const requests = scenario.endpoints || (scenario.journeys || []).flatMap(journey => journey.steps);
+    const labels = {};
+    requests.filter(request => request.trend).forEach(request => {
+        const label = (request.type ?? 'http') === 'http' ? `${request.method} ${request.path}` : requestName(request);
+        labels[request.trend] = [...(labels[request.trend] || []), label];
+    });
+    return Object.fromEntries(Object.entries(labels).map(([trend, list]) => [trend, [...new Set(list)].join(', ')]));
+}
+
+module.exports = { loadScenario, validateScenario, endpointTrends, isYamlScenario };
@@ -1,85 +1,353 @@
-function validateAgainstSLA(k6Metrics, infraMetrics, runProfile, slaConfig) {
-    console.log(`\n[4/6] 📏 Validating against defined SLAs...`);
+const { metricKey, resolveBaseline, resolveBaselineSketch } = require('./baseline');
+const { driftResults } = require('./driftDetector');
+const { mannWhitneyU } = require('../utils/stats');
+const { TIMING_METRICS } = require('./rawOutputParser');
+const { resolveErrorMetric } = require('./errorTaxonomy');
+
+const OPERATORS = {
+    '<': (actual, threshold) => actual < threshold,
+    '<=': (actual, threshold) => actual <= threshold,
+    '>': (actual, threshold) => actual > threshold,
+    '>=': (actual, threshold) => actual >= threshold,
+    '==': (actual, threshold) => actual === threshold,
+    '!=': (actual, threshold) => actual !== threshold
+};
+
+const SEVERITIES = ['critical', 'warning', 'info'];
+
+// Legacy `performance` keys, in the order they have always been reported
+const LEGACY_PERFORMANCE_RULES = [
+    { key: 'p50_response_time_ms', id: 'p50_response_time', label: 'P50 Response Time (ms)', metric: 'p50ResponseTime', operator: '<=', fallback: 200 },
+    { key: 'p90_response_time_ms', id: 'p90_response_time', label: 'P90 Response Time (ms)', metric: 'p90ResponseTime', operator: '<=', fallback: 400 },
+    { key: 'p95_response_time_ms', id: 'p95_response_time', label: 'P95 Response Time (ms)', metric: 'p95ResponseTime', operator: '<=' },
+    { key: 'p99_response_time_ms', id: 'p99_response_time', label: 'P99 Response Time (ms)', metric: 'p99ResponseTime', operator: '<=', fallback: 1000 },
+    { key: 'max_error_rate_percent', id: 'error_rate', label: 'Error Rate (%)', metric: 'errorRate', operator: '<=' },
+    { key: 'min_throughput_rps', id: 'throughput', label: 'Throughput (req/s)', metric: 'throughput', operator: '>=' },
+    { key: 'max_dropped_iterations', id: 'dropped_iterations', label: 'Dropped Iterations', metric: 'droppedIterations', operator: '<=' }
+];
+
+const LEGACY_INFRASTRUCTURE_RULES = [
+    { key: 'max_cpu_usage_percent', id: 'cpu_usage', label: 'CPU Usage (%)', metric: 'infra.avgCpuUsage', operator: '<=' },
+    { key: 'max_memory_usage_percent', id: 'memory_usage', label: 'Memory Usage (%)', metric: 'infra.avgMemoryUsage', operator: '<=' }
+];
+
+// Legacy per-endpoint keys, evaluated against the raw-output endpoint stats
+const LEGACY_ENDPOINT_RULES = [
+    { key: 'p50_response_time_ms', id: 'p50_response_time', label: 'P50 Response Time (ms)', metric: 'http_req_duration', aggregate: 'p(50)', operator: '<=' },
+    { key: 'p90_response_time_ms', id: 'p90_response_time', label: 'P90 Response Time (ms)', metric: 'http_req_duration', aggregate: 'p(90)', operator: '<=' },
+    { key: 'p95_response_time_ms', id: 'p95_response_time', label: 'P95 Response Time (ms)', metric: 'http_req_duration', aggregate: 'p(95)', operator: '<=' },
+    { key: 'p99_response_time_ms', id: 'p99_response_time', label: 'P99 Response Time (ms)', metric: 'http_req_duration', aggregate: 'p(99)', operator: '<=' },
+    { key: 'max_error_rate_percent', id: 'error_rate', label: 'Error Rate (%)', metric: 'http_req_failed', aggregate: 'percent', operator: '<=' }
+];
+
+// Metrics whose samples are archived as latency sketches, so changes can be tested for significance
+const LATENCY_METRICS = [
+    'http_req_duration', 'p50ResponseTime', 'p90ResponseTime', 'p95ResponseTime', 'p99ResponseTime', 'avgResponseTime'
+];
+const DEFAULT_ALPHA = 0.05;
+
+// Aggregate names mapped onto the stats produced by the raw output parser
+const ENDPOINT_STATS = {
+    'p(50)': 'p50', med: 'p50', 'p(90)': 'p90', 'p(95)': 'p95', 'p(99)': 'p99',
+    avg: 'avg', min: 'min', max: 'max', count: 'count'
+};
+
+// Latency metrics an endpoint's stats are built from: HTTP requests, gRPC calls or WebSocket message round trips
+const ENDPOINT_DURATION_METRICS = ['http_req_duration', 'grpc_req_duration', 'ws_message_latency'];
 
-    const validationResults = [];
+// Extracted metric names that phase-scoped rules resolve from the per-phase raw statistics
+const PHASE_STATS = {
+    p50ResponseTime: 'p50', p90ResponseTime: 'p90', p95ResponseTime: 'p95', p99ResponseTime: 'p99',
+    avgResponseTime: 'avg', minResponseTime: 'min', maxResponseTime: 'max',
+    errorRate: 'errorRate', throughput: 'throughput', totalRequests: 'count'
+};
 
-    // Get profile-specific thresholds
-    const profileSla = slaConfig.profiles[runProfile] || {};
+/**
+ * Translate the legacy `performance` / `infrastructure` / `endpoints` keys into rules
+ * @param {object} slaConfig - Contents of sla.json
+ * @param {string} runProfile - Active workload profile
+ */
+function translateLegacyConfig(slaConfig, runProfile) {
+    const profileSla = slaConfig.profiles?.[runProfile] || {};
     const performanceSla = { ...slaConfig.performance, ...profileSla };
-    const infraSla = slaConfig.infrastructure;
-
-    // Response Time Validations
-    validationResults.push({
-        metric: 'P50 Response Time (ms)',
-        actual: k6Metrics.p50ResponseTime.toFixed(2),
-        threshold: `<= ${performanceSla.p50_response_time_ms || 200}`,
-        passed: k6Metrics.p50ResponseTime <= (performanceSla.p50_response_time_ms || 200)
+    const infraSla = slaConfig.infrastructure || {};
+    const rules = [];
+
+    LEGACY_PERFORMANCE_RULES.forEach(({ key, fallback, ...rule }) => {
+        const threshold = fallback !== undefined ? performanceSla[key] || fallback : performanceSla[key];
+        if (threshold !== undefined) rules.push({ ...rule, threshold });
     });
 
-    validationResults.push({
-        metric: 'P90 Response Time (ms)',
-        actual: k6Metrics.p90ResponseTime.toFixed(2),
-        threshold: `<= ${performanceSla.p90_response_time_ms || 400}`,
-        passed: k6Metrics.p90ResponseTime <= (performanceSla.p90_response_time_ms || 400)
+    LEGACY_INFRASTRUCTURE_RULES.forEach(({ key, ...rule }) => {
+        if (infraSla[key] !== undefined) rules.push({ ...rule, threshold: infraSla[key] });
     });
 
-    validationResults.push({
-        metric: 'P95 Response Time (ms)',
-        actual: k6Metrics.p95ResponseTime.toFixed(2),
-        threshold: `<= ${performanceSla.p95_response_time_ms}`,
-        passed: k6Metrics.p95ResponseTime <= performanceSla.p95_response_time_ms
+    Object.entries(slaConfig.endpoints || {}).forEach(([endpoint, config]) => {
+        const { profiles = {}, ...baseSla } = config;
+        const endpointSla = { ...baseSla, ...(profiles[runProfile] || {}) };
+
+        LEGACY_ENDPOINT_RULES.forEach(({ key, id, ...rule }) => {
+            if (endpointSla[key] !== undefined) {
+                rules.push({ ...rule, id: `endpoint.${endpoint}.${id}`, endpoint, threshold: endpointSla[key] });
+            }
+        });
     });
 
-    validationResults.push({
-        metric: 'P99 Response Time (ms)',
-        actual: k6Metrics.p99ResponseTime.toFixed(2),
-        threshold: `<= ${performanceSla.p99_response_time_ms || 1000}`,
-        passed: k6Metrics.p99ResponseTime <= (performanceSla.p99_response_time_ms || 1000)
+    return rules;
+}
+
+/**
+ * Resolve the rules that apply to a profile: translated legacy keys plus the
+ * declarative `rules` list (a rule with the same id replaces the translated one)
+ * @param {object} slaConfig - Contents of sla.json
+ * @param {string} runProfile - Active workload profile
+ */
+function resolveRules(slaConfig, runProfile) {
+    const rules = translateLegacyConfig(slaConfig, runProfile);
+
+    (slaConfig.rules || []).forEach(rule => {
+        const index = rules.findIndex(r => r.id === rule.id);
+        if (index >= 0) rules[index] = rule;
+        else rules.push(rule);
     });
 
-    validationResults.push({
-        metric: 'Error Rate (%)',
-        actual: k6Metrics.errorRate.toFixed(2),
-        threshold: `<= ${performanceSla.max_error_rate_percent}`,
-        passed: k6Metrics.errorRate <= performanceSla.max_error_rate_percent
+    return rules
+        .filter(rule => !rule.profiles || rule.profiles.includes(runProfile))
+        .map(rule => ({ severity: 'critical', ...rule }));
+}
+
+function resolveAggregate(stats, aggregate) {
+    let value;
+    switch (aggregate) {
+        case undefined:
+            value = stats.value ?? stats.avg ?? stats.count;
+            break;
+        case 'percent':
+            value = stats.value !== undefined ? stats.value * 100 : undefined;
+            break;
+        case 'rate':
+            value = stats.rate ?? stats.value;
+            break;
+        case 'med':
+        case 'p(50)':
+            value = stats.med ?? stats['p(50)'];
+            break;
+        default:
+            value = stats[aggregate];
+    }
+    return typeof value === 'number' ? value : null;
+}
+
+function resolveEndpointValues(rule, endpoints) {
+    const matches = endpoints.filter(ep => ep.endpoint === rule.endpoint && ep.p95 !== undefined);
+
+    return matches.map(ep => {
+        let value = null;
+        if (rule.metric === 'http_req_failed') {
+            value = rule.aggregate === 'rate' ? ep.errorRate / 100 : ep.errorRate;
+        } else if (ENDPOINT_DURATION_METRICS.includes(rule.metric)) {
+            value = ep[ENDPOINT_STATS[rule.aggregate || 'avg']] ?? null;
+        } else if (TIMING_METRICS[rule.metric]) {
+            value = ep.timings?.[TIMING_METRICS[rule.metric]]?.[ENDPOINT_STATS[rule.aggregate || 'avg']] ?? null;
+        } else if (rule.metric.startsWith('errors.')) {
+            value = resolveErrorMetric(ep.errors, rule.metric, rule.aggregate);
+        }
+        return { endpoint: ep.name, value };
     });
+}
 
-    if (performanceSla.min_throughput_rps) {
-        validationResults.push({
-            metric: 'Throughput (req/s)',
-            actual: k6Metrics.throughput.toFixed(2),
-            threshold: `>= ${performanceSla.min_throughput_rps}`,
-            passed: k6Metrics.throughput >= performanceSla.min_throughput_rps
-        });
+function resolvePhaseValues(rule, phases) {
+    const phase = phases?.[rule.phase];
+    if (!phase || phase.count === 0) return [];
+
+    if (rule.endpoint) return resolveEndpointValues(rule, phase.endpoints);
+    if (rule.metric === 'http_req_failed') {
+        return [{ value: rule.aggregate === 'rate' ? phase.errorRate / 100 : phase.errorRate }];
     }
+    const stat = rule.metric === 'http_req_duration' ? ENDPOINT_STATS[rule.aggregate || 'avg'] : PHASE_STATS[rule.metric];
+    return [{ value: phase[stat] ?? null }];
+}
 
-    // Infrastructure Validations
-    if (infraMetrics.avgCpuUsage !== 'N/A') {
-        validationResults.push({
-            metric: 'CPU Usage (%)',
-            actual: infraMetrics.avgCpuUsage,
-            threshold: `<= ${infraSla.max_cpu_usage_percent}`,
-            passed: parseFloat(infraMetrics.avgCpuUsage) <= infraSla.max_cpu_usage_percent
-        });
+/**
+ * Resolve the observed value(s) a rule refers to
+ * Metric references: `infra.<field>`, `errors.<category>` (see errorTaxonomy.js), any k6 summary metric
+ * (with an aggregate), or an extracted field such as `errorRate`. Endpoint rules yield one value per method.
+ * Rules with a `phase` are resolved from the raw-output statistics of that phase instead of the summary.
+ */
+function resolveRuleValues(rule, k6Metrics, infraMetrics) {
+    if (rule.phase && !rule.metric.startsWith('infra.')) {
+        return resolvePhaseValues(rule, k6Metrics.phases);
     }
 
-    if (infraMetrics.avgMemoryUsage !== 'N/A') {
-        validationResults.push({
-            metric: 'Memory Usage (%)',
-            actual: infraMetrics.avgMemoryUsage,
-            threshold: `<= ${infraSla.max_memory_usage_percent}`,
-            passed: parseFloat(infraMetrics.avgMemoryUsage) <= infraSla.max_memory_usage_percent
-        });
+    if (rule.endpoint) {
+        return resolveEndpointValues(rule, k6Metrics.endpoints || []);
+    }
+
+    if (rule.metric.startsWith('errors.')) {
+        return [{ value: resolveErrorMetric(k6Metrics.errorBreakdown, rule.metric, rule.aggregate) }];
+    }
+
+    if (rule.metric.startsWith('infra.')) {
+        const raw = infraMetrics?.[rule.metric.slice('infra.'.length)];
+        if (raw === undefined || raw === null || raw === 'N/A') return [];
+        return [{ value: parseFloat(raw) }];
+    }
+
+    const summaryStats = k6Metrics.summaryMetrics?.[rule.metric];
+    if (summaryStats) {
+        return [{ value: resolveAggregate(summaryStats, rule.aggregate) }];
+    }
+
+    if (typeof k6Metrics[rule.metric] === 'number') {
+        return [{ value: k6Metrics[rule.metric] }];
     }
 
+    return [{ value: null }];
+}
+
+/**
+ * One-sided Mann-Whitney U test of the current run's latency samples against the baseline runs
+ * @returns {object|null} Significance details, or null when the metric has no archived samples
+ */
+function testSignificance(rule, result, baseline, context) {
+    // Archived sketches cover the whole run, so phase-scoped rules fall back to the threshold alone
+    if (!LATENCY_METRICS.includes(rule.metric) || rule.phase) return null;
+
+    const sketches = context.latencySketches;
+    const current = result.endpoint ? sketches?.endpoints?.[result.endpoint] : sketches?.global;
+    const baselineSketch = resolveBaselineSketch(context.history || [], baseline.runIds, result.endpoint);
+    const test = mannWhitneyU(current, baselineSketch);
+    if (!test) return null;
+
+    const alpha = rule.alpha ?? DEFAULT_ALPHA;
+    const pValue = rule.direction === 'decrease' ? test.pLess : test.pGreater;
+    return {
+        test: 'mann-whitney-u',
+        pValue: parseFloat(pValue.toPrecision(4)),
+        alpha,
+        significant: pValue < alpha,
+        effectSize: parseFloat(test.effectSize.toFixed(3)),
+        samples: { current: current.count, baseline: baselineSketch.count }
+    };
+}
+
+function evaluateRegression(rule, result, value, context) {
+    const baselineConfig = context.baselineRunId ? { strategy: 'pinned', runId: context.baselineRunId } : rule.baseline;
+    const baseline = resolveBaseline(context.history || [], context.runProfile, result.key, baselineConfig);
+    if (!baseline) {
+        console.log(`      ⏭️  Rule "${rule.id}": no baseline run available yet, skipping`);
+        return null;
+    }
+
+    const delta = value - baseline.value;
+    const percentChange = baseline.value !== 0 ? (delta / baseline.value) * 100 : (delta === 0 ? 0 : Infinity * Math.sign(delta));
+    const direction = rule.direction === 'decrease' ? -1 : 1;
+    const maxRegression = rule.max_regression_percent ?? rule.threshold;
+    const exceeded = percentChange * direction > maxRegression;
+
+    const significance = testSignificance(rule, result, baseline, context);
+    let passed = !exceeded;
+    if (exceeded && rule.require_significance) {
+        if (significance) {
+            passed = !significance.significant;
+        } else {
+            console.warn(`      ⚠️  Rule "${rule.id}": no latency samples to test significance, using threshold only`);
+        }
+    }
+
+    const regression = {
+        ...result,
+        type: 'regression',
+        metric: `${result.metric} vs Baseline`,
+        threshold: `${direction > 0 ? '<= +' : '>= -'}${maxRegression}% vs baseline`,
+        passed,
+        baseline: { value: baseline.value, strategy: baseline.strategy, runIds: baseline.runIds },
+        delta: parseFloat(delta.toFixed(2)),
+        percentChange: Number.isFinite(percentChange) ? parseFloat(percentChange.toFixed(2)) : null
+    };
+    if (significance) regression.significance = significance;
+    return regression;
+}
+
+function evaluateRule(rule, k6Metrics, infraMetrics, context = {}) {
+    const isRegression = rule.type === 'regression';
+    const compare = OPERATORS[rule.operator];
+    if (!isRegression && !compare) {
+        console.warn(`      ⚠️  Rule "${rule.id}": unknown operator "${rule.operator}", skipping`);
+        return [];
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+        console.warn(`      ⚠️  Rule "${rule.id}": unknown severity "${rule.severity}", treating as critical`);
+    }
+
+    const baseLabel = rule.label || `${rule.metric}${rule.aggregate ? ` ${rule.aggregate}` : ''}`;
+    const label = rule.phase ? `${baseLabel} (${rule.phase})` : baseLabel;
+    const values = resolveRuleValues(rule, k6Metrics, infraMetrics);
+
+    if (rule.phase && values.length === 0) {
+        console.log(`      ⏭️  No "${rule.phase}" phase data in this run, skipping rule "${rule.id}"`);
+    } else if (rule.endpoint && values.length === 0) {
+        console.log(`      ⏭️  No raw data for endpoint "${rule.endpoint}", skipping rule "${rule.id}"`);
+    }
+
+    return values.flatMap(({ endpoint, value }) => {
+        if (value === null || Number.isNaN(value)) {
+            console.warn(`      ⚠️  Rule "${rule.id}": metric "${rule.metric}" not available, skipping`);
+            return [];
+        }
+
+        let result = {
+            id: rule.id,
+            metric: endpoint ? `[${endpoint}] ${label}` : label,
+            label,
+            key: metricKey(rule, endpoint),
+            value,
+            actual: value.toFixed(2),
+            severity: SEVERITIES.includes(rule.severity) ? rule.severity : 'critical'
+        };
+        if (endpoint) result.endpoint = endpoint;
+
+        if (isRegression) {
+            result = evaluateRegression(rule, result, value, context);
+            return result ? [result] : [];
+        }
+
+        result.threshold = `${rule.operator} ${rule.threshold}`;
+        result.passed = compare(value, rule.threshold);
+        return [result];
+    });
+}
+
+/**
+ * Validate extracted metrics against every SLA rule that applies to the profile
+ * @param {object} options - { history: previous runs, baselineRunId: pinned baseline override }
+ */
+function validateAgainstSLA(k6Metrics, infraMetrics, runProfile, slaConfig, options = {}) {
+    console.log(`\n[4/6] 📏 Validating against defined SLAs...`);
+
+    const context = {
+        runProfile,
+        history: options.history,
+        baselineRunId: options.baselineRunId,
+        latencySketches: k6Metrics.latencySketches
+    };
+    const rules = resolveRules(slaConfig, runProfile);
+    const validationResults = [
+        ...rules.flatMap(rule => evaluateRule(rule, k6Metrics, infraMetrics, context)),
+        ...driftResults(k6Metrics.drift)
+    ];
+
     // Print results
     const passCount = validationResults.filter(r => r.passed).length;
-    const failCount = validationResults.filter(r => !r.passed).length;
 
     console.log(`\n      ${'─'.repeat(50)}`);
     validationResults.forEach(res => {
-        const icon = res.passed ? '✅' : '❌';
-        console.log(`      [${icon}] ${res.metric}: ${res.actual} (threshold: ${res.threshold})`);
+        const trend = res.type === 'regression' || res.type === 'drift';
+        const icon = res.passed ? '✅' : trend ? '📉' : res.severity === 'critical' ? '❌' : '⚠️';
+        const change = res.percentChange === null ? '∞' : `${res.percentChange >= 0 ? '+' : ''}${res.percentChange}`;
+        const significance = res.significance ? `, p=${res.significance.pValue}` : '';
+        const baselineInfo = res.baseline ? ` [baseline ${res.baseline.value.toFixed(2)}, ${change}%${significance}]` : '';
+        console.log(`      [${icon}] ${res.metric}: ${res.actual} (threshold: ${res.threshold})${baselineInfo}`);
     });
     console.log(`      ${'─'.repeat(50)}`);
     console.log(`      📊 Summary: ${passCount}/${validationResults.length} checks passed`);
@@ -87,4 +355,34 @@ function validateAgainstSLA(k6Metrics, infraMetrics, runProfile, slaConfig) {
     return validationResults;
 }
 
-module.exports = { validateAgainstSLA };
+/**
+ * Group validation results into global results followed by one group per endpoint
+ * @param {Array} validationResults - Results from validateAgainstSLA
+ */
+function groupResultsByEndpoint(validationResults) {
+    const groups = [{ name: 'Global', endpoint: null, results: [] }];
+
+    validationResults.forEach(result => {
+        if (!result.endpoint) {
+            groups[0].results.push(result);
+            return;
+        }
+        let group = groups.find(g => g.endpoint === result.endpoint);
+        if (!group) {
+            group = { name: result.endpoint, endpoint: result.endpoint, results: [] };
+            groups.push(group);
+        }
+        group.results.push(result);
+    });
+
+    return groups.filter(g => g.results.length > 0);
+}
+
+/**
+ * Failed results that fail the run: critical severity (the default), regressions and drift findings included
+ */
+function failedCritical(validationResults) {
+    return validationResults.filter(r => !r.passed && (!r.severity || r.severity === 'critical'));
+}
+
+module.exports = { OPERATORS, validateAgainstSLA, resolveRules, translateLegacyConfig, groupResultsByEndpoint, failedCritical };
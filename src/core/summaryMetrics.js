@@ -0,0 +1,78 @@
+const PERCENTILE_STAT = /^p\((\d+(?:\.\d+)?)\)$/;
+
+// Metrics k6 emits on its own; everything else in a summary comes from the test script
+const K6_BUILTIN_METRICS = new Set([
+    'vus', 'vus_max', 'iterations', 'iteration_duration', 'dropped_iterations', 'data_received', 'data_sent', 'checks',
+    'group_duration', 'http_reqs', 'http_req_duration', 'http_req_failed', 'http_req_blocked', 'http_req_connecting',
+    'http_req_tls_handshaking', 'http_req_sending', 'http_req_waiting', 'http_req_receiving',
+    'ws_connecting', 'ws_session_duration', 'ws_sessions', 'ws_msgs_sent', 'ws_msgs_received', 'ws_ping',
+    'grpc_req_duration', 'grpc_streams', 'grpc_streams_msgs_sent', 'grpc_streams_msgs_received'
+]);
+
+/**
+ * Split a summary metric key such as `http_req_duration{expected_response:true}` into its name and tag filter
+ */
+function parseMetricKey(key) {
+    const match = key.match(/^([^{]+)(?:\{(.*)\})?$/);
+    const tags = {};
+    (match[2] || '').split(',').filter(Boolean).forEach(pair => {
+        const [tag, ...value] = pair.split(':');
+        tags[tag] = value.join(':');
+    });
+    return { name: match[1], tags };
+}
+
+/**
+ * Type of a summary-export metric (counter, rate, gauge or trend), told apart by the stats k6 exports for it
+ * @returns {string|null} null when the stats match no k6 metric type
+ */
+function classifyMetric(stats) {
+    if ('passes' in stats && 'fails' in stats) return 'rate';
+    if ('count' in stats && 'rate' in stats) return 'counter';
+    if ('avg' in stats || 'med' in stats || Object.keys(stats).some(stat => PERCENTILE_STAT.test(stat))) return 'trend';
+    if ('value' in stats) return 'gauge';
+    return null;
+}
+
+/**
+ * Every metric of a k6 summary export, classified by type
+ * @param {object} summary - Summary export (`--summary-export`)
+ * @returns {object} Metric key -> { name, type, custom, tags, stats, thresholds }; `tags` is set for submetrics
+ */
+function collectMetrics(summary) {
+    const metrics = {};
+    Object.entries(summary.metrics || {}).forEach(([key, entry]) => {
+        const { thresholds, ...stats } = entry;
+        const { name, tags } = parseMetricKey(key);
+        metrics[key] = {
+            name,
+            type: classifyMetric(stats),
+            custom: !K6_BUILTIN_METRICS.has(name),
+            tags,
+            stats,
+            ...(thresholds ? { thresholds } : {})
+        };
+    });
+    return metrics;
+}
+
+/**
+ * Checks of a `root_group` and all its nested groups, each with the path of its group (`::` separated, '' for the root)
+ * Both the object (name -> entry) and array layouts of `checks` and `groups` are accepted.
+ * @param {object} group - `root_group` of a summary export
+ * @returns {Array<object>} [{ name, group, passes, fails }]
+ */
+function collectChecks(group, parentPath = null) {
+    if (!group) return [];
+    const groupPath = group.path ?? (parentPath === null ? '' : `${parentPath}::${group.name}`);
+
+    const checks = Object.values(group.checks || {}).map(check => ({
+        name: check.name || 'Unknown Check',
+        group: groupPath,
+        passes: check.passes,
+        fails: check.fails
+    }));
+    return checks.concat(...Object.values(group.groups || {}).map(child => collectChecks(child, groupPath)));
+}
+
+module.exports = { PERCENTILE_STAT, K6_BUILTIN_METRICS, parseMetricKey, classifyMetric, collectMetrics, collectChecks };
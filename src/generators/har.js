@@ -0,0 +1,234 @@
+const STATIC_EXTENSIONS = /\.(js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|avif|bmp|woff2?|ttf|otf|eot|mp4|webm|mp3|wav)$/i;
+const STATIC_MIME_TYPES = /^(image|font|audio|video)\/|^text\/css|javascript/i;
+// Request headers worth replaying; cookies, auth and browser-specific headers are dropped
+const KEPT_HEADERS = ['accept', 'content-type'];
+const DEFAULT_MAX_THINK_TIME = 30;
+
+// Path segments that identify a resource instance rather than a route
+const ID_PATTERNS = [
+    /^\d+$/,
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    /^[0-9a-f]{24}$/i,
+    /^[0-9a-f]{32,}$/i
+];
+
+function isDynamicId(segment) {
+    return ID_PATTERNS.some(pattern => pattern.test(segment));
+}
+
+function isStaticAsset(entry, url) {
+    const mimeType = entry.response?.content?.mimeType || '';
+    return STATIC_EXTENSIONS.test(url.pathname) || STATIC_MIME_TYPES.test(mimeType);
+}
+
+function variableName(previousSegment) {
+    const resource = (previousSegment || 'resource').replace(/[^A-Za-z0-9]+/g, '_').toLowerCase();
+    return `${resource.endsWith('s') && resource.length > 1 ? resource.slice(0, -1) : resource}_id`;
+}
+
+/**
+ * Stable endpoint tag for a request: method plus the route with ids collapsed, e.g. `get_posts_id`
+ */
+function endpointName(method, segments) {
+    const route = segments.map(segment => (isDynamicId(segment) ? 'id' : segment.replace(/[^A-Za-z0-9]+/g, '_')));
+    return [method.toLowerCase(), ...route].join('_').replace(/_+/g, '_').replace(/_$/, '').toLowerCase();
+}
+
+/**
+ * Parsed JSON body of a recorded response, or undefined when it has none
+ */
+function responseJson(entry) {
+    const content = entry.response?.content;
+    if (!content || typeof content.text !== 'string' || content.text === '') return undefined;
+    const text = content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf-8') : content.text;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * JSON paths (in the syntax of step `extract` rules) of the values of a body equal to a recorded id, in key order
+ * @returns {Array<object>} [{ path, key }], e.g. { path: '$[1].id', key: 'id' }
+ */
+function findJsonPaths(value, id, path = '$', key = null, found = []) {
+    if (value === null || typeof value !== 'object') {
+        if ((typeof value === 'string' || typeof value === 'number') && String(value) === id) found.push({ path, key });
+        return found;
+    }
+    for (const [childKey, child] of Object.entries(value)) {
+        let childPath;
+        if (Array.isArray(value)) childPath = `${path}[${childKey}]`;
+        else if (/^[A-Za-z_$][\w$-]*$/.test(childKey)) childPath = `${path}.${childKey}`;
+        else if (!childKey.includes("'")) childPath = `${path}['${childKey}']`;
+        else continue;
+        // Array items keep the key of their array, so `{ "tagIds": [7] }` still names the value
+        findJsonPaths(child, id, childPath, Array.isArray(value) ? key : childKey, found);
+    }
+    return found;
+}
+
+/**
+ * How surely a body field holds the id of a path segment: 0 for `<resource>Id` (`postId`, `post_id` after `/posts`),
+ * 1 for `id`, 2 for any other field that merely holds the same value (e.g. `userId: 1` next to `id: 1`)
+ */
+function idKeyRank(key, previousSegment) {
+    const normalized = String(key ?? '').replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+    if (previousSegment && normalized === variableName(previousSegment).replace(/_/g, '')) return 0;
+    return normalized === 'id' ? 1 : 2;
+}
+
+/**
+ * Replace dynamic path ids with journey variables; the same id always maps to the same variable
+ * An id found in the JSON response of an earlier step is extracted from it (`extract`), like the browser got it;
+ * any other id is replayed as the recorded value (`variables`).
+ * @param {Array<object>} previous - [{ step, body: parsed JSON response }] of the steps before this one
+ */
+function parameterizePath(url, variables, valueToVariable, previous = []) {
+    const segments = url.pathname.split('/').filter(Boolean);
+    const path = segments.map((segment, i) => {
+        if (!isDynamicId(segment)) return segment;
+
+        if (!valueToVariable.has(segment)) {
+            const base = variableName(segments[i - 1]);
+            const taken = new Set(valueToVariable.values());
+            let name = base;
+            for (let n = 2; taken.has(name); n++) name = `${base}_${n}`;
+            valueToVariable.set(segment, name);
+
+            // Fields named after the id win over fields that only hold the same value; among equals the most recent
+            // response is the likeliest source, e.g. the POST that created the resource
+            let source = null;
+            [...previous].reverse().forEach(({ step, body }) => {
+                if (body === undefined) return;
+                findJsonPaths(body, segment).forEach(({ path: jsonPath, key }) => {
+                    const rank = idKeyRank(key, segments[i - 1]);
+                    if (!source || rank < source.rank) source = { step, path: jsonPath, rank };
+                });
+            });
+            if (source) source.step.extract = { ...source.step.extract, [name]: { path: source.path } };
+            else variables[name] = segment;
+        }
+        return `{{vars.${valueToVariable.get(segment)}}}`;
+    });
+
+    return { segments, path: `/${path.join('/')}${url.search}` };
+}
+
+function requestBody(postData) {
+    if (!postData || postData.text === undefined || postData.text === '') return undefined;
+    if (/json/i.test(postData.mimeType || '')) {
+        try { return JSON.parse(postData.text); } catch (e) { /* keep raw text */ }
+    }
+    return postData.text;
+}
+
+function requestHeaders(headers = []) {
+    const kept = {};
+    headers
+        .filter(h => KEPT_HEADERS.includes(h.name.toLowerCase()))
+        .forEach(h => { kept[h.name.split('-').map(p => p[0].toUpperCase() + p.slice(1)).join('-')] = h.value; });
+    return Object.keys(kept).length > 0 ? kept : undefined;
+}
+
+/**
+ * Build one ordered journey from a HAR log (HTTP Archive 1.2)
+ * @param {object} har - Parsed HAR file
+ * @param {object} options - { name, origin: origin to keep, maxThinkTime: seconds }
+ * @returns {object} { journey, origin, skipped: { static, thirdParty } }
+ */
+function buildJourneyFromHar(har, options = {}) {
+    const entries = [...(har?.log?.entries || [])]
+        .filter(entry => /^https?:/.test(entry.request?.url || ''))
+        .sort((a, b) => new Date(a.startedDateTime) - new Date(b.startedDateTime));
+    if (entries.length === 0) throw new Error('HAR file contains no HTTP entries');
+
+    const skipped = { static: 0, thirdParty: 0 };
+    const dynamic = entries.filter(entry => {
+        const keep = !isStaticAsset(entry, new URL(entry.request.url));
+        if (!keep) skipped.static++;
+        return keep;
+    });
+    if (dynamic.length === 0) throw new Error('HAR file contains only static assets');
+
+    // Requests to other origins (analytics, CDNs) are dropped; the first request's origin is the target by default
+    const origin = options.origin || new URL(dynamic[0].request.url).origin;
+    const kept = dynamic.filter(entry => {
+        const keep = new URL(entry.request.url).origin === origin;
+        if (!keep) skipped.thirdParty++;
+        return keep;
+    });
+    if (kept.length === 0) throw new Error(`HAR file contains no requests to ${origin}`);
+
+    const maxThinkTime = options.maxThinkTime ?? DEFAULT_MAX_THINK_TIME;
+    const variables = {};
+    const valueToVariable = new Map();
+
+    const bodies = kept.map(responseJson);
+    const steps = [];
+    kept.forEach((entry, i) => {
+        const url = new URL(entry.request.url);
+        const previous = steps.map((step, j) => ({ step, body: bodies[j] }));
+        const { segments, path } = parameterizePath(url, variables, valueToVariable, previous);
+        const step = { name: endpointName(entry.request.method, segments), method: entry.request.method.toUpperCase(), path };
+
+        const headers = requestHeaders(entry.request.headers);
+        if (headers) step.headers = headers;
+        const body = requestBody(entry.request.postData);
+        if (body !== undefined) step.body = body;
+        if (entry.response?.status > 0) step.checks = { status: entry.response.status };
+
+        // Think time is the real gap between this response finishing and the next request starting
+        const next = kept[i + 1];
+        if (next) {
+            const finished = new Date(entry.startedDateTime).getTime() + (entry.time || 0);
+            const gap = (new Date(next.startedDateTime).getTime() - finished) / 1000;
+            step.thinkTime = parseFloat(Math.min(Math.max(gap, 0), maxThinkTime).toFixed(2));
+        }
+        steps.push(step);
+    });
+
+    const title = options.name || har.log.pages?.[0]?.title || '';
+    const name = title.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '').toLowerCase() || 'har_journey';
+    return { journey: { name, weight: 1, variables, steps }, origin, skipped };
+}
+
+/**
+ * Generate a journey-based scenario definition from one or more HAR files
+ * @param {Array<object>} hars - Parsed HAR files, one journey each
+ * @param {object} options - { name, baseUrl, origin, maxThinkTime, journeyNames }
+ * @returns {object} { scenario, skipped }
+ * @throws {Error} When the recordings target different origins and no `origin` picks one
+ */
+function generateScenarioFromHar(hars, options = {}) {
+    const skipped = { static: 0, thirdParty: 0 };
+    const journeys = [];
+    const origins = new Set();
+
+    hars.forEach((har, i) => {
+        const result = buildJourneyFromHar(har, { ...options, name: options.journeyNames?.[i] });
+        origins.add(result.origin);
+        let name = result.journey.name;
+        for (let n = 2; journeys.some(j => j.name === name); n++) name = `${result.journey.name}_${n}`;
+        journeys.push({ ...result.journey, name });
+
+        skipped.static += result.skipped.static;
+        skipped.thirdParty += result.skipped.thirdParty;
+    });
+
+    // Journeys share the scenario's baseUrl, so recordings of different origins cannot be replayed together
+    if (origins.size > 1) {
+        throw new Error(`HAR files target different origins (${[...origins].join(', ')}); import them separately or choose one with --origin`);
+    }
+
+    const scenario = {
+        name: options.name || journeys[0].name,
+        description: `Imported from ${hars.length} HAR recording(s)`,
+        baseUrl: options.baseUrl || [...origins][0],
+        journeys
+    };
+    return { scenario, skipped };
+}
+
+module.exports = { generateScenarioFromHar, buildJourneyFromHar, isDynamicId };
@@ -0,0 +1,292 @@
+const DEFAULT_METHODS = ['get', 'post'];
+const MAX_SCHEMA_DEPTH = 5;
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const PARAMETER_LOCATIONS = ['query', 'header', 'path', 'cookie'];
+const RESPONSE_CODE = /^([1-5](\d\d|XX)|default)$/;
+
+/**
+ * Resolve a local `$ref` (e.g. `#/components/schemas/Post`) against the document
+ */
+function resolveRef(spec, node, seen = new Set()) {
+    if (!node || typeof node.$ref !== 'string') return node;
+    if (!node.$ref.startsWith('#/')) throw new Error(`Only local $ref values are supported: ${node.$ref}`);
+    if (seen.has(node.$ref)) return {};
+
+    const target = node.$ref
+        .slice(2)
+        .split('/')
+        .reduce((value, key) => value?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], spec);
+    if (target === undefined) throw new Error(`Unresolvable $ref: ${node.$ref}`);
+    return resolveRef(spec, target, new Set([...seen, node.$ref]));
+}
+
+function firstExample(node) {
+    if (!node) return undefined;
+    if (node.example !== undefined) return node.example;
+    const examples = Object.values(node.examples || {});
+    return examples.length > 0 ? examples[0].value : undefined;
+}
+
+/**
+ * Build an example value from a schema, preferring examples, defaults and enums
+ */
+function exampleFromSchema(spec, schemaNode, depth = 0) {
+    const schema = resolveRef(spec, schemaNode) || {};
+    const explicit = firstExample(schema) ?? schema.default ?? schema.enum?.[0];
+    if (explicit !== undefined) return explicit;
+    if (depth > MAX_SCHEMA_DEPTH) return null;
+
+    const variants = schema.allOf || schema.oneOf || schema.anyOf;
+    if (variants) {
+        if (!schema.allOf) return exampleFromSchema(spec, variants[0], depth + 1);
+        return Object.assign({}, ...variants.map(v => exampleFromSchema(spec, v, depth + 1)));
+    }
+
+    switch (schema.type || (schema.properties ? 'object' : undefined)) {
+        case 'object': {
+            const result = {};
+            Object.entries(schema.properties || {}).forEach(([key, property]) => {
+                if (!resolveRef(spec, property)?.readOnly) result[key] = exampleFromSchema(spec, property, depth + 1);
+            });
+            return result;
+        }
+        case 'array':
+            return [exampleFromSchema(spec, schema.items, depth + 1)];
+        case 'integer':
+        case 'number':
+            return schema.minimum ?? 1;
+        case 'boolean':
+            return true;
+        case 'string':
+            if (schema.format === 'date-time') return new Date(0).toISOString();
+            if (schema.format === 'email') return 'user@example.com';
+            return 'string';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Template expression for a path or query parameter, so each iteration can hit a different resource
+ */
+function parameterValue(spec, parameter) {
+    const schema = resolveRef(spec, parameter.schema) || {};
+    const example = firstExample(parameter) ?? firstExample(schema) ?? schema.default ?? schema.enum?.[0];
+    if (example !== undefined) return encodeURIComponent(String(example));
+
+    if (schema.type === 'integer' || schema.type === 'number') {
+        return `{{randomInt(${schema.minimum ?? 1},${schema.maximum ?? 100})}}`;
+    }
+    if (schema.format === 'uuid') return '{{uuid}}';
+    return '{{randomString(8)}}';
+}
+
+function endpointName(method, pathTemplate, operation, usedNames) {
+    const base = (operation.operationId || `${method}_${pathTemplate}`)
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/[^A-Za-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .toLowerCase() || method;
+
+    let name = base;
+    for (let i = 2; usedNames.has(name); i++) name = `${base}_${i}`;
+    usedNames.add(name);
+    return name;
+}
+
+function buildPath(spec, pathTemplate, parameters) {
+    const path = pathTemplate.replace(/\{([^}]+)\}/g, (_m, paramName) => {
+        const parameter = parameters.find(p => p.in === 'path' && p.name === paramName);
+        return parameter ? parameterValue(spec, parameter) : '{{randomInt(1,100)}}';
+    });
+
+    const query = parameters
+        .filter(p => p.in === 'query' && p.required)
+        .map(p => `${encodeURIComponent(p.name)}=${parameterValue(spec, p)}`);
+    return query.length > 0 ? `${path}?${query.join('&')}` : path;
+}
+
+function jsonContent(spec, node) {
+    const content = resolveRef(spec, node)?.content || {};
+    const type = Object.keys(content).find(t => t === 'application/json' || /\+json$/.test(t));
+    return type ? content[type] : null;
+}
+
+/**
+ * Checks from the documented success responses: status codes, root JSON type and required fields
+ */
+function buildChecks(spec, responses = {}, maxDuration) {
+    const successCodes = Object.keys(responses).filter(code => /^2\d\d$/.test(code)).map(Number);
+    const checks = { status: successCodes.length === 1 ? successCodes[0] : successCodes.length > 0 ? successCodes : 200 };
+    if (maxDuration) checks.maxDuration = maxDuration;
+
+    const media = successCodes.length > 0 ? jsonContent(spec, responses[successCodes[0]]) : null;
+    const schema = resolveRef(spec, media?.schema);
+    if (!schema) return checks;
+
+    if (schema.type === 'array') {
+        checks.json = [{ path: '$', type: 'array' }];
+    } else if (schema.type === 'object' || schema.properties) {
+        checks.json = [
+            { path: '$', type: 'object' },
+            ...(schema.required || [])
+                .filter(field => /^[A-Za-z_$][\w$-]*$/.test(field))
+                .map(field => ({ path: `$.${field}`, exists: true }))
+        ];
+    }
+    return checks;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Local $refs are resolved as the generator will; a broken one is reported instead of thrown
+function resolveForValidation(spec, node, where, errors) {
+    try {
+        return resolveRef(spec, node);
+    } catch (e) {
+        errors.push(`${where}: ${e.message}`);
+        return undefined;
+    }
+}
+
+function validateParameters(spec, parameters, where, errors) {
+    if (parameters === undefined) return;
+    if (!Array.isArray(parameters)) {
+        errors.push(`${where}.parameters must be an array`);
+        return;
+    }
+    parameters.forEach((node, i) => {
+        const at = `${where}.parameters[${i}]`;
+        const parameter = resolveForValidation(spec, node, at, errors);
+        if (parameter === undefined) return;
+        if (!isObject(parameter) || typeof parameter.name !== 'string' || parameter.name === '') {
+            errors.push(`${at}.name is required`);
+        } else if (!PARAMETER_LOCATIONS.includes(parameter.in)) {
+            errors.push(`${at} (${parameter.name}).in must be one of ${PARAMETER_LOCATIONS.join(', ')}`);
+        }
+    });
+}
+
+/**
+ * Validate the parts of an OpenAPI 3 document the generator reads: servers, paths, operations, parameters and responses
+ * @param {object} spec - Parsed OpenAPI document
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateOpenApiDocument(spec) {
+    if (!isObject(spec) || typeof spec.openapi !== 'string' || !spec.openapi.startsWith('3.')) {
+        return ['Only OpenAPI 3.x documents are supported (an "openapi": "3.x.y" field is required)'];
+    }
+
+    const errors = [];
+    if (spec.servers !== undefined && (!Array.isArray(spec.servers) || spec.servers.some(server => typeof server?.url !== 'string'))) {
+        errors.push('servers must be an array of { url }');
+    }
+    if (spec.paths === undefined) return errors;
+    if (!isObject(spec.paths)) return [...errors, 'paths must be an object'];
+
+    Object.entries(spec.paths).forEach(([pathTemplate, node]) => {
+        const where = `paths.${pathTemplate}`;
+        if (!pathTemplate.startsWith('/')) errors.push(`${where}: path must start with "/"`);
+        const pathItem = resolveForValidation(spec, node, where, errors);
+        if (pathItem === undefined) return;
+        if (!isObject(pathItem)) {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+
+        validateParameters(spec, pathItem.parameters, where, errors);
+        HTTP_METHODS.filter(method => pathItem[method] !== undefined).forEach(method => {
+            const at = `${where}.${method}`;
+            const operation = pathItem[method];
+            if (!isObject(operation)) {
+                errors.push(`${at} must be an object`);
+                return;
+            }
+
+            validateParameters(spec, operation.parameters, at, errors);
+            if (operation.requestBody !== undefined) {
+                const requestBody = resolveForValidation(spec, operation.requestBody, `${at}.requestBody`, errors);
+                if (requestBody !== undefined && !isObject(requestBody)) errors.push(`${at}.requestBody must be an object`);
+            }
+            if (operation.responses === undefined) return;
+            if (!isObject(operation.responses)) {
+                errors.push(`${at}.responses must be an object`);
+                return;
+            }
+            Object.keys(operation.responses)
+                .filter(code => !RESPONSE_CODE.test(code))
+                .forEach(code => errors.push(`${at}.responses: "${code}" is not a status code, a range such as 2XX, or default`));
+        });
+    });
+    return errors;
+}
+
+/**
+ * Generate a scenario definition (see src/tests/scenarios) from an OpenAPI 3 document
+ * @param {object} spec - Parsed OpenAPI 3.x document
+ * @param {object} options - { baseUrl, methods: ['get', 'post'], maxDuration, name }
+ * @returns {object} Scenario definition
+ * @throws {Error} With every validation error when the document is not a usable OpenAPI 3 document
+ */
+function generateScenarioFromOpenApi(spec, options = {}) {
+    const errors = validateOpenApiDocument(spec);
+    if (errors.length > 0) {
+        throw new Error(`Invalid OpenAPI document:\n${errors.map(err => `   - ${err}`).join('\n')}`);
+    }
+
+    const methods = (options.methods || DEFAULT_METHODS).map(m => m.toLowerCase());
+    const serverUrl = spec.servers?.[0]?.url;
+    const baseUrl = options.baseUrl || (/^https?:\/\//.test(serverUrl || '') ? serverUrl.replace(/\/$/, '') : undefined);
+    // Relative server URLs (e.g. `/v1`) are kept as a path prefix
+    const basePath = serverUrl?.startsWith('/') ? serverUrl.replace(/\/$/, '') : '';
+    const usedNames = new Set();
+    const endpoints = [];
+
+    Object.entries(spec.paths || {}).forEach(([pathTemplate, pathItemNode]) => {
+        const pathItem = resolveRef(spec, pathItemNode);
+
+        methods.forEach(method => {
+            const operation = pathItem[method];
+            if (!operation || operation.deprecated) return;
+
+            // Operation-level parameters override path-level ones with the same name and location
+            const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+                .map(p => resolveRef(spec, p))
+                .reverse()
+                .filter((p, i, all) => all.findIndex(o => o.name === p.name && o.in === p.in) === i);
+
+            const endpoint = {
+                name: endpointName(method, pathTemplate, operation, usedNames),
+                method: method.toUpperCase(),
+                path: `${basePath}${buildPath(spec, pathTemplate, parameters)}`,
+                weight: 1
+            };
+
+            const requestMedia = jsonContent(spec, operation.requestBody);
+            if (requestMedia) {
+                endpoint.headers = { 'Content-Type': 'application/json' };
+                endpoint.body = firstExample(requestMedia) ?? exampleFromSchema(spec, requestMedia.schema);
+            }
+
+            endpoint.checks = buildChecks(spec, operation.responses, options.maxDuration);
+            endpoints.push(endpoint);
+        });
+    });
+
+    if (endpoints.length === 0) {
+        throw new Error(`No ${methods.map(m => m.toUpperCase()).join('/')} operations found in the OpenAPI document`);
+    }
+
+    const scenario = {
+        name: options.name || spec.info?.title?.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'openapi',
+        description: `Generated from OpenAPI ${spec.info?.title || ''} ${spec.info?.version || ''}`.replace(/\s+/g, ' ').trim()
+    };
+    if (baseUrl) scenario.baseUrl = baseUrl;
+    scenario.defaults = { headers: { Accept: 'application/json' }, thinkTime: { min: 1, max: 3 } };
+    scenario.endpoints = endpoints;
+    return scenario;
+}
+
+module.exports = { generateScenarioFromOpenApi, validateOpenApiDocument, exampleFromSchema, resolveRef };
@@ -0,0 +1,118 @@
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_TOKEN_TTL = 60;
+const DEFAULT_CLIENTS = { 'load-test': 'local-secret' };
+// user1 / password1 … user50 / password50, a superset of src/tests/scenarios/data/mock-users.csv
+const DEFAULT_USERS = Object.fromEntries(Array.from({ length: 50 }, (_, i) => [`user${i + 1}`, `password${i + 1}`]));
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (!body) return resolve({});
+            try {
+                resolve((req.headers['content-type'] || '').includes('application/json')
+                    ? JSON.parse(body)
+                    : Object.fromEntries(new URLSearchParams(body)));
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Client credentials from HTTP Basic auth or the form (RFC 6749 2.3.1)
+function clientCredentials(req, form) {
+    const basic = (req.headers.authorization || '').match(/^Basic\s+(.+)$/i);
+    if (basic) {
+        const [id, ...secret] = Buffer.from(basic[1], 'base64').toString().split(':');
+        return { id, secret: secret.join(':') };
+    }
+    return { id: form.client_id, secret: form.client_secret };
+}
+
+/**
+ * Mock OAuth2 / login server, to run the auth strategies of scenarios offline
+ *
+ * - `POST /oauth/token`: `client_credentials` and `password` grants (form or JSON), `{ access_token, expires_in }`
+ * - `POST /login`: JSON `{ username, password }`, `{ data: { token }, expiresIn }`
+ * - `GET /api/profile`: requires a valid, unexpired bearer token
+ * - `GET /health`: public
+ * @param {object} options - { tokenTtl: seconds (default 60), clients: id -> secret, users: username -> password }
+ * @returns {http.Server} Not yet listening
+ */
+function createTokenServer(options = {}) {
+    const tokenTtl = options.tokenTtl || DEFAULT_TOKEN_TTL;
+    const clients = options.clients || DEFAULT_CLIENTS;
+    const users = options.users || DEFAULT_USERS;
+    const tokens = new Map();
+
+    function issueToken(subject) {
+        const token = crypto.randomBytes(24).toString('hex');
+        tokens.set(token, { subject, expiresAt: Date.now() + tokenTtl * 1000 });
+        return token;
+    }
+
+    async function handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' && pathname === '/health') return sendJson(res, 200, { status: 'ok' });
+
+        if (req.method === 'POST' && pathname === '/oauth/token') {
+            const form = await readBody(req);
+            const client = clientCredentials(req, form);
+            if (form.grant_type === 'client_credentials') {
+                if (clients[client.id] === undefined || clients[client.id] !== client.secret) {
+                    return sendJson(res, 401, { error: 'invalid_client' });
+                }
+                return sendJson(res, 200, { access_token: issueToken(client.id), token_type: 'Bearer', expires_in: tokenTtl });
+            }
+            if (form.grant_type === 'password') {
+                if (client.id !== undefined && clients[client.id] !== client.secret) return sendJson(res, 401, { error: 'invalid_client' });
+                if (users[form.username] === undefined || users[form.username] !== form.password) {
+                    return sendJson(res, 400, { error: 'invalid_grant' });
+                }
+                return sendJson(res, 200, { access_token: issueToken(form.username), token_type: 'Bearer', expires_in: tokenTtl });
+            }
+            return sendJson(res, 400, { error: 'unsupported_grant_type' });
+        }
+
+        if (req.method === 'POST' && pathname === '/login') {
+            const { username, password } = await readBody(req);
+            if (users[username] === undefined || users[username] !== password) return sendJson(res, 401, { error: 'invalid credentials' });
+            return sendJson(res, 200, { data: { token: issueToken(username) }, expiresIn: tokenTtl });
+        }
+
+        if (req.method === 'GET' && pathname === '/api/profile') {
+            const bearer = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+            const session = bearer && tokens.get(bearer[1]);
+            if (!session || session.expiresAt <= Date.now()) return sendJson(res, 401, { error: 'invalid_token' });
+            return sendJson(res, 200, { subject: session.subject, expiresIn: Math.round((session.expiresAt - Date.now()) / 1000) });
+        }
+
+        return sendJson(res, 404, { error: 'not found' });
+    }
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch(() => sendJson(res, 400, { error: 'invalid_request' }));
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.MOCK_AUTH_PORT) || DEFAULT_PORT;
+    const tokenTtl = Number(process.env.MOCK_TOKEN_TTL) || DEFAULT_TOKEN_TTL;
+    createTokenServer({ tokenTtl }).listen(port, () => {
+        console.log(`🔐 Mock token server listening on http://localhost:${port} (tokens expire after ${tokenTtl}s)`);
+    });
+}
+
+module.exports = { createTokenServer };
@@ -0,0 +1,109 @@
+// Authentication strategies of a scenario (`auth`): static bearer, OAuth2 client credentials / password grant, custom login
+import http from 'k6/http';
+import { check } from 'k6';
+import { renderTemplate } from './template.js';
+import { queryJsonPath } from './jsonpath.js';
+
+const DEFAULT_REFRESH_BEFORE = 30;
+
+function resolveUrl(url, baseUrl) {
+    return /^https?:\/\//.test(url) ? url : `${baseUrl}${url}`;
+}
+
+// OAuth2 token endpoint form (RFC 6749 4.3 / 4.4); unset fields are left out
+function grantForm(auth, context) {
+    const fields = auth.type === 'password'
+        ? { grant_type: 'password', username: auth.username, password: auth.password }
+        : { grant_type: 'client_credentials' };
+    Object.assign(fields, { client_id: auth.clientId, client_secret: auth.clientSecret, scope: auth.oauthScope });
+
+    const form = {};
+    Object.keys(fields).filter((key) => fields[key] !== undefined).forEach((key) => {
+        form[key] = String(renderTemplate(fields[key], context));
+    });
+    return form;
+}
+
+/**
+ * Send the token request of an auth strategy
+ * @returns {object} { res, endpoint, tokenPath, expiresInPath }
+ */
+function requestToken(auth, baseUrl, context) {
+    if (auth.type === 'login') {
+        const request = auth.request;
+        const url = resolveUrl(renderTemplate(request.path, context), baseUrl);
+        let body = null;
+        if (request.body !== undefined) {
+            const rendered = renderTemplate(request.body, context);
+            body = typeof rendered === 'string' ? rendered : JSON.stringify(rendered);
+        }
+        const headers = { 'Content-Type': 'application/json', ...renderTemplate(request.headers || {}, context) };
+        const tags = { endpoint: 'auth_login', method: request.method, name: resolveUrl(request.path, baseUrl) };
+        return {
+            res: http.request(request.method, url, body, { headers, tags }),
+            endpoint: tags.endpoint,
+            tokenPath: auth.tokenPath,
+            expiresInPath: auth.expiresInPath
+        };
+    }
+
+    const url = resolveUrl(auth.tokenUrl, baseUrl);
+    const tags = { endpoint: 'auth_token', method: 'POST', name: url };
+    return {
+        res: http.post(url, grantForm(auth, context), { tags }),
+        endpoint: tags.endpoint,
+        tokenPath: '$.access_token',
+        expiresInPath: '$.expires_in'
+    };
+}
+
+/**
+ * Acquire a token with the scenario's auth strategy
+ * @param {object} auth - Scenario `auth` (validated by src/core/scenarioLoader.js)
+ * @param {string} baseUrl - Base URL relative token URLs are resolved against
+ * @param {object} context - Template context (`env`, and `data` for per-VU tokens)
+ * @returns {object} { token, expiresAt, lifetime } with expiresAt/lifetime null when the token does not expire
+ * @throws {Error} When the token request fails or its response has no token
+ */
+export function acquireToken(auth, baseUrl, context) {
+    if (auth.type === 'bearer') return { token: String(renderTemplate(auth.token, context)), expiresAt: null, lifetime: null };
+
+    const { res, endpoint, tokenPath, expiresInPath } = requestToken(auth, baseUrl, context);
+    let body = null;
+    try { body = res.json(); } catch (_e) { /* not JSON */ }
+    const token = body !== null ? queryJsonPath(body, tokenPath) : undefined;
+
+    const acquired = check(res, { 'auth token acquired': () => typeof token === 'string' && token !== '' }, { endpoint });
+    if (!acquired) throw new Error(`Token request of the "${auth.type}" auth strategy failed (HTTP ${res.status})`);
+
+    const expiresIn = expiresInPath && body !== null ? Number(queryJsonPath(body, expiresInPath)) : NaN;
+    const lifetime = expiresIn > 0 ? expiresIn * 1000 : null;
+    return { token, expiresAt: lifetime !== null ? Date.now() + lifetime : null, lifetime };
+}
+
+/**
+ * Token holder of one VU, refreshing the token `refreshBefore` seconds (at most half its lifetime) before it expires
+ * @param {object} initial - Token acquired in setup(), or null to acquire one on first use
+ */
+export function createAuthSession(auth, baseUrl, initial = null) {
+    let current = initial;
+    const header = auth.header || 'Authorization';
+    const scheme = auth.scheme ?? 'Bearer';
+
+    function needsToken() {
+        if (!current) return true;
+        if (current.expiresAt === null) return false;
+        const margin = Math.min((auth.refreshBefore ?? DEFAULT_REFRESH_BEFORE) * 1000, current.lifetime / 2);
+        return Date.now() >= current.expiresAt - margin;
+    }
+
+    return {
+        /**
+         * Headers authenticating a request, refreshing the token first when needed
+         */
+        headers(context) {
+            if (needsToken()) current = acquireToken(auth, baseUrl, context);
+            return { [header]: scheme ? `${scheme} ${current.token}` : current.token };
+        }
+    };
+}
@@ -0,0 +1,51 @@
+import { queryJsonPath } from './jsonpath.js';
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function describeAssertion(assertion) {
+    if (assertion.name) return assertion.name;
+    if (assertion.type) return `${assertion.path} is ${assertion.type}`;
+    if (assertion.equals !== undefined) return `${assertion.path} equals ${JSON.stringify(assertion.equals)}`;
+    if (assertion.minLength !== undefined) return `${assertion.path} has at least ${assertion.minLength} item(s)`;
+    return `${assertion.path} ${assertion.exists === false ? 'is absent' : 'exists'}`;
+}
+
+function assertJson(assertion, body) {
+    const value = queryJsonPath(body, assertion.path);
+    if (assertion.type && typeOf(value) !== assertion.type) return false;
+    if (assertion.equals !== undefined && JSON.stringify(value) !== JSON.stringify(assertion.equals)) return false;
+    if (assertion.minLength !== undefined && !(value && value.length >= assertion.minLength)) return false;
+    if (assertion.exists !== undefined && (value !== undefined) !== assertion.exists) return false;
+    return true;
+}
+
+/**
+ * Build the k6 check map for an endpoint's `checks` definition
+ * @param {object} checks - { status, maxDuration, json: [{ path, exists | equals | type | minLength, name }] }
+ * @param {Function} getJson - Returns the parsed response body, or null when it is not JSON
+ */
+export function buildChecks(checks = {}, getJson) {
+    const result = {};
+
+    if (checks.status !== undefined) {
+        const expected = [].concat(checks.status);
+        result[`status is ${expected.join(' or ')}`] = (r) => expected.includes(r.status);
+    }
+
+    if (checks.maxDuration !== undefined) {
+        result[`response time < ${checks.maxDuration}ms`] = (r) => r.timings.duration < checks.maxDuration;
+    }
+
+    (checks.json || []).forEach((assertion) => {
+        result[describeAssertion(assertion)] = () => {
+            const body = getJson();
+            return body !== null && assertJson(assertion, body);
+        };
+    });
+
+    return result;
+}
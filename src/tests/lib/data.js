@@ -0,0 +1,134 @@
+// Scenario data sources (`data`): CSV/JSON rows shared by all VUs, assigned per iteration or per VU
+import { SharedArray } from 'k6/data';
+import exec from 'k6/execution';
+import { Counter } from 'k6/metrics';
+
+// Incremented when an iteration-scoped `stop` source ends the test; the runner then reports a completed run, not an abort
+const dataExhausted = new Counter('data_exhausted');
+
+/**
+ * Parse CSV text with a header row into one object per row (RFC 4180 quoting, "" escapes a quote)
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            record.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header = [], ...rows] = records.filter((row) => row.some((value) => value !== ''));
+    return rows.map((row) => {
+        const item = {};
+        header.forEach((column, i) => { item[column.trim()] = row[i] ?? ''; });
+        return item;
+    });
+}
+
+/**
+ * Resolve a file a scenario references (data files, proto files) against the scenario file, like the runner does
+ * when validating them
+ */
+export function resolveScenarioPath(file, scenarioFile) {
+    if (/^([A-Za-z]:)?[\\/]/.test(file)) return file;
+    const dir = scenarioFile.replace(/[^\\/]*$/, '');
+    return `${dir}${file}`;
+}
+
+/**
+ * Load every data source of a scenario once, in the init context
+ * @param {object} sources - Scenario `data`: name -> { file, assign, scope, onExhausted }
+ * @param {string} scenarioFile - Path of the scenario file
+ */
+export function loadDataSources(sources = {}, scenarioFile) {
+    return Object.keys(sources).map((name) => {
+        const config = sources[name];
+        const rows = new SharedArray(name, () => {
+            const content = open(resolveScenarioPath(config.file, scenarioFile));
+            return /\.csv$/i.test(config.file) ? parseCsv(content) : JSON.parse(content);
+        });
+        const assign = config.assign || 'sequential';
+        return {
+            name,
+            rows,
+            assign,
+            scope: config.scope || 'iteration',
+            onExhausted: config.onExhausted || (assign === 'unique' ? 'stop' : 'wrap')
+        };
+    });
+}
+
+// Random rows of VU-scoped sources, kept for the lifetime of the VU
+const vuRows = {};
+
+/**
+ * Row index of a source for the current iteration, or -1 when the source is exhausted
+ */
+function rowIndex(source) {
+    const perVu = source.scope === 'vu';
+    if (source.assign === 'random') {
+        if (!perVu) return Math.floor(Math.random() * source.rows.length);
+        if (vuRows[source.name] === undefined) vuRows[source.name] = Math.floor(Math.random() * source.rows.length);
+        return vuRows[source.name];
+    }
+
+    // Iterations of the whole test (all VUs) walk the rows in order, so concurrent VUs send different rows;
+    // unique only differs by never wrapping (see loadDataSources)
+    const position = perVu ? exec.vu.idInTest - 1 : exec.scenario.iterationInTest;
+
+    if (position < source.rows.length) return position;
+    return source.onExhausted === 'wrap' ? position % source.rows.length : -1;
+}
+
+/**
+ * Rows of every source for the current iteration, as the `data` template context
+ * An exhausted `fail` source aborts the test. An exhausted `stop` source ends the test when it is iteration-scoped
+ * (no later iteration would get a row either); a VU-scoped one returns null and that VU stops sending requests.
+ * @returns {object|null} Source name -> row
+ */
+export function selectRows(sources) {
+    const data = {};
+    for (const source of sources) {
+        const index = rowIndex(source);
+        if (index === -1) {
+            const message = `Data source "${source.name}" exhausted after ${source.rows.length} row(s)`;
+            if (source.onExhausted === 'fail') exec.test.abort(message);
+            if (source.scope !== 'vu') {
+                dataExhausted.add(1);
+                exec.test.abort(`${message}, ending the test (onExhausted: "stop")`);
+            }
+            return null;
+        }
+        data[source.name] = source.rows[index];
+    }
+    return data;
+}
@@ -0,0 +1,48 @@
+// Response correlation for journey steps: values captured from a response into `vars` for the following steps
+import { queryJsonPath } from './jsonpath.js';
+
+function headerValue(res, name) {
+    const key = Object.keys(res.headers).find((header) => header.toLowerCase() === name.toLowerCase());
+    return key === undefined ? undefined : res.headers[key];
+}
+
+// First capture group of the pattern, or the whole match when it has none
+function matchPattern(text, pattern) {
+    if (typeof text !== 'string') return undefined;
+    const match = text.match(new RegExp(pattern));
+    if (!match) return undefined;
+    return match[1] !== undefined ? match[1] : match[0];
+}
+
+function extractValue(rule, res, getJson) {
+    switch (rule.from) {
+        case 'header': {
+            const value = headerValue(res, rule.name);
+            return rule.pattern ? matchPattern(value, rule.pattern) : value;
+        }
+        case 'regex':
+            return matchPattern(res.body, rule.pattern);
+        default: {
+            const body = getJson();
+            return body !== null ? queryJsonPath(body, rule.path) : undefined;
+        }
+    }
+}
+
+/**
+ * Capture a step's `extract` values from its response
+ * @param {object} extract - variable -> { from: "json" (default) | "header" | "regex", path | name | pattern }
+ * @param {object} res - k6 response
+ * @param {Function} getJson - Returns the parsed response body, or null when it is not JSON
+ * @returns {object} { values: variable -> value, missing: variables the response did not contain }
+ */
+export function extractValues(extract, res, getJson) {
+    const values = {};
+    const missing = [];
+    Object.keys(extract).forEach((variable) => {
+        const value = extractValue(extract[variable], res, getJson);
+        if (value === undefined || value === null) missing.push(variable);
+        else values[variable] = value;
+    });
+    return { values, missing };
+}
@@ -0,0 +1,34 @@
+// GraphQL endpoints of a scenario (`type: "graphql"`): operations POSTed as JSON documents through k6/http
+import { Rate } from 'k6/metrics';
+import { resolveScenarioPath } from './data.js';
+import graphqlDocuments from '../../utils/graphql.js';
+
+// Responses k6 counts as successful requests that carry a GraphQL `errors` array, tagged per operation
+export const graphqlErrors = new Rate('graphql_errors');
+
+export const DEFAULT_GRAPHQL_PATH = '/graphql';
+
+// Shared with src/core/scenarioLoader.js, which validates the operations before k6 starts (CommonJS module)
+const { operationNames } = graphqlDocuments;
+
+/**
+ * Read the documents of the GraphQL requests now (init context) and resolve the operation each one runs
+ * Requests without a name are named after their operation, which is what their metrics are tagged with.
+ * @param {Array<object>} requests - Endpoints and journey steps of the scenario, completed in place
+ * @param {string} scenarioFile - Path relative query files are resolved against
+ */
+export function prepareGraphqlRequests(requests, scenarioFile) {
+    requests.filter((request) => request.type === 'graphql').forEach((request) => {
+        request.document = request.query ?? open(resolveScenarioPath(request.queryFile, scenarioFile));
+        request.operationName = request.operationName ?? operationNames(request.document)[0];
+        request.name = request.name ?? request.operationName;
+    });
+}
+
+/**
+ * GraphQL errors of a parsed response body; servers answer failed operations with `200` and an `errors` array
+ * @returns {Array<object>} The errors, empty when there are none or the body is not a GraphQL response
+ */
+export function responseErrors(body) {
+    return body && Array.isArray(body.errors) ? body.errors : [];
+}
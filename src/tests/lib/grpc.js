@@ -0,0 +1,73 @@
+// gRPC endpoints of a scenario (`type: "grpc"`): unary calls through k6/net/grpc
+import grpc from 'k6/net/grpc';
+import { renderTemplate } from './template.js';
+import { buildChecks } from './checks.js';
+import { resolveScenarioPath } from './data.js';
+
+// gRPC status names indexed by code (https://grpc.github.io/grpc/core/md_doc_statuscodes.html)
+const STATUS_NAMES = [
+    'OK', 'CANCELLED', 'UNKNOWN', 'INVALID_ARGUMENT', 'DEADLINE_EXCEEDED', 'NOT_FOUND', 'ALREADY_EXISTS',
+    'PERMISSION_DENIED', 'RESOURCE_EXHAUSTED', 'FAILED_PRECONDITION', 'ABORTED', 'OUT_OF_RANGE', 'UNIMPLEMENTED',
+    'INTERNAL', 'UNAVAILABLE', 'DATA_LOSS', 'UNAUTHENTICATED'
+];
+
+function statusCode(status) {
+    return typeof status === 'number' ? status : STATUS_NAMES.indexOf(status);
+}
+
+/**
+ * gRPC client of one VU; the proto files are loaded now (init context), the connection on first use
+ * @param {object} config - Scenario `grpc`: { address, proto: [files], importPaths, plaintext, reflect, timeout }
+ * @param {string} scenarioFile - Path relative proto files and import paths are resolved against
+ */
+export function createGrpcClient(config, scenarioFile) {
+    const client = new grpc.Client();
+    if (!config.reflect) {
+        const importPaths = (config.importPaths || []).map((dir) => resolveScenarioPath(dir, scenarioFile));
+        const protoFiles = config.proto.map((file) => (importPaths.length > 0 ? file : resolveScenarioPath(file, scenarioFile)));
+        client.load(importPaths, ...protoFiles);
+    }
+    let connected = false;
+
+    return {
+        /**
+         * Invoke a unary method, connecting first when needed
+         * @returns {object} { res, duration } with duration in ms
+         */
+        invoke(endpoint, context, metadata, tags) {
+            if (!connected) {
+                client.connect(__ENV.GRPC_ADDRESS || config.address, {
+                    plaintext: Boolean(config.plaintext),
+                    reflect: Boolean(config.reflect),
+                    timeout: config.timeout
+                });
+                connected = true;
+            }
+
+            const start = Date.now();
+            const res = client.invoke(endpoint.method, renderTemplate(endpoint.request || {}, context), {
+                metadata,
+                tags,
+                timeout: endpoint.timeout
+            });
+            return { res, duration: Date.now() - start };
+        }
+    };
+}
+
+/**
+ * Build the k6 check map for a gRPC endpoint's `checks`: status names or codes (default OK), maxDuration, and
+ * JSON path assertions on the response message
+ * @param {object} call - { res, duration } returned by invoke (gRPC responses have no timings)
+ */
+export function buildGrpcChecks(checks = {}, call) {
+    const expected = [].concat(checks.status ?? 'OK');
+    const result = {
+        [`status is ${expected.join(' or ')}`]: (r) => expected.map(statusCode).includes(r.status)
+    };
+
+    if (checks.maxDuration !== undefined) {
+        result[`response time < ${checks.maxDuration}ms`] = () => call.duration < checks.maxDuration;
+    }
+    return Object.assign(result, buildChecks({ json: checks.json }, () => call.res.message ?? null));
+}
@@ -0,0 +1,25 @@
+// Minimal JSONPath subset used by scenario checks: $, .key, [0], ['key']
+const TOKEN = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\['([^']+)'\]/g;
+
+export function parseJsonPath(path) {
+    if (!path || path[0] !== '$') throw new Error(`JSON path must start with "$": ${path}`);
+
+    const tokens = [];
+    let consumed = 1;
+    let match;
+    TOKEN.lastIndex = 1;
+    while ((match = TOKEN.exec(path)) !== null) {
+        if (match.index !== consumed) break;
+        tokens.push(match[2] !== undefined ? Number(match[2]) : match[1] || match[3]);
+        consumed = TOKEN.lastIndex;
+    }
+    if (consumed !== path.length) throw new Error(`Unsupported JSON path: ${path}`);
+    return tokens;
+}
+
+/**
+ * Resolve a JSON path against parsed JSON, returning undefined when any segment is missing
+ */
+export function queryJsonPath(data, path) {
+    return parseJsonPath(path).reduce((value, token) => (value === undefined || value === null ? undefined : value[token]), data);
+}
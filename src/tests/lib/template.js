@@ -0,0 +1,66 @@
+// Placeholder rendering for scenario paths, headers and bodies: {{randomInt(1,80)}}, {{uuid}}, {{env.TOKEN}}, {{data.users.id}}
+const PLACEHOLDER = /\{\{\s*([^}]+?)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([^}]+?)\s*\}\}$/;
+const CHARSET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+const generators = {
+    randomInt: (min = 0, max = 1000) => Math.floor(Math.random() * (max - min + 1)) + min,
+    randomString: (length = 8) => {
+        let result = '';
+        for (let i = 0; i < length; i++) result += CHARSET[Math.floor(Math.random() * CHARSET.length)];
+        return result;
+    },
+    uuid: () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+        const r = Math.floor(Math.random() * 16);
+        return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    }),
+    timestamp: () => Date.now(),
+    vu: () => __VU,
+    iter: () => __ITER
+};
+
+function parseArgument(arg) {
+    const trimmed = arg.trim();
+    if (trimmed === '') return undefined;
+    const num = Number(trimmed);
+    return Number.isNaN(num) ? trimmed.replace(/^['"]|['"]$/g, '') : num;
+}
+
+function lookup(context, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+}
+
+/**
+ * Evaluate one placeholder expression: a generator call or a dotted context reference
+ */
+export function evaluate(expression, context = {}) {
+    const call = expression.match(/^(\w+)\((.*)\)$/);
+    if (call && generators[call[1]]) {
+        const args = call[2].split(',').map(parseArgument).filter((a) => a !== undefined);
+        return generators[call[1]](...args);
+    }
+    if (generators[expression]) return generators[expression]();
+
+    const value = lookup(context, expression);
+    if (value === undefined) throw new Error(`Unknown template placeholder "{{${expression}}}"`);
+    return value;
+}
+
+/**
+ * Render placeholders in strings, arrays and objects
+ * A string that is exactly one placeholder keeps the placeholder's type (e.g. numbers).
+ */
+export function renderTemplate(value, context = {}) {
+    if (typeof value === 'string') {
+        const single = value.match(SINGLE_PLACEHOLDER);
+        if (single) return evaluate(single[1], context);
+        return value.replace(PLACEHOLDER, (_m, expression) => String(evaluate(expression, context)));
+    }
+    if (Array.isArray(value)) return value.map((item) => renderTemplate(item, context));
+    if (value && typeof value === 'object') {
+        const rendered = {};
+        Object.keys(value).forEach((key) => { rendered[key] = renderTemplate(value[key], context); });
+        return rendered;
+    }
+    return value;
+}
@@ -0,0 +1,70 @@
+// WebSocket endpoints of a scenario (`type: "ws"`): one session of send/receive steps through k6/ws
+import ws from 'k6/ws';
+import { Trend } from 'k6/metrics';
+import { renderTemplate } from './template.js';
+
+// Time from sending a message to receiving the reply its step expects
+export const messageLatency = new Trend('ws_message_latency', true);
+
+const DEFAULT_SESSION_TIMEOUT = 10000;
+
+function matches(message, expect) {
+    return expect === undefined || new RegExp(expect).test(message);
+}
+
+/**
+ * Run a WebSocket session through the endpoint's `messages`, then close it
+ *
+ * - `{ "send": payload }` sends (objects as JSON); with `expect` it waits for a matching reply and records its latency
+ * - `{ "receive": count, "expect": pattern }` waits for `count` (default 1) matching messages
+ *
+ * Messages that do not match the current step are ignored. The session is closed after `timeout` ms (default 10s).
+ * @param {string} url - ws:// or wss:// URL
+ * @param {object} params - k6/ws params: { headers, tags }
+ * @param {object} context - Template context of the payloads
+ * @returns {object} { res, completed: every step done before the timeout, duration: session time in ms }
+ */
+export function runWsSession(endpoint, url, params, context) {
+    const steps = endpoint.messages || [];
+    let step = 0;
+    let received = 0;
+    let sentAt = 0;
+    let completed = false;
+    const start = Date.now();
+
+    const res = ws.connect(url, params, (socket) => {
+        // Send until a step has to wait for a message
+        function advance() {
+            while (step < steps.length && steps[step].send !== undefined) {
+                const payload = renderTemplate(steps[step].send, context);
+                socket.send(typeof payload === 'string' ? payload : JSON.stringify(payload));
+                if (steps[step].expect !== undefined) {
+                    sentAt = Date.now();
+                    return;
+                }
+                step++;
+            }
+            if (step < steps.length) return;
+            completed = true;
+            socket.close();
+        }
+
+        socket.on('open', advance);
+        socket.on('message', (message) => {
+            const current = steps[step];
+            if (!current || !matches(message, current.expect)) return;
+
+            if (current.send !== undefined) {
+                messageLatency.add(Date.now() - sentAt, params.tags);
+            } else if (++received < (current.receive ?? 1)) {
+                return;
+            }
+            received = 0;
+            step++;
+            advance();
+        });
+        socket.setTimeout(() => socket.close(), endpoint.timeout ?? DEFAULT_SESSION_TIMEOUT);
+    });
+
+    return { res, completed, duration: Date.now() - start };
+}
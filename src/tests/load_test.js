@@ -1,233 +1,298 @@
 import http from 'k6/http';
-import { check, sleep } from 'k6';
+import { check, group, sleep } from 'k6';
 import { Rate, Trend, Counter } from 'k6/metrics';
+import { renderTemplate } from './lib/template.js';
+import { buildChecks } from './lib/checks.js';
+import { loadDataSources, selectRows } from './lib/data.js';
+import { acquireToken, createAuthSession } from './lib/auth.js';
+import { extractValues } from './lib/extract.js';
+import { createGrpcClient, buildGrpcChecks } from './lib/grpc.js';
+import { runWsSession } from './lib/ws.js';
+import { graphqlErrors, prepareGraphqlRequests, responseErrors, DEFAULT_GRAPHQL_PATH } from './lib/graphql.js';
+
+// Scenario definition (validated by src/core/scenarioLoader.js before k6 starts)
+const scenarioFile = __ENV.SCENARIO_FILE || './scenarios/jsonplaceholder.json';
+// YAML scenarios arrive already parsed from the runner as SCENARIO_JSON
+const scenario = JSON.parse(__ENV.SCENARIO_JSON || open(scenarioFile));
+const defaults = scenario.defaults || {};
+
+// CSV/JSON rows referenced as {{data.<source>.<column>}}, loaded once and shared by all VUs
+const dataSources = loadDataSources(scenario.data, scenarioFile);
+// Seconds a VU-based profile's VU whose VU-scoped data ran out (`onExhausted: "stop"`) waits per iteration until k6
+// ends it; under arrival-rate executors it returns at once, since a sleeping VU could not start the next scheduled
+// iteration. Iteration-scoped sources end the whole test instead (see selectRows).
+const EXHAUSTED_IDLE_SECONDS = 60;
 
 // Custom Metrics
 export let errorRate = new Rate('errors');
 export let throughput = new Trend('throughput', true);
 export let requestCounter = new Counter('total_requests');
-
-// Response time trends per endpoint
-export let browseDuration = new Trend('browse_duration', true);
-export let apiDuration = new Trend('api_duration', true);
-
-// Test profiles configuration
-const profiles = {
-    smoke: {
-        stages: [{ duration: '1m', target: 5 }],
-        thresholds: {
-            http_req_duration: ['p(95)<300'],
-            errors: ['rate<0.00'],
-        }
-    },
-    default: {
-        stages: [
-            { duration: '5s', target: 10 },
-            { duration: '15s', target: 10 },
-            { duration: '10s', target: 0 },
-        ],
-        thresholds: {
-            http_req_duration: ['p(95)<3000'],
-            errors: ['rate<0.05'],
-        }
-    },
-    stress: {
-        stages: [
-            { duration: '30s', target: 50 },
-            { duration: '1m', target: 50 },
-            { duration: '30s', target: 0 },
-        ],
-        thresholds: {
-            http_req_duration: ['p(95)<1000'],
-            errors: ['rate<0.02'],
-        }
-    },
-    spike: {
-        stages: [
-            { duration: '10s', target: 200 },
-            { duration: '30s', target: 200 },
-            { duration: '10s', target: 0 },
-        ],
-        thresholds: {
-            http_req_duration: ['p(95)<2000'],
-            errors: ['rate<0.05'],
-        }
-    }
-};
-
-// Environment variables
+// Journeys tagged with their name (and `failed_step` when a step failed); durations of completed journeys only
+export let journeyCompleted = new Rate('journey_completed');
+export let journeyDuration = new Trend('journey_duration', true);
+
+// Weighted endpoints, or ordered journeys of steps (e.g. imported from a HAR recording)
+const journeys = scenario.journeys || [];
+const requests = scenario.endpoints || journeys.flatMap((journey) => journey.steps);
+// GraphQL documents are read now and unnamed operations named after themselves (open() needs the init context)
+prepareGraphqlRequests([...(scenario.endpoints || []), ...journeys.flatMap((journey) => journey.steps)], scenarioFile);
+
+// Response time trends declared by the scenario endpoints (e.g. browse_duration)
+const trends = {};
+requests.forEach((endpoint) => {
+    if (endpoint.trend && !trends[endpoint.trend]) trends[endpoint.trend] = new Trend(endpoint.trend, true);
+});
+
+// Workload of the profile resolved by the runner from src/config/profiles.json
+if (!__ENV.PROFILE_CONFIG) {
+    throw new Error('PROFILE_CONFIG is not set; run the test through `npm start -- --profile=<name>`');
+}
 const profileName = __ENV.PROFILE || 'default';
-const selectedProfile = profiles[profileName] || profiles.default;
-const BASE_URL = __ENV.TARGET_URL || 'https://jsonplaceholder.typicode.com';
+const selectedProfile = JSON.parse(__ENV.PROFILE_CONFIG);
+const BASE_URL = __ENV.TARGET_URL || scenario.baseUrl;
+// WebSocket endpoint paths are relative to `wsUrl`, or to the base URL with its scheme switched to ws(s)
+const WS_URL = __ENV.WS_URL || scenario.wsUrl || (BASE_URL || '').replace(/^http/, 'ws');
+// One gRPC client per VU: proto files can only be loaded in the init context
+const grpcClient = scenario.grpc ? createGrpcClient(scenario.grpc, scenarioFile) : null;
+
+// Token acquisition: once in setup() (`scope: "test"`, default) or by every VU (`scope: "vu"`)
+const auth = scenario.auth || null;
+let authSession = null;
+
+// Arrival-rate profiles run as a k6 scenario; TARGET_RPS overrides the profile's rate
+function buildArrivalRateScenario(profile) {
+    const targetRps = __ENV.TARGET_RPS ? Number(__ENV.TARGET_RPS) : null;
+    if (!targetRps) return { ...profile };
+
+    if (profile.executor === 'constant-arrival-rate') return { ...profile, rate: targetRps };
+    const peak = Math.max(...profile.stages.map((stage) => stage.target));
+    return {
+        ...profile,
+        stages: profile.stages.map((stage) => ({ ...stage, target: Math.round((stage.target / peak) * targetRps) }))
+    };
+}
+
+// Arrival-rate executors pace iterations themselves (open model); VU-based profiles keep think time
+const openModel = Boolean(selectedProfile.executor && selectedProfile.executor.endsWith('-arrival-rate'));
+const workload = selectedProfile.executor
+    ? { scenarios: { [profileName]: openModel ? buildArrivalRateScenario(selectedProfile) : selectedProfile } }
+    : { stages: selectedProfile.stages };
 
-// Export options for K6
+// Export options for K6 (thresholds are derived from src/config/sla.json by the runner)
 export let options = {
-    stages: selectedProfile.stages,
-    thresholds: selectedProfile.thresholds,
+    ...workload,
+    thresholds: __ENV.SLA_THRESHOLDS ? JSON.parse(__ENV.SLA_THRESHOLDS) : {},
     summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)']
 };
 
-// Test scenarios
-const scenarios = {
-    // Browse posts
-    browseCrocodiles: () => {
-        const url = `${BASE_URL}/posts`;
-        const res = http.get(url, { tags: { endpoint: 'browse', method: 'GET' } });
-
-        browseDuration.add(res.timings.duration);
-        requestCounter.add(1);
-
-        let jsonBody = null;
-        try { jsonBody = res.json(); } catch (_e) { /* not JSON */ }
-
-        const success = check(res, {
-            'status is 200': (r) => r.status === 200,
-            'response time < 3000ms': (r) => r.timings.duration < 3000,
-            'response is JSON array': () => Array.isArray(jsonBody),
-            'response has valid schema': () => jsonBody && jsonBody.length > 0 && jsonBody[0].id !== undefined && jsonBody[0].title !== undefined,
-        }, { endpoint: 'browse' });
-
-        errorRate.add(!success, { endpoint: 'browse' });
-        return { success, duration: res.timings.duration };
-    },
-
-    // Get single post detail
-    getCrocodileDetail: () => {
-        const id = Math.floor(Math.random() * 80) + 1;
-        const url = `${BASE_URL}/posts/${id}`;
-        const res = http.get(url, { tags: { endpoint: 'detail', method: 'GET' } });
-
-        apiDuration.add(res.timings.duration);
-        requestCounter.add(1);
-
-        let jsonBody = null;
-        try { jsonBody = res.json(); } catch (_e) { /* not JSON */ }
-
-        const success = check(res, {
-            'status is 200': (r) => r.status === 200,
-            'response time < 3000ms': (r) => r.timings.duration < 3000,
-            'detail has valid id': () => jsonBody && jsonBody.id !== undefined,
-            'detail has valid body': () => jsonBody && jsonBody.body !== undefined,
-        }, { endpoint: 'detail' });
-
-        errorRate.add(!success, { endpoint: 'detail' });
-        return { success, duration: res.timings.duration };
-    },
-
-    // Simulate Create Post (POST)
-    userLoginProcess: () => {
-        const url = `${BASE_URL}/posts`;
-        const payload = JSON.stringify({
-            title: `foo_${Math.floor(Math.random() * 1000)}`,
-            body: 'bar',
-            userId: 1
-        });
-        const params = {
-            headers: { 'Content-Type': 'application/json; charset=UTF-8' },
-            tags: { endpoint: 'create_post', method: 'POST' }
-        };
-
-        const res = http.post(url, payload, params);
-
-        apiDuration.add(res.timings.duration);
-        requestCounter.add(1);
-
-        let jsonBody = null;
-        try { jsonBody = res.json(); } catch (_e) { /* not JSON */ }
-
-        const success = check(res, {
-            'create endpoint responding': (r) => r.status === 200 || r.status === 201,
-            'create response time < 4000ms': (r) => r.timings.duration < 4000,
-            'create returns id': () => jsonBody && jsonBody.id !== undefined,
-        }, { endpoint: 'create_post' });
-
-        errorRate.add(!success, { endpoint: 'create_post' });
-        return { success, duration: res.timings.duration };
-    },
-
-    // Invalid Endpoint (Negative Testing)
-    invalidEndpointNavigation: () => {
-        const url = `${BASE_URL}/invalid_path_${Math.floor(Math.random() * 100)}`;
-        const res = http.get(url, { tags: { endpoint: 'invalid_404', method: 'GET' } });
-
-        requestCounter.add(1);
-
-        const success = check(res, {
-            'status is strictly 404': (r) => r.status === 404,
-        }, { endpoint: 'invalid_404' });
-
-        errorRate.add(!success, { endpoint: 'invalid_404' });
-        return { success, duration: res.timings.duration };
-    },
-
-    // Health check
-    healthCheck: () => {
-        const res = http.get(`${BASE_URL}/`, { tags: { endpoint: 'health', method: 'GET' } });
-
-        requestCounter.add(1);
-
-        const success = check(res, {
-            'status is 200': (r) => r.status === 200,
-            'response time < 2000ms': (r) => r.timings.duration < 2000,
-        }, { endpoint: 'health' });
-
-        errorRate.add(!success, { endpoint: 'health' });
-        return { success, duration: res.timings.duration };
+// Weighted selection of an endpoint or journey
+function selectWeighted(items) {
+    const totalWeight = items.reduce((sum, item) => sum + (item.weight ?? 1), 0);
+    const rand = Math.random() * totalWeight;
+    let cumulative = 0;
+
+    for (const item of items) {
+        cumulative += item.weight ?? 1;
+        if (rand < cumulative) {
+            return item;
+        }
     }
-};
+    return items[0];
+}
 
-// Scenario distribution (weighted)
-const scenarioWeights = {
-    browse: 0.40,    // 40% listing
-    detail: 0.30,   // 30% detail fetch
-    login: 0.15,    // 15% authentication attempts
-    invalid: 0.05,  // 5% negative tests
-    health: 0.10    // 10% basic ping
-};
+// Parse the response body on first use; null when it is not JSON
+function jsonOf(res) {
+    let jsonBody;
+    return () => {
+        if (jsonBody === undefined) {
+            try { jsonBody = res.json(); } catch (_e) { jsonBody = null; /* not JSON */ }
+        }
+        return jsonBody;
+    };
+}
 
-function selectScenario() {
-    const rand = Math.random();
-    let cumulative = 0;
+// Values a journey step extracts for the following steps are checked like any other expectation
+function extractInto(checks, endpoint, res, getJson) {
+    if (!endpoint.extract) return {};
+    const { values, missing } = extractValues(endpoint.extract, res, getJson);
+    Object.keys(endpoint.extract).forEach((variable) => {
+        checks[`extracted ${variable}`] = () => !missing.includes(variable);
+    });
+    return values;
+}
 
-    for (const [name, weight] of Object.entries(scenarioWeights)) {
-        cumulative += weight;
-        if (rand <= cumulative) {
-            return name;
-        }
+function executeGrpc(endpoint, context, authHeaders) {
+    // gRPC metadata keys are lowercase; the auth header becomes `authorization` metadata
+    const metadata = {};
+    const entries = { ...(endpoint.auth === false ? {} : authHeaders), ...renderTemplate(endpoint.metadata || {}, context) };
+    Object.keys(entries).forEach((key) => {
+        metadata[key.toLowerCase()] = String(entries[key]);
+    });
+
+    const tags = { endpoint: endpoint.name, protocol: 'grpc', name: endpoint.method };
+    const call = grpcClient.invoke(endpoint, context, metadata, tags);
+
+    if (endpoint.trend) trends[endpoint.trend].add(call.duration);
+    requestCounter.add(1);
+
+    const checks = buildGrpcChecks(endpoint.checks, call);
+    const extracted = extractInto(checks, endpoint, call.res, () => call.res.message ?? null);
+    const success = check(call.res, checks, { endpoint: endpoint.name });
+
+    errorRate.add(!success, { endpoint: endpoint.name });
+    return { success, duration: call.duration, extracted };
+}
+
+function executeWs(endpoint, context, authHeaders) {
+    const url = endpoint.url ? renderTemplate(endpoint.url, context) : `${WS_URL}${renderTemplate(endpoint.path, context)}`;
+    const headers = { ...(endpoint.auth === false ? {} : authHeaders), ...renderTemplate(endpoint.headers || {}, context) };
+    const tags = { endpoint: endpoint.name, protocol: 'ws', name: endpoint.url || `${WS_URL}${endpoint.path}` };
+    const session = runWsSession(endpoint, url, { headers, tags }, context);
+
+    if (endpoint.trend) trends[endpoint.trend].add(session.duration);
+    requestCounter.add(1);
+
+    const checks = buildChecks({ status: endpoint.checks?.status ?? 101 }, () => null);
+    checks['all messages exchanged'] = () => session.completed;
+    const success = check(session.res, checks, { endpoint: endpoint.name });
+
+    errorRate.add(!success, { endpoint: endpoint.name });
+    return { success, duration: session.duration, extracted: {} };
+}
+
+function executeGraphql(endpoint, context, authHeaders) {
+    const path = endpoint.path || DEFAULT_GRAPHQL_PATH;
+    const headers = {
+        ...(endpoint.auth === false ? {} : authHeaders),
+        ...renderTemplate({ ...defaults.headers, 'Content-Type': 'application/json', ...endpoint.headers }, context)
+    };
+    const body = JSON.stringify({
+        query: endpoint.document,
+        operationName: endpoint.operationName,
+        variables: renderTemplate(endpoint.variables || {}, context)
+    });
+
+    // Every operation shares one URL: the `endpoint` and `operation` tags tell them apart
+    const tags = { endpoint: endpoint.name, protocol: 'graphql', operation: endpoint.operationName, name: `${BASE_URL}${path}` };
+    const res = http.post(`${BASE_URL}${renderTemplate(path, context)}`, body, { headers, tags });
+
+    if (endpoint.trend) trends[endpoint.trend].add(res.timings.duration);
+    requestCounter.add(1);
+
+    const getJson = jsonOf(res);
+    const errors = responseErrors(getJson());
+    // Failed HTTP responses are already counted by http_req_failed, whatever their body says
+    const accepted = res.status >= 200 && res.status < 400;
+    graphqlErrors.add(accepted && errors.length > 0, { endpoint: endpoint.name, protocol: 'graphql', operation: endpoint.operationName });
+
+    const checks = buildChecks({ ...endpoint.checks, status: endpoint.checks?.status ?? 200 }, getJson);
+    checks['no GraphQL errors'] = () => errors.length === 0;
+    const extracted = extractInto(checks, endpoint, res, getJson);
+    const success = check(res, checks, { endpoint: endpoint.name });
+
+    errorRate.add(!success, { endpoint: endpoint.name });
+    return { success, duration: res.timings.duration, extracted };
+}
+
+function executeEndpoint(endpoint, context, authHeaders) {
+    if (endpoint.type === 'grpc') return executeGrpc(endpoint, context, authHeaders);
+    if (endpoint.type === 'ws') return executeWs(endpoint, context, authHeaders);
+    if (endpoint.type === 'graphql') return executeGraphql(endpoint, context, authHeaders);
+
+    const url = `${BASE_URL}${renderTemplate(endpoint.path, context)}`;
+    // `auth: false` keeps an endpoint public; its own headers win over the auth header
+    const headers = {
+        ...(endpoint.auth === false ? {} : authHeaders),
+        ...renderTemplate({ ...defaults.headers, ...endpoint.headers }, context)
+    };
+
+    let body = null;
+    if (endpoint.body !== undefined) {
+        const rendered = renderTemplate(endpoint.body, context);
+        body = typeof rendered === 'string' ? rendered : JSON.stringify(rendered);
     }
-    return 'browse';
+
+    // `name` groups templated URLs (e.g. /posts/{{randomInt(1,80)}}) under one tag value
+    const tags = { endpoint: endpoint.name, method: endpoint.method, name: `${BASE_URL}${endpoint.path}` };
+    const res = http.request(endpoint.method, url, body, { headers, tags });
+
+    if (endpoint.trend) trends[endpoint.trend].add(res.timings.duration);
+    requestCounter.add(1);
+
+    const getJson = jsonOf(res);
+    const checks = buildChecks(endpoint.checks, getJson);
+    const extracted = extractInto(checks, endpoint, res, getJson);
+    const success = check(res, checks, { endpoint: endpoint.name });
+
+    errorRate.add(!success, { endpoint: endpoint.name });
+    return { success, duration: res.timings.duration, extracted };
 }
 
-// Main test function
-export default function () {
-    const scenario = selectScenario();
+function thinkTime(endpoint, fallback) {
+    const config = endpoint.thinkTime ?? defaults.thinkTime ?? fallback;
+    if (typeof config === 'number') return config;
+    return config.min + Math.random() * (config.max - config.min);
+}
+
+// Journey steps run in order, each in a group nested in the journey's group, sharing the journey's variables.
+// Later steps depend on what earlier ones created or extracted, so the journey ends at the first failed step.
+function runJourney(journey, data, authHeaders) {
+    const context = { env: __ENV, vars: { ...journey.variables }, data };
+    const tags = { journey: journey.name };
+    let elapsed = 0;
+    let failedStep = null;
+
+    group(journey.name, () => {
+        for (const step of journey.steps) {
+            const start = Date.now();
+            const result = group(step.name, () => executeEndpoint(step, context, authHeaders));
+            elapsed += Date.now() - start;
+            Object.assign(context.vars, result.extracted);
+
+            if (!result.success) {
+                failedStep = step.name;
+                break;
+            }
+            sleep(thinkTime(step, 0));
+        }
+    });
+
+    journeyCompleted.add(failedStep === null, failedStep === null ? tags : { ...tags, failed_step: failedStep });
+    // End-to-end time spent in requests: think time would make it depend on the scenario's pacing
+    if (failedStep === null) journeyDuration.add(elapsed, tags);
+}
+
+// Shared token for the whole test; a failed token request aborts the test before any load is generated
+export function setup() {
+    if (!auth || auth.scope === 'vu') return {};
+    return { token: acquireToken(auth, BASE_URL, { env: __ENV }) };
+}
 
-    let result;
+// Main test function
+export default function (setupData) {
     const startTime = Date.now();
 
-    switch (scenario) {
-        case 'browse':
-            result = scenarios.browseCrocodiles();
-            break;
-        case 'detail':
-            result = scenarios.getCrocodileDetail();
-            break;
-        case 'login':
-            result = scenarios.userLoginProcess();
-            break;
-        case 'invalid':
-            result = scenarios.invalidEndpointNavigation();
-            break;
-        case 'health':
-            result = scenarios.healthCheck();
-            break;
-        default:
-            result = scenarios.browseCrocodiles();
+    const data = selectRows(dataSources);
+    if (data === null) {
+        if (!openModel) sleep(EXHAUSTED_IDLE_SECONDS);
+        return;
+    }
+
+    if (auth && !authSession) authSession = createAuthSession(auth, BASE_URL, setupData.token || null);
+    const authHeaders = authSession ? authSession.headers({ env: __ENV, data }) : {};
+
+    if (journeys.length > 0) {
+        runJourney(selectWeighted(journeys), data, authHeaders);
+        throughput.add(1000 / (Date.now() - startTime));
+        return;
     }
 
+    const endpoint = selectWeighted(scenario.endpoints);
+    executeEndpoint(endpoint, { env: __ENV, data }, authHeaders);
+
     const totalTime = Date.now() - startTime;
     throughput.add(1000 / totalTime); // requests per second
 
-    // Random think time for realistic simulation (1-3 seconds)
-    sleep(Math.random() * 2 + 1);
-}
\ No newline at end of file
+    // Think time for realistic simulation (the arrival rate paces open-model profiles instead)
+    if (!openModel) sleep(thinkTime(endpoint, { min: 1, max: 3 }));
+}
@@ -0,0 +1,37 @@
+const UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DURATION = /^(\d+(?:\.\d+)?(?:ms|s|m|h|d))+$/;
+const PART = /(\d+(?:\.\d+)?)(ms|s|m|h|d)/g;
+
+/**
+ * Parse a k6 duration string (e.g. `30s`, `1h30m`, `500ms`) into milliseconds
+ * @param {string|number} value - Duration string, or a number of milliseconds
+ * @returns {number|null} Milliseconds, or null when the value is not a valid duration
+ */
+function parseDuration(value) {
+    if (typeof value === 'number') return value >= 0 ? value : null;
+    if (typeof value !== 'string' || !DURATION.test(value)) return null;
+
+    let total = 0;
+    for (const [, amount, unit] of value.matchAll(PART)) {
+        total += parseFloat(amount) * UNITS[unit];
+    }
+    return total;
+}
+
+/**
+ * Format milliseconds as a compact duration string (e.g. `1h30m`)
+ */
+function formatDuration(ms) {
+    if (ms < 1000) return `${Math.round(ms)}ms`;
+
+    let remaining = Math.round(ms / 1000);
+    const parts = [];
+    [['h', 3600], ['m', 60], ['s', 1]].forEach(([unit, seconds]) => {
+        const amount = Math.floor(remaining / seconds);
+        if (amount > 0) parts.push(`${amount}${unit}`);
+        remaining -= amount * seconds;
+    });
+    return parts.join('');
+}
+
+module.exports = { parseDuration, formatDuration };
@@ -0,0 +1,15 @@
+// Named operations of a GraphQL document; fragments and anonymous operations have no operation name
+// Also imported by the k6 script (src/tests/lib/graphql.js), so this module must stay dependency-free CommonJS.
+const OPERATION = /\b(?:query|mutation)\s+([_A-Za-z]\w*)/g;
+const COMMENT = /#[^\n]*/g;
+
+/**
+ * Names of the named operations of a document, in document order
+ * @param {string} document - GraphQL document
+ * @returns {string[]}
+ */
+function operationNames(document) {
+    return [...document.replace(COMMENT, '').matchAll(OPERATION)].map(([, name]) => name);
+}
+
+module.exports = { operationNames };
@@ -1,4 +1,6 @@
 const axios = require('axios');
+const { groupResultsByEndpoint } = require('../core/slaValidator');
+const { redactSecrets, redactText } = require('./redact');
 
 // Configuration
 const WEBHOOK_URL = process.env.WEBHOOK_URL;
@@ -15,10 +17,14 @@ const EMAIL_TO = process.env.EMAIL_TO?.split(',') || [];
  * @param {object} metadata - Additional metadata (profile, duration, etc.)
  */
 async function sendNotification(validationResults, reportUrl = '', metadata = {}) {
+    // Notifications leave the machine: strip tokens and credentials first
+    validationResults = redactSecrets(validationResults);
+    reportUrl = redactText(reportUrl);
+    metadata = redactSecrets(metadata);
     const failed = validationResults.filter(r => !r.passed);
     const passed = validationResults.filter(r => r.passed);
     const statusText = failed.length === 0 ? '✅ PASSED' : '❌ FAILED';
-    const severity = getSeverity(failed, metadata.slaConfig?.alerts);
+    const severity = getSeverity(failed, metadata.slaConfig?.alerts, metadata.abortReason);
 
     // Send to webhook (Slack/Discord/Teams)
     if (WEBHOOK_URL) {
@@ -36,9 +42,15 @@ async function sendNotification(validationResults, reportUrl = '', metadata = {}
 /**
  * Determine severity level based on failures
  */
-function getSeverity(failed, alertThresholds) {
+function getSeverity(failed, alertThresholds, abortReason = null) {
+    // A run stopped early by the live monitor never completed its workload
+    if (abortReason) return 'critical';
     if (failed.length === 0) return 'success';
 
+    // Only non-blocking rules failed
+    const blocking = failed.filter(f => !f.severity || f.severity === 'critical');
+    if (blocking.length === 0) return failed.some(f => f.severity === 'warning') ? 'warning' : 'info';
+
     const criticalThresholds = alertThresholds?.critical || {};
     const warningThresholds = alertThresholds?.warning || {};
 
@@ -56,6 +68,15 @@ function getSeverity(failed, alertThresholds) {
     return failed.length > 1 ? 'warning' : 'info';
 }
 
+/**
+ * One-line description of a regression result
+ */
+function formatRegression(result) {
+    const change = result.percentChange === null ? '∞' : `${result.percentChange >= 0 ? '+' : ''}${result.percentChange}%`;
+    const significance = result.significance ? `, p=${result.significance.pValue}` : '';
+    return `• *${result.metric}*: ${result.actual} vs baseline ${result.baseline.value.toFixed(2)} (${change}, allowed ${result.threshold.replace(' vs baseline', '')}${significance})`;
+}
+
 /**
  * Send rich Slack notification with blocks
  */
@@ -100,6 +121,16 @@ async function sendSlackNotification(validationResults, reportUrl, metadata, sev
         }
     ];
 
+    if (metadata.abortReason) {
+        blocks.push({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `*🛑 Stopped Early:* ${metadata.abortReason}`
+            }
+        });
+    }
+
     // Summary section
     blocks.push({
         type: 'section',
@@ -115,11 +146,15 @@ async function sendSlackNotification(validationResults, reportUrl, metadata, sev
         ]
     });
 
-    // Failed checks details
-    if (failed.length > 0) {
-        const failedText = failed.map(f =>
-            `• *${f.metric}*: ${f.actual} (threshold: ${f.threshold})`
-        ).join('\n');
+    // Failed checks details (absolute SLA breaches)
+    const breaches = failed.filter(f => f.type !== 'regression');
+    const regressions = failed.filter(f => f.type === 'regression');
+
+    if (breaches.length > 0) {
+        const failedText = groupResultsByEndpoint(breaches).map(group => {
+            const lines = group.results.map(f => `• *${f.label || f.metric}*: ${f.actual} (threshold: ${f.threshold})`);
+            return group.endpoint ? `_📡 ${group.name}_\n${lines.join('\n')}` : lines.join('\n');
+        }).join('\n');
 
         blocks.push({
             type: 'section',
@@ -130,10 +165,22 @@ async function sendSlackNotification(validationResults, reportUrl, metadata, sev
         });
     }
 
+    // Regressions against the baseline run
+    if (regressions.length > 0) {
+        blocks.push({
+            type: 'section',
+            text: {
+                type: 'mrkdwn',
+                text: `*📉 Regressions vs Baseline:*\n${regressions.map(formatRegression).join('\n')}`
+            }
+        });
+    }
+
     // All metrics summary
-    const allMetricsText = validationResults.map(r =>
-        `${r.passed ? '✅' : '❌'} ${r.metric}: ${r.actual}`
-    ).join('\n');
+    const allMetricsText = groupResultsByEndpoint(validationResults).map(group => {
+        const lines = group.results.map(r => `${r.passed ? '✅' : '❌'} ${r.label || r.metric}: ${r.actual}`);
+        return group.endpoint ? `[${group.name}]\n${lines.map(l => `  ${l}`).join('\n')}` : lines.join('\n');
+    }).join('\n');
 
     blocks.push({
         type: 'section',
@@ -205,15 +252,26 @@ async function sendDiscordNotification(validationResults, reportUrl, metadata, s
         critical: '🚨'
     };
 
-    const fields = validationResults.map(r => ({
-        name: `${r.passed ? '✅' : '❌'} ${r.metric}`,
-        value: `Actual: **${r.actual}**\nThreshold: ${r.threshold}`,
-        inline: true
-    }));
+    const fields = groupResultsByEndpoint(validationResults).flatMap(group => {
+        if (!group.endpoint) {
+            return group.results.map(r => ({
+                name: `${r.passed ? '✅' : '❌'} ${r.metric}`,
+                value: `Actual: **${r.actual}**\nThreshold: ${r.threshold}`,
+                inline: true
+            }));
+        }
+        // One field per endpoint keeps the embed under Discord's 25-field limit
+        return [{
+            name: `${group.results.every(r => r.passed) ? '✅' : '❌'} ${group.name}`,
+            value: group.results.map(r => `${r.label}: **${r.actual}** (${r.threshold})`).join('\n'),
+            inline: false
+        }];
+    });
 
     const embed = {
         title: `${emojiMap[severity]} Performance Test ${severity.toUpperCase()}`,
-        description: `**Profile:** ${metadata.profile || 'default'}\n**Target:** ${metadata.targetUrl || 'N/A'}`,
+        description: `**Profile:** ${metadata.profile || 'default'}\n**Target:** ${metadata.targetUrl || 'N/A'}`
+            + (metadata.abortReason ? `\n**🛑 Stopped Early:** ${metadata.abortReason}` : ''),
         color: colorMap[severity],
         fields: fields,
         footer: {
@@ -276,6 +334,7 @@ async function sendTeamsNotification(validationResults, reportUrl, metadata, sev
         name: r.metric,
         value: `${r.actual} ${r.passed ? '✅' : '❌'}`
     }));
+    if (metadata.abortReason) facts.unshift({ name: '🛑 Stopped Early', value: metadata.abortReason });
 
     const card = {
         '@type': 'MessageCard',
@@ -316,6 +375,8 @@ async function sendGenericWebhook(validationResults, reportUrl, metadata, severi
         profile: metadata.profile,
         targetUrl: metadata.targetUrl,
         reportUrl: reportUrl,
+        aborted: Boolean(metadata.abortReason),
+        abortReason: metadata.abortReason || null,
         results: validationResults,
         summary: {
             passed: validationResults.filter(r => r.passed).length,
@@ -426,6 +487,11 @@ function buildEmailHtml(validationResults, reportUrl, metadata, severity) {
             <h3 style="margin: 0 0 8px 0; color: ${failed.length === 0 ? '#166534' : '#991b1b'}; font-size: 16px;">💡 Executive Summary</h3>
             <p style="margin: 0; color: #4b5563; font-size: 14px; line-height: 1.6;">${summaryInsightText}</p>
         </div>
+        ${metadata.abortReason ? `
+        <div style="background: #fef2f2; padding: 14px 20px; border-left: 4px solid #dc3545; margin: 0 20px 20px 20px; font-size: 13px; color: #991b1b;">
+            <strong>🛑 Stopped Early:</strong> ${metadata.abortReason}
+        </div>
+        ` : ''}
         
         <!-- Metadata Grid -->
         <div style="padding: 0 20px 20px 20px;">
@@ -463,18 +529,25 @@ function buildEmailHtml(validationResults, reportUrl, metadata, severity) {
                     </tr>
                 </thead>
                 <tbody>
-                    ${validationResults.map(r => `
+                    ${groupResultsByEndpoint(validationResults).map(group => `
+                    ${group.endpoint ? `
+                    <tr>
+                        <td colspan="4" style="padding: 10px 12px; background: #f1f5f9; color: #475569; font-weight: 600;">📡 ${group.name}</td>
+                    </tr>
+                    ` : ''}
+                    ${group.results.map(r => `
                     <tr>
-                        <td style="padding: 12px; border-bottom: 1px solid #e2e8f0; color: #0f172a; font-weight: 500;">${r.metric}</td>
+                        <td style="padding: 12px; border-bottom: 1px solid #e2e8f0; color: #0f172a; font-weight: 500;">${r.label || r.metric}</td>
                         <td style="padding: 12px; border-bottom: 1px solid #e2e8f0; text-align: right; font-family: monospace; font-size: 14px; color: #334155;">${r.actual}</td>
                         <td style="padding: 12px; border-bottom: 1px solid #e2e8f0; text-align: right; font-family: monospace; font-size: 14px; color: #94a3b8;">${r.threshold.replace('<=', '≤').replace('>=', '≥')}</td>
                         <td style="padding: 12px; border-bottom: 1px solid #e2e8f0; text-align: center;">
-                            <span style="display: inline-block; padding: 4px 10px; border-radius: 12px; font-size: 11px; font-weight: 700; background: ${r.passed ? '#dcfce7' : '#fee2e2'}; color: ${r.passed ? '#15803d' : '#b91c1c'}; letter-spacing: 0.5px;">
-                                ${r.passed ? 'PASS' : 'FAIL'}
+                            <span style="display: inline-block; padding: 4px 10px; border-radius: 12px; font-size: 11px; font-weight: 700; background: ${r.passed ? '#dcfce7' : r.type === 'regression' ? '#ede9fe' : '#fee2e2'}; color: ${r.passed ? '#15803d' : r.type === 'regression' ? '#6d28d9' : '#b91c1c'}; letter-spacing: 0.5px;">
+                                ${r.passed ? 'PASS' : r.type === 'regression' ? 'REGRESSION' : 'FAIL'}
                             </span>
                         </td>
                     </tr>
                     `).join('')}
+                    `).join('')}
                 </tbody>
             </table>
         </div>
@@ -509,13 +582,24 @@ function buildEmailText(validationResults, reportUrl, metadata, severity) {
     text += `Status: ${severity.toUpperCase()}\n`;
     text += `Profile: ${metadata.profile || 'default'}\n`;
     text += `Target: ${metadata.targetUrl || 'N/A'}\n`;
+    if (metadata.abortReason) text += `Stopped Early: ${metadata.abortReason}\n`;
     text += `Time: ${new Date().toLocaleString()}\n\n`;
     text += `Results:\n${'-'.repeat(50)}\n`;
 
-    validationResults.forEach(r => {
-        text += `${r.passed ? '✅' : '❌'} ${r.metric}: ${r.actual} (threshold: ${r.threshold})\n`;
+    groupResultsByEndpoint(validationResults).forEach(group => {
+        const indent = group.endpoint ? '  ' : '';
+        if (group.endpoint) text += `\n[${group.name}]\n`;
+        group.results.forEach(r => {
+            text += `${indent}${r.passed ? '✅' : '❌'} ${r.label || r.metric}: ${r.actual} (threshold: ${r.threshold})\n`;
+        });
     });
 
+    const regressions = validationResults.filter(r => !r.passed && r.type === 'regression');
+    if (regressions.length > 0) {
+        text += `\nRegressions vs Baseline:\n${'-'.repeat(50)}\n`;
+        text += regressions.map(r => formatRegression(r).replace(/\*/g, '')).join('\n') + '\n';
+    }
+
     if (reportUrl) {
         text += `\nView Report: ${reportUrl}\n`;
     }
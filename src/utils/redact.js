@@ -0,0 +1,77 @@
+const REDACTED = '[REDACTED]';
+
+// Object keys whose string values are credentials
+const SECRET_KEY = /token|secret|password|passwd|authorization|api[-_]?key|cookie/i;
+// Credentials recognisable on their own wherever they appear in text
+const SECRET_PATTERNS = [
+    [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{8,}/g, `$1 ${REDACTED}`],
+    [/\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g, REDACTED],
+    [/([?&](?:access_token|token|api_key|apikey|client_secret|password)=)[^&\s"'<]+/gi, `$1${REDACTED}`],
+    [/(https?:\/\/)[^\s/:@]+:[^\s/@]+@/g, `$1${REDACTED}@`]
+];
+// Scenario auth fields that hold credentials
+const AUTH_SECRET_FIELDS = ['token', 'clientSecret', 'password'];
+// Shorter values would redact ordinary words and numbers
+const MIN_SECRET_LENGTH = 4;
+
+// Credentials of the current run (see registerSecrets)
+const secrets = new Set();
+
+/**
+ * Credential values of a scenario's `auth`: literal values and the environment variables they reference
+ * @param {object} auth - Scenario `auth`
+ * @param {object} env - Environment the `{{env.NAME}}` placeholders resolve from
+ * @returns {string[]}
+ */
+function collectAuthSecrets(auth, env = process.env) {
+    if (!auth) return [];
+    const values = [];
+    AUTH_SECRET_FIELDS.filter(field => typeof auth[field] === 'string').forEach(field => {
+        const references = [...auth[field].matchAll(/\{\{\s*env\.(\w+)\s*\}\}/g)];
+        if (references.length === 0) values.push(auth[field]);
+        references.forEach(([, name]) => {
+            if (env[name]) values.push(env[name]);
+        });
+    });
+    return values;
+}
+
+/**
+ * Remember credential values so every later redaction removes them, wherever they appear
+ */
+function registerSecrets(values) {
+    values.filter(value => typeof value === 'string' && value.length >= MIN_SECRET_LENGTH).forEach(value => secrets.add(value));
+}
+
+/**
+ * Redact registered secrets, bearer/basic credentials, JWTs and credential query parameters from text
+ */
+function redactText(text) {
+    let result = text;
+    secrets.forEach(secret => {
+        result = result.split(secret).join(REDACTED);
+    });
+    SECRET_PATTERNS.forEach(([pattern, replacement]) => {
+        result = result.replace(pattern, replacement);
+    });
+    return result;
+}
+
+/**
+ * Deep copy of a value with credentials redacted: strings under credential-like keys entirely, other strings by content
+ * @param {*} value - Report or notification data
+ */
+function redactSecrets(value) {
+    if (typeof value === 'string') return redactText(value);
+    if (Array.isArray(value)) return value.map(redactSecrets);
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        const redacted = {};
+        Object.entries(value).forEach(([key, item]) => {
+            redacted[key] = typeof item === 'string' && SECRET_KEY.test(key) ? REDACTED : redactSecrets(item);
+        });
+        return redacted;
+    }
+    return value;
+}
+
+module.exports = { REDACTED, collectAuthSecrets, registerSecrets, redactText, redactSecrets };
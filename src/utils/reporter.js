@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { groupResultsByEndpoint, failedCritical } = require('../core/slaValidator');
+const { ERROR_CATEGORIES } = require('../core/errorTaxonomy');
+const { redactSecrets } = require('./redact');
 
 const REPORTS_DIR = path.join(__dirname, '..', '..', 'reports');
 
@@ -11,12 +14,35 @@ const HISTORY_FILE = path.join(REPORTS_DIR, 'history.json');
 const REPORT_FILE = path.join(REPORTS_DIR, 'report.html');
 const JUNIT_FILE = path.join(REPORTS_DIR, 'junit-report.xml');
 const JSON_REPORT_FILE = path.join(REPORTS_DIR, 'report.json');
+const CAPACITY_REPORT_FILE = path.join(REPORTS_DIR, 'capacity-report.html');
+const CAPACITY_JSON_FILE = path.join(REPORTS_DIR, 'capacity-report.json');
+
+// HTTP timing phases in request order, with their chart colors
+const TIMING_PHASES = [
+    { key: 'blocked', label: 'Blocked (incl. DNS)', color: '#94a3b8' },
+    { key: 'connecting', label: 'TCP Connect', color: '#f59e0b' },
+    { key: 'tlsHandshaking', label: 'TLS Handshake', color: '#8b5cf6' },
+    { key: 'sending', label: 'Sending', color: '#10b981' },
+    { key: 'waiting', label: 'Waiting (TTFB)', color: '#6366f1' },
+    { key: 'receiving', label: 'Receiving', color: '#ec4899' }
+];
+
+/**
+ * Rows of the timing breakdown chart: all requests, then every endpoint with raw timings
+ */
+function timingRows(k6Metrics) {
+    if (!k6Metrics?.timings || Object.keys(k6Metrics.timings).length === 0) return [];
+    const endpoints = (k6Metrics.endpoints || []).filter(ep => ep.timings && Object.keys(ep.timings).length > 0);
+    return [{ name: 'All requests', timings: k6Metrics.timings }, ...endpoints.map(ep => ({ name: ep.name, timings: ep.timings }))];
+}
+
+function loadHistory() {
+    if (!fs.existsSync(HISTORY_FILE)) return [];
+    try { return JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf-8')); } catch (e) { return []; }
+}
 
 function saveToHistory(validationResults, metadata = {}) {
-    let history = [];
-    if (fs.existsSync(HISTORY_FILE)) {
-        try { history = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf-8')); } catch (e) { history = []; }
-    }
+    let history = loadHistory();
     const entry = {
         id: `run-${Date.now()}`,
         timestamp: new Date().toISOString(),
@@ -24,10 +50,22 @@ function saveToHistory(validationResults, metadata = {}) {
         targetUrl: metadata.targetUrl,
         duration: metadata.duration,
         metrics: {},
+        values: {},
         passed: validationResults.filter(r => r.passed).length,
-        failed: validationResults.filter(r => !r.passed).length
+        failed: validationResults.filter(r => !r.passed).length,
+        // Failed results that failed the run (exit code 1); only runs without any are a `last_passing` baseline
+        criticalFailed: failedCritical(validationResults).length,
+        // Cancelled or stopped-early runs cover part of the load only and are never used as baselines
+        aborted: Boolean(metadata.aborted),
+        abortReason: metadata.abortReason || null
     };
-    validationResults.forEach(r => { entry.metrics[r.metric] = { actual: r.actual, threshold: r.threshold, passed: r.passed }; });
+    validationResults.forEach(r => {
+        entry.metrics[r.metric] = { actual: r.actual, threshold: r.threshold, passed: r.passed };
+        // Numeric values keyed by metric reference, used as baselines for regression rules
+        if (r.key && typeof r.value === 'number') entry.values[r.key] = r.value;
+    });
+    // Latency histograms of this run, compared against by significance tests in later runs
+    if (metadata.k6Metrics?.latencySketches) entry.sketches = metadata.k6Metrics.latencySketches;
     history.push(entry);
     if (history.length > 50) history = history.slice(-50);
     fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2));
@@ -35,6 +73,9 @@ function saveToHistory(validationResults, metadata = {}) {
 }
 
 function generateReport(validationResults, metadata = {}) {
+    // Tokens and credentials never reach the report files or the history
+    validationResults = redactSecrets(validationResults);
+    metadata = redactSecrets(metadata);
     const history = saveToHistory(validationResults, metadata);
     generateHtmlReport(validationResults, history, metadata);
     generateJUnitReport(validationResults, metadata);
@@ -65,6 +106,7 @@ function generateHtmlReport(validationResults, history, metadata) {
         'P99 Response Time (ms)': 'P99 response time captures the slowest 1% of requests. High values here often indicate serious tail-latency issues (e.g., GC pauses, DB locks).',
         'Error Rate (%)': 'The percentage of requests that failed (e.g., HTTP 5xx errors or failed assertions). A high error rate indicates system instability.',
         'Throughput (req/s)': 'The number of requests the system successfully processed per second. Relates directly to the system\'s capacity.',
+        'Dropped Iterations': 'Iterations an arrival-rate profile could not start because no VU was free. Any drops mean the target request rate was not actually sustained.',
         'CPU Usage (%)': 'Average CPU utilization on the target servers during the test. High usage may lead to throttling and increased response times.',
         'Memory Usage (%)': 'Average memory consumption. Approaching 100% can trigger Out-Of-Memory (OOM) kills or heavy swapping.'
     };
@@ -75,7 +117,9 @@ function generateHtmlReport(validationResults, history, metadata) {
         summaryInsight = `The system handled the <strong>${metadata.profile?.toUpperCase() || 'DEFAULT'}</strong> load profile exceptionally well. All SLA thresholds were strictly met with no critical bottlenecks. Throughput and response times remained stable within acceptable parameters.`;
     } else {
         const failedMetrics = failed.map(f => f.metric).join(', ');
-        summaryInsight = `The system experienced performance degradation under the <strong>${metadata.profile?.toUpperCase() || 'DEFAULT'}</strong> load profile. We detected ${failed.length} SLA violations, specifically impacting: <span style="color: var(--danger-color); font-weight: 600;">${failedMetrics}</span>. Immediate optimization is recommended for the affected areas.`;
+        const regressions = failed.filter(f => f.type === 'regression');
+        const regressionNote = regressions.length > 0 ? ` ${regressions.length} of these are regressions against the baseline run rather than absolute SLA breaches.` : '';
+        summaryInsight = `The system experienced performance degradation under the <strong>${metadata.profile?.toUpperCase() || 'DEFAULT'}</strong> load profile. We detected ${failed.length} SLA violations, specifically impacting: <span style="color: var(--danger-color); font-weight: 600;">${failedMetrics}</span>. Immediate optimization is recommended for the affected areas.${regressionNote}`;
     }
 
     // Detailed Endpoint breakdown
@@ -83,6 +127,7 @@ function generateHtmlReport(validationResults, history, metadata) {
     let checksBreakdownHtml = '';
 
     if (metadata.k6Metrics && metadata.k6Metrics.endpoints && metadata.k6Metrics.endpoints.length > 0) {
+        const formatMs = (value) => (value !== undefined ? `${value.toFixed(2)} ms` : '-');
         endpointBreakdownHtml = `
             <div class="glass-panel table-container animate-fade-up delay-4" style="margin-top: 24px;">
                 <div class="table-header">
@@ -92,14 +137,119 @@ function generateHtmlReport(validationResults, history, metadata) {
                     <thead>
                         <tr>
                             <th>Endpoint Name</th>
+                            <th>Requests</th>
                             <th>Average Latency (ms)</th>
+                            <th>P50</th>
+                            <th>P90</th>
+                            <th>P95</th>
+                            <th>P99</th>
+                            <th>Error Rate (%)</th>
                         </tr>
                     </thead>
                     <tbody>
                         ${metadata.k6Metrics.endpoints.map(ep => `
                         <tr>
                             <td style="font-weight: 500;">${ep.name}</td>
-                            <td style="font-family: var(--font-mono);">${ep.avgDur} ms</td>
+                            <td style="font-family: var(--font-mono);">${ep.count ?? '-'}</td>
+                            <td style="font-family: var(--font-mono);">${ep.avg !== undefined ? formatMs(ep.avg) : `${ep.avgDur} ms`}</td>
+                            <td style="font-family: var(--font-mono);">${formatMs(ep.p50)}</td>
+                            <td style="font-family: var(--font-mono);">${formatMs(ep.p90)}</td>
+                            <td style="font-family: var(--font-mono);">${formatMs(ep.p95)}</td>
+                            <td style="font-family: var(--font-mono);">${formatMs(ep.p99)}</td>
+                            <td style="font-family: var(--font-mono); color: ${ep.errorRate > 0 ? 'var(--danger-color)' : 'var(--text-secondary)'};">${ep.errorRate !== undefined ? `${ep.errorRate.toFixed(2)}%` : '-'}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Completion rate and end-to-end duration (think time excluded) of every journey, with where journeys break off
+    let journeysHtml = '';
+    const journeys = metadata.k6Metrics?.journeys || [];
+    if (journeys.length > 0) {
+        const formatMs = (value) => (value !== undefined ? `${value.toFixed(2)} ms` : '-');
+        journeysHtml = `
+            <div class="glass-panel table-container animate-fade-up delay-4" style="margin-top: 24px;">
+                <div class="table-header">
+                    <h3>User Journeys</h3>
+                </div>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Journey</th>
+                            <th>Runs</th>
+                            <th>Completed</th>
+                            <th>Completion Rate (%)</th>
+                            <th>Avg Duration</th>
+                            <th>P95</th>
+                            <th>P99</th>
+                            <th>Failed At</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${journeys.map(journey => {
+            const rateColor = journey.completionRate === 100 ? 'var(--success-color)' : (journey.completionRate > 0 ? 'var(--warning-color)' : 'var(--danger-color)');
+            const failedAt = journey.failedSteps.map(({ step, count }) => `${step} ×${count}`).join(' · ');
+            return `
+                        <tr>
+                            <td style="font-weight: 500;">${journey.name}</td>
+                            <td style="font-family: var(--font-mono);">${journey.runs}</td>
+                            <td style="font-family: var(--font-mono);">${journey.completed}</td>
+                            <td style="font-family: var(--font-mono); font-weight: bold; color: ${rateColor};">${journey.completionRate.toFixed(2)}%</td>
+                            <td style="font-family: var(--font-mono);">${formatMs(journey.duration?.avg)}</td>
+                            <td style="font-family: var(--font-mono);">${formatMs(journey.duration?.p95)}</td>
+                            <td style="font-family: var(--font-mono);">${formatMs(journey.duration?.p99)}</td>
+                            <td style="color: ${failedAt ? 'var(--danger-color)' : 'var(--text-secondary)'};">${failedAt || '-'}</td>
+                        </tr>
+                        `;
+        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // gRPC call and WebSocket session/message latencies, next to the HTTP endpoint details
+    let protocolsHtml = '';
+    const protocols = metadata.k6Metrics?.protocols || {};
+    const protocolRows = [
+        protocols.grpc && ['gRPC request duration', protocols.grpc.duration, protocols.grpc.requests !== null ? `${protocols.grpc.requests} calls` : ''],
+        protocols.ws?.connecting && ['WebSocket connecting', protocols.ws.connecting, `${protocols.ws.sessions} sessions`],
+        protocols.ws?.sessionDuration && ['WebSocket session duration', protocols.ws.sessionDuration, ''],
+        protocols.ws?.messageLatency && ['WebSocket message latency', protocols.ws.messageLatency,
+            `${protocols.ws.messagesSent} sent · ${protocols.ws.messagesReceived} received`]
+    ].filter(Boolean);
+    if (protocolRows.length > 0) {
+        const formatMs = (value) => `${value.toFixed(2)} ms`;
+        protocolsHtml = `
+            <div class="glass-panel table-container animate-fade-up delay-4" style="margin-top: 24px;">
+                <div class="table-header">
+                    <h3>gRPC &amp; WebSocket</h3>
+                </div>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Metric</th>
+                            <th>Avg</th>
+                            <th>P50</th>
+                            <th>P95</th>
+                            <th>P99</th>
+                            <th>Max</th>
+                            <th>Volume</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${protocolRows.map(([label, stats, volume]) => `
+                        <tr>
+                            <td style="font-weight: 500;">${label}</td>
+                            <td style="font-family: var(--font-mono);">${formatMs(stats.avg)}</td>
+                            <td style="font-family: var(--font-mono);">${formatMs(stats.p50)}</td>
+                            <td style="font-family: var(--font-mono);">${formatMs(stats.p95)}</td>
+                            <td style="font-family: var(--font-mono);">${formatMs(stats.p99)}</td>
+                            <td style="font-family: var(--font-mono);">${formatMs(stats.max)}</td>
+                            <td style="color: var(--text-secondary);">${volume}</td>
                         </tr>
                         `).join('')}
                     </tbody>
@@ -130,7 +280,7 @@ function generateHtmlReport(validationResults, history, metadata) {
             const rateColor = rate === '100.0' ? 'var(--success-color)' : (rate > 0 ? 'var(--warning-color)' : 'var(--danger-color)');
             return `
                             <tr>
-                                <td style="font-weight: 500;">${ck.name}</td>
+                                <td style="font-weight: 500;">${ck.group ? `<span style="color: var(--text-secondary);">${ck.group.replace(/^::/, '').split('::').join(' › ')} › </span>` : ''}${ck.name}</td>
                                 <td style="font-family: var(--font-mono); color: var(--success-color);">${ck.passes}</td>
                                 <td style="font-family: var(--font-mono); color: ${ck.fails > 0 ? 'var(--danger-color)' : 'var(--text-secondary)'};">${ck.fails}</td>
                                 <td style="font-family: var(--font-mono); font-weight: bold; color: ${rateColor};">${rate}%</td>
@@ -143,6 +293,135 @@ function generateHtmlReport(validationResults, history, metadata) {
         `;
     }
 
+    // Failed requests by category, status and k6 error code, for the run and every endpoint with failures
+    let errorBreakdownHtml = '';
+    const breakdown = metadata.k6Metrics?.errorBreakdown;
+    if (breakdown && (breakdown.failed > 0 || breakdown.checks.failed > 0)) {
+        const scopes = [
+            { name: 'All requests', ...breakdown },
+            ...(metadata.k6Metrics.endpoints || [])
+                .filter(ep => ep.errors && (ep.errors.failed > 0 || ep.errors.checks.failed > 0))
+                .map(ep => ({ name: ep.name, ...ep.errors }))
+        ];
+        const categories = ERROR_CATEGORIES.filter(({ key }) => breakdown.categories[key]);
+        // GraphQL errors arrive in successful responses, so they are shown apart from the failed requests
+        const hasGraphql = breakdown.graphql?.count > 0;
+        const formatCount = (entry) => (entry ? `${entry.count} <span style="color: var(--text-secondary);">(${entry.rate.toFixed(2)}%)</span>` : '0');
+        const statusLine = Object.entries(breakdown.statuses).map(([status, count]) => `${status === '0' ? 'no response' : status} ×${count}`).join(' · ');
+        const codeLine = Object.entries(breakdown.errorCodes).map(([code, { name, count }]) => `${code} ${name} ×${count}`).join(' · ');
+        const checkLine = breakdown.checks.failing.slice(0, 5)
+            .map(check => `${check.endpoint ? `[${check.endpoint}] ` : ''}${check.name} ×${check.fails} (${check.failRate.toFixed(1)}%)`)
+            .join(' · ');
+        errorBreakdownHtml = `
+            <div class="glass-panel table-container animate-fade-up delay-4" style="margin-top: 24px;">
+                <div class="table-header">
+                    <h3>Failure Breakdown</h3>
+                </div>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Scope</th>
+                            <th>Requests</th>
+                            <th>Failed</th>
+                            ${categories.map(({ label }) => `<th>${label}</th>`).join('')}
+                            ${hasGraphql ? '<th>GraphQL Errors</th>' : ''}
+                            <th>Failed Checks</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${scopes.map(scope => `
+                        <tr>
+                            <td style="font-weight: ${scope.name === 'All requests' ? 700 : 500};">${scope.name}</td>
+                            <td style="font-family: var(--font-mono);">${scope.requests}</td>
+                            <td style="font-family: var(--font-mono); color: ${scope.failed > 0 ? 'var(--danger-color)' : 'var(--text-secondary)'};">${formatCount({ count: scope.failed, rate: scope.rate })}</td>
+                            ${categories.map(({ key }) => `<td style="font-family: var(--font-mono);">${formatCount(scope.categories[key])}</td>`).join('')}
+                            ${hasGraphql ? `<td style="font-family: var(--font-mono);">${formatCount(scope.graphql)}</td>` : ''}
+                            <td style="font-family: var(--font-mono);">${formatCount({ count: scope.checks.failed, rate: scope.checks.rate })}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${statusLine ? `<p style="color: var(--text-secondary); font-size: 0.85rem;">Status codes: ${statusLine}</p>` : ''}
+                ${codeLine ? `<p style="color: var(--text-secondary); font-size: 0.85rem;">k6 error codes: ${codeLine}</p>` : ''}
+                ${checkLine ? `<p style="color: var(--text-secondary); font-size: 0.85rem;">Most failed checks: ${checkLine}</p>` : ''}
+            </div>
+        `;
+    }
+
+    let phaseBreakdownHtml = '';
+    const phases = Object.entries(metadata.k6Metrics?.phases || {}).filter(([, phase]) => phase.count > 0);
+    if (phases.length > 0) {
+        phaseBreakdownHtml = `
+            <div class="glass-panel table-container animate-fade-up delay-4" style="margin-top: 24px;">
+                <div class="table-header">
+                    <h3>Phase Breakdown</h3>
+                </div>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Phase</th>
+                            <th>Window</th>
+                            <th>Requests</th>
+                            <th>P50</th>
+                            <th>P95</th>
+                            <th>P99</th>
+                            <th>Error Rate (%)</th>
+                            <th>Throughput (req/s)</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${phases.map(([name, phase]) => `
+                        <tr>
+                            <td style="font-weight: ${name === 'measurement' ? 700 : 500};">${name}</td>
+                            <td style="font-family: var(--font-mono);">${phase.ranges.map(([start, end]) => `${start / 1000}s–${end / 1000}s`).join(', ')}</td>
+                            <td style="font-family: var(--font-mono);">${phase.count}</td>
+                            <td style="font-family: var(--font-mono);">${phase.p50.toFixed(2)} ms</td>
+                            <td style="font-family: var(--font-mono);">${phase.p95.toFixed(2)} ms</td>
+                            <td style="font-family: var(--font-mono);">${phase.p99.toFixed(2)} ms</td>
+                            <td style="font-family: var(--font-mono); color: ${phase.errorRate > 0 ? 'var(--danger-color)' : 'var(--text-secondary)'};">${phase.errorRate.toFixed(2)}%</td>
+                            <td style="font-family: var(--font-mono);">${phase.throughput.toFixed(2)}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Metrics the test script defines itself (custom Trends, Rates, Counters and Gauges)
+    let customMetricsHtml = '';
+    const customMetrics = Object.entries(metadata.k6Metrics?.allMetrics || {}).filter(([, metric]) => metric.custom);
+    if (customMetrics.length > 0) {
+        const formatStats = (stats) => Object.entries(stats)
+            .map(([stat, value]) => `${stat}=${typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : value}`)
+            .join(' · ');
+        customMetricsHtml = `
+            <div class="glass-panel table-container animate-fade-up delay-4" style="margin-top: 24px;">
+                <div class="table-header">
+                    <h3>Custom Metrics</h3>
+                </div>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Metric</th>
+                            <th>Type</th>
+                            <th>Stats</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${customMetrics.map(([key, metric]) => `
+                        <tr>
+                            <td style="font-weight: 500;">${key}</td>
+                            <td>${metric.type || 'unknown'}</td>
+                            <td style="font-family: var(--font-mono);">${formatStats(metric.stats)}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
     // Response Time Distribution Chart Data
     let responseTimeChartHtml = '';
     if (metadata.k6Metrics && metadata.k6Metrics.p50ResponseTime !== undefined) {
@@ -156,6 +435,86 @@ function generateHtmlReport(validationResults, history, metadata) {
         `;
     }
 
+    // Where the request time goes, stacked per endpoint
+    let timingBreakdownHtml = '';
+    const timings = timingRows(metadata.k6Metrics);
+    if (timings.length > 0) {
+        const ttfb = metadata.k6Metrics.timings.waiting;
+        timingBreakdownHtml = `
+            <div class="glass-panel chart-wrapper animate-fade-up delay-4" style="margin-top: 24px;">
+                <h4>HTTP Timing Breakdown (avg ms)</h4>
+                ${ttfb ? `<p style="color: var(--text-secondary); font-size: 0.85rem;">TTFB P95: <strong>${ttfb.p95.toFixed(2)} ms</strong> · P99: <strong>${ttfb.p99.toFixed(2)} ms</strong></p>` : ''}
+                <div style="position: relative; height: ${Math.max(160, timings.length * 48)}px; width: 100%;">
+                    <canvas id="chart_timing_breakdown"></canvas>
+                </div>
+            </div>
+        `;
+    }
+
+    // Latency timeline within the run, with the drift findings
+    let timelineHtml = '';
+    const timeline = metadata.k6Metrics?.timeline;
+    if (timeline && timeline.buckets.length > 0) {
+        const drift = metadata.k6Metrics.drift;
+        const findings = [];
+        if (drift?.latency) {
+            findings.push(`P95 trend: <strong>${drift.latency.trend}</strong> (${drift.latency.growthPercent >= 0 ? '+' : ''}${drift.latency.growthPercent}% over the run, ${drift.latency.slopeMsPerMinute} ms/min, p=${drift.latency.pValue})`);
+        }
+        drift?.errorBursts.forEach(burst => {
+            findings.push(`<span style="color: var(--danger-color);">Error burst</span> at ${burst.start / 1000}s–${burst.end / 1000}s, peaking at ${burst.peakErrorRate}%`);
+        });
+        timelineHtml = `
+            <div class="glass-panel chart-wrapper animate-fade-up delay-4" style="margin-top: 24px;">
+                <h4>Latency Timeline (${timeline.interval / 1000}s intervals)${drift?.flagged ? ' <span style="color: var(--warning-color);">⚠️ Degradation detected</span>' : ''}</h4>
+                ${findings.length > 0 ? `<p style="color: var(--text-secondary); font-size: 0.85rem;">${findings.join('<br>')}</p>` : ''}
+                <div style="position: relative; height: 300px; width: 100%;">
+                    <canvas id="chart_latency_timeline"></canvas>
+                </div>
+            </div>
+        `;
+    }
+
+    // Baseline Regression Analysis
+    let regressionHtml = '';
+    const regressionResults = validationResults.filter(r => r.type === 'regression');
+    if (regressionResults.length > 0) {
+        regressionHtml = `
+            <div class="glass-panel table-container animate-fade-up delay-4" style="margin-top: 24px;">
+                <div class="table-header">
+                    <h3>📉 Regression Analysis (Current vs Baseline)</h3>
+                </div>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Metric</th>
+                            <th>Baseline</th>
+                            <th>Current</th>
+                            <th>Delta</th>
+                            <th>Change</th>
+                            <th>Allowed</th>
+                            <th>Significance</th>
+                            <th>Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${regressionResults.map(r => `
+                        <tr>
+                            <td style="font-weight: 500;">${r.endpoint ? `[${r.endpoint}] ` : ''}${r.label}</td>
+                            <td style="font-family: var(--font-mono); color: var(--text-secondary);" title="${r.baseline.runIds.join(', ')}">${r.baseline.value.toFixed(2)} <span style="font-size: 0.75rem;">(${r.baseline.strategy.replace('_', ' ')})</span></td>
+                            <td style="font-family: var(--font-mono);">${r.actual}</td>
+                            <td style="font-family: var(--font-mono);">${r.delta >= 0 ? '+' : ''}${r.delta}</td>
+                            <td style="font-family: var(--font-mono); font-weight: 600; color: ${r.passed ? 'var(--success-color)' : 'var(--danger-color)'};">${r.percentChange === null ? '∞' : `${r.percentChange >= 0 ? '+' : ''}${r.percentChange}%`}</td>
+                            <td style="font-family: var(--font-mono); color: var(--text-secondary);">${r.threshold.replace('<=', '≤').replace('>=', '≥')}</td>
+                            <td style="font-family: var(--font-mono); color: var(--text-secondary);">${renderSignificance(r.significance)}</td>
+                            <td>${renderResultBadge(r)}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
     // Comparison with Previous Run
     let comparisonHtml = '';
     if (history.length >= 2) {
@@ -205,6 +564,18 @@ function generateHtmlReport(validationResults, history, metadata) {
     }
 
     // Alert Severity Assessment
+    // Runs stopped by the live SLA monitor only cover part of the planned workload
+    const abortHtml = metadata.aborted ? `
+        <div class="glass-panel animate-fade-up delay-2" style="margin-top: 16px; padding: 20px; border-left: 4px solid var(--danger-color); background: var(--danger-glow);">
+            <div style="display: flex; align-items: center; gap: 12px;">
+                <span style="font-size: 1.8rem;">🛑</span>
+                <div>
+                    <span style="font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.1em; color: var(--text-secondary);">Test Stopped Early</span>
+                    <p style="margin-top: 4px; color: var(--text-primary); line-height: 1.6;">${metadata.abortReason || 'Aborted'}. Results below cover the run up to the abort.</p>
+                </div>
+            </div>
+        </div>` : '';
+
     let alertSeverityHtml = '';
     const alertConfig = metadata.slaConfig?.alerts || { critical: { p95_response_time_ms: 2000, max_error_rate_percent: 10 }, warning: { p95_response_time_ms: 800, max_error_rate_percent: 3 } };
     if (metadata.k6Metrics) {
@@ -543,6 +914,8 @@ function generateHtmlReport(validationResults, history, metadata) {
 
         .badge-pass { background: var(--success-glow); color: var(--success-color); border: 1px solid rgba(16, 185, 129, 0.3); }
         .badge-fail { background: var(--danger-glow); color: var(--danger-color); border: 1px solid rgba(239, 68, 68, 0.3); }
+        .badge-regression { background: rgba(139, 92, 246, 0.2); color: #a78bfa; border: 1px solid rgba(139, 92, 246, 0.3); }
+        .badge-warn { background: var(--warning-glow); color: var(--warning-color); border: 1px solid rgba(245, 158, 11, 0.3); }
 
         /* Charts area */
         .charts-grid {
@@ -677,6 +1050,8 @@ function generateHtmlReport(validationResults, history, metadata) {
             </div>
         </div>
 
+        ${abortHtml}
+
         ${alertSeverityHtml}
 
         <!-- Executive Summary -->
@@ -700,28 +1075,41 @@ function generateHtmlReport(validationResults, history, metadata) {
                     </tr>
                 </thead>
                 <tbody>
-                    ${validationResults.map(item => `
+                    ${groupResultsByEndpoint(validationResults).map(group => `
+                    ${group.endpoint ? `
+                    <tr>
+                        <td colspan="4" style="font-weight: 600; color: var(--text-secondary); background: rgba(255,255,255,0.02);">📡 ${group.name}</td>
+                    </tr>
+                    ` : ''}
+                    ${group.results.map(item => `
                     <tr>
                         <td style="font-weight: 500; display: flex; align-items: center;">
-                            ${item.metric}
-                            <span class="tooltip-icon" data-tooltip="${metricDescriptions[item.metric] || 'No description available'}">?</span>
+                            ${item.label || item.metric}
+                            <span class="tooltip-icon" data-tooltip="${metricDescriptions[item.label || item.metric] || 'No description available'}">?</span>
                         </td>
                         <td style="font-family: var(--font-mono);">${item.actual}</td>
                         <td style="font-family: var(--font-mono); color: var(--text-secondary);">${item.threshold.replace('<=', '≤').replace('>=', '≥')}</td>
                         <td>
-                            <span class="badge ${item.passed ? 'badge-pass' : 'badge-fail'}">
-                                ${item.passed ? '✅ PASS' : '❌ FAIL'}
-                            </span>
+                            ${renderResultBadge(item)}
                         </td>
                     </tr>
                     `).join('')}
+                    `).join('')}
                 </tbody>
             </table>
         </div>
 
         ${endpointBreakdownHtml}
+        ${journeysHtml}
+        ${protocolsHtml}
+        ${phaseBreakdownHtml}
         ${checksBreakdownHtml}
+        ${errorBreakdownHtml}
+        ${customMetricsHtml}
         ${responseTimeChartHtml}
+        ${timingBreakdownHtml}
+        ${timelineHtml}
+        ${regressionHtml}
         ${comparisonHtml}
 
         <h3 class="animate-fade-up delay-3" style="margin-top: 24px; margin-bottom: 16px;">System Telemetry Timeline</h3>
@@ -744,6 +1132,19 @@ function generateHtmlReport(validationResults, history, metadata) {
     fs.writeFileSync(REPORT_FILE, reportHtml);
 }
 
+function renderResultBadge(result) {
+    if (result.passed) return '<span class="badge badge-pass">✅ PASS</span>';
+    if (result.type === 'regression') return '<span class="badge badge-regression">📉 REGRESSION</span>';
+    if (result.severity && result.severity !== 'critical') return '<span class="badge badge-warn">⚠️ WARN</span>';
+    return '<span class="badge badge-fail">❌ FAIL</span>';
+}
+
+function renderSignificance(significance) {
+    if (!significance) return '—';
+    const verdict = significance.significant ? 'significant' : 'not significant';
+    return `p=${significance.pValue} <span style="font-size: 0.75rem;">(${verdict}, α ${significance.alpha})</span>`;
+}
+
 function generateChartCard(title, labels, data, _threshold, _color) {
     if (!data || data.every(v => v === null)) return '';
     const chartId = title.replace(/[^a-zA-Z0-9]/g, '_').toLowerCase();
@@ -925,6 +1326,90 @@ function generateChartScripts(chartDatasets, labels, slaThresholds, metadata) {
         `;
     }
 
+    const timings = timingRows(metadata?.k6Metrics);
+    if (timings.length > 0) {
+        const datasets = TIMING_PHASES.map(phase => ({
+            label: phase.label,
+            data: timings.map(row => parseFloat((row.timings[phase.key]?.avg || 0).toFixed(2))),
+            backgroundColor: phase.color
+        }));
+        scripts += `
+        (function() {
+            const ctx = document.getElementById('chart_timing_breakdown');
+            if (!ctx) return;
+            new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: ${JSON.stringify(timings.map(row => row.name))},
+                    datasets: ${JSON.stringify(datasets)}
+                },
+                options: {
+                    indexAxis: 'y',
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: { legend: { labels: { color: 'rgba(255, 255, 255, 0.6)' } } },
+                    scales: {
+                        x: {
+                            stacked: true,
+                            beginAtZero: true,
+                            grid: { color: 'rgba(255, 255, 255, 0.03)' },
+                            ticks: { color: 'rgba(255, 255, 255, 0.4)', callback: function(v) { return v + ' ms'; } }
+                        },
+                        y: { stacked: true, grid: { display: false }, ticks: { color: 'rgba(255, 255, 255, 0.6)' } }
+                    }
+                }
+            });
+        })();
+        `;
+    }
+
+    const timeline = metadata?.k6Metrics?.timeline;
+    if (timeline && timeline.buckets.length > 0) {
+        const series = (field, digits = 2) => JSON.stringify(timeline.buckets.map(b => parseFloat(b[field].toFixed(digits))));
+        scripts += `
+        (function() {
+            const ctx = document.getElementById('chart_latency_timeline');
+            if (!ctx) return;
+            const dashed = { borderDash: [4, 4], pointRadius: 0, tension: 0.3, yAxisID: 'load' };
+            new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: ${JSON.stringify(timeline.buckets.map(b => `${b.start / 1000}s`))},
+                    datasets: [
+                        { label: 'P50 (ms)', data: ${series('p50')}, borderColor: '#10b981', pointRadius: 0, tension: 0.3, yAxisID: 'latency' },
+                        { label: 'P95 (ms)', data: ${series('p95')}, borderColor: '#6366f1', pointRadius: 0, tension: 0.3, yAxisID: 'latency' },
+                        { label: 'P99 (ms)', data: ${series('p99')}, borderColor: '#ef4444', pointRadius: 0, tension: 0.3, yAxisID: 'latency' },
+                        { label: 'RPS', data: ${series('rps')}, borderColor: '#f59e0b', ...dashed },
+                        { label: 'VUs', data: ${series('vus', 0)}, borderColor: '#94a3b8', ...dashed },
+                        { label: 'Error Rate (%)', data: ${series('errorRate')}, borderColor: '#ec4899', ...dashed }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'index', intersect: false },
+                    plugins: { legend: { labels: { color: 'rgba(255, 255, 255, 0.6)' } } },
+                    scales: {
+                        latency: {
+                            position: 'left',
+                            beginAtZero: true,
+                            grid: { color: 'rgba(255, 255, 255, 0.03)' },
+                            ticks: { color: 'rgba(255, 255, 255, 0.4)', callback: function(v) { return v + ' ms'; } }
+                        },
+                        load: {
+                            position: 'right',
+                            beginAtZero: true,
+                            grid: { display: false },
+                            ticks: { color: 'rgba(255, 255, 255, 0.4)' }
+                        },
+                        x: { grid: { display: false }, ticks: { color: 'rgba(255, 255, 255, 0.6)', maxTicksLimit: 20 } }
+                    }
+                }
+            });
+        })();
+        `;
+    }
+
     return scripts;
 }
 
@@ -935,14 +1420,37 @@ function generateJUnitReport(validationResults, metadata) {
     junit += `<testsuites name="Performance-Observability-Validation" tests="${validationResults.length}" failures="${failed.length}" errors="0" time="${metadata.duration || 0}">\n`;
     junit += `    <testsuite name="SLA-Validation" tests="${validationResults.length}" failures="${failed.length}" errors="0" timestamp="${new Date().toISOString()}">\n`;
 
+    const endpoints = (metadata.k6Metrics?.endpoints || []).filter(ep => ep.p95 !== undefined);
+    if (endpoints.length > 0) {
+        junit += `        <properties>\n`;
+        endpoints.forEach(ep => {
+            const prefix = `endpoint.${ep.name.replace(/[^a-zA-Z0-9]/g, '_')}`;
+            junit += `            <property name="${prefix}.requests" value="${ep.count}"/>\n`;
+            ['p50', 'p90', 'p95', 'p99'].forEach(stat => {
+                junit += `            <property name="${prefix}.${stat}_ms" value="${ep[stat].toFixed(2)}"/>\n`;
+            });
+            junit += `            <property name="${prefix}.error_rate_percent" value="${ep.errorRate.toFixed(2)}"/>\n`;
+        });
+        junit += `        </properties>\n`;
+    }
+
     validationResults.forEach((result) => {
         const safeName = result.metric.replace(/[^a-zA-Z0-9]/g, '_');
+        const classname = result.endpoint ? `SLAValidation.${result.endpoint.replace(/[^a-zA-Z0-9]/g, '_')}` : 'SLAValidation';
 
         if (result.passed) {
-            junit += `        <testcase name="${safeName}" classname="SLAValidation" time="0"/>\n`;
+            junit += `        <testcase name="${safeName}" classname="${classname}" time="0"/>\n`;
         } else {
-            junit += `        <testcase name="${safeName}" classname="SLAValidation" time="0">\n`;
-            junit += `            <failure message="${result.metric} exceeded threshold" type="SLAViolation">\n`;
+            junit += `        <testcase name="${safeName}" classname="${classname}" time="0">\n`;
+            if (result.type === 'regression') {
+                junit += `            <failure message="${result.metric} regressed ${result.percentChange}% vs baseline" type="PerformanceRegression">\n`;
+                junit += `                Baseline: ${result.baseline.value.toFixed(2)} (${result.baseline.strategy})\n`;
+                if (result.significance) {
+                    junit += `                Significance: p=${result.significance.pValue} (alpha ${result.significance.alpha})\n`;
+                }
+            } else {
+                junit += `            <failure message="${result.metric} exceeded threshold" type="SLAViolation">\n`;
+            }
             junit += `                Expected: ${result.threshold}\n`;
             junit += `                Actual: ${result.actual}\n`;
             junit += `            </failure>\n`;
@@ -961,22 +1469,143 @@ function generateJsonReport(validationResults, metadata) {
         metadata: {
             profile: metadata.profile || 'default',
             targetUrl: metadata.targetUrl,
-            duration: metadata.duration
+            duration: metadata.duration,
+            aborted: Boolean(metadata.aborted),
+            abortReason: metadata.abortReason || null
         },
         summary: {
             total: validationResults.length,
             passed: validationResults.filter(r => r.passed).length,
             failed: validationResults.filter(r => !r.passed).length,
+            criticalFailed: failedCritical(validationResults).length,
             passRate: ((validationResults.filter(r => r.passed).length / validationResults.length) * 100).toFixed(2) + '%'
         },
         results: validationResults,
+        endpoints: metadata.k6Metrics?.endpoints || [],
+        journeys: metadata.k6Metrics?.journeys || [],
+        protocols: metadata.k6Metrics?.protocols || {},
+        metrics: metadata.k6Metrics?.allMetrics || {},
+        timings: metadata.k6Metrics?.timings || {},
+        errors: metadata.k6Metrics?.errorBreakdown || null,
+        checks: metadata.k6Metrics?.checksData || [],
+        phases: metadata.k6Metrics?.phases || {},
+        timeline: metadata.k6Metrics?.timeline || null,
+        drift: metadata.k6Metrics?.drift || null,
         status: validationResults.every(r => r.passed) ? 'PASSED' : 'FAILED'
     };
     fs.writeFileSync(JSON_REPORT_FILE, JSON.stringify(report, null, 2));
 }
 
+function generateCapacityReport(capacity, metadata = {}) {
+    capacity = redactSecrets(capacity);
+    metadata = redactSecrets(metadata);
+    const report = {
+        id: `capacity-${Date.now()}`,
+        timestamp: new Date().toISOString(),
+        metadata: {
+            profile: metadata.profile || 'default',
+            targetUrl: metadata.targetUrl,
+            duration: metadata.duration
+        },
+        ...capacity,
+        status: capacity.maxSustainableRps !== null ? 'FOUND' : 'NOT_FOUND'
+    };
+    fs.writeFileSync(CAPACITY_JSON_FILE, JSON.stringify(report, null, 2));
+
+    const fmt = (value, digits = 2) => (typeof value === 'number' ? value.toFixed(digits) : 'N/A');
+    const rows = capacity.steps.map(step => `
+                <tr>
+                    <td>${step.rps}${capacity.kneePoint?.rps === step.rps ? ' <span class="badge knee">KNEE</span>' : ''}</td>
+                    <td>${fmt(step.throughput)}</td>
+                    <td>${fmt(step.p95ResponseTime)}</td>
+                    <td>${fmt(step.errorRate)}</td>
+                    <td>${step.droppedIterations ?? 'N/A'}</td>
+                    <td><span class="badge ${step.passed ? 'pass' : 'fail'}">${step.passed ? 'PASS' : 'FAIL'}</span></td>
+                    <td>${step.failures.map(f => `${f.metric} (${f.actual} vs ${f.threshold})`).join('<br>') || '-'}</td>
+                </tr>`).join('');
+    const limiting = capacity.limitingSla
+        ? capacity.limitingSla.failures.map(f => `${f.metric}: ${f.actual} (expected ${f.threshold})`).join(', ')
+        : 'None reached';
+    const points = capacity.steps
+        .filter(s => typeof s.throughput === 'number' && typeof s.p95ResponseTime === 'number')
+        .map(s => ({ x: parseFloat(s.throughput.toFixed(2)), y: parseFloat(s.p95ResponseTime.toFixed(2)), passed: s.passed }));
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Capacity Report | ${new Date().toLocaleDateString()}</title>
+    <script src="https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js"></script>
+    <style>
+        body { background: #09090b; color: #f8fafc; font-family: 'Inter', sans-serif; margin: 0; padding: 40px; }
+        .container { max-width: 1100px; margin: 0 auto; }
+        .cards { display: grid; grid-template-columns: repeat(3, 1fr); gap: 16px; margin: 24px 0; }
+        .card { background: rgba(255, 255, 255, 0.03); border: 1px solid rgba(255, 255, 255, 0.08); border-radius: 12px; padding: 20px; }
+        .card h4 { color: #94a3b8; margin: 0 0 8px; font-size: 0.8rem; text-transform: uppercase; }
+        .card strong { font-size: 1.5rem; }
+        .chart { height: 360px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 24px; font-size: 0.9rem; }
+        th, td { text-align: left; padding: 10px; border-bottom: 1px solid rgba(255, 255, 255, 0.08); }
+        th { color: #94a3b8; }
+        .badge { padding: 2px 8px; border-radius: 6px; font-size: 0.75rem; font-weight: 700; }
+        .badge.pass { background: rgba(16, 185, 129, 0.2); color: #10b981; }
+        .badge.fail { background: rgba(239, 68, 68, 0.2); color: #ef4444; }
+        .badge.knee { background: rgba(245, 158, 11, 0.2); color: #f59e0b; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>📈 Capacity Report</h1>
+        <p>Profile <strong>${report.metadata.profile}</strong> against ${report.metadata.targetUrl || 'N/A'} (${capacity.strategy} search)</p>
+        <div class="cards">
+            <div class="card"><h4>Max Sustainable Rate</h4><strong>${capacity.maxSustainableRps ?? 'N/A'} req/s</strong></div>
+            <div class="card"><h4>Knee Point</h4><strong>${capacity.kneePoint ? `${fmt(capacity.kneePoint.throughput)} req/s @ ${fmt(capacity.kneePoint.p95ResponseTime)} ms` : 'N/A'}</strong></div>
+            <div class="card"><h4>Limiting SLA</h4><strong style="font-size: 1rem;">${limiting}</strong></div>
+        </div>
+        <div class="card chart"><canvas id="chart_capacity"></canvas></div>
+        <table>
+            <thead>
+                <tr><th>Target (req/s)</th><th>Achieved (req/s)</th><th>P95 (ms)</th><th>Error Rate (%)</th><th>Dropped</th><th>Status</th><th>Failed SLAs</th></tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>
+    </div>
+    <script>
+        const points = ${JSON.stringify(points)};
+        new Chart(document.getElementById('chart_capacity'), {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'P95 Response Time (ms)',
+                    data: points,
+                    borderColor: '#6366f1',
+                    pointBackgroundColor: points.map(p => (p.passed ? '#10b981' : '#ef4444')),
+                    pointRadius: 6,
+                    tension: 0.3
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { type: 'linear', title: { display: true, text: 'Throughput (req/s)', color: '#94a3b8' } },
+                    y: { beginAtZero: true, title: { display: true, text: 'P95 (ms)', color: '#94a3b8' } }
+                }
+            }
+        });
+    </script>
+</body>
+</html>`;
+    fs.writeFileSync(CAPACITY_REPORT_FILE, html);
+    console.log('[Report] ✅ Capacity reports generated: HTML, JSON in reports/');
+}
+
 module.exports = {
     generateReport,
+    generateCapacityReport,
+    loadHistory,
     saveToHistory,
     generateJUnitReport,
     generateHtmlReport,
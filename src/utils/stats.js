@@ -0,0 +1,227 @@
+/**
+ * Percentile using linear interpolation between closest ranks (same method as k6 Trend sinks)
+ * @param {ArrayLike<number>} sorted - Samples sorted in ascending order
+ * @param {number} p - Percentile between 0 and 100
+ */
+function percentile(sorted, p) {
+    if (!sorted || sorted.length === 0) return 0;
+
+    const index = (p / 100) * (sorted.length - 1);
+    const lower = sorted[Math.floor(index)];
+    const upper = sorted[Math.ceil(index)];
+    return lower + (upper - lower) * (index - Math.floor(index));
+}
+
+/**
+ * Summarize raw samples into the same stats k6 exports for Trends
+ * @param {number[]} samples - Unsorted samples
+ */
+function summarizeSamples(samples) {
+    if (!samples || samples.length === 0) {
+        return { count: 0, avg: 0, min: 0, max: 0, p50: 0, p90: 0, p95: 0, p99: 0 };
+    }
+
+    const sorted = Float64Array.from(samples).sort();
+    let sum = 0;
+    for (let i = 0; i < sorted.length; i++) sum += sorted[i];
+
+    return {
+        count: sorted.length,
+        avg: sum / sorted.length,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99)
+    };
+}
+
+/**
+ * Create a compact log-bucketed latency sketch (relative accuracy of ±accuracy)
+ * @param {number} accuracy - Relative bucket accuracy, e.g. 0.01 for 1%
+ */
+function createSketch(accuracy = 0.01) {
+    return { gamma: (1 + accuracy) / (1 - accuracy), count: 0, zero: 0, min: null, max: null, bins: {} };
+}
+
+/**
+ * Add one sample to a sketch
+ */
+function addToSketch(sketch, value) {
+    sketch.count++;
+    sketch.min = sketch.min === null ? value : Math.min(sketch.min, value);
+    sketch.max = sketch.max === null ? value : Math.max(sketch.max, value);
+
+    if (value <= 0) {
+        sketch.zero++;
+        return;
+    }
+    const index = Math.ceil(Math.log(value) / Math.log(sketch.gamma));
+    sketch.bins[index] = (sketch.bins[index] || 0) + 1;
+}
+
+/**
+ * Merge sketches built with the same accuracy into a new sketch
+ */
+function mergeSketches(sketches) {
+    const valid = sketches.filter(Boolean);
+    if (valid.length === 0) return null;
+
+    const merged = { gamma: valid[0].gamma, count: 0, zero: 0, min: null, max: null, bins: {} };
+    valid.forEach(sketch => {
+        merged.count += sketch.count;
+        merged.zero += sketch.zero;
+        if (sketch.min !== null) merged.min = merged.min === null ? sketch.min : Math.min(merged.min, sketch.min);
+        if (sketch.max !== null) merged.max = merged.max === null ? sketch.max : Math.max(merged.max, sketch.max);
+        Object.entries(sketch.bins).forEach(([index, count]) => {
+            merged.bins[index] = (merged.bins[index] || 0) + count;
+        });
+    });
+    return merged;
+}
+
+function sketchBuckets(sketch) {
+    const buckets = Object.keys(sketch.bins)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(index => ({
+            index,
+            count: sketch.bins[index],
+            value: (2 * Math.pow(sketch.gamma, index)) / (sketch.gamma + 1)
+        }));
+    return sketch.zero > 0 ? [{ index: -Infinity, count: sketch.zero, value: 0 }, ...buckets] : buckets;
+}
+
+/**
+ * Approximate quantile from a sketch, interpolating between the closest ranks like `percentile`
+ * @param {object} sketch - Sketch from createSketch
+ * @param {number} q - Quantile between 0 and 1
+ */
+function sketchQuantile(sketch, q) {
+    if (!sketch || sketch.count === 0) return 0;
+
+    const rank = q * (sketch.count - 1);
+    const lowerRank = Math.floor(rank);
+    let lower = null;
+    let seen = 0;
+    for (const bucket of sketchBuckets(sketch)) {
+        seen += bucket.count;
+        const value = Math.min(Math.max(bucket.value, sketch.min), sketch.max);
+        if (lower === null && seen > lowerRank) lower = value;
+        if (seen > Math.ceil(rank)) return lower + (value - lower) * (rank - lowerRank);
+    }
+    return sketch.max;
+}
+
+// Abramowitz & Stegun 7.1.26 approximation of the standard normal CDF
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Mann-Whitney U test between two sketches (normal approximation with tie correction)
+ * Samples sharing a bucket are treated as ties, which keeps the test conservative.
+ * @param {object} current - Sketch of the current run
+ * @param {object} baseline - Sketch of the baseline run(s)
+ * @returns {object|null} { u, z, pValue, pGreater, pLess, effectSize } or null when a side is empty
+ */
+function mannWhitneyU(current, baseline) {
+    if (!current || !baseline || current.count === 0 || baseline.count === 0) return null;
+
+    const n1 = current.count;
+    const n2 = baseline.count;
+    const n = n1 + n2;
+
+    const groups = new Map();
+    [[current, 'a'], [baseline, 'b']].forEach(([sketch, side]) => {
+        sketchBuckets(sketch).forEach(({ index, count }) => {
+            const group = groups.get(index) || { a: 0, b: 0 };
+            group[side] += count;
+            groups.set(index, group);
+        });
+    });
+
+    let rankSum = 0;
+    let tieTerm = 0;
+    let position = 0;
+    [...groups.keys()].sort((a, b) => a - b).forEach(index => {
+        const { a, b } = groups.get(index);
+        const ties = a + b;
+        rankSum += a * (position + (ties + 1) / 2);
+        tieTerm += ties * ties * ties - ties;
+        position += ties;
+    });
+
+    const u = rankSum - (n1 * (n1 + 1)) / 2;
+    const mean = (n1 * n2) / 2;
+    const variance = ((n1 * n2) / 12) * ((n + 1) - tieTerm / (n * (n - 1)));
+    const z = variance > 0 ? (u - mean) / Math.sqrt(variance) : 0;
+
+    return {
+        u,
+        z,
+        pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))),
+        pGreater: 1 - normalCdf(z),
+        pLess: normalCdf(z),
+        effectSize: (2 * u) / (n1 * n2) - 1
+    };
+}
+
+function median(values) {
+    const sorted = Float64Array.from(values).sort();
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Mann-Kendall test for a monotonic trend in an evenly spaced series, with Sen's slope estimate
+ * @param {Array<number>} values - Series in time order
+ * @returns {object|null} { s, z, pValue: two-sided, slope: per step, intercept } or null with fewer than 4 values
+ */
+function mannKendall(values) {
+    const n = values.length;
+    if (n < 4) return null;
+
+    let s = 0;
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+        for (let j = i + 1; j < n; j++) {
+            s += Math.sign(values[j] - values[i]);
+            slopes.push((values[j] - values[i]) / (j - i));
+        }
+    }
+
+    const ties = new Map();
+    values.forEach(v => ties.set(v, (ties.get(v) || 0) + 1));
+    let tieTerm = 0;
+    ties.forEach(t => { tieTerm += t * (t - 1) * (2 * t + 5); });
+    const variance = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+
+    let z = 0;
+    if (variance > 0 && s !== 0) z = (s - Math.sign(s)) / Math.sqrt(variance);
+
+    const slope = median(slopes);
+    return {
+        s,
+        z,
+        pValue: Math.min(1, 2 * (1 - normalCdf(Math.abs(z)))),
+        slope,
+        intercept: median(values.map((v, i) => v - slope * i))
+    };
+}
+
+module.exports = {
+    percentile,
+    summarizeSamples,
+    createSketch,
+    addToSketch,
+    mergeSketches,
+    sketchQuantile,
+    normalCdf,
+    mannWhitneyU,
+    mannKendall
+};